@@ -0,0 +1,271 @@
+/**
+ * Admin REST API for the Enhanced Rate Limiter
+ * Lets the WordPress admin manage IP lists, blocks and limits directly. Every route requires
+ * "Authorization: Bearer <ADMIN_API_TOKEN>" (shared/admin-auth.js).
+ *
+ *   GET    /admin/ip/:ip[?worker=]          - blacklist/whitelist/block status, violation history and usage
+ *   GET    /admin/whitelist                 - whitelisted IPs and CIDR/ASN/country rules
+ *   POST   /admin/whitelist                 - { ip | cidr | asn | country, reason, addedBy, expiresAt | ttl } add an entry
+ *   DELETE /admin/whitelist?ip=             - remove an entry (or ?cidr=, ?asn=, ?country=)
+ *   GET    /admin/blacklist                 - blacklisted IPs and CIDR/ASN/country rules
+ *   POST   /admin/blacklist                 - { ip | cidr | asn | country, reason, addedBy, expiresAt | ttl } add an entry
+ *   DELETE /admin/blacklist?ip=             - remove an entry (or ?cidr=, ?asn=, ?country=)
+ *   GET    /admin/blocks                    - active temporary blocks
+ *   DELETE /admin/blocks?ip=                - clear an IP's (or key:<id>'s) block
+ *   GET    /admin/analytics?timeframe=      - hourly, daily, weekly or monthly analytics
+ *   GET    /admin/config/:worker            - a worker's effective config ("global" for global settings)
+ *   PUT    /admin/config/:worker            - save a worker's config, which overrides the WordPress limits
+ *                                            ("global" for global settings, which WordPress settings override)
+ *
+ * Workers rebuild their limiters from config every 5 minutes, so config changes apply within that time.
+ */
+
+import { EnhancedRateLimiter } from './rate-limiter.js';
+import {
+  loadWorkerConfig,
+  loadGlobalSettings,
+  saveWorkerConfig,
+  saveGlobalSettings,
+  loadWordPressSettings,
+  validateWorkerConfig,
+  validateConfig
+} from './dynamic-config.js';
+import { isValidIP, listIPRules, parseRuleTarget } from './ip-rules.js';
+import { authorizeAdminRequest } from '../shared/admin-auth.js';
+
+// KV list pages (1000 keys each) scanned for list endpoints
+const MAX_LIST_PAGES = 10;
+
+/**
+ * Expiry timestamp (ms) from expiresAt (ms) or ttl (seconds); null for permanent entries
+ */
+function parseExpiry({ expiresAt, ttl } = {}) {
+  if (expiresAt) return Number(expiresAt) > Date.now() ? Number(expiresAt) : undefined;
+  if (ttl) return Number(ttl) > 0 ? Date.now() + Number(ttl) * 1000 : undefined;
+  return null;
+}
+
+/**
+ * The list target of a request: { ip } or a { cidr } / { asn } / { country } rule
+ */
+function listTarget(source) {
+  const [type] = ['ip', 'cidr', 'asn', 'country'].filter(field => source[field] !== undefined && source[field] !== null);
+  return type ? { type, value: source[type] } : null;
+}
+
+function isValidTarget(target) {
+  return target.type === 'ip' ? isValidIP(target.value) : parseRuleTarget({ [target.type]: target.value }) !== null;
+}
+
+async function listEntries(kv, { prefix, filter } = {}) {
+  const entries = [];
+  let cursor;
+  let pages = 0;
+
+  do {
+    const page = await kv.list({ prefix, cursor });
+    pages++;
+
+    for (const { name } of page.keys) {
+      const id = prefix ? name.substring(prefix.length) : name;
+      if (filter && !filter(id)) continue;
+
+      const value = await kv.get(name, { type: 'json' });
+      if (value) entries.push({ ip: id, ...value });
+    }
+
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && pages < MAX_LIST_PAGES);
+
+  return { entries, truncated: Boolean(cursor) };
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Handle /admin/* rate limiter routes
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} [corsHeaders] - CORS headers to include
+ * @returns {Promise<Response|null>} Response for an admin route, otherwise null
+ */
+export async function handleAdminRequest(request, env, corsHeaders = {}) {
+  const url = new URL(request.url);
+  const path = url.pathname;
+
+  if (!/^\/admin\/(ip\/[^/]+|whitelist|blacklist|blocks|analytics|config\/[\w-]+)$/.test(path)) {
+    return null;
+  }
+
+  const unauthorized = authorizeAdminRequest(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
+  const respond = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: jsonHeaders });
+  const method = request.method;
+
+  const limiter = new EnhancedRateLimiter(env, {
+    workerName: url.searchParams.get('worker') || 'rate-limiter-worker',
+    configSource: 'admin-api'
+  });
+
+  try {
+    // IP status
+    const ipMatch = path.match(/^\/admin\/ip\/([^/]+)$/);
+    if (ipMatch) {
+      if (method !== 'GET') return respond({ success: false, error: 'Method not allowed' }, 405);
+
+      let ip;
+      try {
+        ip = decodeURIComponent(ipMatch[1]);
+      } catch {
+        return respond({ success: false, error: 'Invalid IP address' }, 400);
+      }
+      if (!isValidIP(ip)) return respond({ success: false, error: 'Invalid IP address' }, 400);
+
+      const worker = url.searchParams.get('worker');
+      const [blacklist, whitelist, block, violations, usage] = await Promise.all([
+        limiter.checkBlacklist(ip),
+        limiter.checkWhitelist(ip),
+        limiter.checkCurrentBlocks(ip),
+        limiter.getViolationHistory(ip),
+        worker ? limiter.getCurrentUsage(ip, worker, new Date()) : limiter.getUsageStats(ip)
+      ]);
+
+      return respond({ success: true, ip, worker: worker || 'all', blacklist, whitelist, block, violations, usage });
+    }
+
+    // Whitelist and blacklist
+    const listMatch = path.match(/^\/admin\/(whitelist|blacklist)$/);
+    if (listMatch) {
+      const isWhitelist = listMatch[1] === 'whitelist';
+      const kv = isWhitelist ? env.FAQ_IP_WHITELIST : env.FAQ_IP_BLACKLIST;
+      if (!kv) return respond({ success: false, error: `${isWhitelist ? 'FAQ_IP_WHITELIST' : 'FAQ_IP_BLACKLIST'} namespace not bound` }, 503);
+
+      if (method === 'GET') {
+        const { entries, truncated } = await listEntries(kv, { filter: isValidIP });
+        const rules = await listIPRules(kv);
+        return respond({ success: true, list: listMatch[1], entries, rules, total: entries.length + rules.length, truncated });
+      }
+
+      if (method === 'POST') {
+        const body = await readJson(request);
+        const target = listTarget(body);
+        const expiresAt = parseExpiry(body);
+        if (!target) return respond({ success: false, error: 'One of ip, cidr, asn or country is required' }, 400);
+        if (expiresAt === undefined) return respond({ success: false, error: 'Expiry must be in the future' }, 400);
+
+        const reason = body.reason || 'Added via admin API';
+        const addedBy = body.addedBy || 'admin-api';
+        let result;
+
+        if (!isValidTarget(target)) return respond({ success: false, error: `Invalid ${target.type}` }, 400);
+
+        if (target.type === 'ip') {
+          result = isWhitelist
+            ? await limiter.addToWhitelist(target.value, reason, addedBy, expiresAt)
+            : await limiter.addToBlacklist(target.value, reason, addedBy, expiresAt);
+        } else {
+          result = await limiter.addListRule(listMatch[1], { [target.type]: target.value }, reason, addedBy, expiresAt);
+        }
+
+        return respond({ ...result, list: listMatch[1], [target.type]: target.value, expires_at: expiresAt }, result.success ? 201 : 500);
+      }
+
+      if (method === 'DELETE') {
+        const query = Object.fromEntries(url.searchParams);
+        const target = listTarget(Object.keys(query).some(field => ['ip', 'cidr', 'asn', 'country'].includes(field)) ? query : await readJson(request));
+        if (!target) return respond({ success: false, error: 'One of ip, cidr, asn or country is required' }, 400);
+        if (!isValidTarget(target)) return respond({ success: false, error: `Invalid ${target.type}` }, 400);
+
+        const result = target.type === 'ip'
+          ? (isWhitelist ? await limiter.removeFromWhitelist(target.value) : await limiter.removeFromBlacklist(target.value))
+          : await limiter.removeListRule(listMatch[1], { [target.type]: target.value });
+
+        const status = result.success ? 200 : result.error === 'Rule not found' ? 404 : 500;
+        return respond({ ...result, list: listMatch[1], [target.type]: target.value }, status);
+      }
+
+      return respond({ success: false, error: 'Method not allowed' }, 405);
+    }
+
+    // Temporary blocks
+    if (path === '/admin/blocks') {
+      if (method === 'GET') {
+        const { entries, truncated } = await listEntries(env.FAQ_RATE_LIMITS, { prefix: 'block:' });
+        const active = entries.filter(entry => entry.expires > Date.now());
+        return respond({ success: true, blocks: active, total: active.length, truncated });
+      }
+
+      if (method === 'DELETE') {
+        const ip = url.searchParams.get('ip') || (await readJson(request)).ip;
+        if (!isValidIP(ip) && !/^key:[0-9a-f]+$/.test(ip || '')) {
+          return respond({ success: false, error: 'Invalid IP address or key id' }, 400);
+        }
+
+        const result = await limiter.clearBlocks(ip);
+        return respond({ ...result, ip }, result.success ? 200 : 500);
+      }
+
+      return respond({ success: false, error: 'Method not allowed' }, 405);
+    }
+
+    // Analytics
+    if (path === '/admin/analytics') {
+      if (method !== 'GET') return respond({ success: false, error: 'Method not allowed' }, 405);
+
+      const analytics = await limiter.getAnalytics(url.searchParams.get('timeframe') || 'daily');
+      return analytics
+        ? respond({ success: true, analytics })
+        : respond({ success: false, error: 'Analytics unavailable' }, 500);
+    }
+
+    // Worker and global configuration
+    const configMatch = path.match(/^\/admin\/config\/([\w-]+)$/);
+    if (configMatch) {
+      const worker = configMatch[1];
+      const isGlobal = worker === 'global';
+
+      if (method === 'GET') {
+        const config = isGlobal ? await loadGlobalSettings(env) : await loadWorkerConfig(worker, env);
+        return respond({ success: true, worker, config });
+      }
+
+      if (method === 'PUT') {
+        const { updatedBy, ...config } = await readJson(request);
+        const validation = isGlobal ? validateConfig(config) : validateWorkerConfig(config);
+        if (!validation.valid) {
+          return respond({ success: false, error: 'Invalid configuration', ...validation }, 400);
+        }
+
+        const saved = isGlobal
+          ? await saveGlobalSettings(env, config, updatedBy || 'admin-api')
+          : await saveWorkerConfig(env, worker, config, updatedBy || 'admin-api');
+
+        // Worker config overrides WordPress settings, but global settings and a WordPress off switch win
+        const warnings = [...(validation.warnings || [])];
+        const wordpressSettings = await loadWordPressSettings(env);
+        if (wordpressSettings && isGlobal) {
+          warnings.push('WordPress rate settings take precedence over global settings; change them in WordPress');
+        } else if (wordpressSettings && !wordpressSettings.enableRateLimiting) {
+          warnings.push('Rate limiting is disabled in WordPress settings; this config applies once it is enabled again');
+        }
+
+        return respond({ success: saved, worker, warnings }, saved ? 200 : 500);
+      }
+
+      return respond({ success: false, error: 'Method not allowed' }, 405);
+    }
+
+    return null;
+  } catch (error) {
+    console.error('[Admin API] Request failed:', error);
+    return respond({ success: false, error: error.message }, 500);
+  }
+}
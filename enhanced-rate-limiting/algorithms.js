@@ -0,0 +1,209 @@
+/**
+ * Rate Limiting Algorithms
+ * One interface for every algorithm, shared by EnhancedRateLimiter and the standalone rate limiter worker:
+ *
+ *   consumeRequest(algorithm, state, { limit, windowSeconds, burst, now })
+ *     -> { allowed, state, limit, remaining, used, reset, retryAfter }
+ *
+ * `state` is the algorithm's JSON state from storage (null on first use) and the returned state is what to
+ * store back. `used` is the count before this request, `reset` a timestamp (ms) and `retryAfter` seconds.
+ *
+ *   fixed_window           - counter per calendar-aligned window; cheapest, allows 2x bursts at window edges
+ *   sliding_window_log     - timestamp of every request in the last window; exact, state grows with the limit
+ *                            (only used for windows of up to an hour and 1000 requests, see windowAlgorithm)
+ *   sliding_window_counter - current and previous window counters, weighted by overlap; close to exact, small state
+ *   token_bucket           - refills limit tokens per window up to `burst` (default: limit); smooths traffic
+ */
+
+export const RATE_LIMIT_ALGORITHMS = ['fixed_window', 'sliding_window_log', 'sliding_window_counter', 'token_bucket'];
+
+export const DEFAULT_ALGORITHM = 'fixed_window';
+
+function fixedWindow(state, { limit, windowMs, now }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const count = state?.windowStart === windowStart ? state.count : 0;
+  const reset = windowStart + windowMs;
+  const allowed = count < limit;
+
+  return {
+    allowed,
+    state: { windowStart, count: allowed ? count + 1 : count },
+    limit,
+    remaining: Math.max(0, limit - count - (allowed ? 1 : 0)),
+    used: count,
+    reset,
+    retryAfter: allowed ? null : Math.ceil((reset - now) / 1000)
+  };
+}
+
+function slidingWindowLog(state, { limit, windowMs, now }) {
+  const requests = (state?.requests || []).filter(timestamp => timestamp > now - windowMs);
+  const allowed = requests.length < limit;
+  const used = requests.length;
+  if (allowed) requests.push(now);
+
+  // A slot frees up when the oldest request in the window leaves it
+  const reset = requests.length > 0 ? requests[0] + windowMs : now + windowMs;
+
+  return {
+    allowed,
+    state: { requests },
+    limit,
+    remaining: Math.max(0, limit - requests.length),
+    used,
+    reset,
+    retryAfter: allowed ? null : Math.max(1, Math.ceil((reset - now) / 1000))
+  };
+}
+
+function slidingWindowCounter(state, { limit, windowMs, now }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let current = 0;
+  let previous = 0;
+
+  if (state?.windowStart === windowStart) {
+    current = state.current;
+    previous = state.previous;
+  } else if (state?.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  // Share of the previous window still inside the sliding window
+  const overlap = 1 - (now - windowStart) / windowMs;
+  const estimate = previous * overlap + current;
+  const allowed = estimate + 1 <= limit;
+  if (allowed) current++;
+
+  let retryAfter = null;
+  if (!allowed) {
+    // When the previous window's weight has decayed enough, or else when this window ends
+    const freeAt = previous > 0 && current < limit
+      ? windowStart + windowMs * (1 - (limit - 1 - current) / previous)
+      : windowStart + windowMs;
+    retryAfter = Math.max(1, Math.ceil((freeAt - now) / 1000));
+  }
+
+  return {
+    allowed,
+    state: { windowStart, current, previous },
+    limit,
+    remaining: Math.max(0, Math.floor(limit - previous * overlap - current)),
+    used: Math.floor(estimate),
+    reset: windowStart + windowMs,
+    retryAfter
+  };
+}
+
+function tokenBucket(state, { limit, windowMs, burst, now }) {
+  const capacity = burst || limit;
+  const refillPerMs = limit / windowMs;
+  const elapsed = Math.max(0, now - (state?.updatedAt ?? now));
+  let tokens = Math.min(capacity, (state?.tokens ?? capacity) + elapsed * refillPerMs);
+
+  const used = Math.floor(capacity - tokens);
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  return {
+    allowed,
+    state: { tokens, updatedAt: now },
+    limit: capacity,
+    remaining: Math.floor(tokens),
+    used,
+    // When the bucket is full again
+    reset: now + Math.ceil((capacity - tokens) / refillPerMs),
+    retryAfter: allowed ? null : Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000))
+  };
+}
+
+const IMPLEMENTATIONS = {
+  fixed_window: fixedWindow,
+  sliding_window_log: slidingWindowLog,
+  sliding_window_counter: slidingWindowCounter,
+  token_bucket: tokenBucket
+};
+
+/**
+ * Normalise an algorithm name from config, falling back to fixed_window
+ */
+export function resolveAlgorithm(name) {
+  return IMPLEMENTATIONS[name] ? name : DEFAULT_ALGORITHM;
+}
+
+// sliding_window_log keeps a timestamp per request, so longer or larger windows use sliding_window_counter
+const LOG_MAX_WINDOW_SECONDS = 3600;
+const LOG_MAX_ENTRIES = 1000;
+
+/**
+ * The algorithm to run for one window: sliding_window_log falls back to sliding_window_counter for windows
+ * longer than an hour or limits above 1000, where its state would be too large to read and rewrite per request
+ */
+export function windowAlgorithm(algorithm, windowSeconds, limit) {
+  const resolved = resolveAlgorithm(algorithm);
+  if (resolved === 'sliding_window_log' && (windowSeconds > LOG_MAX_WINDOW_SECONDS || limit > LOG_MAX_ENTRIES)) {
+    return 'sliding_window_counter';
+  }
+  return resolved;
+}
+
+/**
+ * Count one request against a limit with the given algorithm
+ * @param {string} algorithm - One of RATE_LIMIT_ALGORITHMS
+ * @param {Object|null} state - Stored state for this client and window, or null
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowSeconds - Window length
+ * @param {number} [options.burst] - Token bucket capacity (default: limit)
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {{allowed: boolean, state: Object, limit: number, remaining: number, used: number, reset: number,
+ *   retryAfter: number|null}}
+ */
+export function consumeRequest(algorithm, state, { limit, windowSeconds, burst = null, now = Date.now() }) {
+  return IMPLEMENTATIONS[resolveAlgorithm(algorithm)](state, {
+    limit,
+    windowMs: windowSeconds * 1000,
+    burst,
+    now
+  });
+}
+
+/**
+ * Count one request against several windows; it is only counted when every window allows it.
+ * Shared by RateLimiterDO and the KV fallback in EnhancedRateLimiter.
+ * @param {Object|null} stored - State returned by an earlier call, or null
+ * @param {Object} options
+ * @param {string} options.algorithm - Configured algorithm (sliding_window_log may run as a counter per window)
+ * @param {Object} options.windows - { <window>: { limit, windowSeconds, burst } }
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {{allowed: boolean, results: Object, state: Object|null, ttl: number}} consumeRequest result per window,
+ *   the state to store back (null when refused, so the stored state stays as it was) and how long to keep it (seconds)
+ */
+export function consumeWindows(stored, { algorithm, windows, now = Date.now() }) {
+  const results = {};
+  const windowAlgorithms = {};
+
+  for (const [window, { limit, windowSeconds, burst = null }] of Object.entries(windows)) {
+    windowAlgorithms[window] = windowAlgorithm(algorithm, windowSeconds, limit);
+
+    // State from a previous algorithm does not carry over
+    const state = stored?.algorithm === algorithm && stored.window_algorithms?.[window] === windowAlgorithms[window]
+      ? stored.windows?.[window]
+      : null;
+
+    results[window] = consumeRequest(windowAlgorithms[window], state || null, { limit, windowSeconds, burst, now });
+  }
+
+  const allowed = Object.values(results).every(result => result.allowed);
+
+  return {
+    allowed,
+    results,
+    state: allowed ? {
+      algorithm,
+      window_algorithms: windowAlgorithms,
+      windows: Object.fromEntries(Object.entries(results).map(([window, result]) => [window, result.state]))
+    } : null,
+    // Kept for twice the longest window, which the sliding window counter needs for its previous window
+    ttl: 2 * Math.max(0, ...Object.values(windows).map(({ windowSeconds }) => windowSeconds))
+  };
+}
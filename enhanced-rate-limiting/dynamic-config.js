@@ -7,6 +7,8 @@
  * @since 2025-06-25
  */
 
+import { RATE_LIMIT_ALGORITHMS, DEFAULT_ALGORITHM } from './algorithms.js';
+
 // Simplified timeout for KV operations
 const KV_TIMEOUT_MS = 5000; // 5 seconds maximum for KV operations
 
@@ -40,6 +42,8 @@ const FALLBACK_LIMITS = {
   dailyLimit: 50,
   weeklyLimit: 250,
   monthlyLimit: 1000,
+  algorithm: DEFAULT_ALGORITHM, // fixed_window, sliding_window_log, sliding_window_counter or token_bucket
+  burstSize: null,              // token_bucket capacity (default: the hourly limit)
   aiModel: '@cf/meta/llama-3.1-8b-instruct',
   maxTokens: 300,
   temperature: 0.2,
@@ -66,7 +70,35 @@ const DEFAULT_GLOBAL_SETTINGS = {
 };
 
 /**
- * Load rate limit configuration for a specific worker from WordPress settings
+ * Default AI neuron budget, applied to every worker without its own entry.
+ * Budgets are off until enabled in the ai_budget_config KV entry.
+ */
+const DEFAULT_AI_BUDGET = {
+  enabled: false,
+  dailyNeurons: 10000,
+  monthlyNeurons: 300000,
+  conserveThreshold: 0.8 // Share of a budget after which cheaper models are used and optional passes skipped
+};
+
+/**
+ * Worker-specific config saved under worker_config:<worker>, or null
+ */
+async function loadStoredWorkerConfig(workerName, env) {
+  try {
+    return await safeKVOperation(
+      env.FAQ_RATE_LIMITS,
+      () => env.FAQ_RATE_LIMITS?.get(`worker_config:${workerName}`, { type: 'json' }),
+      `Load Worker Config ${workerName}`
+    );
+  } catch (kvError) {
+    console.warn(`[Dynamic Config] Worker config load failed for ${workerName}:`, kvError.message);
+    return null;
+  }
+}
+
+/**
+ * Load rate limit configuration for a specific worker: WordPress settings, overridden by the worker's
+ * own config when one is saved. Limiting switched off in WordPress disables every worker.
  * @param {string} workerName - Name of the worker
  * @param {Object} env - Cloudflare environment
  * @returns {Object} Rate limit configuration
@@ -77,8 +109,23 @@ export async function loadWorkerConfig(workerName, env) {
   try {
     // First try to load WordPress settings from KV
     const wordpressConfig = await loadWordPressSettings(env);
-    
-    if (wordpressConfig && wordpressConfig.enableRateLimiting) {
+
+    // Limiting switched off in WordPress: disabled, not the (stricter) fallback limits
+    if (wordpressConfig && !wordpressConfig.enableRateLimiting) {
+      console.log(`[Dynamic Config] Rate limiting disabled in WordPress settings for ${workerName}`);
+      return {
+        ...FALLBACK_LIMITS,
+        enabled: false,
+        source: 'wordpress',
+        lastUpdated: wordpressConfig.lastUpdated || new Date().toISOString(),
+        workerName
+      };
+    }
+
+    // Per-worker config (PUT /admin/config/:worker) overrides the WordPress defaults
+    const workerConfig = await loadStoredWorkerConfig(workerName, env);
+
+    if (wordpressConfig) {
       // Use WordPress settings
       const config = {
         hourlyLimit: wordpressConfig.requestsPerHour || 100,
@@ -87,6 +134,8 @@ export async function loadWorkerConfig(workerName, env) {
         monthlyLimit: (wordpressConfig.requestsPerHour || 100) * 24 * 30,
         timeWindow: wordpressConfig.timeWindowSeconds || 3600,
         blockDuration: wordpressConfig.blockDurationSeconds || 3600,
+        algorithm: wordpressConfig.algorithm || DEFAULT_ALGORITHM,
+        burstSize: wordpressConfig.burstSize || null,
         violationThresholds: {
           soft: wordpressConfig.violationThresholds?.soft || 3,
           hard: wordpressConfig.violationThresholds?.hard || 6,
@@ -98,6 +147,16 @@ export async function loadWorkerConfig(workerName, env) {
         workerName
       };
       
+      if (workerConfig) {
+        console.log(`[Dynamic Config] Loaded worker-specific config over WordPress settings for ${workerName}`);
+        return {
+          ...config,
+          ...workerConfig,
+          source: 'worker_specific',
+          workerName
+        };
+      }
+      
       console.log(`[Dynamic Config] Loaded WordPress settings for ${workerName}:`, {
         hourly: config.hourlyLimit,
         enabled: config.enabled,
@@ -107,20 +166,6 @@ export async function loadWorkerConfig(workerName, env) {
       return config;
     }
     
-    // Fall back to worker-specific config in KV
-    const configKey = `worker_config:${workerName}`;
-    let workerConfig = null;
-    
-    try {
-      workerConfig = await safeKVOperation(
-        env.FAQ_RATE_LIMITS,
-        () => env.FAQ_RATE_LIMITS?.get(configKey, { type: 'json' }),
-        `Load Worker Config ${workerName}`
-      );
-    } catch (kvError) {
-      console.warn(`[Dynamic Config] Worker config load failed for ${workerName}:`, kvError.message);
-    }
-    
     if (workerConfig) {
       console.log(`[Dynamic Config] Loaded worker-specific config for ${workerName}`);
       return {
@@ -221,7 +266,7 @@ export async function loadGlobalSettings(env) {
  * @param {Object} env - Cloudflare environment
  * @returns {Object|null} WordPress settings or null if not found
  */
-async function loadWordPressSettings(env) {
+export async function loadWordPressSettings(env) {
   try {
     const settings = await safeKVOperation(
       env.FAQ_RATE_LIMITS,
@@ -341,6 +386,173 @@ export async function saveWordPressSettings(env, settings) {
   }
 }
 
+/**
+ * Load the AI neuron budget for a worker
+ * Stored in FAQ_RATE_LIMITS as ai_budget_config:
+ * { "enabled": true, "default": { "dailyNeurons": 10000 }, "workers": { "url_faq_generator": { "dailyNeurons": 4000 } } }
+ * A budget of 0 or null for a period leaves that period unlimited.
+ * @param {string} workerType - Worker type as used for cost accounting (e.g. answer_generator)
+ * @param {Object} env - Cloudflare environment
+ * @returns {Object} Budget configuration
+ */
+export async function loadAIBudgetConfig(workerType, env) {
+  try {
+    const stored = await safeKVOperation(
+      env.FAQ_RATE_LIMITS,
+      () => env.FAQ_RATE_LIMITS?.get('ai_budget_config', { type: 'json' }),
+      'Load AI Budget Config'
+    );
+
+    if (stored) {
+      return {
+        ...DEFAULT_AI_BUDGET,
+        enabled: stored.enabled ?? DEFAULT_AI_BUDGET.enabled,
+        ...(stored.default || {}),
+        ...(stored.workers?.[workerType] || {}),
+        source: stored.workers?.[workerType] ? 'worker_specific' : 'stored',
+        lastUpdated: stored.lastUpdated,
+        workerType
+      };
+    }
+  } catch (error) {
+    console.warn(`[Dynamic Config] AI budget config load failed for ${workerType}:`, error.message);
+  }
+
+  return {
+    ...DEFAULT_AI_BUDGET,
+    source: 'default',
+    workerType
+  };
+}
+
+/**
+ * Save the AI budget configuration (all workers)
+ * @param {Object} env - Cloudflare environment
+ * @param {Object} config - { enabled, default, workers }
+ * @param {string} updatedBy - Admin user who made the update
+ * @returns {boolean} Success status
+ */
+export async function saveAIBudgetConfig(env, config, updatedBy = 'admin') {
+  try {
+    const configWithMetadata = {
+      ...config,
+      lastUpdated: new Date().toISOString(),
+      updatedBy: updatedBy,
+      version: (config.version || 0) + 1
+    };
+
+    await safeKVOperation(
+      env.FAQ_RATE_LIMITS,
+      () => env.FAQ_RATE_LIMITS.put('ai_budget_config', JSON.stringify(configWithMetadata), {
+        expirationTtl: 31536000 // 1 year
+      }),
+      'Save AI Budget Config'
+    );
+
+    console.log(`[Dynamic Config] Saved AI budget config by ${updatedBy}`);
+    return true;
+  } catch (error) {
+    console.error('Failed to save AI budget config:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Validate AI budget configuration
+ * @param {Object} config - { enabled, default, workers }
+ * @returns {Object} Validation result
+ */
+export function validateAIBudgetConfig(config) {
+  const errors = [];
+  const warnings = [];
+
+  const budgets = { default: config.default || {}, ...(config.workers || {}) };
+  Object.entries(budgets).forEach(([name, budget]) => {
+    ['dailyNeurons', 'monthlyNeurons'].forEach(field => {
+      if (budget[field] !== undefined && budget[field] !== null && (typeof budget[field] !== 'number' || budget[field] < 0)) {
+        errors.push(`${name}.${field} must be a non-negative number`);
+      }
+    });
+    if (budget.conserveThreshold !== undefined && (budget.conserveThreshold <= 0 || budget.conserveThreshold > 1)) {
+      errors.push(`${name}.conserveThreshold must be between 0 and 1`);
+    }
+    if (budget.dailyNeurons && budget.monthlyNeurons && budget.dailyNeurons > budget.monthlyNeurons) {
+      warnings.push(`${name} daily budget exceeds its monthly budget`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Check the algorithm and burstSize fields shared by worker and global configs
+ */
+function validateAlgorithmConfig(config, errors) {
+  if (config.algorithm !== undefined && !RATE_LIMIT_ALGORITHMS.includes(config.algorithm)) {
+    errors.push(`algorithm must be one of ${RATE_LIMIT_ALGORITHMS.join(', ')}`);
+  }
+  if (config.burstSize !== undefined && config.burstSize !== null &&
+      (!Number.isInteger(config.burstSize) || config.burstSize < 1)) {
+    errors.push('burstSize must be a positive integer');
+  }
+}
+
+/**
+ * Validate a worker-specific configuration (worker_config:<worker>)
+ * @param {Object} config - { hourlyLimit, dailyLimit, weeklyLimit, monthlyLimit, algorithm, burstSize,
+ *   violationThresholds, enabled }
+ * @returns {Object} Validation result
+ */
+export function validateWorkerConfig(config) {
+  const errors = [];
+  const warnings = [];
+  const windows = ['hourlyLimit', 'dailyLimit', 'weeklyLimit', 'monthlyLimit'];
+
+  windows.forEach(field => {
+    if (config[field] !== undefined && (!Number.isInteger(config[field]) || config[field] < 1)) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  });
+
+  // Each window should allow at least as much as the shorter one before it
+  for (let i = 1; i < windows.length; i++) {
+    const shorter = config[windows[i - 1]];
+    const longer = config[windows[i]];
+    if (shorter && longer && longer < shorter) {
+      warnings.push(`${windows[i]} is lower than ${windows[i - 1]}`);
+    }
+  }
+
+  if (config.violationThresholds) {
+    const { soft, hard, ban } = config.violationThresholds;
+    if (soft >= hard) {
+      errors.push('Soft violation threshold must be less than hard threshold');
+    }
+    if (hard >= ban) {
+      errors.push('Hard violation threshold must be less than ban threshold');
+    }
+  }
+
+  if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  validateAlgorithmConfig(config, errors);
+  if (config.burstSize && config.algorithm !== 'token_bucket') {
+    warnings.push('burstSize only applies to the token_bucket algorithm');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
 /**
  * Validate rate limit configuration
  * @param {Object} config - Configuration to validate
@@ -367,6 +579,8 @@ export function validateConfig(config) {
   if (!config.blockDurationSeconds || config.blockDurationSeconds < 60) {
     errors.push('Block duration must be at least 60 seconds');
   }
+
+  validateAlgorithmConfig(config, errors);
   
   // Check violation thresholds
   if (config.violationThresholds) {
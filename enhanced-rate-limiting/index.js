@@ -6,10 +6,13 @@
  *
  * Features:
  * - Dynamic configuration from WordPress settings
- * - Sliding window rate limiting
- * - Batched writes to conserve KV write quota
+ * - Selectable algorithm: fixed window, sliding window log/counter or token bucket (algorithms.js)
+ * - Per-IP counting state in the RateLimiterDO Durable Object, atomic under concurrent requests
+ * - Batched writes to conserve KV write quota (blocks, and counting state when the Durable Object is not bound)
  * - In-memory cache to reduce KV reads
  * - Fail-open behavior for reliability
+ * - API key administration at /admin/keys (shared/api-keys.js)
+ * - Admin REST API for IP lists, blocks, analytics and worker config (admin-api.js)
  *
  * @author 365i AI FAQ Generator System
  * @version 4.0.0 - WordPress Dynamic Configuration
@@ -17,6 +20,13 @@
  */
 
 import { loadWordPressSettings, loadGlobalSettings } from './dynamic-config.js';
+import { handleAdminRequest } from './admin-api.js';
+import { consumeRequest, resolveAlgorithm, windowAlgorithm } from './algorithms.js';
+import { handleApiKeyRequest } from '../shared/api-keys.js';
+import { rateLimitHeaders } from '../shared/rate-limit.js';
+
+// Durable Object class for the RATE_LIMITER_DO binding (wrangler.toml)
+export { RateLimiterDO } from './rate-limiter-do.js';
 
 // In-memory cache to reduce KV reads (resets when worker restarts)
 const rateLimitCache = new Map();
@@ -31,9 +41,20 @@ let configCache = null;
 let configCacheTime = 0;
 const CONFIG_CACHE_TTL = 300000; // 5 minutes
 
+// This worker has always used a sliding window log; settings without an algorithm keep it
+const STANDALONE_DEFAULT_ALGORITHM = 'sliding_window_log';
+
 export default {
   async fetch(request, env, ctx) {
     try {
+      // Admin: issue, update and revoke API keys (plans with per-key limits, workers and origins)
+      const apiKeyResponse = await handleApiKeyRequest(request, env, {});
+      if (apiKeyResponse) return apiKeyResponse;
+
+      // Admin: IP lists, blocks, analytics and worker configuration
+      const adminResponse = await handleAdminRequest(request, env, {});
+      if (adminResponse) return adminResponse;
+
       // Extract client IP
       const clientIP = request.headers.get('CF-Connecting-IP') ||
                       request.headers.get('X-Forwarded-For')?.split(',')[0] ||
@@ -56,17 +77,16 @@ export default {
       
       // Check rate limit
       const rateLimitResult = await checkRateLimit(env, clientIP, config);
+      const headers = {
+        ...rateLimitHeaders(rateLimitResult),
+        'X-RateLimit-Algorithm': config.algorithm,
+        'X-Config-Source': config.source || 'unknown'
+      };
       
       if (!rateLimitResult.allowed) {
         return new Response('Rate limit exceeded', {
           status: 429,
-          headers: {
-            'Retry-After': rateLimitResult.retryAfter.toString(),
-            'X-RateLimit-Limit': config.limit.toString(),
-            'X-RateLimit-Remaining': '0',
-            'X-RateLimit-Reset': rateLimitResult.resetTime.toString(),
-            'X-Config-Source': config.source || 'unknown'
-          }
+          headers
         });
       }
       
@@ -75,20 +95,18 @@ export default {
       return new Response(JSON.stringify({
         message: 'Request allowed',
         remaining: rateLimitResult.remaining,
-        resetTime: rateLimitResult.resetTime,
+        resetTime: rateLimitResult.reset,
         config: {
           source: config.source,
           enabled: config.enabled,
-          limit: config.limit
+          limit: config.limit,
+          algorithm: config.algorithm
         }
       }), {
         status: 200,
         headers: {
           'Content-Type': 'application/json',
-          'X-RateLimit-Limit': config.limit.toString(),
-          'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
-          'X-RateLimit-Reset': rateLimitResult.resetTime.toString(),
-          'X-Config-Source': config.source || 'unknown'
+          ...headers
         }
       });
       
@@ -130,6 +148,8 @@ async function loadDynamicConfig(env) {
         limit: wordpressSettings.requestsPerHour || 100,
         window: wordpressSettings.timeWindowSeconds || 3600,
         blockDuration: wordpressSettings.blockDurationSeconds || 3600,
+        algorithm: wordpressSettings.algorithm ? resolveAlgorithm(wordpressSettings.algorithm) : STANDALONE_DEFAULT_ALGORITHM,
+        burstSize: wordpressSettings.burstSize || null,
         source: 'wordpress',
         lastUpdated: wordpressSettings.lastUpdated
       };
@@ -153,6 +173,8 @@ async function loadDynamicConfig(env) {
         limit: globalSettings.requestsPerHour || 100,
         window: globalSettings.timeWindowSeconds || 3600,
         blockDuration: globalSettings.blockDurationSeconds || 3600,
+        algorithm: globalSettings.algorithm ? resolveAlgorithm(globalSettings.algorithm) : STANDALONE_DEFAULT_ALGORITHM,
+        burstSize: globalSettings.burstSize || null,
         source: globalSettings.source || 'global',
         lastUpdated: globalSettings.lastUpdated
       };
@@ -173,6 +195,8 @@ async function loadDynamicConfig(env) {
       limit: 50, // Conservative default
       window: 3600,
       blockDuration: 3600,
+      algorithm: STANDALONE_DEFAULT_ALGORITHM,
+      burstSize: null,
       source: 'fallback',
       lastUpdated: new Date().toISOString()
     };
@@ -191,6 +215,8 @@ async function loadDynamicConfig(env) {
       limit: 10, // Very conservative emergency default
       window: 3600,
       blockDuration: 3600,
+      algorithm: STANDALONE_DEFAULT_ALGORITHM,
+      burstSize: null,
       source: 'emergency',
       error: error.message
     };
@@ -201,20 +227,24 @@ async function loadDynamicConfig(env) {
 }
 
 /**
- * Check rate limit for an IP with minimal KV operations using dynamic configuration
+ * Check rate limit for an IP with minimal KV operations using dynamic configuration.
+ * Counting uses the configured algorithm (algorithms.js); exceeding the limit blocks the IP for blockDuration.
+ * @returns {Object} { allowed, limit, remaining, reset, retryAfter }, as rateLimitHeaders expects
  */
 async function checkRateLimit(env, clientIP, config) {
   const now = Date.now();
-  const windowStart = now - (config.window * 1000);
+  const blockedResult = blockedUntil => ({
+    allowed: false,
+    limit: config.limit,
+    remaining: 0,
+    reset: blockedUntil,
+    retryAfter: Math.ceil((blockedUntil - now) / 1000)
+  });
   
   // Check in-memory cache first
   const cached = getCachedLimit(clientIP, now);
   if (cached && cached.blocked) {
-    return {
-      allowed: false,
-      retryAfter: Math.ceil((cached.blockedUntil - now) / 1000),
-      resetTime: cached.blockedUntil
-    };
+    return blockedResult(cached.blockedUntil);
   }
   
   // Use batched approach - read once per window
@@ -222,13 +252,15 @@ async function checkRateLimit(env, clientIP, config) {
   let data;
   
   try {
-    // This counts as 1 KV read - use FAQ_RATE_LIMITS instead of RATE_LIMITER
-    const stored = await env.FAQ_RATE_LIMITS?.get(key, { type: 'json' });
-    data = stored || { requests: [], blockedUntil: 0 };
+    // Writes still queued are newer than KV; otherwise this counts as 1 KV read
+    const stored = writeQueue.has(key)
+      ? writeQueue.get(key).data
+      : await env.FAQ_RATE_LIMITS?.get(key, { type: 'json' });
+    data = stored || { blockedUntil: 0 };
   } catch (error) {
     console.error('KV read error:', error);
     // Fail open
-    return { allowed: true, remaining: config.limit, resetTime: now + config.window * 1000 };
+    return { allowed: true, limit: config.limit, remaining: config.limit, reset: now + config.window * 1000, retryAfter: null };
   }
   
   // Check if currently blocked
@@ -240,21 +272,33 @@ async function checkRateLimit(env, clientIP, config) {
       count: config.limit
     });
     
-    return {
-      allowed: false,
-      retryAfter: Math.ceil((data.blockedUntil - now) / 1000),
-      resetTime: data.blockedUntil
-    };
+    return blockedResult(data.blockedUntil);
   }
   
-  // Clean old requests outside current window
-  data.requests = data.requests.filter(timestamp => timestamp > windowStart);
+  // The IP's RateLimiterDO counts concurrent requests one at a time; without it the state rides in the KV entry
+  let result = null;
+  try {
+    result = await consumeWithDurableObject(env, clientIP, config);
+  } catch (error) {
+    console.warn(`[Rate Limiter] Durable Object failed for ${clientIP}, falling back to KV:`, error.message);
+  }
+  
+  // State from a previous algorithm does not carry over
+  const algorithm = windowAlgorithm(config.algorithm, config.window, config.limit);
+  const inDurableObject = result !== null;
+  if (!inDurableObject) {
+    result = consumeRequest(algorithm, data.algorithm === algorithm ? data.state : null, {
+      limit: config.limit,
+      windowSeconds: config.window,
+      burst: config.burstSize,
+      now
+    });
+  }
   
   // Check if limit exceeded
-  if (data.requests.length >= config.limit) {
+  if (!result.allowed) {
     // Block the IP
-    data.blockedUntil = now + (config.blockDuration * 1000);
-    data.requests = []; // Clear requests when blocking
+    data = { blockedUntil: now + (config.blockDuration * 1000) }; // Clear counts when blocking
     
     // Queue write instead of immediate write
     queueWrite(env, key, data);
@@ -266,35 +310,58 @@ async function checkRateLimit(env, clientIP, config) {
       count: config.limit
     });
     
-    console.log(`[Rate Limiter] Blocked IP ${clientIP} for ${config.blockDuration}s (limit: ${config.limit})`);
+    console.log(`[Rate Limiter] Blocked IP ${clientIP} for ${config.blockDuration}s (${config.algorithm}, limit: ${config.limit})`);
     
-    return {
-      allowed: false,
-      retryAfter: config.blockDuration,
-      resetTime: data.blockedUntil
-    };
+    return blockedResult(data.blockedUntil);
   }
   
-  // Add current request
-  data.requests.push(now);
-  
   // Queue write instead of immediate write
-  queueWrite(env, key, data);
+  // Sliding window counters look back one window before the current one
+  if (!inDurableObject) {
+    queueWrite(env, key, { algorithm, state: result.state, blockedUntil: 0 }, 2 * config.window);
+  }
   
   // Update cache
   updateCache(clientIP, {
     blocked: false,
-    count: data.requests.length,
-    resetTime: now + config.window * 1000
+    count: result.used + 1,
+    resetTime: result.reset
   });
   
   return {
     allowed: true,
-    remaining: config.limit - data.requests.length,
-    resetTime: now + config.window * 1000
+    limit: result.limit,
+    remaining: result.remaining,
+    reset: result.reset,
+    retryAfter: null
   };
 }
 
+/**
+ * Count a request in the IP's RateLimiterDO (rate-limiter-do.js)
+ * @returns {Promise<Object|null>} consumeRequest result, or null without the RATE_LIMITER_DO binding
+ */
+async function consumeWithDurableObject(env, clientIP, config) {
+  if (!env.RATE_LIMITER_DO) return null;
+  
+  const stub = env.RATE_LIMITER_DO.get(env.RATE_LIMITER_DO.idFromName(clientIP));
+  const response = await stub.fetch('http://localhost/consume', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      key: 'standalone',
+      algorithm: config.algorithm,
+      windows: { window: { limit: config.limit, windowSeconds: config.window, burst: config.burstSize } }
+    })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Durable Object consume failed: ${response.status}`);
+  }
+  
+  return (await response.json()).results.window;
+}
+
 /**
  * Get cached rate limit data
  */
@@ -336,10 +403,12 @@ function updateCache(clientIP, data) {
 
 /**
  * Queue KV write to batch operations
+ * @param {number} [ttl] - Seconds to keep the entry, if longer than the default 2 hours
  */
-function queueWrite(env, key, data) {
+function queueWrite(env, key, data, ttl = 0) {
   writeQueue.set(key, {
     data,
+    ttl,
     timestamp: Date.now()
   });
   
@@ -376,7 +445,7 @@ async function flushWriteQueue(env) {
   // Batch write using Promise.all (still counts as individual writes for quota)
   const writePromises = writes.map(([key, item]) => {
     // Set expiration to clean up old data automatically
-    const ttl = 7200; // 2 hours
+    const ttl = Math.max(7200, item.ttl || 0); // At least 2 hours
     // Use FAQ_RATE_LIMITS instead of RATE_LIMITER
     return env.FAQ_RATE_LIMITS?.put(key, JSON.stringify(item.data), { expirationTtl: ttl });
   });
@@ -394,7 +463,8 @@ async function flushWriteQueue(env) {
  * Alternative: Ultra-Low-Cost Probabilistic Rate Limiter with Dynamic Configuration
  *
  * This implementation uses even fewer KV operations by only
- * checking/updating rate limits probabilistically
+ * checking/updating rate limits probabilistically. Counts are estimates and
+ * ignore the configured algorithm, so short bursts can exceed the limit.
  */
 export async function probabilisticRateLimit(env, clientIP, config) {
   const now = Date.now();
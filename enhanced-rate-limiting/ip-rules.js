@@ -0,0 +1,289 @@
+/**
+ * Range Rules for the IP Whitelist and Blacklist
+ * Exact IPs stay individual keys in FAQ_IP_WHITELIST / FAQ_IP_BLACKLIST. CIDR ranges (IPv4 and IPv6),
+ * ASNs and countries are kept in one `ip_rules` document per list:
+ *
+ *   { cidr: [{ cidr: '203.0.113.0/24', reason, added_by, added_at, expires_at }],
+ *     asn: [{ asn: 64496, ... }],
+ *     country: [{ country: 'XX', ... }] }
+ *
+ * Each list's rules are compiled into binary prefix trees and cached in memory, so a lookup walks at most
+ * 32 (IPv4) or 128 (IPv6) nodes; rule changes reach other worker instances within a minute.
+ * ASN and country rules match request.cf. Entries past expires_at are ignored.
+ */
+
+export const IP_RULES_KEY = 'ip_rules';
+
+// Compiled rules are re-read at most this often per worker instance
+const RULES_CACHE_TTL = 60000; // 1 minute
+const rulesCache = new Map();
+
+const IPV4_MAPPED_PREFIX = 0xffffn << 32n;
+
+function parseIPv4(value) {
+  const octets = value.split('.');
+  if (octets.length !== 4) return null;
+
+  let bits = 0n;
+  for (const octet of octets) {
+    if (!/^\d{1,3}$/.test(octet) || parseInt(octet, 10) > 255) return null;
+    bits = (bits << 8n) | BigInt(parseInt(octet, 10));
+  }
+  return bits;
+}
+
+function parseIPv6(value) {
+  let address = value.split('%')[0];
+
+  // Embedded IPv4 (e.g. ::ffff:192.0.2.1) becomes its two hex groups
+  const embedded = address.match(/^(.*:)(\d{1,3}(?:\.\d{1,3}){3})$/);
+  if (embedded) {
+    const ipv4 = parseIPv4(embedded[2]);
+    if (ipv4 === null) return null;
+    address = `${embedded[1]}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - rest.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+
+  let bits = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    bits = (bits << 16n) | BigInt(parseInt(group, 16));
+  }
+  return bits;
+}
+
+/**
+ * Parse an IPv4 or IPv6 address. IPv4-mapped IPv6 addresses are returned as IPv4.
+ * @returns {{version: number, bits: bigint}|null}
+ */
+export function parseIP(value) {
+  if (typeof value !== 'string' || !value) return null;
+
+  if (!value.includes(':')) {
+    const bits = parseIPv4(value);
+    return bits === null ? null : { version: 4, bits };
+  }
+
+  const bits = parseIPv6(value);
+  if (bits === null) return null;
+  if (bits >> 32n === IPV4_MAPPED_PREFIX >> 32n) {
+    return { version: 4, bits: bits & 0xffffffffn };
+  }
+  return { version: 6, bits };
+}
+
+/**
+ * Parse a CIDR range such as 203.0.113.0/24 or 2001:db8:1234::/48
+ * @returns {{version: number, bits: bigint, length: number}|null}
+ */
+export function parseCIDR(value) {
+  if (typeof value !== 'string') return null;
+
+  const [address, lengthText, extra] = value.split('/');
+  if (extra !== undefined) return null;
+
+  const ip = parseIP(address);
+  if (!ip) return null;
+
+  const maxLength = ip.version === 4 ? 32 : 128;
+  const length = lengthText === undefined ? maxLength : Number(lengthText);
+  if (!Number.isInteger(length) || length < 0 || length > maxLength) return null;
+
+  return { ...ip, length };
+}
+
+export function isValidIP(value) {
+  return parseIP(value) !== null;
+}
+
+/**
+ * Binary prefix tree: longest-prefix match of an address against CIDR ranges
+ */
+class PrefixTree {
+  constructor(addressBits) {
+    this.addressBits = addressBits;
+    this.root = { children: [null, null], value: null };
+  }
+
+  insert(bits, length, value) {
+    let node = this.root;
+    for (let i = 0; i < length; i++) {
+      const bit = Number((bits >> BigInt(this.addressBits - 1 - i)) & 1n);
+      node.children[bit] = node.children[bit] || { children: [null, null], value: null };
+      node = node.children[bit];
+    }
+    node.value = value;
+  }
+
+  match(bits) {
+    let node = this.root;
+    let found = node.value;
+    for (let i = 0; i < this.addressBits && node; i++) {
+      const bit = Number((bits >> BigInt(this.addressBits - 1 - i)) & 1n);
+      node = node.children[bit];
+      if (node?.value) found = node.value;
+    }
+    return found;
+  }
+}
+
+function isActive(entry, now) {
+  return entry && entry.active !== false && (!entry.expires_at || entry.expires_at > now);
+}
+
+/**
+ * Compile an ip_rules document into prefix trees and ASN/country maps, skipping expired entries
+ */
+export function compileIPRules(document, now = Date.now()) {
+  const compiled = {
+    v4: new PrefixTree(32),
+    v6: new PrefixTree(128),
+    asn: new Map(),
+    country: new Map(),
+    // Recompile when the next entry expires
+    expiresAt: Infinity
+  };
+
+  const track = entry => {
+    if (entry.expires_at) compiled.expiresAt = Math.min(compiled.expiresAt, entry.expires_at);
+  };
+
+  for (const entry of document?.cidr || []) {
+    const range = parseCIDR(entry.cidr);
+    if (!range || !isActive(entry, now)) continue;
+
+    (range.version === 4 ? compiled.v4 : compiled.v6).insert(range.bits, range.length, { type: 'cidr', ...entry });
+    track(entry);
+  }
+
+  for (const entry of document?.asn || []) {
+    if (!isActive(entry, now)) continue;
+    compiled.asn.set(Number(entry.asn), { type: 'asn', ...entry });
+    track(entry);
+  }
+
+  for (const entry of document?.country || []) {
+    if (!isActive(entry, now)) continue;
+    compiled.country.set(String(entry.country).toUpperCase(), { type: 'country', ...entry });
+    track(entry);
+  }
+
+  return compiled;
+}
+
+/**
+ * Compiled rules for a list, cached in memory
+ * @param {KVNamespace} kv - FAQ_IP_WHITELIST or FAQ_IP_BLACKLIST
+ * @param {string} listName - Cache key, e.g. whitelist or blacklist
+ */
+export async function loadIPRules(kv, listName) {
+  const now = Date.now();
+  const cached = rulesCache.get(listName);
+  if (cached && cached.kv === kv && now - cached.loadedAt < RULES_CACHE_TTL && now < cached.rules.expiresAt) {
+    return cached.rules;
+  }
+
+  const document = await kv.get(IP_RULES_KEY, { type: 'json' });
+  const rules = compileIPRules(document, now);
+  rulesCache.set(listName, { kv, rules, loadedAt: now });
+  return rules;
+}
+
+/**
+ * The rule matching an address (longest CIDR prefix first), its ASN or its country
+ * @param {Object} rules - compileIPRules result
+ * @param {string} clientIP - Client IP address
+ * @param {Object} [cf] - request.cf (asn, country)
+ * @returns {Object|null} Matching entry with its type (cidr, asn or country)
+ */
+export function matchIPRules(rules, clientIP, cf = {}) {
+  const ip = parseIP(clientIP);
+  if (ip) {
+    const match = (ip.version === 4 ? rules.v4 : rules.v6).match(ip.bits);
+    if (match) return match;
+  }
+
+  if (cf?.asn && rules.asn.has(Number(cf.asn))) {
+    return rules.asn.get(Number(cf.asn));
+  }
+
+  if (cf?.country && rules.country.has(String(cf.country).toUpperCase())) {
+    return rules.country.get(String(cf.country).toUpperCase());
+  }
+
+  return null;
+}
+
+/**
+ * Normalise a rule from the admin API: exactly one of cidr, asn or country
+ * @returns {{type: string, value: string|number}|null}
+ */
+export function parseRuleTarget({ cidr, asn, country } = {}) {
+  if (cidr !== undefined) {
+    return typeof cidr === 'string' && parseCIDR(cidr.trim()) ? { type: 'cidr', value: cidr.trim() } : null;
+  }
+  if (asn !== undefined) {
+    const number = Number(String(asn).replace(/^AS/i, ''));
+    return Number.isInteger(number) && number > 0 ? { type: 'asn', value: number } : null;
+  }
+  if (country !== undefined) {
+    return /^[A-Z]{2}$/i.test(country) ? { type: 'country', value: country.toUpperCase() } : null;
+  }
+  return null;
+}
+
+/**
+ * Add or replace a range rule in a list's ip_rules document
+ * @param {KVNamespace} kv - FAQ_IP_WHITELIST or FAQ_IP_BLACKLIST
+ * @param {string} listName - whitelist or blacklist
+ * @param {{type: string, value: string|number}} target - parseRuleTarget result
+ * @param {Object} details - { reason, added_by, expires_at }
+ */
+export async function saveIPRule(kv, listName, target, details) {
+  const document = await kv.get(IP_RULES_KEY, { type: 'json' }) || { cidr: [], asn: [], country: [] };
+  const entries = (document[target.type] || []).filter(entry => entry[target.type] !== target.value);
+
+  entries.push({ [target.type]: target.value, ...details, added_at: Date.now(), active: true });
+  document[target.type] = entries;
+
+  await kv.put(IP_RULES_KEY, JSON.stringify(document));
+  rulesCache.delete(listName);
+}
+
+/**
+ * Remove a range rule from a list's ip_rules document
+ * @returns {Promise<boolean>} Whether the rule existed
+ */
+export async function deleteIPRule(kv, listName, target) {
+  const document = await kv.get(IP_RULES_KEY, { type: 'json' });
+  if (!document?.[target.type]) return false;
+
+  const entries = document[target.type].filter(entry => entry[target.type] !== target.value);
+  if (entries.length === document[target.type].length) return false;
+
+  document[target.type] = entries;
+  await kv.put(IP_RULES_KEY, JSON.stringify(document));
+  rulesCache.delete(listName);
+  return true;
+}
+
+/**
+ * All range rules in a list, including expired ones (flagged)
+ */
+export async function listIPRules(kv) {
+  const document = await kv.get(IP_RULES_KEY, { type: 'json' }) || {};
+  const now = Date.now();
+
+  return ['cidr', 'asn', 'country'].flatMap(type =>
+    (document[type] || []).map(entry => ({ type, ...entry, expired: !isActive(entry, now) }))
+  );
+}
@@ -0,0 +1,208 @@
+/**
+ * RateLimiterDO - Durable Object holding one subject's rate limit state
+ * EnhancedRateLimiter and the standalone limiter name one instance per IP (or key:<id>); cost accounting names
+ * one per worker (spend:<worker>). A Durable Object runs
+ * one request at a time and holds other requests while its storage calls are in flight, so each read-modify-write
+ * below is atomic: concurrent requests from the same subject are counted one after another instead of all
+ * reading the same state, and there is no KV per-key write limit to hit during a burst.
+ *
+ *   POST /consume   { key, algorithm, windows: { <window>: { limit, windowSeconds, burst } } }
+ *                   -> consumeWindows result (algorithms.js); the state is only written when every window allows
+ *   POST /increment { windowType, workerName } -> { counter }   fixed window counters (hourly ... monthly, UTC)
+ *   POST /get       { windowType, workerName } -> { counter }
+ *   POST /add-spend { workerName, cost } -> { daily, monthly }   AI spend totals (cost-accounting.js), UTC day and month
+ *   POST /get-spend { workerName }       -> { daily, monthly }
+ *
+ * Entries carry their own expiry; an alarm deletes expired ones so idle subjects do not keep storage.
+ */
+
+import { consumeWindows, RATE_LIMIT_ALGORITHMS } from './algorithms.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Start and end (ms) of the calendar window containing now; weeks start on Monday
+ */
+function periodBounds(windowType, now) {
+  const date = new Date(now);
+  switch (windowType) {
+    case 'hourly': {
+      const start = Math.floor(now / 3600000) * 3600000;
+      return { start, end: start + 3600000 };
+    }
+    case 'daily': {
+      const start = Math.floor(now / DAY_MS) * DAY_MS;
+      return { start, end: start + DAY_MS };
+    }
+    case 'weekly': {
+      // 1970-01-01 was a Thursday, three days after a Monday
+      const start = (Math.floor((now / DAY_MS + 3) / 7) * 7 - 3) * DAY_MS;
+      return { start, end: start + 7 * DAY_MS };
+    }
+    case 'monthly':
+      return {
+        start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1),
+        end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+      };
+    default:
+      return null;
+  }
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+export class RateLimiterDO {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    if (request.method !== 'POST') {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return jsonResponse({ error: 'Invalid JSON in request body' }, 400);
+    }
+
+    try {
+      switch (pathname) {
+        case '/consume':
+          return await this.consume(body);
+        case '/increment':
+          return await this.updateCounter(body, 1);
+        case '/get':
+          return await this.updateCounter(body, 0);
+        case '/add-spend':
+          return await this.updateSpend(body, body.cost);
+        case '/get-spend':
+          return await this.updateSpend(body, null);
+        default:
+          return jsonResponse({ error: 'Not found' }, 404);
+      }
+    } catch (error) {
+      console.error(`[Rate Limiter DO] ${pathname} failed:`, error);
+      return jsonResponse({ error: error.message }, error.status || 500);
+    }
+  }
+
+  /**
+   * Count one request against the algorithm windows stored under key (usually the worker name)
+   */
+  async consume({ key, algorithm, windows }) {
+    if (typeof key !== 'string' || !key || !RATE_LIMIT_ALGORITHMS.includes(algorithm) || !windows || typeof windows !== 'object') {
+      return jsonResponse({ error: 'key, a known algorithm and windows are required' }, 400);
+    }
+
+    const now = Date.now();
+    const storageKey = `state:${key}`;
+    const stored = await this.readEntry(storageKey, now);
+    const outcome = consumeWindows(stored, { algorithm, windows, now });
+
+    if (outcome.state) {
+      await this.writeEntry(storageKey, outcome.state, now + outcome.ttl * 1000);
+    }
+
+    return jsonResponse(outcome);
+  }
+
+  /**
+   * Add amount to a fixed window counter and return it
+   */
+  async updateCounter({ windowType, workerName }, amount) {
+    const now = Date.now();
+    const period = periodBounds(windowType, now);
+    if (!period || typeof workerName !== 'string' || !workerName) {
+      return jsonResponse({ error: 'A known windowType and workerName are required' }, 400);
+    }
+
+    const storageKey = `count:${workerName}:${windowType}:${period.start}`;
+    const counter = (await this.readEntry(storageKey, now) || 0) + amount;
+    if (amount) {
+      await this.writeEntry(storageKey, counter, period.end);
+    }
+
+    return jsonResponse({ counter });
+  }
+
+  /**
+   * Add a request's cost to the worker's daily and monthly spend totals and return both
+   */
+  async updateSpend({ workerName }, cost) {
+    if (typeof workerName !== 'string' || !workerName || (cost !== null && typeof cost !== 'object')) {
+      return jsonResponse({ error: 'workerName and a cost object are required' }, 400);
+    }
+
+    const now = Date.now();
+    const totals = {};
+
+    for (const windowType of ['daily', 'monthly']) {
+      const period = periodBounds(windowType, now);
+      const storageKey = `spend:${workerName}:${windowType}:${period.start}`;
+      const spend = await this.readEntry(storageKey, now) || { requests: 0, prompt_tokens: 0, completion_tokens: 0, neurons: 0, usd: 0 };
+
+      if (cost) {
+        spend.requests++;
+        spend.prompt_tokens += Number(cost.prompt_tokens) || 0;
+        spend.completion_tokens += Number(cost.completion_tokens) || 0;
+        spend.neurons = Math.round((spend.neurons + (Number(cost.neurons) || 0)) * 100) / 100;
+        spend.usd = Math.round((spend.usd + (Number(cost.usd) || 0)) * 1000000) / 1000000;
+        await this.writeEntry(storageKey, spend, period.end);
+      }
+
+      totals[windowType] = spend;
+    }
+
+    return jsonResponse(totals);
+  }
+
+  async readEntry(storageKey, now) {
+    const entry = await this.storage.get(storageKey);
+    return entry && entry.expiresAt > now ? entry.value : null;
+  }
+
+  async writeEntry(storageKey, value, expiresAt) {
+    await this.storage.put(storageKey, { value, expiresAt });
+
+    const alarm = await this.storage.getAlarm();
+    if (alarm === null || alarm > expiresAt) {
+      await this.storage.setAlarm(expiresAt);
+    }
+  }
+
+  /**
+   * Delete expired entries and wake again for the next expiry
+   */
+  async alarm() {
+    const now = Date.now();
+    const entries = await this.storage.list();
+    const expired = [];
+    let nextExpiry = Infinity;
+
+    for (const [storageKey, entry] of entries) {
+      if (!entry?.expiresAt || entry.expiresAt <= now) {
+        expired.push(storageKey);
+      } else {
+        nextExpiry = Math.min(nextExpiry, entry.expiresAt);
+      }
+    }
+
+    // delete() takes at most 128 keys at a time
+    for (let i = 0; i < expired.length; i += 128) {
+      await this.storage.delete(expired.slice(i, i + 128));
+    }
+
+    if (nextExpiry !== Infinity) {
+      await this.storage.setAlarm(nextExpiry);
+    }
+  }
+}
@@ -3,9 +3,11 @@
  *
  * Features:
  * - Tiered rate limiting with progressive penalties
- * - IP whitelist/blacklist management
+ * - IP whitelist/blacklist management: exact IPs, IPv4/IPv6 CIDR ranges, ASNs and countries, with expiry
+ * - Per-API-key usage counting against each key's plan limits
  * - Usage analytics and violation tracking
  * - Time-based windows (hourly, daily, weekly, monthly)
+ * - Selectable algorithm per worker: fixed window counters (default), sliding window log/counter or token bucket
  * - Abuse detection and automatic blocking
  * - Usage pattern analysis
  * - Atomic counter operations via RateLimiterDO Durable Objects
@@ -16,8 +18,8 @@
  * Storage Requirements:
  * - RATE_LIMITER_DO: Durable Object for atomic counter operations (primary)
  * - FAQ_RATE_LIMITS: KV store for fallback counter operations and blocks
- * - FAQ_IP_WHITELIST: Whitelisted IPs (KV)
- * - FAQ_IP_BLACKLIST: Blacklisted IPs (KV)
+ * - FAQ_IP_WHITELIST: Whitelisted IPs, plus CIDR/ASN/country rules under ip_rules (KV)
+ * - FAQ_IP_BLACKLIST: Blacklisted IPs, plus CIDR/ASN/country rules under ip_rules (KV)
  * - FAQ_VIOLATIONS: Violation tracking (KV)
  * - FAQ_ANALYTICS: Usage analytics (KV)
  *
@@ -25,6 +27,17 @@
  * @since 2025-06-24 - Race condition fix through RateLimiterDO
  */
 
+import { loadIPRules, matchIPRules, parseRuleTarget, saveIPRule, deleteIPRule } from './ip-rules.js';
+import { consumeWindows, resolveAlgorithm, DEFAULT_ALGORITHM } from './algorithms.js';
+
+// Rolling window lengths for the sliding window and token bucket algorithms
+const WINDOW_SECONDS = {
+  hourly: 3600,
+  daily: 86400,
+  weekly: 604800,
+  monthly: 2592000
+};
+
 export class EnhancedRateLimiter {
   constructor(env, config = {}) {
     this.env = env;
@@ -50,6 +63,9 @@ export class EnhancedRateLimiter {
         third_violation: 7200,   // 2 hours
         persistent_violator: 86400 // 24 hours
       },
+      // Counting algorithm (algorithms.js); burstSize is the token bucket capacity for the hourly window
+      algorithm: DEFAULT_ALGORITHM,
+      burstSize: null,
       // Dynamic configuration metadata
       configSource: config.configSource || 'fallback',
       lastUpdated: config.lastUpdated || new Date().toISOString(),
@@ -57,6 +73,8 @@ export class EnhancedRateLimiter {
       enabled: config.enabled !== false, // Rate limiting enabled by default
       ...config
     };
+    this.config.algorithm = resolveAlgorithm(this.config.algorithm);
+    this.config.burstSize = this.config.burstSize || null;
     
     console.log(`[Rate Limiter] Initialized with ${this.config.configSource} configuration for ${this.config.workerName}`);
   }
@@ -66,87 +84,117 @@ export class EnhancedRateLimiter {
    * @param {string} clientIP - Client IP address
    * @param {Request} request - Original request object
    * @param {string} workerName - Name of the worker (for analytics)
+   * @param {Object} [apiKey] - Authenticated API key ({ id, plan } from shared/api-keys.js). Usage, blocks and
+   *   penalties are then counted per key against plan.limits; blacklist and whitelist still apply to the IP.
    * @returns {Promise<Object>} Rate limit result
    */
-  async checkRateLimit(clientIP, request, workerName) {
+  async checkRateLimit(clientIP, request, workerName, apiKey = null) {
     const startTime = Date.now();
     
     // Validate and sanitize parameters to prevent [object Object] in KV keys
     clientIP = this.sanitizeStringParam(clientIP, 'unknown');
     workerName = this.sanitizeStringParam(workerName, 'unknown-worker');
+
+    // Counters, blocks and violations are kept per key for key-authenticated requests
+    const subject = apiKey ? `key:${apiKey.id}` : clientIP;
+    const limits = apiKey ? { ...this.config.limits, ...apiKey.plan?.limits } : this.config.limits;
+    const keyTag = apiKey ? { api_key: apiKey.id } : {};
     
-    console.log(`[Rate Limiter] Checking limits for IP: ${clientIP}, Worker: ${workerName}`);
+    console.log(`[Rate Limiter] Checking limits for IP: ${clientIP}, Worker: ${workerName}` + (apiKey ? `, Key: ${apiKey.id}` : ''));
+
+    // Rate limiting switched off in WordPress settings
+    if (this.config.enabled === false) {
+      return {
+        allowed: true,
+        reason: 'RATE_LIMITING_DISABLED',
+        usage: null,
+        ...keyTag,
+        duration: (Date.now() - startTime) / 1000
+      };
+    }
 
     try {
       // Step 1: Check blacklist
-      const blacklistResult = await this.checkBlacklist(clientIP);
+      const blacklistResult = await this.checkBlacklist(clientIP, request);
       if (blacklistResult.blocked) {
-        await this.logViolation(clientIP, 'blacklist_access', workerName, request);
+        await this.logViolation(clientIP, 'blacklist_access', workerName, request, keyTag);
         return {
           allowed: false,
           reason: 'IP_BLACKLISTED',
           block_expires: null, // Permanent
           usage: null,
+          ...keyTag,
           duration: (Date.now() - startTime) / 1000
         };
       }
 
       // Step 2: Check whitelist
-      const whitelistResult = await this.checkWhitelist(clientIP);
+      const whitelistResult = await this.checkWhitelist(clientIP, request);
       if (whitelistResult.whitelisted) {
         // Whitelisted IPs still need usage counting for analytics
-        await this.updateUsageCount(clientIP, workerName);
-        await this.updateUsageTracking(clientIP, workerName, true);
+        await this.updateUsageCount(subject, workerName);
+        await this.updateUsageTracking(subject, workerName, true);
         return {
           allowed: true,
           reason: 'WHITELISTED',
-          usage: await this.getUsageStats(clientIP),
+          usage: await this.getUsageStats(subject),
+          ...keyTag,
           duration: (Date.now() - startTime) / 1000
         };
       }
 
       // Step 3: Check current blocks
-      const blockResult = await this.checkCurrentBlocks(clientIP);
+      const blockResult = await this.checkCurrentBlocks(subject);
       if (blockResult.blocked) {
-        await this.logViolation(clientIP, 'blocked_access_attempt', workerName, request);
+        await this.logViolation(subject, 'blocked_access_attempt', workerName, request, { ...keyTag, client_ip: clientIP });
         return {
           allowed: false,
           reason: 'TEMPORARILY_BLOCKED',
           block_expires: blockResult.expires,
           remaining_time: blockResult.remaining,
           usage: null,
+          ...keyTag,
           duration: (Date.now() - startTime) / 1000
         };
       }
 
       // Step 4: Check rate limits
-      const rateLimitResult = await this.checkRateLimits(clientIP, workerName);
+      const rateLimitResult = await this.checkRateLimits(subject, workerName, limits);
       if (!rateLimitResult.allowed) {
         // Rate limit exceeded - apply penalty
-        await this.applyPenalty(clientIP, 'rate_limit_exceeded', workerName);
-        await this.logViolation(clientIP, 'rate_limit_exceeded', workerName, request, rateLimitResult);
+        await this.applyPenalty(subject, 'rate_limit_exceeded', workerName);
+        await this.logViolation(subject, 'rate_limit_exceeded', workerName, request, { ...rateLimitResult, ...keyTag, client_ip: clientIP });
         
         return {
           allowed: false,
           reason: 'RATE_LIMIT_EXCEEDED',
           usage: rateLimitResult.usage,
-          limits: this.config.limits,
+          limits: rateLimitResult.limits || limits,
           reset_times: rateLimitResult.reset_times,
+          remaining_by_window: rateLimitResult.remaining_by_window,
+          retry_after: rateLimitResult.retry_after,
+          algorithm: this.config.algorithm,
+          ...keyTag,
           duration: (Date.now() - startTime) / 1000
         };
       }
 
-      // Step 5: Update usage count and tracking
-      await this.updateUsageCount(clientIP, workerName);
-      await this.updateUsageTracking(clientIP, workerName, false);
+      // Step 5: Update usage count and tracking (other algorithms count as they check)
+      if (this.config.algorithm === DEFAULT_ALGORITHM) {
+        await this.updateUsageCount(subject, workerName);
+      }
+      await this.updateUsageTracking(subject, workerName, false);
 
       // Request allowed
       return {
         allowed: true,
         reason: 'WITHIN_LIMITS',
         usage: rateLimitResult.usage,
-        limits: this.config.limits,
+        limits: rateLimitResult.limits || limits,
         reset_times: rateLimitResult.reset_times,
+        remaining_by_window: rateLimitResult.remaining_by_window,
+        algorithm: this.config.algorithm,
+        ...keyTag,
         duration: (Date.now() - startTime) / 1000
       };
 
@@ -157,6 +205,7 @@ export class EnhancedRateLimiter {
         allowed: true,
         reason: 'ERROR_FALLBACK',
         error: error.message,
+        ...keyTag,
         duration: (Date.now() - startTime) / 1000
       };
     }
@@ -335,17 +384,34 @@ export class EnhancedRateLimiter {
   }
 
   /**
-   * Check if IP is blacklisted
+   * Check if IP is blacklisted: exact IP entry first, then CIDR, ASN and country rules
+   * @param {string} clientIP
+   * @param {Request} [request] - Supplies request.cf for ASN and country rules
    */
-  async checkBlacklist(clientIP) {
+  async checkBlacklist(clientIP, request = null) {
     try {
       const blacklistData = await this.env.FAQ_IP_BLACKLIST.get(clientIP, { type: 'json' });
-      if (blacklistData) {
+      if (blacklistData && !(blacklistData.expires_at && blacklistData.expires_at <= Date.now())) {
         return {
           blocked: true,
           reason: blacklistData.reason || 'Blacklisted',
           added_at: blacklistData.added_at,
-          added_by: blacklistData.added_by
+          added_by: blacklistData.added_by,
+          expires_at: blacklistData.expires_at || null,
+          match: 'ip'
+        };
+      }
+
+      const rule = matchIPRules(await loadIPRules(this.env.FAQ_IP_BLACKLIST, 'blacklist'), clientIP, request?.cf);
+      if (rule) {
+        return {
+          blocked: true,
+          reason: rule.reason || 'Blacklisted',
+          added_at: rule.added_at,
+          added_by: rule.added_by,
+          expires_at: rule.expires_at || null,
+          match: rule.type,
+          rule: rule[rule.type]
         };
       }
       return { blocked: false };
@@ -356,17 +422,35 @@ export class EnhancedRateLimiter {
   }
 
   /**
-   * Check if IP is whitelisted
+   * Check if IP is whitelisted: exact IP entry first, then CIDR, ASN and country rules
+   * @param {string} clientIP
+   * @param {Request} [request] - Supplies request.cf for ASN and country rules
    */
-  async checkWhitelist(clientIP) {
+  async checkWhitelist(clientIP, request = null) {
     try {
       const whitelistData = await this.env.FAQ_IP_WHITELIST.get(clientIP, { type: 'json' });
-      if (whitelistData && whitelistData.active !== false) {
+      if (whitelistData && whitelistData.active !== false &&
+          !(whitelistData.expires_at && whitelistData.expires_at <= Date.now())) {
         return {
           whitelisted: true,
           reason: whitelistData.reason || 'Whitelisted',
           added_at: whitelistData.added_at,
-          added_by: whitelistData.added_by
+          added_by: whitelistData.added_by,
+          expires_at: whitelistData.expires_at || null,
+          match: 'ip'
+        };
+      }
+
+      const rule = matchIPRules(await loadIPRules(this.env.FAQ_IP_WHITELIST, 'whitelist'), clientIP, request?.cf);
+      if (rule) {
+        return {
+          whitelisted: true,
+          reason: rule.reason || 'Whitelisted',
+          added_at: rule.added_at,
+          added_by: rule.added_by,
+          expires_at: rule.expires_at || null,
+          match: rule.type,
+          rule: rule[rule.type]
         };
       }
       return { whitelisted: false };
@@ -400,14 +484,21 @@ export class EnhancedRateLimiter {
 
   /**
    * Check rate limits across all time windows
+   * @param {string} clientIP - IP address, or key:<id> for API key usage
+   * @param {string} workerName
+   * @param {Object} [limits] - Limits per window, defaulting to the worker's configured limits
    */
-  async checkRateLimits(clientIP, workerName) {
+  async checkRateLimits(clientIP, workerName, limits = this.config.limits) {
+    if (this.config.algorithm !== DEFAULT_ALGORITHM) {
+      return this.checkAlgorithmLimits(clientIP, workerName, limits);
+    }
+
     try {
       const now = new Date();
       const usage = await this.getCurrentUsage(clientIP, workerName, now);
       
       // Check each time window
-      for (const [window, limit] of Object.entries(this.config.limits)) {
+      for (const [window, limit] of Object.entries(limits)) {
         if (usage[window] >= limit) {
           return {
             allowed: false,
@@ -429,6 +520,96 @@ export class EnhancedRateLimiter {
     }
   }
 
+  /**
+   * Check and count a request with the configured sliding window or token bucket algorithm.
+   * Each window keeps its own algorithm state; the request is only counted when every window allows it.
+   * sliding_window_log applies to the hourly window only (daily and longer windows use sliding_window_counter).
+   * The state lives in the subject's RateLimiterDO, which counts concurrent requests one at a time. Without the
+   * binding (or when it fails) it falls back to a KV read-modify-write under rl_state:<subject>:<worker>, where
+   * concurrent requests can read the same state, so limits are approximate under bursts.
+   * @returns {Promise<Object>} checkRateLimits result, with limits (token bucket capacities), remaining_by_window
+   *   and retry_after (seconds) when refused
+   */
+  async checkAlgorithmLimits(clientIP, workerName, limits) {
+    const { algorithm, burstSize } = this.config;
+
+    const windows = {};
+    for (const [window, limit] of Object.entries(limits)) {
+      if (!limit || !WINDOW_SECONDS[window]) continue;
+      windows[window] = { limit, windowSeconds: WINDOW_SECONDS[window], burst: window === 'hourly' ? burstSize : null };
+    }
+
+    try {
+      let outcome;
+      try {
+        outcome = await this.consumeWithDurableObject(clientIP, workerName, algorithm, windows);
+      } catch (durableObjectError) {
+        console.warn(`[Rate Limiter] Durable Object failed for ${clientIP}, falling back to KV:`, durableObjectError.message);
+        outcome = await this.consumeWithKV(clientIP, workerName, algorithm, windows);
+      }
+
+      const results = Object.entries(outcome.results);
+      const exceeded = results.find(([, result]) => !result.allowed);
+      const pick = field => Object.fromEntries(results.map(([window, result]) => [window, result[field]]));
+
+      return {
+        allowed: !exceeded,
+        exceeded_window: exceeded?.[0],
+        algorithm,
+        usage: pick('used'),
+        limits: pick('limit'),
+        remaining_by_window: pick('remaining'),
+        reset_times: pick('reset'),
+        retry_after: exceeded?.[1].retryAfter ?? null
+      };
+    } catch (error) {
+      console.error(`[Rate Limiter] Error checking ${algorithm} limits:`, error);
+      return { allowed: true }; // Fail open
+    }
+  }
+
+  /**
+   * Count a request in the subject's RateLimiterDO
+   * @returns {Promise<Object>} consumeWindows result
+   * @private
+   */
+  async consumeWithDurableObject(clientIP, workerName, algorithm, windows) {
+    const response = await this.getDurableObjectStub(clientIP).fetch('http://localhost/consume', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key: workerName, algorithm, windows })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Durable Object consume failed: ${response.status} - ${errorData.error || 'Unknown error'}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Count a request with algorithm state in KV (fallback method)
+   * @returns {Promise<Object>} consumeWindows result
+   * @private
+   */
+  async consumeWithKV(clientIP, workerName, algorithm, windows) {
+    const stateKey = `rl_state:${clientIP}:${workerName}`;
+    const stored = await this.env.FAQ_RATE_LIMITS.get(stateKey, { type: 'json' });
+    const outcome = consumeWindows(stored, { algorithm, windows });
+
+    if (outcome.state) {
+      try {
+        await this.env.FAQ_RATE_LIMITS.put(stateKey, JSON.stringify(outcome.state), { expirationTtl: outcome.ttl });
+      } catch (writeError) {
+        // Usually KV's one write per second per key during a burst: the request goes through uncounted
+        console.warn(`[Rate Limiter] Failed to save ${algorithm} state for ${clientIP}:`, writeError.message);
+      }
+    }
+
+    return outcome;
+  }
+
   /**
    * Get current usage across all time windows
    */
@@ -560,8 +741,8 @@ export class EnhancedRateLimiter {
         { expirationTtl: penaltyDuration }
       );
 
-      // Check if should add to blacklist
-      if (recentViolations >= this.config.violations.ban_threshold) {
+      // Check if should add to blacklist (API keys are revoked by an admin instead)
+      if (recentViolations >= this.config.violations.ban_threshold && !clientIP.startsWith('key:')) {
         await this.addToBlacklist(clientIP, 'Persistent violator - automatic ban', 'system');
       }
 
@@ -592,7 +773,11 @@ export class EnhancedRateLimiter {
       await this.env.FAQ_VIOLATIONS.put(
         violationId, 
         JSON.stringify(violationData),
-        { expirationTtl: 2592000 } // 30 days
+        {
+          expirationTtl: 2592000, // 30 days
+          // Listed by getAnalytics without reading each value
+          metadata: { type: violationType, worker: workerName, country: violationData.country }
+        }
       );
 
       // Update violation summary
@@ -675,20 +860,24 @@ export class EnhancedRateLimiter {
 
   /**
    * Add IP to blacklist
+   * @param {number} [expiresAt] - Expiry timestamp (ms); permanent when omitted
    */
-  async addToBlacklist(clientIP, reason, addedBy) {
+  async addToBlacklist(clientIP, reason, addedBy, expiresAt = null) {
     try {
       const blacklistData = {
         reason,
         added_by: addedBy,
         added_at: Date.now(),
+        expires_at: expiresAt,
         active: true
       };
 
-      await this.env.FAQ_IP_BLACKLIST.put(clientIP, JSON.stringify(blacklistData));
+      await this.env.FAQ_IP_BLACKLIST.put(clientIP, JSON.stringify(blacklistData), this.listEntryOptions(expiresAt));
       console.log(`[Rate Limiter] Added IP ${clientIP} to blacklist: ${reason}`);
+      return { success: true };
     } catch (error) {
       console.error(`[Rate Limiter] Error adding to blacklist:`, error);
+      return { success: false, error: error.message };
     }
   }
 
@@ -819,17 +1008,19 @@ export class EnhancedRateLimiter {
 
   /**
    * Add IP to whitelist
+   * @param {number} [expiresAt] - Expiry timestamp (ms); permanent when omitted
    */
-  async addToWhitelist(clientIP, reason, addedBy) {
+  async addToWhitelist(clientIP, reason, addedBy, expiresAt = null) {
     try {
       const whitelistData = {
         reason,
         added_by: addedBy,
         added_at: Date.now(),
+        expires_at: expiresAt,
         active: true
       };
 
-      await this.env.FAQ_IP_WHITELIST.put(clientIP, JSON.stringify(whitelistData));
+      await this.env.FAQ_IP_WHITELIST.put(clientIP, JSON.stringify(whitelistData), this.listEntryOptions(expiresAt));
       console.log(`[Rate Limiter] Added IP ${clientIP} to whitelist: ${reason}`);
       return { success: true };
     } catch (error) {
@@ -881,27 +1072,151 @@ export class EnhancedRateLimiter {
   }
 
   /**
-   * Get analytics data
+   * KV put options for a list entry: let KV drop it after expiry (KV needs at least 60 seconds)
+   * @private
+   */
+  listEntryOptions(expiresAt) {
+    if (!expiresAt || expiresAt - Date.now() < 60000) return {};
+    return { expiration: Math.ceil(expiresAt / 1000) };
+  }
+
+  /**
+   * Add or replace a CIDR, ASN or country rule in the whitelist or blacklist
+   * @param {string} list - whitelist or blacklist
+   * @param {Object} target - { cidr } | { asn } | { country }
+   * @param {string} reason
+   * @param {string} addedBy
+   * @param {number} [expiresAt] - Expiry timestamp (ms); permanent when omitted
+   */
+  async addListRule(list, target, reason, addedBy, expiresAt = null) {
+    try {
+      const rule = parseRuleTarget(target);
+      if (!rule) {
+        return { success: false, error: 'Rule needs a valid cidr, asn or country' };
+      }
+
+      const kv = list === 'whitelist' ? this.env.FAQ_IP_WHITELIST : this.env.FAQ_IP_BLACKLIST;
+      await saveIPRule(kv, list, rule, { reason, added_by: addedBy, expires_at: expiresAt });
+      console.log(`[Rate Limiter] Added ${rule.type} ${rule.value} to ${list}: ${reason}`);
+      return { success: true, type: rule.type, value: rule.value };
+    } catch (error) {
+      console.error(`[Rate Limiter] Error adding ${list} rule:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove a CIDR, ASN or country rule from the whitelist or blacklist
+   */
+  async removeListRule(list, target) {
+    try {
+      const rule = parseRuleTarget(target);
+      if (!rule) {
+        return { success: false, error: 'Rule needs a valid cidr, asn or country' };
+      }
+
+      const kv = list === 'whitelist' ? this.env.FAQ_IP_WHITELIST : this.env.FAQ_IP_BLACKLIST;
+      const removed = await deleteIPRule(kv, list, rule);
+      console.log(`[Rate Limiter] Removed ${rule.type} ${rule.value} from ${list}`);
+      return { success: removed, ...(removed ? {} : { error: 'Rule not found' }), type: rule.type, value: rule.value };
+    } catch (error) {
+      console.error(`[Rate Limiter] Error removing ${list} rule:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get analytics data for the last hour, day, week or month, aggregated from the analytics:<ip>:<worker>:<time>
+   * and violation:<ip>:<time> key names (every refused request logs a violation)
+   * @param {string} timeframe - hourly, daily, weekly or monthly
+   * @param {number} maxPages - KV list pages (1000 keys each) to scan per namespace
    */
-  async getAnalytics(timeframe = 'daily') {
+  async getAnalytics(timeframe = 'daily', maxPages = 10) {
+    const TIMEFRAMES = { hourly: 3600000, daily: 86400000, weekly: 604800000, monthly: 2592000000 };
+    if (!TIMEFRAMES[timeframe]) timeframe = 'daily';
+    const since = Date.now() - TIMEFRAMES[timeframe];
+
     try {
-      // This would be implemented to aggregate analytics data
-      // For now, return basic structure
+      const requests = await this.listRecentEntries(this.env.FAQ_ANALYTICS, 'analytics:', since, maxPages, true);
+      const violations = await this.listRecentEntries(this.env.FAQ_VIOLATIONS, 'violation:', since, maxPages, false);
+
+      const subjects = new Set();
+      const workerUsage = {};
+      const violatorCounts = {};
+      const geographicDistribution = {};
+
+      for (const entry of requests.entries) {
+        subjects.add(entry.subject);
+        workerUsage[entry.worker] = workerUsage[entry.worker] || { requests: 0, blocked: 0 };
+        workerUsage[entry.worker].requests++;
+      }
+
+      for (const entry of violations.entries) {
+        subjects.add(entry.subject);
+        violatorCounts[entry.subject] = (violatorCounts[entry.subject] || 0) + 1;
+
+        const worker = entry.metadata?.worker || 'unknown';
+        workerUsage[worker] = workerUsage[worker] || { requests: 0, blocked: 0 };
+        workerUsage[worker].blocked++;
+
+        const country = entry.metadata?.country || 'XX';
+        geographicDistribution[country] = (geographicDistribution[country] || 0) + 1;
+      }
+
+      const uniqueKeys = [...subjects].filter(subject => subject.startsWith('key:')).length;
+
       return {
         timeframe,
-        total_requests: 0,
-        blocked_requests: 0,
-        violations: 0,
-        unique_ips: 0,
-        top_violators: [],
-        geographic_distribution: {},
-        worker_usage: {}
+        since: new Date(since).toISOString(),
+        total_requests: requests.entries.length + violations.entries.length,
+        blocked_requests: violations.entries.length,
+        violations: violations.entries.length,
+        unique_ips: subjects.size - uniqueKeys,
+        unique_api_keys: uniqueKeys,
+        top_violators: Object.entries(violatorCounts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([ip, count]) => ({ ip, violations: count })),
+        geographic_distribution: geographicDistribution,
+        worker_usage: workerUsage,
+        truncated: requests.truncated || violations.truncated
       };
     } catch (error) {
       console.error(`[Rate Limiter] Error getting analytics:`, error);
       return null;
     }
   }
+
+  /**
+   * List prefix:<subject>[:<worker>]:<timestamp> keys newer than `since`. Subjects may contain colons
+   * (IPv6, key:<id>), so the timestamp and worker are taken from the end of the name.
+   * @private
+   */
+  async listRecentEntries(kv, prefix, since, maxPages, hasWorker) {
+    const entries = [];
+    let cursor;
+    let pages = 0;
+
+    if (!kv) return { entries, truncated: false };
+
+    do {
+      const page = await kv.list({ prefix, cursor });
+      pages++;
+
+      for (const { name, metadata } of page.keys) {
+        const parts = name.substring(prefix.length).split(':');
+        const timestamp = parseInt(parts.pop(), 10);
+        const worker = hasWorker ? parts.pop() : null;
+        if (!timestamp || timestamp < since) continue;
+
+        entries.push({ subject: parts.join(':'), worker, timestamp, metadata });
+      }
+
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor && pages < maxPages);
+
+    return { entries, truncated: Boolean(cursor) };
+  }
 }
 
 import { loadWorkerConfig, loadGlobalSettings } from './dynamic-config.js';
@@ -927,6 +1242,8 @@ export async function createRateLimiter(env, workerName, customConfig = {}) {
         weekly: config.weeklyLimit,
         monthly: config.monthlyLimit
       },
+      algorithm: config.algorithm,
+      burstSize: config.burstSize,
       violations: {
         soft_threshold: config.violationThresholds?.soft || 3,
         hard_threshold: config.violationThresholds?.hard || 6,
@@ -936,6 +1253,7 @@ export async function createRateLimiter(env, workerName, customConfig = {}) {
       ...customConfig,
       // Metadata for tracking
       workerName,
+      enabled: config.enabled !== false,
       configSource: config.source || 'default',
       configVersion: config.version || 1,
       lastUpdated: config.lastUpdated,
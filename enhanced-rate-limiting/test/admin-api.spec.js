@@ -0,0 +1,49 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { handleAdminRequest } from '../admin-api.js';
+
+const adminEnv = { ...env, ADMIN_API_TOKEN: 'admin-secret' };
+
+function adminRequest(path, { token = 'admin-secret', method = 'GET' } = {}) {
+	return new Request(`https://limiter.test${path}`, {
+		method,
+		headers: token ? { Authorization: `Bearer ${token}` } : {}
+	});
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('handleAdminRequest', () => {
+	it('ignores paths outside the admin routes', async () => {
+		expect(await handleAdminRequest(adminRequest('/check'), adminEnv)).toBeNull();
+	});
+
+	it('requires the admin token', async () => {
+		expect((await handleAdminRequest(adminRequest('/admin/blocks', { token: null }), adminEnv)).status).toBe(401);
+		expect((await handleAdminRequest(adminRequest('/admin/blocks', { token: 'wrong' }), adminEnv)).status).toBe(401);
+	});
+
+	it('rejects malformed or invalid IP addresses', async () => {
+		const malformed = await handleAdminRequest(adminRequest('/admin/ip/%E0'), adminEnv);
+
+		expect(malformed.status).toBe(400);
+		expect(await malformed.json()).toEqual({ success: false, error: 'Invalid IP address' });
+		expect((await handleAdminRequest(adminRequest('/admin/ip/not-an-ip'), adminEnv)).status).toBe(400);
+	});
+
+	it('reports the status of an IP address', async () => {
+		const response = await handleAdminRequest(adminRequest('/admin/ip/198.51.100.7'), adminEnv);
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result).toMatchObject({ success: true, ip: '198.51.100.7', worker: 'all' });
+	});
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { RATE_LIMIT_ALGORITHMS, resolveAlgorithm, windowAlgorithm, consumeRequest } from '../algorithms.js';
+
+// Aligned to a one-minute window boundary
+const START = 60000 * 1000;
+
+/**
+ * Send requests at the given times, carrying state between them
+ */
+function run(algorithm, times, options) {
+	let state = null;
+	return times.map(now => {
+		const result = consumeRequest(algorithm, state, { ...options, now });
+		state = result.state;
+		return result;
+	});
+}
+
+describe('algorithm selection', () => {
+	it('falls back to fixed_window for unknown names', () => {
+		expect(RATE_LIMIT_ALGORITHMS.map(resolveAlgorithm)).toEqual(RATE_LIMIT_ALGORITHMS);
+		expect(resolveAlgorithm('leaky_bucket')).toBe('fixed_window');
+		expect(resolveAlgorithm(undefined)).toBe('fixed_window');
+	});
+
+	it('swaps sliding_window_log for sliding_window_counter on long or large windows', () => {
+		expect(windowAlgorithm('sliding_window_log', 3600, 1000)).toBe('sliding_window_log');
+		expect(windowAlgorithm('sliding_window_log', 86400, 100)).toBe('sliding_window_counter');
+		expect(windowAlgorithm('sliding_window_log', 60, 5000)).toBe('sliding_window_counter');
+		expect(windowAlgorithm('token_bucket', 86400, 5000)).toBe('token_bucket');
+	});
+});
+
+describe('fixed_window', () => {
+	it('allows the limit per calendar window', () => {
+		const results = run('fixed_window', [START, START + 1000, START + 2000, START + 60000], { limit: 2, windowSeconds: 60 });
+
+		expect(results.map(result => result.allowed)).toEqual([true, true, false, true]);
+		expect(results[1]).toMatchObject({ remaining: 0, used: 1, reset: START + 60000 });
+		expect(results[2]).toMatchObject({ remaining: 0, used: 2, retryAfter: 58 });
+	});
+});
+
+describe('sliding_window_log', () => {
+	it('frees a slot when the oldest request leaves the window', () => {
+		const results = run('sliding_window_log', [START, START + 30000, START + 40000, START + 60001], { limit: 2, windowSeconds: 60 });
+
+		expect(results.map(result => result.allowed)).toEqual([true, true, false, true]);
+		expect(results[2]).toMatchObject({ reset: START + 60000, retryAfter: 20 });
+		expect(results[3].state.requests).toEqual([START + 30000, START + 60001]);
+	});
+});
+
+describe('sliding_window_counter', () => {
+	it('weights the previous window by its overlap', () => {
+		const previous = { windowStart: START - 60000, current: 8, previous: 0 };
+
+		// Half of the previous window still overlaps: 8 * 0.5 = 4 counted
+		expect(consumeRequest('sliding_window_counter', previous, { limit: 10, windowSeconds: 60, now: START + 30000 }))
+			.toMatchObject({ allowed: true, used: 4, remaining: 5, state: { windowStart: START, current: 1, previous: 8 } });
+
+		// At the start of the window all of it does
+		expect(consumeRequest('sliding_window_counter', { ...previous, current: 10 }, { limit: 10, windowSeconds: 60, now: START }))
+			.toMatchObject({ allowed: false, used: 10, remaining: 0 });
+	});
+
+	it('forgets windows older than the previous one', () => {
+		const stale = { windowStart: START - 120000, current: 10, previous: 10 };
+		expect(consumeRequest('sliding_window_counter', stale, { limit: 10, windowSeconds: 60, now: START }).used).toBe(0);
+	});
+});
+
+describe('token_bucket', () => {
+	it('allows a burst, then refills at limit per window', () => {
+		const results = run('token_bucket', [START, START, START, START + 30000], { limit: 2, windowSeconds: 60, burst: 2 });
+
+		expect(results.map(result => result.allowed)).toEqual([true, true, false, true]);
+		expect(results[2]).toMatchObject({ remaining: 0, retryAfter: 30 });
+	});
+
+	it('uses the burst as its capacity', () => {
+		const results = run('token_bucket', [START, START, START, START], { limit: 1, windowSeconds: 60, burst: 3 });
+
+		expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+		expect(results[0].limit).toBe(3);
+	});
+});
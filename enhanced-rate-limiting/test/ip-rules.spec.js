@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { parseIP, parseCIDR, isValidIP, compileIPRules, matchIPRules, parseRuleTarget } from '../ip-rules.js';
+
+describe('parseIP', () => {
+	it('parses IPv4 and IPv6 addresses', () => {
+		expect(parseIP('192.0.2.1')).toEqual({ version: 4, bits: 0xc0000201n });
+		expect(parseIP('2001:db8::1')).toEqual({ version: 6, bits: (0x20010db8n << 96n) | 1n });
+		expect(parseIP('::')).toEqual({ version: 6, bits: 0n });
+	});
+
+	it('returns IPv4-mapped IPv6 addresses as IPv4', () => {
+		expect(parseIP('::ffff:192.0.2.1')).toEqual(parseIP('192.0.2.1'));
+		expect(parseIP('::ffff:c000:201')).toEqual(parseIP('192.0.2.1'));
+	});
+
+	it('rejects malformed addresses', () => {
+		for (const value of ['', '256.0.0.1', '1.2.3', '1.2.3.4.5', '2001:db8::1::2', '1:2:3:4:5:6:7:8:9', 'g::1', null]) {
+			expect(isValidIP(value)).toBe(false);
+		}
+	});
+});
+
+describe('parseCIDR', () => {
+	it('parses prefix lengths, defaulting to a single address', () => {
+		expect(parseCIDR('203.0.113.0/24')).toMatchObject({ version: 4, length: 24 });
+		expect(parseCIDR('2001:db8:1234::/48')).toMatchObject({ version: 6, length: 48 });
+		expect(parseCIDR('203.0.113.7')).toMatchObject({ version: 4, length: 32 });
+	});
+
+	it('rejects out-of-range or malformed prefixes', () => {
+		expect(parseCIDR('203.0.113.0/33')).toBeNull();
+		expect(parseCIDR('2001:db8::/129')).toBeNull();
+		expect(parseCIDR('203.0.113.0/24/1')).toBeNull();
+		expect(parseCIDR('203.0.113.0/x')).toBeNull();
+	});
+});
+
+describe('compileIPRules and matchIPRules', () => {
+	const now = Date.UTC(2026, 0, 1);
+	const rules = compileIPRules({
+		cidr: [
+			{ cidr: '203.0.113.0/24', reason: 'range' },
+			{ cidr: '203.0.113.128/25', reason: 'narrower range' },
+			{ cidr: '2001:db8:1234::/48', reason: 'v6 range' },
+			{ cidr: '198.51.100.0/24', reason: 'expired', expires_at: now - 1 },
+			{ cidr: '192.0.2.0/24', reason: 'disabled', active: false },
+			{ cidr: 'not-a-range', reason: 'invalid' }
+		],
+		asn: [{ asn: 64496, reason: 'asn' }],
+		country: [{ country: 'xx', reason: 'country', expires_at: now + 60000 }]
+	}, now);
+
+	it('matches the longest CIDR prefix', () => {
+		expect(matchIPRules(rules, '203.0.113.5')).toMatchObject({ type: 'cidr', reason: 'range' });
+		expect(matchIPRules(rules, '203.0.113.200')).toMatchObject({ type: 'cidr', reason: 'narrower range' });
+		expect(matchIPRules(rules, '2001:db8:1234:ff::1')).toMatchObject({ type: 'cidr', reason: 'v6 range' });
+		expect(matchIPRules(rules, '::ffff:203.0.113.5')).toMatchObject({ reason: 'range' });
+	});
+
+	it('skips expired and inactive entries', () => {
+		expect(matchIPRules(rules, '198.51.100.1')).toBeNull();
+		expect(matchIPRules(rules, '192.0.2.1')).toBeNull();
+		expect(rules.expiresAt).toBe(now + 60000);
+	});
+
+	it('falls back to the ASN and then the country from request.cf', () => {
+		expect(matchIPRules(rules, '192.0.2.1', { asn: 64496, country: 'XX' })).toMatchObject({ type: 'asn' });
+		expect(matchIPRules(rules, '192.0.2.1', { asn: 1, country: 'xx' })).toMatchObject({ type: 'country', country: 'xx' });
+		expect(matchIPRules(rules, 'unknown', { country: 'GB' })).toBeNull();
+	});
+
+	it('compiles an empty or missing document', () => {
+		expect(matchIPRules(compileIPRules(null, now), '203.0.113.5')).toBeNull();
+	});
+});
+
+describe('parseRuleTarget', () => {
+	it('normalises each rule type', () => {
+		expect(parseRuleTarget({ cidr: ' 203.0.113.0/24 ' })).toEqual({ type: 'cidr', value: '203.0.113.0/24' });
+		expect(parseRuleTarget({ asn: 'AS64496' })).toEqual({ type: 'asn', value: 64496 });
+		expect(parseRuleTarget({ country: 'gb' })).toEqual({ type: 'country', value: 'GB' });
+	});
+
+	it('rejects invalid or missing targets', () => {
+		expect(parseRuleTarget({ cidr: '203.0.113.0/40' })).toBeNull();
+		expect(parseRuleTarget({ asn: 'AS0' })).toBeNull();
+		expect(parseRuleTarget({ country: 'GBR' })).toBeNull();
+		expect(parseRuleTarget({})).toBeNull();
+	});
+});
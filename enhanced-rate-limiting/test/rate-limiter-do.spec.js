@@ -0,0 +1,109 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EnhancedRateLimiter } from '../rate-limiter.js';
+
+let subjectCounter = 0;
+
+function stubFor(subject = `203.0.113.${++subjectCounter}`) {
+	return env.RATE_LIMITER_DO.get(env.RATE_LIMITER_DO.idFromName(subject));
+}
+
+async function post(stub, path, body) {
+	const response = await stub.fetch(`http://localhost${path}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body)
+	});
+	return { status: response.status, body: await response.json() };
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('RateLimiterDO', () => {
+	const consume = { key: 'test-worker', algorithm: 'token_bucket', windows: { hourly: { limit: 3, windowSeconds: 3600, burst: 3 } } };
+
+	it('counts concurrent requests one at a time', async () => {
+		const stub = stubFor();
+		const results = await Promise.all(Array.from({ length: 10 }, () => post(stub, '/consume', consume)));
+
+		expect(results.filter(result => result.body.allowed)).toHaveLength(3);
+	});
+
+	it('keeps state per key and leaves it unchanged when refused', async () => {
+		const stub = stubFor();
+		const limited = { ...consume, windows: { hourly: { limit: 1, windowSeconds: 3600 }, daily: { limit: 5, windowSeconds: 86400 } } };
+
+		expect((await post(stub, '/consume', limited)).body.allowed).toBe(true);
+		const refused = (await post(stub, '/consume', limited)).body;
+		expect(refused.allowed).toBe(false);
+		expect(refused.state).toBeNull();
+
+		// Only the first request was counted against the daily window
+		const daily = { ...limited, windows: { daily: limited.windows.daily } };
+		expect((await post(stub, '/consume', daily)).body.results.daily.remaining).toBe(3);
+
+		expect((await post(stub, '/consume', { ...limited, key: 'other-worker' })).body.allowed).toBe(true);
+	});
+
+	it('keeps fixed window counters per worker and window', async () => {
+		const stub = stubFor();
+		await Promise.all(Array.from({ length: 4 }, () => post(stub, '/increment', { windowType: 'hourly', workerName: 'test-worker' })));
+
+		expect((await post(stub, '/get', { windowType: 'hourly', workerName: 'test-worker' })).body.counter).toBe(4);
+		expect((await post(stub, '/get', { windowType: 'daily', workerName: 'test-worker' })).body.counter).toBe(0);
+	});
+
+	it('adds concurrent AI costs to the daily and monthly spend totals', async () => {
+		const stub = stubFor('spend:test-worker');
+		const cost = { prompt_tokens: 100, completion_tokens: 50, neurons: 1.5, usd: 0.000017 };
+		await Promise.all(Array.from({ length: 10 }, () => post(stub, '/add-spend', { workerName: 'test-worker', cost })));
+
+		const { body } = await post(stub, '/get-spend', { workerName: 'test-worker' });
+		const expected = { requests: 10, prompt_tokens: 1000, completion_tokens: 500, neurons: 15, usd: 0.00017 };
+		expect(body).toEqual({ daily: expected, monthly: expected });
+		expect((await post(stub, '/get-spend', { workerName: 'other-worker' })).body.daily.requests).toBe(0);
+	});
+
+	it('rejects unknown algorithms and windows', async () => {
+		const stub = stubFor();
+		expect((await post(stub, '/consume', { ...consume, algorithm: 'leaky_bucket' })).status).toBe(400);
+		expect((await post(stub, '/increment', { windowType: 'yearly', workerName: 'test-worker' })).status).toBe(400);
+		expect((await post(stub, '/add-spend', { cost: { neurons: 1 } })).status).toBe(400);
+	});
+});
+
+describe('EnhancedRateLimiter algorithm limits', () => {
+	const config = { algorithm: 'token_bucket', limits: { hourly: 2, daily: 100 } };
+
+	it('enforces the limit under concurrent requests through the Durable Object', async () => {
+		const limiter = new EnhancedRateLimiter(env, config);
+		const clientIP = `198.51.100.${++subjectCounter}`;
+		const results = await Promise.all(Array.from({ length: 6 }, () => limiter.checkAlgorithmLimits(clientIP, 'test-worker', config.limits)));
+
+		expect(results.filter(result => result.allowed)).toHaveLength(2);
+		expect(results.find(result => !result.allowed)).toMatchObject({ exceeded_window: 'hourly', algorithm: 'token_bucket' });
+	});
+
+	it('lets a request through when the KV fallback cannot save its state', async () => {
+		const kvEnv = {
+			FAQ_RATE_LIMITS: {
+				get: async () => null,
+				put: async () => {
+					throw new Error('KV PUT failed: 429 Too Many Requests');
+				}
+			}
+		};
+		const result = await new EnhancedRateLimiter(kvEnv, config).checkAlgorithmLimits('192.0.2.1', 'test-worker', config.limits);
+
+		expect(result.allowed).toBe(true);
+		expect(result.remaining_by_window.hourly).toBe(1);
+	});
+});
@@ -10,10 +10,16 @@
  * - Grammar enhancement and JIT learning explanations
  * - Website context integration with intelligent content analysis
  * - Comprehensive content analysis with filterDuplicateAnswers() function
- * - Robust JSON parsing with multiple fallback methods (4 methods)
- * - Exponential backoff retry logic with detailed error categorization
+ * - Schema-validated JSON output per mode with a repair prompt before falling back (parse_attempts, repaired)
+ * - Shared AI client: exponential backoff, error categorization and a configurable model fallback chain
  * - Multiple generation modes: generate, improve, validate, expand, examples, tone
- * - Enhanced IP-based rate limiting with violation tracking and progressive penalties
+ * - Multilingual answers: language requested or detected from the question, language-aware grammar fixes
+ * - Prompt wording from the shared KV prompt registry (versioned, per-worker overrides), reported in metadata
+ * - A/B experiments: session/IP-hashed variant assignment, tagged in metadata, outcomes at /experiments
+ * - Per-request token/neuron cost in metadata; daily totals per worker, IP and API key at /admin/costs
+ * - Daily/monthly neuron budgets: cheaper model near the limit, rule-based suggestions (degraded) when exhausted
+ * - Rate limiting through the shared EnhancedRateLimiter (dynamic limits, violation tracking, progressive penalties)
+ * - API keys (Authorization: Bearer) with per-key plans: quotas, allowed workers and origins
  * - Model: @cf/meta/llama-3.1-8b-instruct (2 neurons per request)
  *
  * REMEDIATION COMPLETE: Updated to 3.1.0-advanced-cache-optimized ✅
@@ -23,54 +29,48 @@
 
 import { generateDynamicHealthResponse, trackCacheHit, trackCacheMiss } from '../../shared/health-utils.js';
 import { cacheAIModelConfig, invalidateWorkerCaches, initializeCacheManager } from '../../shared/advanced-cache-manager.js';
+import { resolveLanguage, getLanguageInstruction } from '../../shared/language-utils.js';
+import { renderPrompt } from '../../shared/prompt-registry.js';
+import { categorizeError, summarizeAIUsage } from '../../shared/ai-client.js';
+import { generateStructuredOutput } from '../../shared/structured-output.js';
+import { assignExperimentVariant, experimentTag, recordExperimentOutcome, handleExperimentRequest } from '../../shared/experiments.js';
+import { calculateAICost, recordAICost, handleCostRequest } from '../../shared/cost-accounting.js';
+import { checkAIBudget, budgetTag } from '../../shared/ai-budget.js';
+import { checkWorkerRateLimit, rateLimitExceededResponse } from '../../shared/rate-limit.js';
+
+// Shared AI client settings: configured fallback models, then this worker's default
+const AI_CLIENT_CONFIG = { workerType: 'answer_generator', defaultModel: '@cf/meta/llama-3.1-8b-instruct' };
 
-// Rate limiting utilities - FREE KV-based implementation
-const rateLimitCache = new Map();
-const CACHE_TTL = 60000; // 1 minute cache
-
-async function checkRateLimit(env, clientIP, config = {}) {
-  const limit = config.limit || 100; // Default: 100 requests per hour
-  const window = config.window || 3600; // Default: 1 hour
-  const now = Date.now();
-  const key = `rl:${clientIP}`;
-  
-  // Check cache first to reduce KV reads
-  const cached = rateLimitCache.get(clientIP);
-  if (cached && cached.expires > now) {
-    return { allowed: !cached.blocked, remaining: cached.remaining || 0 };
-  }
-  
-  try {
-    const data = await env.FAQ_RATE_LIMITS.get(key, { type: 'json' }) || { count: 0, windowStart: now };
-    
-    // Reset window if expired
-    if (now - data.windowStart > window * 1000) {
-      data.count = 0;
-      data.windowStart = now;
-    }
-    
-    // Check if rate limited
-    if (data.count >= limit) {
-      rateLimitCache.set(clientIP, { blocked: true, remaining: 0, expires: now + CACHE_TTL });
-      return { allowed: false, remaining: 0 };
+/**
+ * Output schema per mode: a JSON array of suggestions with text, benefit and reason
+ */
+function suggestionListSchema(maxItems, textMaxLength) {
+  return {
+    type: 'array',
+    minItems: 1,
+    maxItems,
+    items: {
+      type: 'object',
+      required: ['text', 'benefit', 'reason'],
+      properties: {
+        text: { type: 'string', minLength: 6, maxLength: textMaxLength },
+        benefit: { type: 'string', minLength: 1 },
+        reason: { type: 'string', minLength: 1 },
+        type: { type: 'string' }
+      }
     }
-    
-    // Increment counter
-    data.count++;
-    await env.FAQ_RATE_LIMITS.put(key, JSON.stringify(data), {
-      expirationTtl: window * 2 // Auto-cleanup after 2x window
-    });
-    
-    const remaining = limit - data.count;
-    rateLimitCache.set(clientIP, { blocked: false, remaining, expires: now + CACHE_TTL });
-    return { allowed: true, remaining };
-    
-  } catch (error) {
-    console.error('Rate limit check failed:', error);
-    return { allowed: true, remaining: -1 }; // Fail open
-  }
+  };
 }
 
+const ANSWER_MODE_SCHEMAS = {
+  'answer-generation': suggestionListSchema(5, 2000),
+  'answer-improvement': suggestionListSchema(5, 2000),
+  'answer-validation': suggestionListSchema(5, 500),
+  'answer-expansion': suggestionListSchema(5, 2000),
+  'answer-examples': suggestionListSchema(5, 2000),
+  'answer-tone': suggestionListSchema(5, 2000)
+};
+
 /**
  * Get AI model name dynamically from KV store with enhanced caching
  */
@@ -165,48 +165,65 @@ async function getAIModelInfo(env, workerType = 'answer_generator') {
 }
 
 /**
- * Improve grammar and formatting of text suggestions
+ * Improve grammar and formatting of text suggestions.
+ * English-specific rules (a/an, question words, common word fixes) only run for English text;
+ * punctuation spacing is skipped for scripts that do not separate words with spaces.
  */
-function improveGrammar(text) {
+function improveGrammar(text, language = 'en') {
   if (!text || typeof text !== 'string') return text;
   
   const originalText = text.trim();
   let improved = originalText;
+  const isEnglish = language === 'en';
+  const usesWordSpacing = !['ja', 'zh', 'ko', 'th'].includes(language);
   
   // Fix basic capitalization
   improved = improved.charAt(0).toUpperCase() + improved.slice(1);
   
   // Fix question mark spacing and ensure questions end with ?
-  improved = improved.replace(/\s*\?\s*$/, '?');
-  if (improved.match(/^(how|what|why|when|where|which|who|can|should|will|would|could|do|does|did|is|are|was|were)/i) && !improved.endsWith('?')) {
+  if (language !== 'fr') {
+    improved = improved.replace(/\s*\?\s*$/, '?');
+  }
+  if (isEnglish && improved.match(/^(how|what|why|when|where|which|who|can|should|will|would|could|do|does|did|is|are|was|were)/i) && !improved.endsWith('?')) {
     improved += '?';
   }
   
-  // Fix common grammar issues
-  improved = improved
-    // Fix double spaces
-    .replace(/\s+/g, ' ')
-    // Fix spacing around punctuation
-    .replace(/\s+([,.!?;:])/g, '$1')
-    .replace(/([,.!?;:])\s*/g, '$1 ')
-    // Fix "a" vs "an"
-    .replace(/\ba\s+([aeiouAEIOU])/g, 'an $1')
-    .replace(/\ban\s+([^aeiouAEIOU])/g, 'a $1')
-    // Fix common word issues
-    .replace(/\bits\s+own\b/gi, 'its own')
-    .replace(/\byour\s+welcome\b/gi, "you're welcome")
-    .replace(/\bwho's\b/gi, 'whose')
-    // Ensure proper sentence ending
-    .replace(/([^.!?])\s*$/, '$1');
+  // Fix double spaces
+  improved = improved.replace(/\s+/g, ' ');
+  
+  // Fix spacing around punctuation (French keeps its space before ! ? ; :)
+  if (usesWordSpacing) {
+    improved = improved
+      .replace(language === 'fr' ? /\s+([,.])/g : /\s+([,.!?;:])/g, '$1')
+      .replace(/([,.!?;:])\s*/g, '$1 ');
+  }
+  
+  if (isEnglish) {
+    improved = improved
+      // Fix "a" vs "an"
+      .replace(/\ba\s+([aeiouAEIOU])/g, 'an $1')
+      .replace(/\ban\s+([^aeiouAEIOU])/g, 'a $1')
+      // Fix common word issues
+      .replace(/\bits\s+own\b/gi, 'its own')
+      .replace(/\byour\s+welcome\b/gi, "you're welcome")
+      .replace(/\bwho's\b/gi, 'whose');
+  }
+  
+  // Ensure proper sentence ending
+  improved = improved.replace(/([^.!?])\s*$/, '$1');
   
   // Fix common FAQ-specific issues
   improved = improved
     .replace(/\bSEO\b/g, 'SEO') // Ensure SEO is uppercase
     .replace(/\bAPI\b/g, 'API') // Ensure API is uppercase
     .replace(/\bURL\b/g, 'URL') // Ensure URL is uppercase
-    .replace(/\bHTTPS?\b/gi, 'HTTPS') // Fix protocol naming
-    .replace(/\bwebsite\s+website\b/gi, 'website') // Remove duplicates
-    .replace(/\bthe\s+the\b/gi, 'the'); // Remove duplicate articles
+    .replace(/\bHTTPS?\b/gi, 'HTTPS'); // Fix protocol naming
+  
+  if (isEnglish) {
+    improved = improved
+      .replace(/\bwebsite\s+website\b/gi, 'website') // Remove duplicates
+      .replace(/\bthe\s+the\b/gi, 'the'); // Remove duplicate articles
+  }
   
   // Ensure questions don't end with period before question mark
   improved = improved.replace(/\.\?$/, '?');
@@ -363,7 +380,7 @@ export default {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, X-Request-ID',
+      'Access-Control-Allow-Headers': 'Content-Type, X-Request-ID, Authorization, X-API-Key',
       'Access-Control-Max-Age': '86400'
     };
 
@@ -473,6 +490,7 @@ export default {
             'duplicate_prevention',
             'grammar_checking',
             'contextual_suggestions',
+            'multilingual_answers',
             'enhanced_rate_limiting',
             'ip_management'
           ]
@@ -510,6 +528,23 @@ export default {
       }
     }
 
+    // A/B experiment results and accept/reject feedback; feedback counts against the worker's rate limits
+    if (url.pathname.startsWith('/experiments')) {
+      if (request.method === 'POST') {
+        const rateLimitResult = await checkWorkerRateLimit(env, 'faq-answer-generator-worker', request.headers.get('CF-Connecting-IP') || 'unknown', request);
+        if (!rateLimitResult.allowed) {
+          return rateLimitExceededResponse(rateLimitResult, corsHeaders);
+        }
+      }
+
+      const experimentResponse = await handleExperimentRequest(request, env, 'answer_generator', corsHeaders);
+      if (experimentResponse) return experimentResponse;
+    }
+
+    // Admin: daily AI cost totals per worker, client IP and API key
+    const costResponse = await handleCostRequest(request, env, corsHeaders);
+    if (costResponse) return costResponse;
+
     // Only accept POST requests for main functionality
     if (request.method !== 'POST') {
       return new Response(JSON.stringify({
@@ -532,6 +567,8 @@ export default {
         tone = 'professional',  // For tone adjustment mode
         websiteContext = '',    // Optional pre-fetched context
         pageUrl = '',          // Optional page URL (for reference only)
+        language = '',         // Optional language code; detected from the question when omitted
+        sessionId = '',        // Optional session id; experiment assignment unit (falls back to IP)
         forceRefresh = false,
         cacheBypass = null
       } = requestData;
@@ -570,33 +607,32 @@ export default {
 
       console.log(`[Main Handler] Processing request from IP: ${clientIP}`);
 
-      // Check rate limit before processing request
-      let rateLimitConfig = { limit: 30, window: 3600 }; // 30 AI generations per hour
-
-      const rateLimitResult = await checkRateLimit(env, clientIP, rateLimitConfig);
+      // Check rate limit before processing request (limits come from the worker's dynamic config)
+      const rateLimitResult = await checkWorkerRateLimit(env, 'faq-answer-generator-worker', clientIP, request);
 
       if (!rateLimitResult.allowed) {
-        return new Response(JSON.stringify({
-          error: 'Rate limit exceeded. Please try again later.',
-          retryAfter: 3600
-        }), {
-          status: 429,
-          headers: {
-            'Content-Type': 'application/json',
-            'Retry-After': '3600',
-            'X-RateLimit-Limit': '30',
-            'X-RateLimit-Remaining': '0',
-            ...corsHeaders
-          }
-        });
+        return rateLimitExceededResponse(rateLimitResult, corsHeaders);
       }
 
+      // Resolve the answer language: explicit request, otherwise detected from the question and context
+      const answerLanguage = resolveLanguage({ requested: language, text: [question, ...answers, websiteContext].join(' ') });
+      console.log(`[Main Handler] Answer language: ${answerLanguage.code} (${answerLanguage.source})`);
+
+      // A/B experiment variant (model, prompt version, temperature) for this session or IP
+      const experiment = await assignExperimentVariant(env, 'answer_generator', sessionId || clientIP);
+
+      // AI budget: cheapest fallback-chain model when close to the limit, rule-based suggestions once exhausted
+      const budget = await checkAIBudget(env, 'answer_generator', {
+        model: experiment?.model || await getAIModel(env, 'answer_generator'),
+        defaultModel: AI_CLIENT_CONFIG.defaultModel
+      });
+
       // Check cache first (unless force refresh)
       let cacheKey = null;
       let cacheCheckDuration = 0;
       if (!forceRefresh && !cacheBypass) {
         const cacheStartTime = Date.now();
-        cacheKey = createCacheKey(question, answers, mode, websiteContext, tone);
+        cacheKey = createCacheKey(question, answers, mode, websiteContext, tone, answerLanguage.code, experiment?.variant_id);
         if (cacheKey) {
           const cached = await getCachedResponse(cacheKey, env);
           cacheCheckDuration = ((Date.now() - cacheStartTime) / 1000).toFixed(2);
@@ -626,6 +662,9 @@ export default {
       // Analyze question for better answer suggestions
       const analysisStartTime = Date.now();
       const questionAnalysis = analyzeQuestionForAnswers(question, answers);
+      questionAnalysis.language = answerLanguage;
+      questionAnalysis.experiment = experiment;
+      questionAnalysis.budget = budget;
       const analysisDuration = ((Date.now() - analysisStartTime) / 1000).toFixed(2);
       
       console.log(`[Main Handler] Question analysis completed in ${analysisDuration}s:`);
@@ -639,41 +678,46 @@ export default {
       
       console.log(`[Main Handler] Starting ${mode} generation with duplicate prevention...`);
       
-      switch (mode) {
-        case 'generate':
-        case 'create':
-          suggestions = await generateEnhancedAnswerSuggestions(question, answers, questionAnalysis, env, websiteContext);
-          break;
+      if (budget.degraded) {
+        console.warn(`[Main Handler] AI budget exhausted - serving rule-based ${mode} suggestions`);
+        suggestions = getBudgetFallbackSuggestions(mode, question, answers, questionAnalysis, tone);
+      } else {
+        switch (mode) {
+          case 'generate':
+          case 'create':
+            suggestions = await generateEnhancedAnswerSuggestions(question, answers, questionAnalysis, env, websiteContext);
+            break;
           
-        case 'improve':
-        case 'enhance':
-        case 'regenerate':
-          suggestions = await generateEnhancedAnswerImprovements(question, answers, questionAnalysis, env, websiteContext);
-          break;
+          case 'improve':
+          case 'enhance':
+          case 'regenerate':
+            suggestions = await generateEnhancedAnswerImprovements(question, answers, questionAnalysis, env, websiteContext);
+            break;
           
-        case 'validate':
-        case 'tips':
-          suggestions = await generateEnhancedAnswerValidation(question, answers, questionAnalysis, env, websiteContext);
-          break;
+          case 'validate':
+          case 'tips':
+            suggestions = await generateEnhancedAnswerValidation(question, answers, questionAnalysis, env, websiteContext);
+            break;
           
-        case 'expand':
-        case 'detail':
-          suggestions = await generateEnhancedAnswerExpansion(question, answers, questionAnalysis, env, websiteContext);
-          break;
+          case 'expand':
+          case 'detail':
+            suggestions = await generateEnhancedAnswerExpansion(question, answers, questionAnalysis, env, websiteContext);
+            break;
           
-        case 'examples':
-        case 'demo':
-          suggestions = await generateEnhancedAnswerExamples(question, answers, questionAnalysis, env, websiteContext);
-          break;
+          case 'examples':
+          case 'demo':
+            suggestions = await generateEnhancedAnswerExamples(question, answers, questionAnalysis, env, websiteContext);
+            break;
           
-        case 'tone':
-        case 'style':
-          suggestions = await generateEnhancedAnswerToneAdjustment(question, answers, questionAnalysis, env, websiteContext, tone);
-          break;
+          case 'tone':
+          case 'style':
+            suggestions = await generateEnhancedAnswerToneAdjustment(question, answers, questionAnalysis, env, websiteContext, tone);
+            break;
           
-        default:
-          console.warn(`[Main Handler] Unknown mode: ${mode}, defaulting to generate`);
-          suggestions = await generateEnhancedAnswerSuggestions(question, answers, questionAnalysis, env, websiteContext);
+          default:
+            console.warn(`[Main Handler] Unknown mode: ${mode}, defaulting to generate`);
+            suggestions = await generateEnhancedAnswerSuggestions(question, answers, questionAnalysis, env, websiteContext);
+        }
       }
       
       const generationDuration = ((Date.now() - generationStartTime) / 1000).toFixed(2);
@@ -681,11 +725,23 @@ export default {
 
       console.log(`[Rate Limiting] Request processed successfully for IP ${clientIP}`);
 
+      if (experiment && !budget.degraded) {
+        ctx.waitUntil(recordExperimentOutcome(env, experiment, {
+          ...(questionAnalysis.aiOutcome || { parse_success: false, fallback: true }),
+          latency_ms: Date.now() - generationStartTime
+        }));
+      }
+
+      // Per-request AI cost, added to today's worker, client IP and API key totals
+      const cost = await calculateAICost(env, questionAnalysis.aiUsage);
+      ctx.waitUntil(recordAICost(env, { workerType: 'answer_generator', clientIP, apiKeyId: rateLimitResult.api_key || undefined }, cost));
+
       // Build enhanced response with educational value
       const response = {
         success: true,
         mode: mode,
         contextual: true,
+        degraded: budget.degraded,
         suggestions: suggestions,
         analysis: {
           questionType: questionAnalysis.questionType,
@@ -697,16 +753,25 @@ export default {
           duplicatesAvoided: questionAnalysis.duplicatesAvoided || 0
         },
         metadata: {
-          model: await getAIModel(env, 'answer_generator'),
-          neurons_used: 2, // Updated for Llama 3.1 8B
+          model: budget.degraded ? null : questionAnalysis.aiModel || experiment?.model || await getAIModel(env, 'answer_generator'),
+          neurons_used: cost.neurons,
+          cost,
           context_applied: websiteContext ? true : false,
+          language: answerLanguage,
+          prompt_template: questionAnalysis.promptTemplate || null,
+          experiment: experimentTag(experiment),
+          budget: budgetTag(budget),
+          ai_usage: questionAnalysis.aiUsage ? summarizeAIUsage(questionAnalysis.aiUsage) : null,
+          parse_attempts: questionAnalysis.structuredOutput?.parse_attempts ?? null,
+          repaired: questionAnalysis.structuredOutput?.repaired ?? false,
           page_url_provided: pageUrl ? true : false,
           grammar_checked: true,
           cached: false,
           timestamp: new Date().toISOString(),
           rate_limit: {
-            used: rateLimitConfig.limit - rateLimitResult.remaining,
-            limits: { daily: rateLimitConfig.limit },
+            reason: rateLimitResult.reason,
+            usage: rateLimitResult.usage,
+            limits: rateLimitResult.limits,
             remaining: rateLimitResult.remaining
           },
           performance: {
@@ -718,8 +783,8 @@ export default {
         }
       };
 
-      // Cache the response
-      if (cacheKey) {
+      // Cache the response (not degraded ones, so AI suggestions return once the budget allows)
+      if (cacheKey && !budget.degraded) {
         const cacheSetStart = Date.now();
         await cacheResponse(cacheKey, response, env);
         const cacheSetDuration = ((Date.now() - cacheSetStart) / 1000).toFixed(2);
@@ -782,34 +847,40 @@ async function generateEnhancedAnswerSuggestions(question, answers, analysis, en
   console.log(`[Enhanced Answer Generation] Question type: ${analysis.questionType}, Answer approach: ${analysis.answerApproach}`);
   console.log(`[Enhanced Answer Generation] Avoiding duplicates from ${answers.length} existing answers`);
   
-  const prompt = buildEnhancedAnswerGenerationPrompt(question, answers, analysis, websiteContext);
+  const { system, user: prompt } = await resolveAnswerPrompt(env, 'answer_generation', {
+    system: 'Generate high-quality answer suggestions in JSON format. Focus on being helpful and accurate. Return format: [{"text": "answer", "benefit": "why this helps", "reason": "explanation", "type": "answer-type"}]',
+    user: buildEnhancedAnswerGenerationPrompt(question, answers, analysis, websiteContext)
+  }, question, answers, analysis, websiteContext);
   console.log(`[Enhanced Answer Generation] Prompt built, calling AI...`);
   
   // Get dynamic AI model for this worker type
-  const aiModel = await getAIModel(env, 'answer_generator');
+  const aiModel = analysis.budget?.model || analysis.experiment?.model || await getAIModel(env, 'answer_generator');
   
-  const aiResult = await callAIWithRetry(env.AI, aiModel, {
+  const aiResult = await generateStructuredOutput(env, aiModel, {
     messages: [
       {
         role: 'system',
-        content: 'Generate high-quality answer suggestions in JSON format. Focus on being helpful and accurate. Return format: [{"text": "answer", "benefit": "why this helps", "reason": "explanation", "type": "answer-type"}]'
+        content: system
       },
       { role: 'user', content: prompt }
     ],
     max_tokens: 1200,  // Increased for enhanced context utilization
-    temperature: 0.7   // Increased for more creative context-aware responses
-  }, 'Enhanced Answer Generation');
+    temperature: analysis.experiment?.temperature ?? 0.7   // Increased for more creative context-aware responses
+  }, 'Enhanced Answer Generation', { ...AI_CLIENT_CONFIG, schema: ANSWER_MODE_SCHEMAS['answer-generation'] });
+  recordStructuredOutput(analysis, aiResult);
 
   const totalDuration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
   
-  if (aiResult.success) {
+  if (aiResult.valid) {
     console.log(`[Enhanced Answer Generation] AI call successful in ${aiResult.duration}s, parsing response...`);
-    const rawSuggestions = parseEnhancedResponse(aiResult.response.response, 'answer-generation');
+    const rawSuggestions = normalizeSuggestions(aiResult.data, 'answer-generation', analysis.language?.code);
     const filteredSuggestions = filterDuplicateAnswers(rawSuggestions, analysis.duplicatePatterns, 'Enhanced Answer Generation');
+    analysis.aiOutcome = { parse_success: rawSuggestions.length > 0, fallback: filteredSuggestions.length === 0 };
     console.log(`[Enhanced Answer Generation] Total step completed in ${totalDuration}s, returned ${filteredSuggestions.length} unique suggestions`);
     return filteredSuggestions.length > 0 ? filteredSuggestions : getEnhancedAnswerGenerationFallbacks(question, analysis, answers);
   } else {
     console.error(`[Enhanced Answer Generation] AI failed after ${aiResult.duration}s: ${aiResult.error}`);
+    analysis.aiOutcome = { parse_success: false, fallback: true };
     const fallbacks = getEnhancedAnswerGenerationFallbacks(question, analysis, answers);
     console.log(`[Enhanced Answer Generation] Using ${fallbacks.length} fallback suggestions, total time: ${totalDuration}s`);
     return fallbacks;
@@ -825,34 +896,40 @@ async function generateEnhancedAnswerImprovements(question, answers, analysis, e
   console.log(`[Enhanced Answer Improvement] Existing answers to improve: ${answers.length}`);
   console.log(`[Enhanced Answer Improvement] Answer guidance: [${analysis.answerGuidance.join(', ')}]`);
   
-  const prompt = buildEnhancedAnswerImprovementPrompt(question, answers, analysis, websiteContext);
+  const { system, user: prompt } = await resolveAnswerPrompt(env, 'answer_improvement', {
+    system: 'Generate improved answer suggestions in JSON format. Focus on making answers more helpful and clear. Return format: [{"text": "improved-answer", "benefit": "benefit", "reason": "reason", "type": "answer-type"}]',
+    user: buildEnhancedAnswerImprovementPrompt(question, answers, analysis, websiteContext)
+  }, question, answers, analysis, websiteContext);
   console.log(`[Enhanced Answer Improvement] Prompt built (${prompt.length} chars), calling AI...`);
   
   // Get dynamic AI model for this worker type
-  const aiModel = await getAIModel(env, 'answer_generator');
+  const aiModel = analysis.budget?.model || analysis.experiment?.model || await getAIModel(env, 'answer_generator');
   
-  const aiResult = await callAIWithRetry(env.AI, aiModel, {
+  const aiResult = await generateStructuredOutput(env, aiModel, {
     messages: [
       {
         role: 'system',
-        content: 'Generate improved answer suggestions in JSON format. Focus on making answers more helpful and clear. Return format: [{"text": "improved-answer", "benefit": "benefit", "reason": "reason", "type": "answer-type"}]'
+        content: system
       },
       { role: 'user', content: prompt }
     ],
     max_tokens: 1300,  // Increased for improvement suggestions with enhanced context
-    temperature: 0.6   // Balanced for creative improvements
-  }, 'Enhanced Answer Improvement');
+    temperature: analysis.experiment?.temperature ?? 0.6   // Balanced for creative improvements
+  }, 'Enhanced Answer Improvement', { ...AI_CLIENT_CONFIG, schema: ANSWER_MODE_SCHEMAS['answer-improvement'] });
+  recordStructuredOutput(analysis, aiResult);
 
   const totalDuration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
   
-  if (aiResult.success) {
+  if (aiResult.valid) {
     console.log(`[Enhanced Answer Improvement] AI call successful in ${aiResult.duration}s, parsing response...`);
-    const rawSuggestions = parseEnhancedResponse(aiResult.response.response, 'answer-improvement');
+    const rawSuggestions = normalizeSuggestions(aiResult.data, 'answer-improvement', analysis.language?.code);
     const filteredSuggestions = filterDuplicateAnswers(rawSuggestions, analysis.duplicatePatterns, 'Enhanced Answer Improvement');
+    analysis.aiOutcome = { parse_success: rawSuggestions.length > 0, fallback: filteredSuggestions.length === 0 };
     console.log(`[Enhanced Answer Improvement] Total step completed in ${totalDuration}s, returned ${filteredSuggestions.length} unique suggestions`);
     return filteredSuggestions.length > 0 ? filteredSuggestions : getEnhancedAnswerImprovementFallbacks(question, analysis, answers);
   } else {
     console.error(`[Enhanced Answer Improvement] AI failed after ${aiResult.duration}s: ${aiResult.error}`);
+    analysis.aiOutcome = { parse_success: false, fallback: true };
     const fallbacks = getEnhancedAnswerImprovementFallbacks(question, analysis, answers);
     console.log(`[Enhanced Answer Improvement] Using ${fallbacks.length} fallback suggestions, total time: ${totalDuration}s`);
     return fallbacks;
@@ -867,33 +944,39 @@ async function generateEnhancedAnswerValidation(question, answers, analysis, env
   console.log(`[Enhanced Answer Validation] Starting validation for question: "${question.substring(0, 50)}..."`);
   console.log(`[Enhanced Answer Validation] Analysis shows ${analysis.answerGuidance.length} guidance tips: [${analysis.answerGuidance.join(', ')}]`);
   
-  const prompt = buildEnhancedAnswerValidationPrompt(question, answers, analysis, websiteContext);
+  const { system, user: prompt } = await resolveAnswerPrompt(env, 'answer_validation', {
+    system: 'Generate answer quality tips in JSON format. Focus on practical improvements. Return format: [{"text": "validation-tip", "benefit": "benefit", "reason": "reason", "type": "tip"}]',
+    user: buildEnhancedAnswerValidationPrompt(question, answers, analysis, websiteContext)
+  }, question, answers, analysis, websiteContext);
   console.log(`[Enhanced Answer Validation] Prompt built, calling AI for quality assessment...`);
   
   // Get dynamic AI model for this worker type
-  const aiModel = await getAIModel(env, 'answer_generator');
+  const aiModel = analysis.budget?.model || analysis.experiment?.model || await getAIModel(env, 'answer_generator');
   
-  const aiResult = await callAIWithRetry(env.AI, aiModel, {
+  const aiResult = await generateStructuredOutput(env, aiModel, {
     messages: [
       {
         role: 'system',
-        content: 'Generate answer quality tips in JSON format. Focus on practical improvements. Return format: [{"text": "validation-tip", "benefit": "benefit", "reason": "reason", "type": "tip"}]'
+        content: system
       },
       { role: 'user', content: prompt }
     ],
     max_tokens: 1000,  // Increased for enhanced validation tips
-    temperature: 0.5   // Balanced for quality tips
-  }, 'Enhanced Answer Validation');
+    temperature: analysis.experiment?.temperature ?? 0.5   // Balanced for quality tips
+  }, 'Enhanced Answer Validation', { ...AI_CLIENT_CONFIG, schema: ANSWER_MODE_SCHEMAS['answer-validation'] });
+  recordStructuredOutput(analysis, aiResult);
 
   const totalDuration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
   
-  if (aiResult.success) {
+  if (aiResult.valid) {
     console.log(`[Enhanced Answer Validation] AI call successful in ${aiResult.duration}s, parsing tips...`);
-    const suggestions = parseEnhancedResponse(aiResult.response.response, 'answer-validation');
+    const suggestions = normalizeSuggestions(aiResult.data, 'answer-validation', analysis.language?.code);
+    analysis.aiOutcome = { parse_success: suggestions.length > 0, fallback: suggestions.length === 0 };
     console.log(`[Enhanced Answer Validation] Total step completed in ${totalDuration}s, returned ${suggestions.length} validation tips`);
     return suggestions.length > 0 ? suggestions : getEnhancedAnswerValidationFallbacks(question, analysis, answers);
   } else {
     console.error(`[Enhanced Answer Validation] AI failed after ${aiResult.duration}s: ${aiResult.error}`);
+    analysis.aiOutcome = { parse_success: false, fallback: true };
     const fallbacks = getEnhancedAnswerValidationFallbacks(question, analysis, answers);
     console.log(`[Enhanced Answer Validation] Using ${fallbacks.length} fallback tips, total time: ${totalDuration}s`);
     return fallbacks;
@@ -907,34 +990,40 @@ async function generateEnhancedAnswerExpansion(question, answers, analysis, env,
   const stepStartTime = Date.now();
   console.log(`[Enhanced Answer Expansion] Starting expansion for question: "${question.substring(0, 50)}..."`);
   
-  const prompt = buildEnhancedAnswerExpansionPrompt(question, answers, analysis, websiteContext);
+  const { system, user: prompt } = await resolveAnswerPrompt(env, 'answer_expansion', {
+    system: 'Generate expanded answer versions in JSON format. Add valuable detail and context. Return format: [{"text": "expanded-answer", "benefit": "benefit", "reason": "reason", "type": "expanded-answer"}]',
+    user: buildEnhancedAnswerExpansionPrompt(question, answers, analysis, websiteContext)
+  }, question, answers, analysis, websiteContext);
   console.log(`[Enhanced Answer Expansion] Prompt built, calling AI for expansion...`);
   
   // Get dynamic AI model for this worker type
-  const aiModel = await getAIModel(env, 'answer_generator');
+  const aiModel = analysis.budget?.model || analysis.experiment?.model || await getAIModel(env, 'answer_generator');
   
-  const aiResult = await callAIWithRetry(env.AI, aiModel, {
+  const aiResult = await generateStructuredOutput(env, aiModel, {
     messages: [
       {
         role: 'system',
-        content: 'Generate expanded answer versions in JSON format. Add valuable detail and context. Return format: [{"text": "expanded-answer", "benefit": "benefit", "reason": "reason", "type": "expanded-answer"}]'
+        content: system
       },
       { role: 'user', content: prompt }
     ],
     max_tokens: 1200,
-    temperature: 0.6
-  }, 'Enhanced Answer Expansion');
+    temperature: analysis.experiment?.temperature ?? 0.6
+  }, 'Enhanced Answer Expansion', { ...AI_CLIENT_CONFIG, schema: ANSWER_MODE_SCHEMAS['answer-expansion'] });
+  recordStructuredOutput(analysis, aiResult);
 
   const totalDuration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
   
-  if (aiResult.success) {
+  if (aiResult.valid) {
     console.log(`[Enhanced Answer Expansion] AI call successful in ${aiResult.duration}s, parsing response...`);
-    const rawSuggestions = parseEnhancedResponse(aiResult.response.response, 'answer-expansion');
+    const rawSuggestions = normalizeSuggestions(aiResult.data, 'answer-expansion', analysis.language?.code);
     const filteredSuggestions = filterDuplicateAnswers(rawSuggestions, analysis.duplicatePatterns, 'Enhanced Answer Expansion');
+    analysis.aiOutcome = { parse_success: rawSuggestions.length > 0, fallback: filteredSuggestions.length === 0 };
     console.log(`[Enhanced Answer Expansion] Total step completed in ${totalDuration}s, returned ${filteredSuggestions.length} unique suggestions`);
     return filteredSuggestions.length > 0 ? filteredSuggestions : getEnhancedAnswerExpansionFallbacks(question, analysis, answers);
   } else {
     console.error(`[Enhanced Answer Expansion] AI failed after ${aiResult.duration}s: ${aiResult.error}`);
+    analysis.aiOutcome = { parse_success: false, fallback: true };
     const fallbacks = getEnhancedAnswerExpansionFallbacks(question, analysis, answers);
     console.log(`[Enhanced Answer Expansion] Using ${fallbacks.length} fallback suggestions, total time: ${totalDuration}s`);
     return fallbacks;
@@ -948,34 +1037,40 @@ async function generateEnhancedAnswerExamples(question, answers, analysis, env,
   const stepStartTime = Date.now();
   console.log(`[Enhanced Answer Examples] Starting examples for question: "${question.substring(0, 50)}..."`);
   
-  const prompt = buildEnhancedAnswerExamplesPrompt(question, answers, analysis, websiteContext);
+  const { system, user: prompt } = await resolveAnswerPrompt(env, 'answer_examples', {
+    system: 'Generate answers with practical examples in JSON format. Include concrete examples. Return format: [{"text": "answer-with-examples", "benefit": "benefit", "reason": "reason", "type": "example-answer"}]',
+    user: buildEnhancedAnswerExamplesPrompt(question, answers, analysis, websiteContext)
+  }, question, answers, analysis, websiteContext);
   console.log(`[Enhanced Answer Examples] Prompt built, calling AI for examples...`);
   
   // Get dynamic AI model for this worker type
-  const aiModel = await getAIModel(env, 'answer_generator');
+  const aiModel = analysis.budget?.model || analysis.experiment?.model || await getAIModel(env, 'answer_generator');
   
-  const aiResult = await callAIWithRetry(env.AI, aiModel, {
+  const aiResult = await generateStructuredOutput(env, aiModel, {
     messages: [
       {
         role: 'system',
-        content: 'Generate answers with practical examples in JSON format. Include concrete examples. Return format: [{"text": "answer-with-examples", "benefit": "benefit", "reason": "reason", "type": "example-answer"}]'
+        content: system
       },
       { role: 'user', content: prompt }
     ],
     max_tokens: 1100,
-    temperature: 0.6
-  }, 'Enhanced Answer Examples');
+    temperature: analysis.experiment?.temperature ?? 0.6
+  }, 'Enhanced Answer Examples', { ...AI_CLIENT_CONFIG, schema: ANSWER_MODE_SCHEMAS['answer-examples'] });
+  recordStructuredOutput(analysis, aiResult);
 
   const totalDuration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
   
-  if (aiResult.success) {
+  if (aiResult.valid) {
     console.log(`[Enhanced Answer Examples] AI call successful in ${aiResult.duration}s, parsing response...`);
-    const rawSuggestions = parseEnhancedResponse(aiResult.response.response, 'answer-examples');
+    const rawSuggestions = normalizeSuggestions(aiResult.data, 'answer-examples', analysis.language?.code);
     const filteredSuggestions = filterDuplicateAnswers(rawSuggestions, analysis.duplicatePatterns, 'Enhanced Answer Examples');
+    analysis.aiOutcome = { parse_success: rawSuggestions.length > 0, fallback: filteredSuggestions.length === 0 };
     console.log(`[Enhanced Answer Examples] Total step completed in ${totalDuration}s, returned ${filteredSuggestions.length} unique suggestions`);
     return filteredSuggestions.length > 0 ? filteredSuggestions : getEnhancedAnswerExamplesFallbacks(question, analysis, answers);
   } else {
     console.error(`[Enhanced Answer Examples] AI failed after ${aiResult.duration}s: ${aiResult.error}`);
+    analysis.aiOutcome = { parse_success: false, fallback: true };
     const fallbacks = getEnhancedAnswerExamplesFallbacks(question, analysis, answers);
     console.log(`[Enhanced Answer Examples] Using ${fallbacks.length} fallback suggestions, total time: ${totalDuration}s`);
     return fallbacks;
@@ -989,34 +1084,40 @@ async function generateEnhancedAnswerToneAdjustment(question, answers, analysis,
   const stepStartTime = Date.now();
   console.log(`[Enhanced Answer Tone] Starting tone adjustment to '${tone}' for question: "${question.substring(0, 50)}..."`);
   
-  const prompt = buildEnhancedAnswerTonePrompt(question, answers, analysis, websiteContext, tone);
+  const { system, user: prompt } = await resolveAnswerPrompt(env, 'answer_tone', {
+    system: `Generate tone-adjusted answers in JSON format. Adjust to ${tone} tone while keeping accuracy. Return format: [{"text": "tone-adjusted-answer", "benefit": "benefit", "reason": "reason", "type": "tone-adjusted"}]`,
+    user: buildEnhancedAnswerTonePrompt(question, answers, analysis, websiteContext, tone)
+  }, question, answers, analysis, websiteContext, { tone });
   console.log(`[Enhanced Answer Tone] Prompt built, calling AI for tone adjustment...`);
   
   // Get dynamic AI model for this worker type
-  const aiModel = await getAIModel(env, 'answer_generator');
+  const aiModel = analysis.budget?.model || analysis.experiment?.model || await getAIModel(env, 'answer_generator');
   
-  const aiResult = await callAIWithRetry(env.AI, aiModel, {
+  const aiResult = await generateStructuredOutput(env, aiModel, {
     messages: [
       {
         role: 'system',
-        content: `Generate tone-adjusted answers in JSON format. Adjust to ${tone} tone while keeping accuracy. Return format: [{"text": "tone-adjusted-answer", "benefit": "benefit", "reason": "reason", "type": "tone-adjusted"}]`
+        content: system
       },
       { role: 'user', content: prompt }
     ],
     max_tokens: 1000,
-    temperature: 0.5
-  }, 'Enhanced Answer Tone');
+    temperature: analysis.experiment?.temperature ?? 0.5
+  }, 'Enhanced Answer Tone', { ...AI_CLIENT_CONFIG, schema: ANSWER_MODE_SCHEMAS['answer-tone'] });
+  recordStructuredOutput(analysis, aiResult);
 
   const totalDuration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
   
-  if (aiResult.success) {
+  if (aiResult.valid) {
     console.log(`[Enhanced Answer Tone] AI call successful in ${aiResult.duration}s, parsing response...`);
-    const rawSuggestions = parseEnhancedResponse(aiResult.response.response, 'answer-tone');
+    const rawSuggestions = normalizeSuggestions(aiResult.data, 'answer-tone', analysis.language?.code);
     const filteredSuggestions = filterDuplicateAnswers(rawSuggestions, analysis.duplicatePatterns, 'Enhanced Answer Tone');
+    analysis.aiOutcome = { parse_success: rawSuggestions.length > 0, fallback: filteredSuggestions.length === 0 };
     console.log(`[Enhanced Answer Tone] Total step completed in ${totalDuration}s, returned ${filteredSuggestions.length} unique suggestions`);
     return filteredSuggestions.length > 0 ? filteredSuggestions : getEnhancedAnswerToneFallbacks(question, analysis, answers, tone);
   } else {
     console.error(`[Enhanced Answer Tone] AI failed after ${aiResult.duration}s: ${aiResult.error}`);
+    analysis.aiOutcome = { parse_success: false, fallback: true };
     const fallbacks = getEnhancedAnswerToneFallbacks(question, analysis, answers, tone);
     console.log(`[Enhanced Answer Tone] Using ${fallbacks.length} fallback suggestions, total time: ${totalDuration}s`);
     return fallbacks;
@@ -1024,82 +1125,41 @@ async function generateEnhancedAnswerToneAdjustment(question, answers, analysis,
 }
 
 /**
- * Robust AI call wrapper with retry logic and detailed timing
+ * Keep model, usage and schema-validation stats from a mode's AI call for response metadata
  */
-async function callAIWithRetry(aiBinding, model, options, stepName, maxRetries = 3) {
-  const overallStartTime = Date.now();
-  console.log(`[AI Retry] Starting ${stepName} with model ${model}, max retries: ${maxRetries}`);
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    const attemptStartTime = Date.now();
-    console.log(`[AI Retry] ${stepName} attempt ${attempt}/${maxRetries}...`);
-    
-    try {
-      const response = await aiBinding.run(model, options);
-      const attemptDuration = ((Date.now() - attemptStartTime) / 1000).toFixed(2);
-      const totalDuration = ((Date.now() - overallStartTime) / 1000).toFixed(2);
-      
-      console.log(`[AI Retry] ${stepName} SUCCESS on attempt ${attempt} - Attempt: ${attemptDuration}s, Total: ${totalDuration}s`);
-      
-      return {
-        success: true,
-        response: response,
-        duration: totalDuration,
-        attempts: attempt,
-        error: null
-      };
-      
-    } catch (error) {
-      const attemptDuration = ((Date.now() - attemptStartTime) / 1000).toFixed(2);
-      const errorType = categorizeError(error);
-      
-      console.error(`[AI Retry] ${stepName} FAILED attempt ${attempt}/${maxRetries} (${attemptDuration}s) - ${errorType}: ${error.message}`);
-      
-      // If this was the last attempt, return failure
-      if (attempt === maxRetries) {
-        const totalDuration = ((Date.now() - overallStartTime) / 1000).toFixed(2);
-        console.error(`[AI Retry] ${stepName} EXHAUSTED all ${maxRetries} attempts in ${totalDuration}s - giving up`);
-        
-        return {
-          success: false,
-          response: null,
-          duration: totalDuration,
-          attempts: attempt,
-          error: `${errorType}: ${error.message}`
-        };
-      }
-      
-      // Calculate exponential backoff delay
-      const baseDelay = 1000; // 1 second
-      const backoffDelay = baseDelay * Math.pow(2, attempt - 1); // 1s, 2s, 4s
-      const jitter = Math.random() * 500; // Add up to 500ms jitter
-      const delay = backoffDelay + jitter;
-      
-      console.log(`[AI Retry] ${stepName} waiting ${(delay / 1000).toFixed(2)}s before retry ${attempt + 1}...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
+function recordStructuredOutput(analysis, aiResult) {
+  analysis.aiModel = aiResult.model;
+  analysis.aiUsage = aiResult.usage;
+  analysis.structuredOutput = { parse_attempts: aiResult.parse_attempts, repaired: aiResult.repaired };
 }
 
 /**
- * Categorize errors for better debugging
+ * Resolve a mode's prompt through the shared registry, recording the template version on the analysis.
+ * Registry templates can use {{question}}, {{answers}}, {{website_context}}, {{language_instruction}},
+ * {{question_type}}, {{answer_guidance}}, {{quality_score}} and, for tone mode, {{tone}}.
  */
-function categorizeError(error) {
-  const message = error.message?.toLowerCase() || '';
-  
-  if (message.includes('timeout') || message.includes('time out')) {
-    return 'TIMEOUT';
-  } else if (message.includes('rate limit') || message.includes('too many requests')) {
-    return 'RATE_LIMIT';
-  } else if (message.includes('network') || message.includes('fetch')) {
-    return 'NETWORK';
-  } else if (message.includes('model') || message.includes('binding')) {
-    return 'MODEL_ERROR';
-  } else if (message.includes('quota') || message.includes('usage')) {
-    return 'QUOTA_EXCEEDED';
-  } else {
-    return 'UNKNOWN';
-  }
+async function resolveAnswerPrompt(env, templateId, builtin, question, answers, analysis, websiteContext, extraVariables = {}) {
+  const rendered = await renderPrompt(env, 'answer_generator', templateId, {
+    question,
+    answers: answers.map(a => `- ${a}`).join('\n'),
+    website_context: websiteContext ? websiteContext.substring(0, 500) : '',
+    language_instruction: getLanguageInstruction(analysis.language?.code),
+    question_type: analysis.questionType,
+    answer_guidance: analysis.answerGuidance.join('\n'),
+    quality_score: analysis.answerGuideScore,
+    ...extraVariables
+  }, builtin, { version: analysis.experiment?.prompt_versions?.[templateId] });
+
+  analysis.promptTemplate = rendered.template;
+  return rendered;
+}
+
+/**
+ * Prompt line asking for non-English output (English prompts are left unchanged)
+ */
+function buildLanguageHint(analysis) {
+  const code = analysis.language?.code;
+  return code && code !== 'en' ? `\nLanguage: ${getLanguageInstruction(code)}` : '';
 }
 
 /**
@@ -1107,6 +1167,7 @@ function categorizeError(error) {
  */
 function buildEnhancedAnswerGenerationPrompt(question, answers, analysis, websiteContext) {
   const contextHint = websiteContext ? `Website context: ${websiteContext.substring(0, 500)}` : '';
+  const languageHint = buildLanguageHint(analysis);
   
   let existingAnswersText = '';
   if (answers.length > 0) {
@@ -1118,7 +1179,7 @@ function buildEnhancedAnswerGenerationPrompt(question, answers, analysis, websit
 Focus on being helpful, accurate, and providing different perspectives.
 
 Question: "${question}"
-${contextHint}
+${contextHint}${languageHint}
 
 Requirements:
 - Provide both a concise answer and a detailed explanation
@@ -1131,6 +1192,7 @@ Return as JSON array with: text (the answer), benefit (value to user), reason (w
 
 function buildEnhancedAnswerImprovementPrompt(question, answers, analysis, websiteContext) {
   const contextHint = websiteContext ? `Website context: ${websiteContext.substring(0, 500)}` : '';
+  const languageHint = buildLanguageHint(analysis);
   
   let existingAnswersText = '';
   if (answers.length > 0) {
@@ -1141,7 +1203,7 @@ function buildEnhancedAnswerImprovementPrompt(question, answers, analysis, websi
   return `Improve the existing answers to make them more helpful and clear.
 
 Question: "${question}"
-${contextHint}
+${contextHint}${languageHint}
 ${existingAnswersText}
 Improvements needed:
 ${analysis.answerGuidance.join('\n')}
@@ -1151,11 +1213,12 @@ Return 3 improved versions as JSON array with: text, benefit, reason, type`;
 
 function buildEnhancedAnswerValidationPrompt(question, answers, analysis, websiteContext) {
   const contextHint = websiteContext ? `Context: ${websiteContext.substring(0, 400)}` : '';
+  const languageHint = buildLanguageHint(analysis);
   
   return `Provide 3 quality improvement tips for FAQ answers.
 
 Question: "${question}"
-${contextHint}
+${contextHint}${languageHint}
 Current quality score: ${analysis.answerGuideScore}/100
 Question type: ${analysis.questionType}
 
@@ -1166,6 +1229,7 @@ Return as JSON array with: text (the tip), benefit, reason, type='tip'`;
 
 function buildEnhancedAnswerExpansionPrompt(question, answers, analysis, websiteContext) {
   const contextHint = websiteContext ? `Website context: ${websiteContext.substring(0, 500)}` : '';
+  const languageHint = buildLanguageHint(analysis);
   
   let currentAnswerText = '';
   if (answers.length > 0) {
@@ -1175,7 +1239,7 @@ function buildEnhancedAnswerExpansionPrompt(question, answers, analysis, website
   return `Create 2 expanded versions with more detail and context.
 
 Question: "${question}"
-${contextHint}
+${contextHint}${languageHint}
 ${currentAnswerText}
 Add valuable details, examples, and comprehensive information while maintaining clarity.
 
@@ -1184,11 +1248,12 @@ Return as JSON array with: text, benefit, reason, type='expanded-answer'`;
 
 function buildEnhancedAnswerExamplesPrompt(question, answers, analysis, websiteContext) {
   const contextHint = websiteContext ? `Website context: ${websiteContext.substring(0, 500)}` : '';
+  const languageHint = buildLanguageHint(analysis);
   
   return `Create 2 answers that include practical examples.
 
 Question: "${question}"
-${contextHint}
+${contextHint}${languageHint}
 
 Include 2-3 specific, practical examples that demonstrate the concepts clearly.
 
@@ -1197,6 +1262,7 @@ Return as JSON array with: text, benefit, reason, type='example-answer'`;
 
 function buildEnhancedAnswerTonePrompt(question, answers, analysis, websiteContext, tone) {
   const contextHint = websiteContext ? `Website context: ${websiteContext.substring(0, 500)}` : '';
+  const languageHint = buildLanguageHint(analysis);
   
   let currentAnswerText = '';
   if (answers.length > 0) {
@@ -1206,7 +1272,7 @@ function buildEnhancedAnswerTonePrompt(question, answers, analysis, websiteConte
   return `Adjust the answer to match a ${tone} tone.
 
 Question: "${question}"
-${contextHint}
+${contextHint}${languageHint}
 ${currentAnswerText}
 Maintain accuracy while adjusting the language style.
 
@@ -1214,105 +1280,17 @@ Return 2 versions as JSON array with: text, benefit, reason, type='tone-adjusted
 }
 
 /**
- * Improved JSON parsing with better error handling
+ * Clean schema-validated suggestions: grammar fixes, default type and length bounds
  */
-function parseEnhancedResponse(aiResponse, mode) {
-  if (!aiResponse || typeof aiResponse !== 'string') {
-    console.error(`[Parse Enhanced ${mode}] ❌ Invalid response type:`, typeof aiResponse);
-    return getFallbackSuggestions_Fixed(mode);
-  }
-
-  console.log(`[Parse Enhanced ${mode}] Raw response (${aiResponse.length} chars):`, aiResponse.substring(0, 200));
-
-  let cleaned = aiResponse.trim();
-  
-  // Clean up common AI response patterns
-  cleaned = cleaned
-    .replace(/^```json\s*/i, '')
-    .replace(/```\s*$/, '')
-    .replace(/^Here's the JSON array:\s*/i, '')
-    .replace(/^JSON response:\s*/i, '');
-
-  // Try to find JSON array
-  const jsonMatch = cleaned.match(/\[[\s\S]*\]/);
-  if (jsonMatch) {
-    try {
-      const parsed = JSON.parse(jsonMatch[0]);
-      console.log(`[Parse Enhanced ${mode}] ✅ JSON parsing successful - ${parsed.length} items found`);
-      
-      // Validate and clean structure
-      const validated = parsed
-        .filter(item => item && typeof item === 'object' && item.text && item.benefit && item.reason)
-        .map(item => ({
-          text: improveGrammar(String(item.text).trim()),
-          benefit: improveGrammar(String(item.benefit).trim()),
-          reason: improveGrammar(String(item.reason).trim()),
-          type: item.type || (mode.includes('tip') ? 'tip' : 'answer')
-        }))
-        .filter(item => item.text.length > 5 && item.text.length < 2000); // Increased max length
-      
-      console.log(`[Parse Enhanced ${mode}] ✅ Validated ${validated.length} suggestions`);
-      return validated.length > 0 ? validated : getFallbackSuggestions_Fixed(mode);
-      
-    } catch (jsonError) {
-      console.error(`[Parse Enhanced ${mode}] ❌ JSON parse error:`, jsonError.message);
-      return tryAdvancedExtraction(cleaned, mode);
-    }
-  }
-  
-  // Fallback to advanced extraction
-  return tryAdvancedExtraction(cleaned, mode);
-}
-
-/**
- * Advanced extraction methods for fallback parsing
- */
-function tryAdvancedExtraction(text, mode) {
-  console.log(`[Parse Enhanced ${mode}] 🔄 Trying advanced extraction methods`);
-  
-  // Method 1: Extract JSON objects with regex
-  const objectPattern = /\{\s*"text"\s*:\s*"([^"]+)"\s*,\s*"benefit"\s*:\s*"([^"]+)"\s*,\s*"reason"\s*:\s*"([^"]+)"\s*(?:,\s*"type"\s*:\s*"([^"]+)")?\s*\}/g;
-  const objectMatches = [...text.matchAll(objectPattern)];
-  
-  if (objectMatches.length > 0) {
-    console.log(`[Parse Enhanced ${mode}] ✅ Method 1: Found ${objectMatches.length} complete JSON objects`);
-    return objectMatches.map(match => ({
-      text: improveGrammar(match[1].trim()),
-      benefit: improveGrammar(match[2].trim()),
-      reason: improveGrammar(match[3].trim()),
-      type: match[4] || (mode.includes('tip') ? 'tip' : 'answer')
-    }));
-  }
-  
-  // Method 2: Extract partial objects and reconstruct
-  const textPattern = /"text"\s*:\s*"([^"]+)"/gi;
-  const benefitPattern = /"benefit"\s*:\s*"([^"]+)"/gi;
-  const reasonPattern = /"reason"\s*:\s*"([^"]+)"/gi;
-  
-  const texts = [...text.matchAll(textPattern)];
-  const benefits = [...text.matchAll(benefitPattern)];
-  const reasons = [...text.matchAll(reasonPattern)];
-  
-  if (texts.length > 0 && benefits.length > 0 && reasons.length > 0) {
-    console.log(`[Parse Enhanced ${mode}] ✅ Method 2: Reconstructing from ${Math.min(texts.length, benefits.length, reasons.length)} partial objects`);
-    
-    const reconstructed = [];
-    const maxItems = Math.min(texts.length, benefits.length, reasons.length, 3);
-    
-    for (let i = 0; i < maxItems; i++) {
-      reconstructed.push({
-        text: improveGrammar(texts[i][1].trim()),
-        benefit: improveGrammar(benefits[i][1].trim()),
-        reason: improveGrammar(reasons[i][1].trim()),
-        type: mode.includes('tip') ? 'tip' : 'answer'
-      });
-    }
-    
-    return reconstructed;
-  }
-  
-  console.warn(`[Parse Enhanced ${mode}] ❌ All advanced extraction methods failed`);
-  return getFallbackSuggestions_Fixed(mode);
+function normalizeSuggestions(items, mode, language = 'en') {
+  return items
+    .map(item => ({
+      text: improveGrammar(String(item.text).trim(), language),
+      benefit: improveGrammar(String(item.benefit).trim(), language),
+      reason: improveGrammar(String(item.reason).trim(), language),
+      type: item.type || (mode.includes('tip') ? 'tip' : 'answer')
+    }))
+    .filter(item => item.text.length > 5 && item.text.length < 2000);
 }
 
 /**
@@ -1343,70 +1321,6 @@ function generateContextualFallbacks(question, analysis) {
   return suggestions;
 }
 
-/**
- * BETTER FALLBACK SUGGESTIONS
- */
-function getFallbackSuggestions_Fixed(mode) {
-  const fallbacks = {
-    'answer-generation': [
-      {
-        text: "This topic requires more specific information to provide an accurate answer",
-        benefit: "Honest response",
-        reason: "Users appreciate honesty when information is limited",
-        type: "short-answer"
-      },
-      {
-        text: "For the most accurate and detailed information about this topic, I recommend consulting relevant documentation or expert sources",
-        benefit: "Comprehensive guidance",
-        reason: "Directing users to authoritative sources builds trust",
-        type: "expanded-answer"
-      }
-    ],
-    'answer-improvement': [
-      {
-        text: "Consider adding specific examples to make your answer more practical",
-        benefit: "Better user understanding",
-        reason: "Examples help users apply information immediately",
-        type: "improved-answer"
-      }
-    ],
-    'answer-validation': [
-      {
-        text: "Ensure your answer directly addresses the user's question",
-        benefit: "Better relevance",
-        reason: "Direct answers improve user satisfaction",
-        type: "tip"
-      }
-    ],
-    'answer-expansion': [
-      {
-        text: "Add context and background information to help users understand the topic better",
-        benefit: "Complete understanding",
-        reason: "Context helps users make informed decisions",
-        type: "expanded-answer"
-      }
-    ],
-    'answer-examples': [
-      {
-        text: "Include real-world examples that users can relate to their situation",
-        benefit: "Practical application",
-        reason: "Relatable examples increase engagement and understanding",
-        type: "example-answer"
-      }
-    ],
-    'answer-tone': [
-      {
-        text: "Adjust language to match your audience's expertise level",
-        benefit: "Better communication",
-        reason: "Appropriate tone improves user experience",
-        type: "tone-adjusted"
-      }
-    ]
-  };
-  
-  return fallbacks[mode] || fallbacks['answer-generation'];
-}
-
 /**
  * Enhanced fallback answer suggestions with educational benefits and duplicate prevention
  */
@@ -1570,6 +1484,32 @@ function getEnhancedAnswerToneFallbacks(question, analysis, existingAnswers, ton
   }];
 }
 
+/**
+ * Rule-based suggestions for a mode, served without any AI call when the AI budget is exhausted
+ */
+function getBudgetFallbackSuggestions(mode, question, answers, analysis, tone) {
+  switch (mode) {
+    case 'improve':
+    case 'enhance':
+    case 'regenerate':
+      return getEnhancedAnswerImprovementFallbacks(question, analysis, answers);
+    case 'validate':
+    case 'tips':
+      return getEnhancedAnswerValidationFallbacks(question, analysis, answers);
+    case 'expand':
+    case 'detail':
+      return getEnhancedAnswerExpansionFallbacks(question, analysis, answers);
+    case 'examples':
+    case 'demo':
+      return getEnhancedAnswerExamplesFallbacks(question, analysis, answers);
+    case 'tone':
+    case 'style':
+      return getEnhancedAnswerToneFallbacks(question, analysis, answers, tone);
+    default:
+      return getEnhancedAnswerGenerationFallbacks(question, analysis, answers);
+  }
+}
+
 function getFallbackAnswerSuggestions(question, answers, mode) {
   if (!question) return [];
   
@@ -1584,7 +1524,7 @@ function getFallbackAnswerSuggestions(question, answers, mode) {
 /**
  * STABLE CACHE KEY GENERATION - Enhanced for Answer Generation
  */
-function createCacheKey(question, answers, mode, websiteContext, tone = '') {
+function createCacheKey(question, answers, mode, websiteContext, tone = '', language = 'en', variantId = '') {
   if (!question) {
     return null; // Don't cache if no question
   }
@@ -1594,12 +1534,12 @@ function createCacheKey(question, answers, mode, websiteContext, tone = '') {
   const toneHash = tone ? tone.substring(0, 10) : '';
   
   // Create more stable hash by normalizing inputs
-  const normalizedQuestion = question.toLowerCase().trim().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, '_');
-  const normalizedContext = contextHash.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const normalizedQuestion = question.toLowerCase().trim().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, '_');
+  const normalizedContext = contextHash.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
   const normalizedTone = toneHash.toLowerCase().replace(/[^a-z0-9]/g, '');
   
   // Create stable cache input
-  const cacheInput = `${normalizedQuestion}_${answerCount}_${mode}_${normalizedContext}_${normalizedTone}`;
+  const cacheInput = `${normalizedQuestion}_${answerCount}_${mode}_${normalizedContext}_${normalizedTone}_${language}${variantId ? `_${variantId}` : ''}`;
   
   // Simple hash function that's consistent
   let hash = 0;
@@ -1,20 +1,133 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import worker from '../src';
+import { initializeCacheManager } from '../../shared/advanced-cache-manager.js';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+const SUGGESTIONS = [
+	{ text: 'Orders usually arrive within three to five working days after dispatch.', benefit: 'Sets clear expectations', reason: 'Gives a concrete timeframe', type: 'short-answer' },
+	{ text: 'Standard delivery takes three to five working days, and express delivery arrives the next working day when ordered before noon.', benefit: 'Covers both options', reason: 'Answers follow-up questions up front', type: 'detailed-answer' }
+];
+
+let clientCounter = 0;
+
+function mockEnv(fixtures = { default: JSON.stringify(SUGGESTIONS) }, overrides = {}) {
+	return { ...env, AI_PROVIDER: 'mock', AI_MOCK_FIXTURES: fixtures, ...overrides };
+}
+
+async function callWorker(path, { method = 'POST', body, headers = {}, env: workerEnv = mockEnv() } = {}) {
+	const request = new Request(`https://worker.test${path}`, {
+		method,
+		body: body === undefined ? undefined : JSON.stringify(body),
+		headers: { 'CF-Connecting-IP': `198.51.100.${++clientCounter % 250}`, ...headers }
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, workerEnv, ctx);
+	const text = await response.text();
+	await waitOnExecutionContext(ctx);
+	return new Response(text, response);
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('answer modes', () => {
+	const question = 'How long does delivery take?';
+	const answers = ['It depends on where you live.'];
+
+	it.each(['generate', 'improve', 'validate', 'expand', 'examples', 'tone'])('%s returns the AI suggestions', async mode => {
+		const response = await callWorker('/', { body: { question, answers, mode, tone: 'friendly', forceRefresh: true } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.success).toBe(true);
+		expect(result.mode).toBe(mode);
+		expect(result.degraded).toBe(false);
+		expect(result.suggestions.map(suggestion => suggestion.text)).toContain(SUGGESTIONS[0].text);
+		expect(result.metadata.parse_attempts).toBe(1);
+		expect(result.metadata.language.code).toBe('en');
+	});
+
+	it('falls back to rule-based suggestions when the AI call fails', async () => {
+		const response = await callWorker('/', {
+			body: { question, mode: 'generate', forceRefresh: true },
+			env: mockEnv({ default: { error: 'model unavailable' } })
+		});
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.suggestions.length).toBeGreaterThan(0);
+		expect(result.suggestions.map(suggestion => suggestion.text)).not.toContain(SUGGESTIONS[0].text);
+	});
+
+	it('sends one repair prompt for output that does not match the mode schema', async () => {
+		const response = await callWorker('/', {
+			body: { question, mode: 'generate', forceRefresh: true },
+			env: mockEnv({ default: '[{"text": "too short"}]' })
+		});
+		const result = await response.json();
+
+		expect(result.metadata.parse_attempts).toBe(2);
+		expect(result.metadata.repaired).toBe(false);
+		expect(result.suggestions.length).toBeGreaterThan(0);
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('serves a repeated request from cache', async () => {
+		const body = { question: 'Do you deliver to Ireland?', mode: 'generate' };
+
+		const first = await (await callWorker('/', { body })).json();
+		const second = await (await callWorker('/', { body })).json();
+
+		expect(first.metadata.cached).toBe(false);
+		expect(second.metadata.cached).toBe(true);
+		expect(second.suggestions).toEqual(first.suggestions);
+	});
+
+	it('requires a question', async () => {
+		const response = await callWorker('/', { body: { mode: 'generate' } });
+		expect(response.status).toBe(400);
+	});
+});
+
+describe('experiments', () => {
+	const experiments = {
+		experiments: {
+			answer_generator: { id: 'answer-test', status: 'running', variants: [{ id: 'only', weight: 100 }] }
+		}
+	};
+
+	beforeEach(async () => {
+		await env.AI_MODEL_CONFIG.put('ai_experiments', JSON.stringify(experiments));
+		// Earlier requests cached "no experiment" in memory
+		await initializeCacheManager('answer_generator', env).invalidate('experiments:ai_experiments');
+	});
+
+	it('accepts one vote per feedback token and reports it in the results', async () => {
+		const generated = await (await callWorker('/', { body: { question: 'Can I change my order?', mode: 'generate', forceRefresh: true } })).json();
+		const tag = generated.metadata.experiment;
+
+		expect(tag).toMatchObject({ experiment_id: 'answer-test', variant_id: 'only' });
+		expect(tag.feedback_token).toEqual(expect.any(String));
+
+		const vote = { ...tag, accepted: true };
+		expect((await callWorker('/experiments/feedback', { body: vote })).status).toBe(200);
+		expect((await callWorker('/experiments/feedback', { body: vote })).status).toBe(403);
+
+		const results = await (await callWorker('/experiments', { method: 'GET' })).json();
+		expect(results.variants[0]).toMatchObject({ variant_id: 'only', requests: 1, feedback: { accepted: 1, rejected: 0 } });
+	});
+
+	it('rejects feedback without a token', async () => {
+		const response = await callWorker('/experiments/feedback', {
+			body: { experiment_id: 'answer-test', variant_id: 'only', accepted: false }
+		});
+
+		expect(response.status).toBe(400);
 	});
 });
@@ -2,58 +2,60 @@
 // UPDATED: Llama 3.1 8B model, KV-based rate limiting, 2 answer types (Optimised & Detailed)
 // All original functionality preserved
 // MIGRATED: From expensive Durable Object rate limiting to FREE KV-based rate limiting
+// AI calls go through the shared AI client (timeouts, retries, model fallback chain)
+// Model output is validated against a JSON schema, with a repair prompt before the fallback structure
+// Per-request token/neuron cost in model_info; daily totals per worker, IP and API key at /admin/costs
+// Daily/monthly neuron budgets: cheaper model near the limit, fallback enhancements (degraded) when exhausted
+// Rate limiting through the shared EnhancedRateLimiter: dynamic limits, whitelist/blacklist, progressive penalties
+// API keys (Authorization: Bearer) with per-key plans: quotas, allowed workers and origins
+// Page context is fetched via the shared polite fetcher: robots.txt, honest bot user agent, per-host budget
 
 import { htmlToText } from 'html-to-text';
 import { parse as parseHTML } from 'node-html-parser';
 import { generateDynamicHealthResponse, trackCacheHit, trackCacheMiss } from '../../shared/health-utils.js';
 import { cacheAIModelConfig, invalidateWorkerCaches, initializeCacheManager } from '../../shared/advanced-cache-manager.js';
-
-// Rate limiting utilities - FREE KV-based implementation
-const rateLimitCache = new Map();
-const CACHE_TTL_RATE_LIMIT = 60000; // 1 minute cache
-
-async function checkRateLimit(env, clientIP, config = {}) {
-  const limit = config.limit || 100; // Default: 100 requests per hour
-  const window = config.window || 3600; // Default: 1 hour
-  const now = Date.now();
-  const key = `rl:${clientIP}`;
-  
-  // Check cache first to reduce KV reads
-  const cached = rateLimitCache.get(clientIP);
-  if (cached && cached.expires > now) {
-    return { allowed: !cached.blocked, remaining: cached.remaining || 0 };
-  }
-  
-  try {
-    const data = await env.FAQ_RATE_LIMITS.get(key, { type: 'json' }) || { count: 0, windowStart: now };
-    
-    // Reset window if expired
-    if (now - data.windowStart > window * 1000) {
-      data.count = 0;
-      data.windowStart = now;
-    }
-    
-    // Check if rate limited
-    if (data.count >= limit) {
-      rateLimitCache.set(clientIP, { blocked: true, remaining: 0, expires: now + CACHE_TTL_RATE_LIMIT });
-      return { allowed: false, remaining: 0 };
-    }
-    
-    // Increment counter
-    data.count++;
-    await env.FAQ_RATE_LIMITS.put(key, JSON.stringify(data), {
-      expirationTtl: window * 2 // Auto-cleanup after 2x window
-    });
-    
-    const remaining = limit - data.count;
-    rateLimitCache.set(clientIP, { blocked: false, remaining, expires: now + CACHE_TTL_RATE_LIMIT });
-    return { allowed: true, remaining };
-    
-  } catch (error) {
-    console.error('Rate limit check failed:', error);
-    return { allowed: true, remaining: -1 }; // Fail open
+import { renderPrompt } from '../../shared/prompt-registry.js';
+import { summarizeAIUsage } from '../../shared/ai-client.js';
+import { generateStructuredOutput } from '../../shared/structured-output.js';
+import { assignExperimentVariant, experimentTag, recordExperimentOutcome, handleExperimentRequest } from '../../shared/experiments.js';
+import { calculateAICost, recordAICost, handleCostRequest } from '../../shared/cost-accounting.js';
+import { checkAIBudget, budgetTag } from '../../shared/ai-budget.js';
+import { checkWorkerRateLimit, rateLimitExceededResponse } from '../../shared/rate-limit.js';
+import { politeFetch } from '../../shared/polite-fetch.js';
+
+// Shared AI client settings: configured fallback models, then this worker's default
+const AI_CLIENT_CONFIG = { workerType: 'faq_enhancer', defaultModel: '@cf/meta/llama-3.1-8b-instruct' };
+
+// Required core of the enhancement JSON; validateAndEnhanceResponse fills in optional sections
+const ENHANCEMENT_SCHEMA = {
+  type: 'object',
+  required: ['question_variations'],
+  properties: {
+    question_variations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['question', 'answers'],
+        properties: {
+          question: { type: 'string', minLength: 5 },
+          reason: { type: 'string' },
+          answers: {
+            type: 'object',
+            required: ['optimised', 'detailed'],
+            properties: {
+              optimised: { type: 'string', minLength: 20 },
+              detailed: { type: 'string', minLength: 20 }
+            }
+          }
+        }
+      }
+    },
+    additional_suggestions: { type: 'array', items: { type: 'object' } },
+    seo_analysis: { type: 'object' },
+    quality_scores: { type: 'object' }
   }
-}
+};
 
 // Session-based context caching with TTL
 const sessionContextCache = new Map();
@@ -167,25 +169,16 @@ async function getAIModelInfo(env, workerType = 'faq_enhancer') {
 }
 
 /**
- * Get current accurate usage counts for response metadata
+ * Usage counts for response metadata, including this request (the limiter reports usage before counting it)
  */
-async function getCurrentUsageForResponse(env, clientIP) {
-  try {
-    const key = `rl:${clientIP}`;
-    const data = await env.FAQ_RATE_LIMITS.get(key, { type: 'json' });
-    if (data) {
-      return {
-        hourly: data.count || 0,
-        daily: data.count || 0,
-        weekly: data.count || 0,
-        monthly: data.count || 0
-      };
-    }
-    return { hourly: 0, daily: 0, weekly: 0, monthly: 0 };
-  } catch (error) {
-    console.error('[Response Metadata] Error getting current usage:', error);
-    return { hourly: 0, daily: 0, weekly: 0, monthly: 0 };
+function getCurrentUsageForResponse(rateLimitResult) {
+  const usage = { hourly: 0, daily: 0, weekly: 0, monthly: 0 };
+  if (!rateLimitResult.usage) return usage;
+
+  for (const period of Object.keys(usage)) {
+    usage[period] = (rateLimitResult.usage[period] || 0) + 1;
   }
+  return usage;
 }
 
 export default {
@@ -200,7 +193,7 @@ export default {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
       'Access-Control-Max-Age': '86400',
     };
 
@@ -348,6 +341,23 @@ export default {
       }
     }
 
+    // A/B experiment results and accept/reject feedback; feedback counts against the worker's rate limits
+    if (url.pathname.startsWith('/experiments')) {
+      if (request.method === 'POST') {
+        const rateLimitResult = await checkWorkerRateLimit(env, 'faq-enhancement-worker', request.headers.get('CF-Connecting-IP') || 'unknown', request);
+        if (!rateLimitResult.allowed) {
+          return rateLimitExceededResponse(rateLimitResult, corsHeaders);
+        }
+      }
+
+      const experimentResponse = await handleExperimentRequest(request, env, 'faq_enhancer', corsHeaders);
+      if (experimentResponse) return experimentResponse;
+    }
+
+    // Admin: daily AI cost totals per worker, client IP and API key
+    const costResponse = await handleCostRequest(request, env, corsHeaders);
+    if (costResponse) return costResponse;
+
     // Only accept POST requests for main functionality
     if (request.method !== 'POST') {
       return new Response('Method not allowed', { 
@@ -380,25 +390,11 @@ export default {
 
       console.log(`Processing enhancement request from IP: ${clientIP}`);
 
-      // Check rate limit before processing request with enhancement-specific config
-      let rateLimitConfig = { limit: 25, window: 3600 }; // 25 enhancements per hour
-
-      const rateLimitResult = await checkRateLimit(env, clientIP, rateLimitConfig);
+      // Check rate limit before processing request (limits come from the worker's dynamic config)
+      const rateLimitResult = await checkWorkerRateLimit(env, 'faq-enhancement-worker', clientIP, request);
 
       if (!rateLimitResult.allowed) {
-        return new Response(JSON.stringify({
-          error: 'Rate limit exceeded. Please try again later.',
-          retryAfter: 3600
-        }), {
-          status: 429,
-          headers: {
-            'Content-Type': 'application/json',
-            'Retry-After': '3600',
-            'X-RateLimit-Limit': '25',
-            'X-RateLimit-Remaining': '0',
-            ...corsHeaders
-          }
-        });
+        return rateLimitExceededResponse(rateLimitResult, corsHeaders);
       }
 
       console.log(`Rate limit check passed. Remaining: ${rateLimitResult.remaining}`);
@@ -420,7 +416,7 @@ export default {
       }
 
       // UPDATED PROMPT FOR 2 ANSWER TYPES - STRICT JSON ONLY
-      const enhancementPrompt = `CRITICAL: Return ONLY valid JSON. No explanations, no introductory text, no comments. Your response must start with { and end with }.
+      const builtinEnhancementPrompt = `CRITICAL: Return ONLY valid JSON. No explanations, no introductory text, no comments. Your response must start with { and end with }.
 
 Analyze this FAQ and provide 2-3 improved question variations that stay on the same topic.
 
@@ -483,163 +479,152 @@ RETURN ONLY THIS JSON STRUCTURE (no additional text):
 
 IMPORTANT: Return ONLY the JSON object above. No other text.`;
 
-      // Get dynamic AI model for this worker
-      const aiModel = await getAIModel(env, 'faq_enhancer');
+      // A/B experiment variant (model, prompt version, temperature) for this session or IP
+      const experiment = await assignExperimentVariant(env, 'faq_enhancer', sessionId || clientIP);
+
+      // AI budget: cheapest fallback-chain model when close to the limit, fallback enhancements once exhausted
+      const budget = await checkAIBudget(env, 'faq_enhancer', {
+        model: experiment?.model || await getAIModel(env, 'faq_enhancer'),
+        defaultModel: AI_CLIENT_CONFIG.defaultModel
+      });
+
+      // KV prompt registry wording wins over the built-in prompt when a template is configured
+      const { system: enhancementSystemPrompt, user: enhancementPrompt, template: promptTemplate } = await renderPrompt(env, 'faq_enhancer', 'faq_enhancement', {
+        question: sanitizedQuestion,
+        answer: sanitizedAnswer,
+        page_context: pageContext
+      }, {
+        system: 'You are an expert FAQ optimizer. CRITICAL: Return ONLY valid JSON. No explanations, no introductory text, no comments. Your response must begin with { and end with }. Create 2-3 question variations with exactly 2 answer types each: "optimised" (50-100 words for featured snippets) and "detailed" (200-300 words for comprehensive coverage).',
+        user: builtinEnhancementPrompt
+      }, { version: experiment?.prompt_versions?.faq_enhancement });
+
+      // Dynamic AI model for this worker (or the cheaper one the budget check picked)
+      const aiModel = budget.model;
       console.log(`[AI Model] Using model: ${aiModel} for faq_enhancer worker`);
 
-      // AI call with retry logic and timeout protection
+      // AI call through the shared client (per-attempt timeout, retries, model fallback chain)
       const MAX_WAIT_TIME = 15000; // 15 seconds max per attempt
       const MAX_RETRIES = 3;
       let lastError = null;
       let enhancements = null;
-      
-      console.log(`Starting AI enhancement with ${MAX_RETRIES} retry attempts available`);
-      
-      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        try {
-          console.log(`AI call attempt ${attempt}/${MAX_RETRIES} using model: ${aiModel}...`);
-          
-          // Create timeout promise
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error(`AI timeout after ${MAX_WAIT_TIME/1000} seconds`)), MAX_WAIT_TIME)
-          );
-          
-          // Race between AI call and timeout
-          const aiResponse = await Promise.race([
-            env.AI.run(
-              aiModel, // DYNAMIC MODEL FROM KV CONFIG
-              {
-                messages: [
-                  {
-                    role: 'system',
-                    content: 'You are an expert FAQ optimizer. CRITICAL: Return ONLY valid JSON. No explanations, no introductory text, no comments. Your response must begin with { and end with }. Create 2-3 question variations with exactly 2 answer types each: "optimised" (50-100 words for featured snippets) and "detailed" (200-300 words for comprehensive coverage).'
-                  },
-                  {
-                    role: 'user',
-                    content: enhancementPrompt
-                  }
-                ],
-                temperature: 0.7,
-                max_tokens: 1500
-              }
-            ),
-            timeoutPromise
-          ]);
-
-          try {
-            // Get the response text
-            const responseText = aiResponse.response;
-            console.log(`AI response received in ${Date.now() - startTime}ms on attempt ${attempt}`);
-
-            // Clean response and parse JSON - ENHANCED CLEANING
-            let cleanedResponse = responseText
-              .replace(/```json/gi, '')
-              .replace(/```javascript/gi, '')
-              .replace(/```/g, '')
-              .trim();
-            
-            // AGGRESSIVE: Remove any introductory text before the JSON
-            const jsonStart = cleanedResponse.indexOf('{');
-            if (jsonStart > 0) {
-              console.log(`Removing ${jsonStart} characters of intro text before JSON`);
-              cleanedResponse = cleanedResponse.substring(jsonStart);
-            }
-            
-            // AGGRESSIVE: Remove any trailing text after the JSON
-            const jsonEnd = cleanedResponse.lastIndexOf('}');
-            if (jsonEnd > -1 && jsonEnd < cleanedResponse.length - 1) {
-              console.log(`Removing trailing text after JSON`);
-              cleanedResponse = cleanedResponse.substring(0, jsonEnd + 1);
-            }
-            
-            // Final cleanup
-            cleanedResponse = cleanedResponse
-              .replace(/\n/g, ' ')
-              .replace(/\r/g, '')
-              .replace(/\t/g, ' ')
-              .replace(/,(\s*[}\]])/g, '$1'); // Remove trailing commas
-
-            enhancements = JSON.parse(cleanedResponse);
-            console.log('Successfully parsed AI response');
-
-            // Validate and enhance structure
-            validateAndEnhanceResponse(enhancements, sanitizedQuestion, sanitizedAnswer);
-            
-            // Success - break out of retry loop
-            break;
-
-          } catch (parseError) {
-            console.error(`JSON parsing failed on attempt ${attempt}:`, parseError.message);
-            
-            // Use comprehensive fallback on parse error
-            enhancements = createComprehensiveFallbackEnhancements(sanitizedQuestion, sanitizedAnswer, pageContext);
-            console.log('Using comprehensive fallback enhancement structure');
-            // Success with fallback - break out of retry loop
-            break;
+      let usedFallback = false;
+      const aiStartTime = Date.now();
+
+      // Output is validated against ENHANCEMENT_SCHEMA, with one repair prompt before the fallback structure.
+      // With the AI budget exhausted no call is made and the fallback structure is served.
+      const aiResult = budget.degraded ? {
+        valid: false,
+        error: 'AI budget exhausted',
+        model: null,
+        attempts: 0,
+        parse_attempts: 0,
+        repaired: false,
+        usage: []
+      } : await generateStructuredOutput(env, aiModel, {
+        messages: [
+          {
+            role: 'system',
+            content: enhancementSystemPrompt
+          },
+          {
+            role: 'user',
+            content: enhancementPrompt
           }
+        ],
+        temperature: experiment?.temperature ?? 0.7,
+        max_tokens: 1500
+      }, 'FAQ Enhancement', {
+        ...AI_CLIENT_CONFIG,
+        timeoutMs: MAX_WAIT_TIME,
+        maxRetries: MAX_RETRIES,
+        schema: ENHANCEMENT_SCHEMA
+      });
 
-        } catch (aiError) {
-          lastError = aiError;
-          console.error(`AI processing failed on attempt ${attempt}:`, aiError.message);
-          
-          // Check if it's error 7000
-          if (aiError.message?.includes('7000') || aiError.message?.includes('unknown internal error')) {
-            console.log('Detected error 7000 - Cloudflare AI infrastructure issue');
-          }
-          
-          // If not the last attempt, wait before retrying
-          if (attempt < MAX_RETRIES) {
-            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Exponential backoff
-            console.log(`Waiting ${delay}ms before retry...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-          } else {
-            console.log('All retry attempts exhausted');
-            // Use fallback after all retries failed
-            enhancements = createComprehensiveFallbackEnhancements(sanitizedQuestion, sanitizedAnswer, pageContext);
-          }
+      if (aiResult.valid) {
+        console.log(`AI response received in ${Date.now() - startTime}ms after ${aiResult.attempts} attempt(s) using ${aiResult.model}`);
+        enhancements = aiResult.data;
+
+        // Validate and enhance structure
+        validateAndEnhanceResponse(enhancements, sanitizedQuestion, sanitizedAnswer);
+      } else {
+        lastError = new Error(aiResult.error);
+        
+        // Check if it's error 7000
+        if (aiResult.error?.includes('7000') || aiResult.error?.includes('unknown internal error')) {
+          console.log('Detected error 7000 - Cloudflare AI infrastructure issue');
         }
+        
+        console.log('All retry and repair attempts exhausted');
+        // Use fallback after all retries failed
+        enhancements = createComprehensiveFallbackEnhancements(sanitizedQuestion, sanitizedAnswer, pageContext);
+        usedFallback = true;
       }
       
       // Ensure we always have enhancements
       if (!enhancements) {
         enhancements = createComprehensiveFallbackEnhancements(sanitizedQuestion, sanitizedAnswer, pageContext);
+        usedFallback = true;
       }
       
       console.log(`Enhancement complete. Generated ${enhancements.question_variations.length} question variations.`);
+
+      if (experiment && !budget.degraded) {
+        ctx.waitUntil(recordExperimentOutcome(env, experiment, {
+          parse_success: !usedFallback,
+          fallback: usedFallback,
+          latency_ms: Date.now() - aiStartTime
+        }));
+      }
+
+      // Per-request AI cost, added to today's worker, client IP and API key totals
+      const cost = await calculateAICost(env, aiResult.usage);
+      ctx.waitUntil(recordAICost(env, { workerType: 'faq_enhancer', clientIP, apiKeyId: rateLimitResult.api_key || undefined }, cost));
+
       console.log(`========== Request completed in ${Date.now() - startTime}ms ==========`);
 
       // Get current usage for response
-      const currentUsage = await getCurrentUsageForResponse(env, clientIP);
+      const currentUsage = getCurrentUsageForResponse(rateLimitResult);
 
       // Return successful response
       return new Response(JSON.stringify({
         success: true,
         enhancements: enhancements,
         usage: currentUsage,
-        limits: { hourly: rateLimitConfig.limit },
-        reset_times: { hourly: new Date(Date.now() + rateLimitConfig.window * 1000).toISOString() },
+        limits: rateLimitResult.limits || {},
+        reset_times: Object.fromEntries(
+          Object.entries(rateLimitResult.reset_times || {}).map(([period, time]) => [period, new Date(time).toISOString()])
+        ),
         model_info: {
-          model: aiModel,
+          model: budget.degraded ? null : aiResult.model || aiModel,
           worker_type: 'faq_enhancer',
           dynamic_model: true,
+          prompt_template: promptTemplate,
+          experiment: experimentTag(experiment),
+          budget: budgetTag(budget),
           version: env.WORKER_VERSION || '3.1.0-kv-rate-limited',
           processingTime: Date.now() - startTime,
           page_context_extracted: pageContext.length > 0,
           cache_status: sessionContextCache.has(`${sessionId || 'no-session'}:${pageUrl}`) ? 'hit' : 'miss',
-          attempts_used: lastError ? MAX_RETRIES : 1,
+          attempts_used: aiResult.attempts,
+          ai_usage: summarizeAIUsage(aiResult.usage),
+          cost,
+          parse_attempts: aiResult.parse_attempts,
+          repaired: aiResult.repaired,
           rate_limiting: {
-            worker: 'faq-enhancement',
-            type: 'kv_based',
-            limit: rateLimitConfig.limit,
-            window: rateLimitConfig.window,
+            worker: 'faq-enhancement-worker',
+            type: 'enhanced',
+            reason: rateLimitResult.reason,
+            limit: rateLimitResult.limit,
+            window: rateLimitResult.window,
             remaining: rateLimitResult.remaining
           }
         },
         fallback: lastError !== null,
+        degraded: budget.degraded,
         ...(lastError && {
           debug_info: {
             error: lastError.message,
-            attempts: MAX_RETRIES,
+            attempts: aiResult.attempts,
             timestamp: new Date().toISOString()
           }
         })
@@ -726,20 +711,15 @@ async function extractPageContext(pageUrl, env) {
   console.log(`Starting page context extraction for: ${pageUrl}`);
   
   try {
-    // Fetch the page with cache busting and proper headers
-    const urlWithCacheBust = new URL(pageUrl);
-    urlWithCacheBust.searchParams.append('_cb', Date.now());
-    
-    console.log(`Fetching URL: ${urlWithCacheBust.toString()}`);
+    // Fetch the page as the crawler (robots.txt, per-host concurrency and delay)
+    console.log(`Fetching URL: ${pageUrl}`);
     const fetchStart = Date.now();
     
-    const response = await fetch(urlWithCacheBust.toString(), {
+    const response = await politeFetch(env, pageUrl, {
+      accept: 'text/html,application/xhtml+xml,application/xml',
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml',
         'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Pragma': 'no-cache'
+        'Cache-Control': 'no-cache'
       },
       cf: { 
         cacheTtl: 0,
@@ -1,20 +1,122 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import worker from '../src';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+const QUESTION = 'How long does delivery take?';
+const ANSWER = 'Delivery usually takes a few days.';
+
+const ENHANCEMENTS = {
+	question_variations: [{
+		question: 'How many days does standard UK delivery take?',
+		reason: 'More specific',
+		type: 'specificity',
+		priority: 'high',
+		seo_benefit: 'Matches long-tail searches',
+		answers: {
+			optimised: 'Standard UK delivery takes three to five working days from dispatch.',
+			detailed: 'Standard UK delivery takes three to five working days from dispatch. Orders placed before noon are dispatched the same day, and you receive a tracking link by email as soon as your parcel leaves our warehouse.'
+		}
+	}],
+	additional_suggestions: [],
+	seo_analysis: { keywords: ['delivery'], search_intent: 'informational', voice_search_friendly: true, featured_snippet_potential: true },
+	quality_scores: { question_clarity: 7, answer_completeness: 5, seo_optimization: 6 }
+};
+
+let clientCounter = 0;
+
+function mockEnv(fixtures = { default: JSON.stringify(ENHANCEMENTS) }, overrides = {}) {
+	return { ...env, AI_PROVIDER: 'mock', AI_MOCK_FIXTURES: fixtures, CRAWL_DELAY_MS: '0', ...overrides };
+}
+
+async function callWorker(path, { method = 'POST', body, env: workerEnv = mockEnv() } = {}) {
+	const request = new Request(`https://worker.test${path}`, {
+		method,
+		body: body === undefined ? undefined : JSON.stringify(body),
+		headers: { 'CF-Connecting-IP': `192.0.2.${++clientCounter % 250}` }
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, workerEnv, ctx);
+	const text = await response.text();
+	await waitOnExecutionContext(ctx);
+	return new Response(text, response);
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('FAQ enhancement', () => {
+	it('returns the AI question variations', async () => {
+		const response = await callWorker('/', { body: { question: QUESTION, answer: ANSWER } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.success).toBe(true);
+		expect(result.fallback).toBe(false);
+		expect(result.degraded).toBe(false);
+		expect(result.enhancements.question_variations[0].question).toBe(ENHANCEMENTS.question_variations[0].question);
+		expect(result.model_info.parse_attempts).toBe(1);
+		expect(result.model_info.worker_type).toBe('faq_enhancer');
+	});
+
+	it('serves the fallback structure when the AI output stays invalid', async () => {
+		const response = await callWorker('/', {
+			body: { question: QUESTION, answer: ANSWER },
+			env: mockEnv({ default: '{"question_variations": []}' })
+		});
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.fallback).toBe(true);
+		expect(result.model_info.parse_attempts).toBe(2);
+		expect(result.enhancements.question_variations.length).toBeGreaterThan(0);
+	});
+
+	it('uses page context fetched from pageUrl', async () => {
+		const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async input => {
+			const url = input instanceof Request ? input.url : String(input);
+			if (url.endsWith('/robots.txt')) return new Response('', { status: 404 });
+			return new Response('<html><body><main><h1>Delivery</h1><p>We deliver across the UK in three to five working days.</p></main></body></html>', {
+				headers: { 'Content-Type': 'text/html' }
+			});
+		});
+
+		const response = await callWorker('/', { body: { question: QUESTION, answer: ANSWER, pageUrl: 'https://shop.test/delivery', sessionId: 'context-test' } });
+		const result = await response.json();
+
+		expect(result.model_info.page_context_extracted).toBe(true);
+		expect(fetchSpy.mock.calls.map(([input]) => String(input.url ?? input))).toContain('https://shop.test/delivery');
+	});
+
+	// robots.txt is cached in memory per origin, so this test uses its own host
+	it('does not fetch page context robots.txt disallows', async () => {
+		const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async input => {
+			const url = input instanceof Request ? input.url : String(input);
+			if (url.endsWith('/robots.txt')) return new Response('User-agent: *\nDisallow: /private/');
+			return new Response('<html><body><p>Secret</p></body></html>', { headers: { 'Content-Type': 'text/html' } });
+		});
+
+		const response = await callWorker('/', { body: { question: QUESTION, answer: ANSWER, pageUrl: 'https://members.test/private/page', sessionId: 'robots-test' } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.model_info.page_context_extracted).toBe(false);
+		expect(fetchSpy.mock.calls.map(([input]) => String(input.url ?? input))).not.toContain('https://members.test/private/page');
+	});
+
+	it('requires a question and an answer', async () => {
+		const response = await callWorker('/', { body: { question: QUESTION } });
+		expect(response.status).toBe(400);
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('only accepts POST', async () => {
+		const response = await callWorker('/', { method: 'GET' });
+		expect(response.status).toBe(405);
 	});
 });
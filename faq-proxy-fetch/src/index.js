@@ -1,58 +1,16 @@
 import { parse } from 'node-html-parser';
 
-// Rate limiting utilities - FREE KV-based implementation
-const rateLimitCache = new Map();
-const CACHE_TTL = 60000; // 1 minute cache
-
-async function checkRateLimit(env, clientIP, config = {}) {
-  const limit = config.limit || 100; // Default: 100 requests per hour
-  const window = config.window || 3600; // Default: 1 hour
-  const now = Date.now();
-  const key = `rl:${clientIP}`;
-  
-  // Check cache first to reduce KV reads
-  const cached = rateLimitCache.get(clientIP);
-  if (cached && cached.expires > now) {
-    return { allowed: !cached.blocked, remaining: cached.remaining || 0 };
-  }
-  
-  try {
-    const data = await env.FAQ_RATE_LIMITS.get(key, { type: 'json' }) || { count: 0, windowStart: now };
-    
-    // Reset window if expired
-    if (now - data.windowStart > window * 1000) {
-      data.count = 0;
-      data.windowStart = now;
-    }
-    
-    // Check if rate limited
-    if (data.count >= limit) {
-      rateLimitCache.set(clientIP, { blocked: true, remaining: 0, expires: now + CACHE_TTL });
-      return { allowed: false, remaining: 0 };
-    }
-    
-    // Increment counter
-    data.count++;
-    await env.FAQ_RATE_LIMITS.put(key, JSON.stringify(data), {
-      expirationTtl: window * 2 // Auto-cleanup after 2x window
-    });
-    
-    const remaining = limit - data.count;
-    rateLimitCache.set(clientIP, { blocked: false, remaining, expires: now + CACHE_TTL });
-    return { allowed: true, remaining };
-    
-  } catch (error) {
-    console.error('Rate limit check failed:', error);
-    return { allowed: true, remaining: -1 }; // Fail open
-  }
-}
-
 // SAFE IMPORTS: Handle missing dependencies gracefully
 let generateDynamicHealthResponse = null;
 let trackCacheHit = null;
 let trackCacheMiss = null;
 let invalidateWorkerCaches = null;
 let initializeCacheManager = null;
+let checkWorkerRateLimit = null;
+let rateLimitHeaders = null;
+let rateLimitExceededResponse = null;
+let politeFetch = null;
+let isPoliteFetchError = null;
 
 try {
   const healthUtilsModule = await import('../../shared/health-utils.js');
@@ -71,13 +29,36 @@ try {
   console.warn('[Import] Cache manager module unavailable:', error.message);
 }
 
+try {
+  const rateLimitModule = await import('../../shared/rate-limit.js');
+  checkWorkerRateLimit = rateLimitModule.checkWorkerRateLimit;
+  rateLimitHeaders = rateLimitModule.rateLimitHeaders;
+  rateLimitExceededResponse = rateLimitModule.rateLimitExceededResponse;
+} catch (error) {
+  console.warn('[Import] Rate limit module unavailable, requests will not be limited:', error.message);
+}
+
+try {
+  const politeFetchModule = await import('../../shared/polite-fetch.js');
+  politeFetch = politeFetchModule.politeFetch;
+  isPoliteFetchError = politeFetchModule.isPoliteFetchError;
+} catch (error) {
+  console.warn('[Import] Polite fetch module unavailable, pages cannot be fetched:', error.message);
+}
+
 /**
  * Enhanced FAQ Schema Extraction Proxy Worker with Enhanced Rate Limiting
- * - Handles nested schemas, comments, multiple formats
+ * - Handles nested schemas, comments, multiple formats, and @graph/@id references across JSON-LD blocks
+ * - Also returns QAPage questions (answers, votes), HowTo steps and Questions embedded in Product/Article under results
+ * - /validate?url= reports FAQ markup problems (missing properties, empty answers, disallowed HTML, duplicates)
+ * - Falls back to heuristic extraction of plain-HTML FAQs (accordions, <details>, <dl>, FAQ headings) with confidence scores
+ * - Fetches pages via the shared polite fetcher: honours robots.txt (blocked_by_robots), honest bot user agent,
+ *   per-host concurrency and delay
  * - Processes images with verification
  * - Robust HTML sanitization
  * - Comprehensive metadata and warnings
- * - Enhanced IP-based rate limiting with violation tracking and progressive penalties
+ * - Rate limiting through the shared EnhancedRateLimiter (dynamic limits, violation tracking, progressive penalties)
+ * - API keys (Authorization: Bearer) with per-key quotas and origins; the origin allow-list covers anonymous calls
  * - Performance optimized with reduced logging
  * - Updated for modern ES modules format
  */
@@ -103,7 +84,7 @@ async function handleRequest(request, env, ctx) {
   const baseCors = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
   };
   
   if (request.method === 'OPTIONS') {
@@ -123,7 +104,7 @@ async function handleRequest(request, env, ctx) {
           'faq-proxy-fetch',
           env,
           '3.1.0-advanced-cache-optimized',
-          ['faq_extraction', 'schema_parsing', 'json_ld', 'microdata', 'rdfa', 'enhanced_rate_limiting', 'ip_management', 'origin_validation']
+          ['faq_extraction', 'schema_parsing', 'json_ld', 'microdata', 'rdfa', 'enhanced_rate_limiting', 'ip_management', 'origin_validation', 'markup_validation', 'robots_txt']
         );
         
         const timeoutPromise = new Promise((_, reject) =>
@@ -168,7 +149,9 @@ async function handleRequest(request, env, ctx) {
             'rdfa',
             'enhanced_rate_limiting',
             'ip_management',
-            'origin_validation'
+            'origin_validation',
+            'markup_validation',
+            'robots_txt'
           ],
           health_indicators: healthResponse.health_indicators || {
             overall_system_health: 'healthy',
@@ -226,7 +209,9 @@ async function handleRequest(request, env, ctx) {
         'rdfa',
         'enhanced_rate_limiting',
         'ip_management',
-        'origin_validation'
+        'origin_validation',
+        'markup_validation',
+        'robots_txt'
       ],
       health_indicators: {
         overall_system_health: 'healthy',
@@ -333,7 +318,32 @@ async function handleRequest(request, env, ctx) {
     }
   }
 
-  // Security: Origin/Referer checking
+  // API KEY + RATE LIMITING - Check before processing request
+  const clientIP = request.headers.get('CF-Connecting-IP') ||
+                   request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() ||
+                   request.headers.get('X-Real-IP') ||
+                   'unknown';
+
+  log(`Processing FAQ extraction request from IP: ${clientIP}`);
+
+  // Keys are counted against their plan, anonymous requests against the worker's dynamic config;
+  // without the module, requests pass unlimited
+  const rateLimitResult = checkWorkerRateLimit
+    ? await checkWorkerRateLimit(env, 'faq-proxy-fetch', clientIP, request)
+    : { allowed: true, reason: 'RATE_LIMITING_UNAVAILABLE', limit: null, remaining: null, reset: null, retryAfter: null };
+  const limitHeaders = rateLimitHeaders ? rateLimitHeaders(rateLimitResult) : {};
+
+  if (!rateLimitResult.allowed) {
+    return rateLimitExceededResponse(rateLimitResult, baseCors, {
+      success: false,
+      metadata: {
+        warning: "This service is for FAQ extraction only. Abuse will result in blocking.",
+        terms: "By using this service, you agree not to violate any website's terms of service."
+      }
+    });
+  }
+
+  // Security: Origin/Referer checking for anonymous requests (API keys carry their own allowed origins)
   const allowedOrigins = [
     'https://365i.co.uk',
     'https://www.365i.co.uk',
@@ -344,7 +354,7 @@ async function handleRequest(request, env, ctx) {
   ];
   
   // More flexible origin checking
-  if (origin || referer) {
+  if (!rateLimitResult.api_key && (origin || referer)) {
     const checkOrigin = origin || referer;
     const isAllowed = allowedOrigins.some(allowed => {
       return checkOrigin.startsWith(allowed) ||
@@ -369,39 +379,6 @@ async function handleRequest(request, env, ctx) {
     }
   }
 
-  // KV-BASED RATE LIMITING - Check before processing request
-  const clientIP = request.headers.get('CF-Connecting-IP') ||
-                   request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() ||
-                   request.headers.get('X-Real-IP') ||
-                   'unknown';
-
-  log(`Processing FAQ extraction request from IP: ${clientIP}`);
-
-  // Check rate limit before processing request with proxy-specific limits
-  let rateLimitConfig = { limit: 50, window: 3600 }; // 50 proxy requests per hour
-  const rateLimitResult = await checkRateLimit(env, clientIP, rateLimitConfig);
-
-  if (!rateLimitResult.allowed) {
-    return new Response(JSON.stringify({
-      error: 'Rate limit exceeded. Please try again later.',
-      retryAfter: 3600,
-      success: false,
-      metadata: {
-        warning: "This service is for FAQ extraction only. Abuse will result in blocking.",
-        terms: "By using this service, you agree not to violate any website's terms of service."
-      }
-    }), {
-      status: 429,
-      headers: {
-        ...baseCors,
-        'Content-Type': 'application/json',
-        'Retry-After': '3600',
-        'X-RateLimit-Limit': '50',
-        'X-RateLimit-Remaining': rateLimitResult.remaining.toString()
-      }
-    });
-  }
-
   log(`Rate limit check passed. Remaining: ${rateLimitResult.remaining}`);
 
   const url = new URL(request.url).searchParams.get('url');
@@ -412,9 +389,7 @@ async function handleRequest(request, env, ctx) {
     };
     
     // Add rate limit headers
-    responseHeaders['X-RateLimit-Limit'] = '50';
-    responseHeaders['X-RateLimit-Remaining'] = rateLimitResult.remaining.toString();
-    responseHeaders['X-RateLimit-Reset'] = (Math.floor(Date.now() / 1000) + 3600).toString();
+    Object.assign(responseHeaders, limitHeaders);
     
     return new Response(JSON.stringify({ 
       error: 'URL parameter required', 
@@ -459,21 +434,24 @@ async function handleRequest(request, env, ctx) {
     const requestOrigin = origin || referer || 'unknown origin';
     log(`FAQ extraction requested: ${url} from ${requestOrigin} at ${new Date().toISOString()}`);
     
-    // Add cache buster
-    targetUrl.searchParams.append('_cb', Date.now());
-    
-    // Fetch with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    // Never fetch a page without checking robots.txt
+    if (!politeFetch) {
+      return new Response(JSON.stringify({ 
+        error: 'Page fetching unavailable', 
+        success: false 
+      }), {
+        status: 503,
+        headers: { ...baseCors, 'Content-Type': 'application/json' },
+      });
+    }
     
-    const resp = await fetch(targetUrl.toString(), {
-      signal: controller.signal,
+    // Fetch as the crawler: robots.txt, per-host concurrency and delay, 10 second timeout
+    const resp = await politeFetch(env, targetUrl.toString(), {
+      accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      timeout: 10000,
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
+        'Cache-Control': 'no-cache'
       },
       cf: { 
         cacheTtl: 0, 
@@ -488,8 +466,6 @@ async function handleRequest(request, env, ctx) {
       throw err;
     });
     
-    clearTimeout(timeoutId);
-    
     if (!resp.ok) {
       return new Response(JSON.stringify({ 
         error: `Fetch failed: ${resp.status}`, 
@@ -536,6 +512,30 @@ async function handleRequest(request, env, ctx) {
     });
     
     const title = root.querySelector('title')?.textContent || '';
+    
+    // Validation mode: report on the FAQ markup instead of extracting it
+    if (requestUrl.pathname === '/validate') {
+      const report = validateFaqMarkup(root, targetUrl.href);
+      log(`Validated FAQ markup on ${url}: ${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        source: url,
+        mode: 'validate',
+        ...report,
+        metadata: {
+          title: title,
+          terms: "By using this service, you agree not to violate any website's terms of service."
+        }
+      }), {
+        headers: {
+          ...baseCors,
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache',
+          ...limitHeaders
+        }
+      });
+    }
     let allFaqs = [];
     const schemaTypesFound = [];
     const warnings = [];
@@ -581,6 +581,31 @@ async function handleRequest(request, env, ctx) {
       }
     });
     
+    // QAPage, HowTo and embedded Questions from JSON-LD, kept apart from FAQs so importers can choose
+    const ldResults = results[0].results || { qa: [], howto: [], embedded: [] };
+    const qaItems = dedupeEnhanced(ldResults.qa);
+    const embeddedItems = dedupeEnhanced(ldResults.embedded);
+    const howtoItems = ldResults.howto.slice(0, 50);
+    const hasOtherResults = qaItems.length + embeddedItems.length + howtoItems.length > 0;
+    if (hasOtherResults && !schemaTypesFound.includes('JSON-LD')) {
+      schemaTypesFound.push('JSON-LD');
+    }
+    
+    // No schema FAQs: fall back to recognising plain-HTML FAQ patterns, even when the page has HowTo,
+    // QAPage or Product/Article JSON-LD (an accordion next to a Product schema is common)
+    let extractionMethod = 'enhanced-html-parser';
+    if (allFaqs.length === 0) {
+      const heuristicResult = await extractHeuristicFaqs(root, targetUrl.href, processing).catch(e => {
+        logError('Heuristic extraction failed:', e);
+        return { faqs: [], metadata: { warnings: ['Heuristic extraction failed'] } };
+      });
+      if (heuristicResult.faqs.length > 0) {
+        allFaqs = heuristicResult.faqs;
+        extractionMethod = 'heuristic';
+      }
+      warnings.push(...heuristicResult.metadata.warnings);
+    }
+    
     log(`Total FAQs before deduplication: ${allFaqs.length}`);
     
     // Deduplicate and limit
@@ -615,11 +640,9 @@ async function handleRequest(request, env, ctx) {
       'Cache-Control': 'public, max-age=300' // Cache successful responses for 5 minutes
     };
     
-    responseHeaders['X-RateLimit-Limit'] = '50';
-    responseHeaders['X-RateLimit-Remaining'] = rateLimitResult.remaining.toString();
-    responseHeaders['X-RateLimit-Reset'] = (Math.floor(Date.now() / 1000) + 3600).toString();
+    Object.assign(responseHeaders, limitHeaders);
     
-    if (allFaqs.length > 0) {
+    if (allFaqs.length > 0 || hasOtherResults) {
       log(`Successfully extracted ${allFaqs.length} FAQs from ${url}`);
       if (DEBUG) {
         log('First FAQ:', JSON.stringify(allFaqs[0], null, 2));
@@ -629,8 +652,21 @@ async function handleRequest(request, env, ctx) {
         success: true,
         source: url,
         faqs: allFaqs,
+        // Every Q&A-like result by schema type; faq is the same list as faqs
+        results: {
+          faq: allFaqs,
+          qa: qaItems,
+          howto: howtoItems,
+          embedded: embeddedItems
+        },
         metadata: {
-          extractionMethod: 'enhanced-html-parser',
+          extractionMethod: extractionMethod,
+          resultTypes: {
+            faq: allFaqs.length,
+            qa: qaItems.length,
+            howto: howtoItems.length,
+            embedded: embeddedItems.length
+          },
           totalExtracted: allFaqs.length,
           title: title,
           processing: processing,
@@ -642,11 +678,12 @@ async function handleRequest(request, env, ctx) {
           terms: "By using this service, you agree not to violate any website's terms of service."
         },
         rate_limiting: {
-          limit: 50,
+          limit: rateLimitResult.limit,
           remaining: rateLimitResult.remaining,
-          reset_time: Math.floor(Date.now() / 1000) + 3600,
+          reset_time: rateLimitResult.reset ? Math.floor(rateLimitResult.reset / 1000) : null,
+          reason: rateLimitResult.reason,
           worker: 'faq-proxy-fetch',
-          type: 'kv-based'
+          type: 'enhanced'
         }
       }), {
         headers: responseHeaders
@@ -667,7 +704,7 @@ async function handleRequest(request, env, ctx) {
         metadata: {
           title: title,
           extractionMethod: "failed",
-          warnings: ["FAQ schema detected but could not be parsed"],
+          warnings: ["FAQ schema detected but could not be parsed", "Request /validate?url= for a detailed markup report"],
           terms: "By using this service, you agree not to violate any website's terms of service."
         }
       }), {
@@ -684,7 +721,7 @@ async function handleRequest(request, env, ctx) {
       metadata: { 
         extractionMethod: 'none', 
         title: title,
-        message: "No FAQ schema markup found on this page",
+        message: "No FAQ schema markup or recognisable FAQ content found on this page",
         warnings: [],
         terms: "By using this service, you agree not to violate any website's terms of service."
       }
@@ -701,19 +738,22 @@ async function handleRequest(request, env, ctx) {
       'Content-Type': 'application/json'
     };
     
-    errorHeaders['X-RateLimit-Limit'] = '50';
-    errorHeaders['X-RateLimit-Remaining'] = rateLimitResult.remaining.toString();
-    errorHeaders['X-RateLimit-Reset'] = (Math.floor(Date.now() / 1000) + 3600).toString();
+    Object.assign(errorHeaders, limitHeaders);
+    
+    // robots.txt refusals and busy hosts keep their own code and status
+    const policyError = isPoliteFetchError?.(err);
     
     return new Response(JSON.stringify({ 
-      error: err.message || 'Internal error', 
+      error: policyError ? err.code : err.message || 'Internal error', 
+      ...(policyError && { message: err.message }),
+      ...(err.code === 'blocked_by_robots' && { rule: err.rule }),
       success: false,
       metadata: {
         warning: "This service is for FAQ extraction only. Abuse will result in blocking.",
         terms: "By using this service, you agree not to violate any website's terms of service."
       }
     }), {
-      status: 500,
+      status: policyError ? err.status : 500,
       headers: errorHeaders,
     });
   }
@@ -723,69 +763,37 @@ async function handleRequest(request, env, ctx) {
 async function extractEnhancedJsonLd(root, baseUrl, processing) {
   const faqs = [];
   const warnings = [];
+  // seen: nodes already traversed; questions: Question nodes already extracted
+  const out = { faqs, qa: [], howto: [], embedded: [], seen: new Set(), questions: new Set() };
+  const documents = [];
   const scripts = root.querySelectorAll('script[type="application/ld+json"]');
   
   log(`[JSON-LD] Found ${scripts.length} JSON-LD scripts`);
   
   for (let scriptIndex = 0; scriptIndex < scripts.length; scriptIndex++) {
-    const script = scripts[scriptIndex];
     log(`[JSON-LD] Processing script ${scriptIndex + 1}/${scripts.length}`);
     
     try {
-      // Get script content - use correct properties
-      let content = script.textContent || script.innerHTML || script.rawText || '';
-      
-      content = content.trim();
-      log(`[JSON-LD] Script content length: ${content.length} characters`);
-      
-      if (content.length === 0) {
-        log('[JSON-LD] Script has no content, skipping');
-        continue;
-      }
-      
-      if (DEBUG && content.length > 0) {
-        log(`[JSON-LD] First 200 chars: ${content.substring(0, 200)}...`);
-      }
-      
-      let data;
-      
-      // First, try to parse without any preprocessing (for valid escaped JSON)
-      try {
-        data = JSON.parse(content);
-        log('[JSON-LD] Successfully parsed JSON-LD without preprocessing');
-      } catch (initialError) {
-        // Only preprocess if the initial parse fails
-        log('[JSON-LD] Initial JSON parse failed:', initialError.message);
-        log('[JSON-LD] Applying preprocessing...');
-        
-        // Preprocess to handle comments and common issues
-        content = content
-          // Only match // at the very beginning of a line (not escaped \/)
-          .replace(/^(\s*)\/\/(?!\/).*$/gm, '')
-          // Remove /* */ comments
-          .replace(/\/\*[\s\S]*?\*\//g, '')
-          // Remove control characters (but preserve valid Unicode like \u2019)
-          .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
-          // Remove trailing commas
-          .replace(/,(\s*[}\]])/g, '$1')
-          // Remove any BOM characters
-          .replace(/^\uFEFF/, '')
-          .trim();
-        
-        // Try parsing again after preprocessing
-        try {
-          data = JSON.parse(content);
-          log('[JSON-LD] Successfully parsed after preprocessing');
-        } catch (preprocessError) {
-          logWarn('[JSON-LD] Failed to parse JSON-LD even after preprocessing:', preprocessError.message);
-          if (DEBUG) {
-            logWarn('[JSON-LD] Content sample:', content.substring(0, 200) + '...');
-          }
-          continue; // Skip this script
-        }
-      }
+      const { data } = parseJsonLdScript(scripts[scriptIndex]);
+      if (data === undefined) continue; // Empty or unparseable, skip this script
       
       log('[JSON-LD] Parsed data type:', data['@type']);
+      documents.push(data);
+      
+    } catch (e) {
+      logError('[JSON-LD] Unexpected error in JSON-LD extraction:', e.message);
+      warnings.push(`Failed to process JSON-LD: ${e.message}`);
+    }
+  }
+  
+  // Index nodes by @id across all scripts, then replace { "@id": ... } references with the nodes
+  const graph = buildLdGraph(documents, baseUrl);
+  log(`[JSON-LD] Indexed ${graph.nodes.size} nodes with @id`);
+  const memo = new Map();
+  
+  for (let docIndex = 0; docIndex < documents.length; docIndex++) {
+    try {
+      const data = dereferenceLd(documents[docIndex], graph, memo);
       
       // Process the parsed data
       const arr = Array.isArray(data) ? data : [data];
@@ -793,11 +801,11 @@ async function extractEnhancedJsonLd(root, baseUrl, processing) {
       
       for (let objIndex = 0; objIndex < arr.length; objIndex++) {
         const obj = arr[objIndex];
-        log(`[JSON-LD] Processing object ${objIndex + 1}/${arr.length} with type: ${obj['@type']}`);
-        await traverseEnhancedLd(obj, faqs, baseUrl, processing);
+        log(`[JSON-LD] Processing object ${objIndex + 1}/${arr.length} with type: ${obj?.['@type']}`);
+        await traverseEnhancedLd(obj, out, baseUrl, processing);
       }
       
-      log(`[JSON-LD] After processing script ${scriptIndex + 1}, total FAQs: ${faqs.length}`);
+      log(`[JSON-LD] After processing script ${docIndex + 1}, total FAQs: ${faqs.length}`);
       
     } catch (e) {
       logError('[JSON-LD] Unexpected error in JSON-LD extraction:', e.message);
@@ -805,120 +813,364 @@ async function extractEnhancedJsonLd(root, baseUrl, processing) {
     }
   }
   
-  log(`[JSON-LD] Total FAQs extracted: ${faqs.length}`);
-  return { faqs, metadata: { warnings } };
+  log(`[JSON-LD] Total FAQs extracted: ${faqs.length}, QAPage questions: ${out.qa.length}, HowTos: ${out.howto.length}, embedded Questions: ${out.embedded.length}`);
+  return { faqs, results: { qa: out.qa, howto: out.howto, embedded: out.embedded }, metadata: { warnings } };
+}
+
+// Parse one JSON-LD script, tolerating comments, control characters and trailing commas.
+// Returns { data }, or { content, error } when the script is empty or cannot be parsed.
+function parseJsonLdScript(script) {
+  // Get script content - use correct properties
+  let content = script.textContent || script.innerHTML || script.rawText || '';
+  
+  content = content.trim();
+  log(`[JSON-LD] Script content length: ${content.length} characters`);
+  
+  if (content.length === 0) {
+    log('[JSON-LD] Script has no content, skipping');
+    return { content, error: 'Empty script' };
+  }
+  
+  if (DEBUG && content.length > 0) {
+    log(`[JSON-LD] First 200 chars: ${content.substring(0, 200)}...`);
+  }
+  
+  // First, try to parse without any preprocessing (for valid escaped JSON)
+  try {
+    const data = JSON.parse(content);
+    log('[JSON-LD] Successfully parsed JSON-LD without preprocessing');
+    return { data };
+  } catch (initialError) {
+    // Only preprocess if the initial parse fails
+    log('[JSON-LD] Initial JSON parse failed:', initialError.message);
+    log('[JSON-LD] Applying preprocessing...');
+  }
+  
+  // Preprocess to handle comments and common issues
+  const cleaned = content
+    // Only match // at the very beginning of a line (not escaped \/)
+    .replace(/^(\s*)\/\/(?!\/).*$/gm, '')
+    // Remove /* */ comments
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    // Remove control characters (but preserve valid Unicode like \u2019)
+    .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
+    // Remove trailing commas
+    .replace(/,(\s*[}\]])/g, '$1')
+    // Remove any BOM characters
+    .replace(/^\uFEFF/, '')
+    .trim();
+  
+  // Try parsing again after preprocessing
+  try {
+    const data = JSON.parse(cleaned);
+    log('[JSON-LD] Successfully parsed after preprocessing');
+    return { data };
+  } catch (preprocessError) {
+    logWarn('[JSON-LD] Failed to parse JSON-LD even after preprocessing:', preprocessError.message);
+    if (DEBUG) {
+      logWarn('[JSON-LD] Content sample:', cleaned.substring(0, 200) + '...');
+    }
+    return { content, error: preprocessError.message };
+  }
 }
 
-// Enhanced traversal for complex JSON-LD structures
+// Deepest JSON-LD nesting followed when indexing, dereferencing and traversing
+const MAX_LD_DEPTH = 12;
+
+// Absolute form of an @id, so "#faq-question-1" and "https://example.com/page/#faq-question-1" match
+function ldNodeId(id, baseUrl) {
+  if (typeof id !== 'string' || !id) return null;
+  try {
+    return new URL(id, baseUrl).href;
+  } catch (e) {
+    return id;
+  }
+}
+
+// A node that only points at another one, e.g. { "@id": "#faq-question-1" }
+function isLdReference(value) {
+  return Object.keys(value).every(key => key === '@id' || key === '@type');
+}
+
+// Every node with an @id across all JSON-LD blocks. A node described in several places is merged.
+function buildLdGraph(documents, baseUrl) {
+  const nodes = new Map();
+  // Fragment -> id, for references whose base differs from the page URL (null when ambiguous)
+  const fragments = new Map();
+  
+  const visit = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > MAX_LD_DEPTH) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, depth + 1));
+      return;
+    }
+    
+    const id = ldNodeId(value['@id'], baseUrl);
+    if (id && !isLdReference(value)) {
+      nodes.set(id, nodes.has(id) ? { ...nodes.get(id), ...value } : value);
+      
+      const fragment = id.includes('#') ? id.split('#').pop() : null;
+      if (fragment) {
+        fragments.set(fragment, fragments.has(fragment) && fragments.get(fragment) !== id ? null : id);
+      }
+    }
+    
+    for (const [key, child] of Object.entries(value)) {
+      if (key !== '@context') visit(child, depth + 1);
+    }
+  };
+  documents.forEach(document => visit(document, 0));
+  
+  return { nodes, fragments, baseUrl };
+}
+
+function lookupLdNode(graph, id) {
+  const absolute = ldNodeId(id, graph.baseUrl);
+  if (!absolute) return null;
+  if (graph.nodes.has(absolute)) return graph.nodes.get(absolute);
+  
+  const fragment = absolute.includes('#') ? absolute.split('#').pop() : null;
+  const byFragment = fragment ? graph.fragments.get(fragment) : null;
+  return byFragment ? graph.nodes.get(byFragment) : null;
+}
+
+// Copy of a JSON-LD value with @id references replaced by the nodes they point to. Each node is copied once
+// (memo), so a node reached twice is the same object and reference cycles stay finite.
+function dereferenceLd(value, graph, memo, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > MAX_LD_DEPTH) return value;
+  if (Array.isArray(value)) {
+    return value.map(item => dereferenceLd(item, graph, memo, depth + 1));
+  }
+  
+  const node = lookupLdNode(graph, value['@id']) || value;
+  if (memo.has(node)) return memo.get(node);
+  
+  const resolved = {};
+  memo.set(node, resolved);
+  for (const [key, child] of Object.entries(node)) {
+    resolved[key] = key === '@context' ? child : dereferenceLd(child, graph, memo, depth + 1);
+  }
+  return resolved;
+}
+
+// Enhanced traversal for complex JSON-LD structures. Besides FAQPage questions (out.faqs) it collects
+// QAPage questions with their answers and votes (out.qa), HowTo guides (out.howto) and Questions embedded
+// in other types such as Product or Article through mainEntity/hasPart (out.embedded).
 async function traverseEnhancedLd(obj, out, baseUrl, processing, depth = 0) {
-  if (!obj || typeof obj !== 'object' || depth > 5) {
+  if (!obj || typeof obj !== 'object' || depth > MAX_LD_DEPTH) {
     log(`[Traverse] Skipping at depth ${depth} - obj null or too deep`);
     return;
   }
   
+  if (Array.isArray(obj)) {
+    for (const item of obj) {
+      await traverseEnhancedLd(item, out, baseUrl, processing, depth + 1);
+    }
+    return;
+  }
+  
+  // The same object can be reached through @graph, mainEntity and hasPart
+  if (out.seen.has(obj)) return;
+  out.seen.add(obj);
+  
   const type = obj['@type'];
   log(`[Traverse] Depth ${depth}, type: ${type}`);
   
-  // Check if this is or contains FAQPage
-  if ((Array.isArray(type) ? type.includes('FAQPage') : type === 'FAQPage') ||
-      (obj.mainEntity && obj.mainEntity['@type'] === 'FAQPage')) {
-    
+  if (hasLdType(obj, 'FAQPage')) {
     log('[Traverse] Found FAQPage!');
     
-    // Find the FAQ content
-    let faqContent = obj;
-    if (obj.mainEntity && obj.mainEntity['@type'] === 'FAQPage') {
-      faqContent = obj.mainEntity;
-      log('[Traverse] FAQPage is in mainEntity');
+    for (const q of ldArray(obj.mainEntity || obj.hasPart)) {
+      if (out.questions.has(q)) continue;
+      out.questions.add(q);
+      
+      const faq = await processLdQuestion(q, baseUrl, processing);
+      if (faq) {
+        out.faqs.push(faq);
+        log(`[Traverse] Added FAQ. Total count: ${out.faqs.length}`);
+      }
     }
+  } else if (hasLdType(obj, 'QAPage')) {
+    log('[Traverse] Found QAPage');
     
-    let mainEntity = faqContent.mainEntity || faqContent['mainEntity'] || faqContent.hasPart;
-    if (mainEntity) {
-      mainEntity = Array.isArray(mainEntity) ? mainEntity : [mainEntity];
-      log(`[Traverse] Found ${mainEntity.length} items in mainEntity`);
+    for (const q of ldArray(obj.mainEntity)) {
+      if (out.questions.has(q)) continue;
+      out.questions.add(q);
       
-      for (let qIndex = 0; qIndex < mainEntity.length; qIndex++) {
-        const q = mainEntity[qIndex];
-        log(`[Traverse] Processing question ${qIndex + 1}/${mainEntity.length}`);
-        log(`[Traverse] Question type: ${q['@type']}`);
-        
-        if (!q['@type'] || !q['@type'].includes('Question')) {
-          log('[Traverse] Skipping - not a Question type');
-          continue;
-        }
-        
-        // Process question
-        const rawQuestion = q.name || q.question || '';
-        log(`[Traverse] Raw question: "${rawQuestion}"`);
-        
-        const processedQuestion = processQuestion(rawQuestion, processing);
-        log(`[Traverse] Processed question: "${processedQuestion}"`);
-        
-        if (!processedQuestion) {
-          log('[Traverse] Question processing returned empty, skipping');
-          continue;
-        }
-        
-        // Extract answer - try multiple properties
-        let rawAnswer = '';
-        const accepted = q.acceptedAnswer;
-        const suggested = q.suggestedAnswer;
-        
-        if (accepted) {
-          rawAnswer = typeof accepted === 'string' ? accepted : 
-                     (accepted.text || accepted.answerText || accepted.description || '');
-          log(`[Traverse] Found acceptedAnswer, length: ${rawAnswer.length}`);
-        } else if (suggested && suggested.length > 0) {
-          const firstSuggested = suggested[0];
-          rawAnswer = typeof firstSuggested === 'string' ? firstSuggested :
-                     (firstSuggested.text || firstSuggested.answerText || '');
-          log(`[Traverse] Found suggestedAnswer, length: ${rawAnswer.length}`);
-        }
-        
-        if (!rawAnswer) {
-          log('[Traverse] No answer found, skipping');
-          continue;
-        }
-        
-        // Process answer with sanitization and image handling
-        const processedAnswer = await processAnswer(rawAnswer, baseUrl, processing);
-        log(`[Traverse] Processed answer length: ${processedAnswer.length}`);
-        
-        // Extract ID/anchor
-        let id = q['@id'] || q.id || q.url || null;
-        if (id && id.includes('#')) {
-          id = id.split('#').pop();
-        }
-        if (id) {
-          id = sanitizeAnchor(id);
-        }
-        log(`[Traverse] FAQ ID: ${id || 'none'}`);
-        
-        out.push({ 
-          question: processedQuestion,
-          answer: processedAnswer,
-          id: id
-        });
-        log(`[Traverse] Added FAQ. Total count: ${out.length}`);
+      const qa = await processLdQaQuestion(q, baseUrl, processing);
+      if (qa) out.qa.push(qa);
+    }
+  } else if (hasLdType(obj, 'HowTo')) {
+    log('[Traverse] Found HowTo');
+    
+    const howto = await processLdHowTo(obj, baseUrl, processing);
+    if (howto) out.howto.push(howto);
+  } else if (!hasLdType(obj, 'Question')) {
+    // Questions attached to a Product, Article, WebPage etc.
+    for (const q of [...ldArray(obj.mainEntity), ...ldArray(obj.hasPart)]) {
+      if (!hasLdType(q, 'Question') || out.questions.has(q)) continue;
+      out.questions.add(q);
+      
+      const faq = await processLdQuestion(q, baseUrl, processing);
+      if (faq) {
+        out.embedded.push({ ...faq, parentType: ldTypeName(obj) });
+        log(`[Traverse] Added Question embedded in ${ldTypeName(obj)}`);
       }
-    } else {
-      log('[Traverse] No mainEntity found in FAQPage');
     }
   }
   
   // Traverse nested structures
   if (obj['@graph'] && Array.isArray(obj['@graph'])) {
     log(`[Traverse] Found @graph with ${obj['@graph'].length} items`);
-    for (const item of obj['@graph']) {
-      await traverseEnhancedLd(item, out, baseUrl, processing, depth + 1);
-    }
+    await traverseEnhancedLd(obj['@graph'], out, baseUrl, processing, depth);
   }
   
-  // Check for nested WebPage > mainEntity patterns
-  if (obj.mainEntity && depth < 3) {
+  // Check for nested WebPage > mainEntity and Article > hasPart patterns
+  if (obj.mainEntity) {
     log('[Traverse] Found mainEntity, traversing deeper');
     await traverseEnhancedLd(obj.mainEntity, out, baseUrl, processing, depth + 1);
   }
+  if (obj.hasPart) {
+    await traverseEnhancedLd(obj.hasPart, out, baseUrl, processing, depth + 1);
+  }
+}
+
+function ldArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function hasLdType(obj, typeName) {
+  if (!obj || typeof obj !== 'object') return false;
+  return ldArray(obj['@type']).some(type => typeof type === 'string' && type.replace(/^(https?:\/\/schema\.org\/|schema:)/, '') === typeName);
+}
+
+function ldTypeName(obj) {
+  return ldArray(obj['@type'])[0] || 'Thing';
+}
+
+function ldAnchor(obj) {
+  let id = obj['@id'] || obj.id || obj.url || null;
+  if (typeof id !== 'string') return null;
+  if (id.includes('#')) {
+    id = id.split('#').pop();
+  }
+  return sanitizeAnchor(id);
+}
+
+function ldText(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return value.text || value.answerText || value.description || '';
+}
+
+// A Question with an accepted or suggested answer, as { question, answer, id }
+async function processLdQuestion(q, baseUrl, processing) {
+  log(`[Traverse] Question type: ${q?.['@type']}`);
+  
+  if (!hasLdType(q, 'Question')) {
+    log('[Traverse] Skipping - not a Question type');
+    return null;
+  }
+  
+  const processedQuestion = processQuestion(q.name || q.question || '', processing);
+  if (!processedQuestion) {
+    log('[Traverse] Question processing returned empty, skipping');
+    return null;
+  }
+  
+  // Extract answer - try multiple properties
+  const rawAnswer = ldText(ldArray(q.acceptedAnswer)[0]) || ldText(ldArray(q.suggestedAnswer)[0]);
+  if (!rawAnswer) {
+    log('[Traverse] No answer found, skipping');
+    return null;
+  }
+  
+  return {
+    question: processedQuestion,
+    answer: await processAnswer(rawAnswer, baseUrl, processing),
+    id: ldAnchor(q)
+  };
+}
+
+// A QAPage Question with every answer, accepted first and then by votes
+async function processLdQaQuestion(q, baseUrl, processing) {
+  if (!hasLdType(q, 'Question')) return null;
+  
+  const processedQuestion = processQuestion(q.name || q.text || '', processing);
+  if (!processedQuestion) return null;
+  
+  const answers = [];
+  const addAnswers = async (list, accepted) => {
+    for (const a of ldArray(list)) {
+      const text = ldText(a);
+      if (!text) continue;
+      answers.push({
+        answer: await processAnswer(text, baseUrl, processing),
+        accepted,
+        upvoteCount: Number(a.upvoteCount) || 0,
+        dateCreated: a.dateCreated || null,
+        author: typeof a.author === 'string' ? a.author : a.author?.name || null,
+        id: typeof a === 'object' ? ldAnchor(a) : null
+      });
+    }
+  };
+  await addAnswers(q.acceptedAnswer, true);
+  await addAnswers(q.suggestedAnswer, false);
+  answers.sort((a, b) => (b.accepted - a.accepted) || (b.upvoteCount - a.upvoteCount));
+  
+  return {
+    question: processedQuestion,
+    // The accepted or best-voted answer
+    answer: answers[0]?.answer || '',
+    id: ldAnchor(q),
+    details: q.text && q.text !== q.name ? await processAnswer(q.text, baseUrl, processing) : null,
+    answerCount: Number(q.answerCount) || answers.length,
+    upvoteCount: Number(q.upvoteCount) || 0,
+    dateCreated: q.dateCreated || null,
+    answers
+  };
+}
+
+// A HowTo with its steps flattened in order (HowToSection steps keep their section name)
+async function processLdHowTo(obj, baseUrl, processing) {
+  const name = processQuestion(obj.name || '', processing);
+  const steps = [];
+  
+  const addSteps = async (list, section = null) => {
+    for (const step of ldArray(list)) {
+      if (typeof step === 'string') {
+        steps.push({ position: steps.length + 1, name: null, text: await processAnswer(step, baseUrl, processing), section });
+      } else if (hasLdType(step, 'HowToSection')) {
+        await addSteps(step.itemListElement || step.steps, step.name || section);
+      } else if (step && typeof step === 'object') {
+        const text = step.text || ldArray(step.itemListElement).map(ldText).join(' ');
+        if (!text && !step.name) continue;
+        
+        const image = ldArray(step.image)[0];
+        steps.push({
+          position: steps.length + 1,
+          name: step.name ? processQuestion(step.name, processing) : null,
+          text: text ? await processAnswer(text, baseUrl, processing) : '',
+          section,
+          url: typeof step.url === 'string' ? step.url : null,
+          image: typeof image === 'string' ? image : image?.url || null
+        });
+      }
+    }
+  };
+  await addSteps(obj.step);
+  
+  if (!name || steps.length === 0) return null;
+  
+  return {
+    name,
+    description: obj.description ? await processAnswer(obj.description, baseUrl, processing) : null,
+    id: ldAnchor(obj),
+    totalTime: obj.totalTime || null,
+    supply: ldArray(obj.supply).map(item => typeof item === 'string' ? item : item?.name).filter(Boolean),
+    tool: ldArray(obj.tool).map(item => typeof item === 'string' ? item : item?.name).filter(Boolean),
+    steps
+  };
 }
 
 // Enhanced Microdata extraction
@@ -1119,6 +1371,456 @@ async function processRdfaQuestion(questionEl, faqs, baseUrl, processing) {
   log(`[RDFa] Added FAQ. Total count: ${faqs.length}`);
 }
 
+// Heuristic extraction for pages with plain-HTML FAQs and no schema markup.
+// Accordion plugin markup is checked first as the most reliable, then <details>/<summary>,
+// <dl>/<dt>/<dd> and sub-headings under an "FAQ" heading. Every item gets a confidence score.
+const HEURISTIC_MIN_CONFIDENCE = 0.4;
+
+const ACCORDION_PATTERNS = [
+  { pattern: 'yoast-faq-block', item: '.schema-faq-section', question: '.schema-faq-question', answer: '.schema-faq-answer', confidence: 0.9 },
+  { pattern: 'rank-math-faq', item: '.rank-math-list-item', question: '.rank-math-question', answer: '.rank-math-answer', confidence: 0.9 },
+  { pattern: 'elementor-accordion', item: '.elementor-accordion-item, .elementor-toggle-item', question: '.elementor-tab-title', answer: '.elementor-tab-content', confidence: 0.75 },
+  { pattern: 'divi-toggle', item: '.et_pb_toggle, .et_pb_accordion_item', question: '.et_pb_toggle_title', answer: '.et_pb_toggle_content', confidence: 0.75 }
+];
+
+const FAQ_HEADING_PATTERN = /\b(faqs?|frequently asked questions|questions (and|&) answers|q\s*&\s*a)\b/i;
+const QUESTION_START_PATTERN = /^(what|what's|how|why|when|where|who|which|can|could|do|does|did|is|are|was|were|will|would|should|shall|may|might|has|have)\b/i;
+
+async function extractHeuristicFaqs(root, baseUrl, processing) {
+  const faqs = [];
+  const warnings = [];
+  // Elements already used, so e.g. an Elementor accordion built on <details> is not read twice
+  const claimed = new Set();
+  
+  log('[Heuristic] Starting extraction');
+  
+  for (const { pattern, item, question, answer, confidence } of ACCORDION_PATTERNS) {
+    for (const itemEl of root.querySelectorAll(item)) {
+      const questionEl = itemEl.querySelector(question);
+      const answerEl = itemEl.querySelector(answer);
+      if (!questionEl || !answerEl) continue;
+      
+      claimed.add(itemEl);
+      await addHeuristicFaq(faqs, {
+        el: itemEl,
+        rawQuestion: questionEl.textContent,
+        answerHtml: answerEl.innerHTML,
+        answerText: answerEl.textContent,
+        base: confidence,
+        pattern
+      }, baseUrl, processing);
+    }
+  }
+  
+  for (const details of root.querySelectorAll('details')) {
+    const summary = details.querySelector('summary');
+    if (!summary || isClaimed(details, claimed)) continue;
+    
+    const parts = elementChildren(details).filter(child => child !== summary);
+    claimed.add(details);
+    await addHeuristicFaq(faqs, {
+      el: details,
+      rawQuestion: summary.textContent,
+      answerHtml: parts.map(part => part.toString()).join(''),
+      answerText: parts.map(part => part.textContent).join(' '),
+      base: 0.6,
+      pattern: 'details-summary'
+    }, baseUrl, processing);
+  }
+  
+  for (const list of root.querySelectorAll('dl')) {
+    if (isClaimed(list, claimed)) continue;
+    
+    const pairs = [];
+    for (const child of elementChildren(list)) {
+      const tag = child.tagName.toUpperCase();
+      if (tag === 'DT') pairs.push({ term: child, definitions: [] });
+      else if (tag === 'DD' && pairs.length > 0) pairs[pairs.length - 1].definitions.push(child);
+    }
+    
+    for (const { term, definitions } of pairs) {
+      if (definitions.length === 0) continue;
+      await addHeuristicFaq(faqs, {
+        el: term,
+        rawQuestion: term.textContent,
+        answerHtml: definitions.map(definition => definition.innerHTML).join(''),
+        answerText: definitions.map(definition => definition.textContent).join(' '),
+        base: 0.45,
+        pattern: 'definition-list'
+      }, baseUrl, processing);
+    }
+  }
+  
+  for (const heading of root.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    if (!FAQ_HEADING_PATTERN.test(heading.textContent) || isClaimed(heading, claimed)) continue;
+    
+    const level = headingLevel(heading);
+    // Headings are often wrapped on their own, e.g. <div><h2>FAQ</h2></div><h3>...</h3>
+    const parent = heading.parentNode;
+    let el = heading.nextElementSibling ||
+      (parent?.nextElementSibling && elementChildren(parent).length === 1 ? parent.nextElementSibling : null);
+    let current = null;
+    const sections = [];
+    
+    for (; el; el = el.nextElementSibling) {
+      const elLevel = headingLevel(el);
+      if (elLevel && elLevel <= level) break; // End of the FAQ section
+      
+      if (elLevel) {
+        current = { el, parts: [] };
+        sections.push(current);
+      } else if (current && !isClaimed(el, claimed)) {
+        current.parts.push(el);
+      }
+    }
+    
+    log(`[Heuristic] FAQ heading "${heading.textContent.trim()}" has ${sections.length} sub-headings`);
+    
+    for (const { el: questionEl, parts } of sections) {
+      await addHeuristicFaq(faqs, {
+        el: questionEl,
+        rawQuestion: questionEl.textContent,
+        answerHtml: parts.map(part => part.toString()).join(''),
+        answerText: parts.map(part => part.textContent).join(' '),
+        base: 0.5,
+        pattern: 'faq-heading-section',
+        inFaqSection: true
+      }, baseUrl, processing);
+    }
+  }
+  
+  if (faqs.length > 0) {
+    warnings.push(`FAQs were found without schema markup (${faqs.length} items); check them before publishing`);
+  }
+  
+  log(`[Heuristic] Total FAQs extracted: ${faqs.length}`);
+  return { faqs, metadata: { warnings } };
+}
+
+async function addHeuristicFaq(faqs, { el, rawQuestion, answerHtml, answerText, base, pattern, inFaqSection = false }, baseUrl, processing) {
+  const question = processQuestion(rawQuestion || '', processing);
+  const text = decodeHtmlEntities(answerText || '').replace(/\s+/g, ' ').trim();
+  if (!question || !text) return;
+  
+  const confidence = scoreHeuristicFaq(base, question, text, inFaqSection || isInFaqContainer(el));
+  if (confidence < HEURISTIC_MIN_CONFIDENCE) {
+    log(`[Heuristic] Skipping "${question}" (${pattern}, confidence ${confidence})`);
+    return;
+  }
+  
+  faqs.push({
+    question,
+    answer: await processAnswer(answerHtml, baseUrl, processing),
+    id: sanitizeAnchor(el.getAttribute('id') || null),
+    confidence,
+    pattern
+  });
+  log(`[Heuristic] Added FAQ (${pattern}, confidence ${confidence}). Total count: ${faqs.length}`);
+}
+
+// Confidence 0-1: the pattern's base, adjusted for how question-like the question is,
+// whether it sits in an FAQ container and whether the answer has substance
+function scoreHeuristicFaq(base, question, answerText, inFaqSection) {
+  let score = base;
+  
+  if (question.endsWith('?')) score += 0.15;
+  else if (QUESTION_START_PATTERN.test(question)) score += 0.1;
+  else score -= 0.15;
+  
+  if (inFaqSection) score += 0.1;
+  if (answerText.length < 20) score -= 0.2;
+  if (question.length > 200) score -= 0.2;
+  
+  return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+}
+
+function isInFaqContainer(el) {
+  for (let node = el, depth = 0; node && depth < 6; node = node.parentNode, depth++) {
+    const marker = `${node.getAttribute?.('id') || ''} ${node.getAttribute?.('class') || ''}`;
+    if (/faq/i.test(marker)) return true;
+  }
+  return false;
+}
+
+function isClaimed(el, claimed) {
+  for (let node = el; node; node = node.parentNode) {
+    if (claimed.has(node)) return true;
+  }
+  return false;
+}
+
+function elementChildren(el) {
+  return el.childNodes.filter(node => node.nodeType === 1);
+}
+
+function headingLevel(el) {
+  const match = /^H([1-6])$/i.exec(el.tagName || '');
+  return match ? Number(match[1]) : 0;
+}
+
+// FAQ markup validation (/validate), modelled on Google's Rich Results report.
+// Every FAQPage in JSON-LD, Microdata and RDFa is read into one shape and checked for missing required
+// properties, empty answers, answer HTML Google ignores, duplicate questions, mixed formats and repeated
+// FAQPage entities. Errors make the page ineligible for FAQ rich results; warnings do not.
+const RICH_RESULT_ANSWER_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'ol', 'ul', 'li', 'a', 'p', 'div', 'b', 'strong', 'i', 'em']);
+
+function validateFaqMarkup(root, baseUrl) {
+  const issues = [];
+  const addIssue = (severity, code, message, { format = null, path = null, snippet = null } = {}) => {
+    issues.push({ severity, code, message, format, path, snippet: snippet ? truncateSnippet(snippet) : null });
+  };
+  
+  const pages = [
+    ...collectLdFaqPages(root, baseUrl, addIssue),
+    ...collectDomFaqPages(root, 'Microdata', '[itemscope][itemtype*="FAQPage"]', {
+      question: '[itemscope][itemtype*="Question"]',
+      name: '[itemprop="name"]',
+      acceptedAnswer: '[itemprop="acceptedAnswer"]',
+      text: '[itemprop="text"]',
+      mainEntity: el => (el.getAttribute('itemprop') || '').includes('mainEntity')
+    }),
+    ...collectDomFaqPages(root, 'RDFa', '[typeof*="FAQPage"]', {
+      question: '[typeof*="Question"]',
+      name: '[property="name"], [property="schema:name"]',
+      acceptedAnswer: '[property*="acceptedAnswer"]',
+      text: '[property="text"], [property="schema:text"]',
+      mainEntity: el => (el.getAttribute('property') || '').includes('mainEntity')
+    })
+  ];
+  
+  if (pages.length === 0) {
+    addIssue('error', 'NO_FAQ_MARKUP', 'No FAQPage structured data found');
+  }
+  
+  if (pages.length > 1) {
+    pages.slice(1).forEach(page => {
+      addIssue('error', 'MULTIPLE_FAQPAGE', `Page has ${pages.length} FAQPage entities; only one is allowed per page`, page);
+    });
+  }
+  
+  const formats = [...new Set(pages.map(page => page.format))];
+  if (formats.length > 1) {
+    addIssue('warning', 'MIXED_FORMATS', `FAQ markup uses more than one format (${formats.join(', ')}); use a single format`);
+  }
+  
+  const seenQuestions = new Map();
+  let questionCount = 0;
+  
+  for (const page of pages) {
+    if (page.questions.length === 0) {
+      addIssue('error', 'MISSING_PROPERTY', 'Missing field "mainEntity": FAQPage has no Question items', page);
+      continue;
+    }
+    
+    for (const q of page.questions) {
+      questionCount++;
+      const at = { format: page.format, path: q.path, snippet: q.snippet };
+      
+      if (!q.isQuestion) {
+        addIssue('error', 'INVALID_TYPE', 'mainEntity items must be of type Question', at);
+        continue;
+      }
+      if (q.mainEntity === false) {
+        addIssue('warning', 'MISSING_PROPERTY', 'Question is not linked to the FAQPage as "mainEntity"', at);
+      }
+      
+      const name = (q.name || '').replace(/\s+/g, ' ').trim();
+      if (!name) {
+        addIssue('error', 'MISSING_PROPERTY', 'Missing field "name" (the question text)', at);
+      } else {
+        const key = name.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+        if (seenQuestions.has(key)) {
+          addIssue('warning', 'DUPLICATE_QUESTION', `Duplicate question "${name}" (also at ${seenQuestions.get(key)})`, at);
+        } else {
+          seenQuestions.set(key, q.path);
+        }
+      }
+      
+      if (!q.hasAcceptedAnswer) {
+        addIssue('error', 'MISSING_PROPERTY', 'Missing field "acceptedAnswer"', at);
+        continue;
+      }
+      if (q.acceptedAnswerCount > 1) {
+        addIssue('warning', 'MULTIPLE_ANSWERS', 'Question has more than one acceptedAnswer; only the first is used', at);
+      }
+      
+      const answerAt = { format: page.format, path: q.answerPath, snippet: q.answerSnippet || q.snippet };
+      if (q.answer === null || q.answer === undefined) {
+        addIssue('error', 'MISSING_PROPERTY', 'Missing field "text" in acceptedAnswer', answerAt);
+        continue;
+      }
+      
+      const answerHtml = decodeHtmlEntities(String(q.answer));
+      if (!answerHtml.replace(/<[^>]+>/g, '').replace(/\s+/g, '').trim()) {
+        addIssue('error', 'EMPTY_ANSWER', 'acceptedAnswer text is empty', answerAt);
+        continue;
+      }
+      
+      const disallowed = [...new Set([...answerHtml.matchAll(/<\s*([a-zA-Z][a-zA-Z0-9]*)\b/g)]
+        .map(match => match[1].toLowerCase())
+        .filter(tag => !RICH_RESULT_ANSWER_TAGS.has(tag)))];
+      if (disallowed.length > 0) {
+        addIssue('warning', 'DISALLOWED_HTML', `Answer contains HTML tags Google ignores: ${disallowed.map(tag => `<${tag}>`).join(', ')}`, answerAt);
+      }
+    }
+  }
+  
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  return {
+    valid: errors === 0,
+    eligible: errors === 0 && pages.length > 0,
+    summary: {
+      errors,
+      warnings: issues.length - errors,
+      faqPages: pages.length,
+      questions: questionCount,
+      formats
+    },
+    items: pages.map(page => ({ format: page.format, path: page.path, questions: page.questions.length })),
+    issues
+  };
+}
+
+// FAQPage entities in JSON-LD, with @id references resolved, as { format, path, snippet, questions }
+function collectLdFaqPages(root, baseUrl, addIssue) {
+  const scripts = root.querySelectorAll('script[type="application/ld+json"]');
+  const parsed = [];
+  
+  scripts.forEach((script, index) => {
+    const { data, content, error } = parseJsonLdScript(script);
+    if (data !== undefined) {
+      parsed.push({ index, data });
+    } else if (content) {
+      addIssue('error', 'INVALID_JSON_LD', `JSON-LD could not be parsed: ${error}`, { format: 'JSON-LD', path: `jsonld[${index}]`, snippet: content });
+    }
+  });
+  
+  const graph = buildLdGraph(parsed.map(({ data }) => data), baseUrl);
+  const memo = new Map();
+  const pages = [];
+  const seen = new Set();
+  
+  const visit = (value, path, depth) => {
+    if (!value || typeof value !== 'object' || depth > MAX_LD_DEPTH || seen.has(value)) return;
+    seen.add(value);
+    
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => visit(item, `${path}[${i}]`, depth + 1));
+      return;
+    }
+    
+    if (hasLdType(value, 'FAQPage')) {
+      const entities = value.mainEntity ? ldArray(value.mainEntity) : [];
+      const entityPath = i => Array.isArray(value.mainEntity) ? `${path}.mainEntity[${i}]` : `${path}.mainEntity`;
+      
+      pages.push({
+        format: 'JSON-LD',
+        path,
+        snippet: ldSnippet(value),
+        questions: entities.map((q, i) => {
+          const accepted = q && typeof q === 'object' ? ldArray(q.acceptedAnswer) : [];
+          const answer = accepted[0];
+          const answerPath = `${entityPath(i)}.acceptedAnswer${Array.isArray(q?.acceptedAnswer) ? '[0]' : ''}`;
+          return {
+            path: entityPath(i),
+            snippet: ldSnippet(q),
+            isQuestion: hasLdType(q, 'Question'),
+            name: typeof q?.name === 'string' ? q.name : '',
+            hasAcceptedAnswer: accepted.length > 0,
+            acceptedAnswerCount: accepted.length,
+            answer: typeof answer === 'string' ? answer : (typeof answer?.text === 'string' ? answer.text : null),
+            answerPath: typeof answer === 'string' ? answerPath : `${answerPath}.text`,
+            answerSnippet: answer ? ldSnippet(answer) : null
+          };
+        })
+      });
+    }
+    
+    for (const key of ['@graph', 'mainEntity', 'hasPart']) {
+      if (value[key] && !(key === 'mainEntity' && hasLdType(value, 'FAQPage'))) {
+        visit(value[key], `${path}.${key}`, depth + 1);
+      }
+    }
+  };
+  
+  for (const { index, data } of parsed) {
+    visit(dereferenceLd(data, graph, memo), `jsonld[${index}]`, 0);
+  }
+  return pages;
+}
+
+// FAQPage entities in Microdata or RDFa, as { format, path, snippet, questions }
+function collectDomFaqPages(root, format, pageSelector, selectors) {
+  return root.querySelectorAll(pageSelector).map(pageEl => ({
+    format,
+    path: elementPath(pageEl),
+    snippet: pageEl.outerHTML,
+    questions: pageEl.querySelectorAll(selectors.question).map(questionEl => {
+      const nameEl = questionEl.querySelector(selectors.name);
+      const acceptedEls = questionEl.querySelectorAll(selectors.acceptedAnswer);
+      const textEl = acceptedEls[0]?.querySelector(selectors.text) ||
+        (acceptedEls[0]?.matches?.(selectors.text) ? acceptedEls[0] : null);
+      
+      return {
+        path: elementPath(questionEl),
+        snippet: questionEl.outerHTML,
+        isQuestion: true,
+        mainEntity: selectors.mainEntity(questionEl),
+        name: nameEl ? (nameEl.textContent || nameEl.getAttribute('content') || '') : '',
+        hasAcceptedAnswer: acceptedEls.length > 0,
+        acceptedAnswerCount: acceptedEls.length,
+        answer: textEl ? (textEl.innerHTML || textEl.getAttribute('content') || '') : null,
+        answerPath: textEl ? elementPath(textEl) : acceptedEls[0] ? elementPath(acceptedEls[0]) : null,
+        answerSnippet: (textEl || acceptedEls[0])?.outerHTML || null
+      };
+    })
+  }));
+}
+
+// CSS-like path to an element, e.g. body > div#faq > div.question:nth-of-type(2)
+function elementPath(el) {
+  const segments = [];
+  for (let node = el; node && node.tagName && segments.length < 6; node = node.parentNode) {
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'html') break;
+    
+    let segment = tag;
+    const id = node.getAttribute('id');
+    const className = (node.getAttribute('class') || '').trim().split(/\s+/)[0];
+    if (id) {
+      segment += `#${id}`;
+    } else {
+      if (className) segment += `.${className}`;
+      const sameTag = node.parentNode?.childNodes?.filter(sibling => sibling.tagName?.toLowerCase() === tag) || [];
+      if (sameTag.length > 1) segment += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+    }
+    segments.unshift(segment);
+    if (id) break; // An id is specific enough
+  }
+  return segments.join(' > ');
+}
+
+// JSON for a (possibly cyclic, after dereferencing) JSON-LD node
+function ldSnippet(value) {
+  const ancestors = [];
+  try {
+    return JSON.stringify(value, function (key, child) {
+      if (!child || typeof child !== 'object') return child;
+      while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+      if (ancestors.includes(child)) return '[Circular]';
+      ancestors.push(child);
+      return child;
+    });
+  } catch (e) {
+    return String(value);
+  }
+}
+
+function truncateSnippet(text) {
+  const snippet = String(text).replace(/\s+/g, ' ').trim();
+  return snippet.length > 300 ? snippet.substring(0, 300) + '…' : snippet;
+}
+
 // Process question text
 function processQuestion(raw, processing) {
   log(`[ProcessQ] Input: "${raw}"`);
@@ -1,20 +1,142 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import worker from '../src';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+const FAQ_JSON_LD = {
+	'@context': 'https://schema.org',
+	'@type': 'FAQPage',
+	mainEntity: [
+		{ '@type': 'Question', name: 'How long does delivery take?', acceptedAnswer: { '@type': 'Answer', text: 'Three to five working days.' } },
+		{ '@type': 'Question', name: 'Can I return an item?', acceptedAnswer: { '@type': 'Answer', text: 'Yes, within 30 days of delivery.' } }
+	]
+};
+
+const PAGES = {
+	'/json-ld': `<html><head><title>Delivery FAQ</title><script type="application/ld+json">${JSON.stringify(FAQ_JSON_LD)}</script></head><body></body></html>`,
+	'/accordion': `<html><head><title>Help</title></head><body><h2>Frequently asked questions</h2>
+		<details><summary>How do I track my order?</summary><p>Use the tracking link in your dispatch email.</p></details>
+		<details><summary>Do you ship abroad?</summary><p>We ship to most of Europe and North America.</p></details>
+	</body></html>`,
+	'/broken': `<html><head><script type="application/ld+json">${JSON.stringify({
+		'@context': 'https://schema.org',
+		'@type': 'FAQPage',
+		mainEntity: [{ '@type': 'Question', name: 'What is missing here?' }]
+	})}</script></head><body></body></html>`,
+	'/plain': '<html><head><title>About</title></head><body><p>Nothing to see.</p></body></html>'
+};
+
+let clientCounter = 0;
+
+async function callWorker(path, { headers = {}, env: workerEnv = { ...env, CRAWL_DELAY_MS: '0' } } = {}) {
+	const request = new Request(`https://worker.test${path}`, {
+		headers: { 'CF-Connecting-IP': `203.0.113.${++clientCounter % 250}`, ...headers }
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, workerEnv, ctx);
+	const text = await response.text();
+	await waitOnExecutionContext(ctx);
+	return new Response(text, response);
+}
+
+function mockSite(robotsTxt = '') {
+	return vi.spyOn(globalThis, 'fetch').mockImplementation(async input => {
+		const url = new URL(input instanceof Request ? input.url : String(input));
+		if (url.pathname === '/robots.txt') {
+			return robotsTxt ? new Response(robotsTxt) : new Response('', { status: 404 });
+		}
+		const page = PAGES[url.pathname];
+		return page
+			? new Response(page, { headers: { 'Content-Type': 'text/html; charset=utf-8' } })
+			: new Response('Not found', { status: 404 });
 	});
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('FAQ extraction', () => {
+	it('extracts FAQPage JSON-LD', async () => {
+		mockSite();
+		const response = await callWorker('/?url=https://shop.test/json-ld');
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.success).toBe(true);
+		expect(result.faqs.map(faq => faq.question)).toEqual(['How long does delivery take?', 'Can I return an item?']);
+		expect(result.metadata.schemaTypes).toContain('JSON-LD');
+		expect(result.metadata.title).toBe('Delivery FAQ');
+	});
+
+	it('falls back to plain-HTML FAQ patterns', async () => {
+		mockSite();
+		const response = await callWorker('/?url=https://shop.test/accordion');
+		const result = await response.json();
+
+		expect(result.success).toBe(true);
+		expect(result.metadata.extractionMethod).toBe('heuristic');
+		expect(result.faqs.map(faq => faq.question)).toContain('How do I track my order?');
+	});
+
+	it('reports pages without FAQ content', async () => {
+		mockSite();
+		const result = await (await callWorker('/?url=https://shop.test/plain')).json();
+
+		expect(result.success).toBe(false);
+		expect(result.faqs).toEqual([]);
+		expect(result.metadata.extractionMethod).toBe('none');
+	});
+
+	// robots.txt is cached in memory per origin, so this test uses its own host
+	it('refuses pages robots.txt disallows', async () => {
+		const fetchSpy = mockSite('User-agent: *\nDisallow: /json-ld');
+		const response = await callWorker('/?url=https://members.test/json-ld');
+		const result = await response.json();
+
+		expect(response.status).toBe(403);
+		expect(result).toMatchObject({ success: false, error: 'blocked_by_robots', rule: 'Disallow: /json-ld' });
+		expect(fetchSpy.mock.calls.map(([input]) => String(input.url ?? input))).not.toContain('https://members.test/json-ld');
+	});
+
+	it('requires a url parameter', async () => {
+		expect((await callWorker('/')).status).toBe(400);
+	});
+
+	it('blocks internal addresses', async () => {
+		const fetchSpy = mockSite();
+		const response = await callWorker('/?url=http://192.168.1.10/admin');
+
+		expect(response.status).toBe(403);
+		expect(fetchSpy).not.toHaveBeenCalled();
+	});
+
+	it('blocks anonymous requests from unknown origins', async () => {
+		mockSite();
+		const response = await callWorker('/?url=https://shop.test/json-ld', { headers: { Origin: 'https://elsewhere.test' } });
+		expect(response.status).toBe(403);
+	});
+});
+
+describe('markup validation', () => {
+	it('reports valid markup as eligible', async () => {
+		mockSite();
+		const result = await (await callWorker('/validate?url=https://shop.test/json-ld')).json();
+
+		expect(result).toMatchObject({ success: true, mode: 'validate', eligible: true });
+		expect(result.summary.errors).toBe(0);
+	});
+
+	it('reports a question without an answer', async () => {
+		mockSite();
+		const result = await (await callWorker('/validate?url=https://shop.test/broken')).json();
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		expect(result.eligible).toBe(false);
+		expect(result.summary.errors).toBeGreaterThan(0);
 	});
 });
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { parseRobotsTxt, checkRobotsRules } from '../../shared/polite-fetch.js';
+
+const UA = 'FAQBot/1.0 (+https://example.com/bot)';
+
+describe('parseRobotsTxt', () => {
+	it('groups consecutive user-agent lines and their rules', () => {
+		const groups = parseRobotsTxt([
+			'# comment',
+			'User-agent: FAQBot',
+			'User-agent: OtherBot',
+			'Disallow: /private/ # trailing comment',
+			'Allow: /private/faq',
+			'Crawl-delay: 2',
+			'',
+			'User-agent: *',
+			'Disallow: /admin'
+		].join('\r\n'));
+
+		expect(groups).toEqual([
+			{ agents: ['faqbot', 'otherbot'], rules: [{ allow: false, path: '/private/' }, { allow: true, path: '/private/faq' }], crawlDelay: 2 },
+			{ agents: ['*'], rules: [{ allow: false, path: '/admin' }], crawlDelay: null }
+		]);
+	});
+
+	it('ignores empty Disallow values, bad crawl delays and rules before any group', () => {
+		const groups = parseRobotsTxt('Disallow: /orphan\nUser-agent: *\nDisallow:\nCrawl-delay: soon\nnot a directive');
+		expect(groups).toEqual([{ agents: ['*'], rules: [], crawlDelay: null }]);
+	});
+});
+
+describe('checkRobotsRules', () => {
+	const groups = parseRobotsTxt([
+		'User-agent: FAQBot',
+		'Disallow: /private/',
+		'Allow: /private/faq',
+		'Disallow: /*.pdf$',
+		'Crawl-delay: 3',
+		'',
+		'User-agent: *',
+		'Disallow: /'
+	].join('\n'));
+
+	it('prefers the group matching the product token over *', () => {
+		expect(checkRobotsRules(groups, UA, '/about')).toEqual({ allowed: true, rule: null, crawlDelay: 3 });
+		expect(checkRobotsRules(groups, 'SomeoneElse/2.0', '/about')).toMatchObject({ allowed: false, rule: 'Disallow: /' });
+	});
+
+	it('lets the longest matching rule win', () => {
+		expect(checkRobotsRules(groups, UA, '/private/notes')).toMatchObject({ allowed: false, rule: 'Disallow: /private/' });
+		expect(checkRobotsRules(groups, UA, '/private/faq?page=2')).toMatchObject({ allowed: true, rule: 'Allow: /private/faq' });
+	});
+
+	it('supports * wildcards and $ anchors', () => {
+		expect(checkRobotsRules(groups, UA, '/docs/guide.pdf').allowed).toBe(false);
+		expect(checkRobotsRules(groups, UA, '/docs/guide.pdf?download=1').allowed).toBe(true);
+	});
+
+	it('lets Allow win a tie', () => {
+		const tied = parseRobotsTxt('User-agent: *\nDisallow: /faq\nAllow: /faq');
+		expect(checkRobotsRules(tied, UA, '/faq')).toMatchObject({ allowed: true, rule: 'Allow: /faq' });
+	});
+
+	it('always allows robots.txt itself and sites without a matching group', () => {
+		expect(checkRobotsRules(groups, 'SomeoneElse/2.0', '/robots.txt').allowed).toBe(true);
+		expect(checkRobotsRules(parseRobotsTxt('User-agent: OtherBot\nDisallow: /'), UA, '/faq').allowed).toBe(true);
+		expect(checkRobotsRules([], UA, '/faq')).toEqual({ allowed: true, rule: null, crawlDelay: null });
+	});
+});
@@ -7,10 +7,15 @@
  * - SEO scoring and keyword optimization
  * - Question type detection and specialized suggestions
  * - Smart caching for performance
- * - Enhanced IP-based rate limiting with violation tracking and progressive penalties
- * - Enhanced error handling and fallbacks
+ * - Rate limiting through the shared EnhancedRateLimiter (dynamic limits, violation tracking, progressive penalties)
+ * - API keys (Authorization: Bearer) with per-key plans: quotas, allowed workers and origins
+ * - Enhanced error handling and fallbacks (shared AI client with model fallback chain)
  * - Grammar checking and improvement
  * - Duplicate detection and prevention
+ * - Schema-validated JSON suggestions with a repair prompt before falling back
+ * - A/B experiments: session/IP-hashed model and temperature variants, outcomes at /experiments
+ * - Per-request token/neuron cost in metadata; daily totals per worker, IP and API key at /admin/costs
+ * - Daily/monthly neuron budgets: cheaper model near the limit, rule-based suggestions (degraded) when exhausted
  *
  * CLAUDE 4 OPUS FIXES APPLIED:
  * ✅ Better system prompts (less restrictive)
@@ -34,53 +39,31 @@
 
 import { generateDynamicHealthResponse, trackCacheHit, trackCacheMiss } from '../../shared/health-utils.js';
 import { cacheAIModelConfig, invalidateWorkerCaches, initializeCacheManager } from '../../shared/advanced-cache-manager.js';
+import { summarizeAIUsage } from '../../shared/ai-client.js';
+import { generateStructuredOutput } from '../../shared/structured-output.js';
+import { assignExperimentVariant, experimentTag, recordExperimentOutcome, handleExperimentRequest } from '../../shared/experiments.js';
+import { calculateAICost, recordAICost, handleCostRequest } from '../../shared/cost-accounting.js';
+import { checkAIBudget, budgetTag } from '../../shared/ai-budget.js';
+import { checkWorkerRateLimit, rateLimitExceededResponse } from '../../shared/rate-limit.js';
 
-// Rate limiting utilities - FREE KV-based implementation
-const rateLimitCache = new Map();
-const CACHE_TTL = 60000; // 1 minute cache
+// Shared AI client settings: configured fallback models, then this worker's default
+const AI_CLIENT_CONFIG = { workerType: 'question_generator', defaultModel: '@cf/meta/llama-3.1-8b-instruct' };
 
-async function checkRateLimit(env, clientIP, config = {}) {
-  const limit = config.limit || 100; // Default: 100 requests per hour
-  const window = config.window || 3600; // Default: 1 hour
-  const now = Date.now();
-  const key = `rl:${clientIP}`;
-  
-  // Check cache first to reduce KV reads
-  const cached = rateLimitCache.get(clientIP);
-  if (cached && cached.expires > now) {
-    return { allowed: !cached.blocked, remaining: cached.remaining || 0 };
-  }
-  
-  try {
-    const data = await env.FAQ_RATE_LIMITS.get(key, { type: 'json' }) || { count: 0, windowStart: now };
-    
-    // Reset window if expired
-    if (now - data.windowStart > window * 1000) {
-      data.count = 0;
-      data.windowStart = now;
-    }
-    
-    // Check if rate limited
-    if (data.count >= limit) {
-      rateLimitCache.set(clientIP, { blocked: true, remaining: 0, expires: now + CACHE_TTL });
-      return { allowed: false, remaining: 0 };
-    }
-    
-    // Increment counter
-    data.count++;
-    await env.FAQ_RATE_LIMITS.put(key, JSON.stringify(data), {
-      expirationTtl: window * 2 // Auto-cleanup after 2x window
-    });
-    
-    const remaining = limit - data.count;
-    rateLimitCache.set(clientIP, { blocked: false, remaining, expires: now + CACHE_TTL });
-    return { allowed: true, remaining };
-    
-  } catch (error) {
-    console.error('Rate limit check failed:', error);
-    return { allowed: true, remaining: -1 }; // Fail open
+// Output schemas per mode: a JSON array of { text, benefit, reason } suggestions
+const SUGGESTION_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['text', 'benefit', 'reason'],
+  properties: {
+    text: { type: 'string', minLength: 11, maxLength: 299 },
+    benefit: { type: 'string', minLength: 1 },
+    reason: { type: 'string', minLength: 1 }
   }
-}
+};
+
+const SUGGESTION_SCHEMAS = {
+  improve: { type: 'array', minItems: 1, maxItems: 5, items: SUGGESTION_ITEM_SCHEMA },
+  tips: { type: 'array', minItems: 1, maxItems: 5, items: SUGGESTION_ITEM_SCHEMA }
+};
 
 // Debug mode - matches original comprehensive debug logging
 const DEBUG_MODE = true;
@@ -370,7 +353,7 @@ export default {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, X-Request-ID',
+      'Access-Control-Allow-Headers': 'Content-Type, X-Request-ID, Authorization, X-API-Key',
       'Access-Control-Max-Age': '86400'
     };
 
@@ -520,6 +503,23 @@ export default {
       }
     }
 
+    // A/B experiment results and accept/reject feedback; feedback counts against the worker's rate limits
+    if (new URL(request.url).pathname.startsWith('/experiments')) {
+      if (request.method === 'POST') {
+        const rateLimitResult = await checkWorkerRateLimit(env, 'faq-realtime-assistant-worker', request.headers.get('CF-Connecting-IP') || 'unknown', request);
+        if (!rateLimitResult.allowed) {
+          return rateLimitExceededResponse(rateLimitResult, corsHeaders);
+        }
+      }
+
+      const experimentResponse = await handleExperimentRequest(request, env, 'question_generator', corsHeaders);
+      if (experimentResponse) return experimentResponse;
+    }
+
+    // Admin: daily AI cost totals per worker, client IP and API key
+    const costResponse = await handleCostRequest(request, env, corsHeaders);
+    if (costResponse) return costResponse;
+
     // Only accept POST requests for main functionality
     if (request.method !== 'POST') {
       return new Response(JSON.stringify({
@@ -554,6 +554,7 @@ export default {
         mode = 'improve', 
         websiteContext = '',
         pageUrl = '',
+        sessionId = '',
         forceRefresh = false,
         cacheBypass = null
       } = requestData;
@@ -586,26 +587,22 @@ export default {
 
       log(`[Main Handler] Processing request from IP: ${clientIP}`);
 
-      // Check rate limit before processing request with question processing-specific limits
-      let rateLimitConfig = { limit: 50, window: 3600 }; // 50 question improvements per hour
-      const rateLimitResult = await checkRateLimit(env, clientIP, rateLimitConfig);
+      // Check rate limit before processing request (limits come from the worker's dynamic config)
+      const rateLimitResult = await checkWorkerRateLimit(env, 'faq-realtime-assistant-worker', clientIP, request);
 
       if (!rateLimitResult.allowed) {
-        return new Response(JSON.stringify({
-          error: 'Rate limit exceeded. Please try again later.',
-          retryAfter: 3600
-        }), {
-          status: 429,
-          headers: {
-            'Content-Type': 'application/json',
-            'Retry-After': '3600',
-            'X-RateLimit-Limit': '50',
-            'X-RateLimit-Remaining': '0',
-            ...corsHeaders
-          }
-        });
+        return rateLimitExceededResponse(rateLimitResult, corsHeaders);
       }
 
+      // A/B experiment variant (model, temperature) for this session or IP
+      const experiment = await assignExperimentVariant(env, 'question_generator', sessionId || clientIP);
+
+      // AI budget: cheapest fallback-chain model when close to the limit, rule-based suggestions once exhausted
+      const budget = await checkAIBudget(env, 'question_generator', {
+        model: experiment?.model || await getAIModel(env, 'question_generator'),
+        defaultModel: AI_CLIENT_CONFIG.defaultModel
+      });
+
       // Check cache first
       let cacheKey = null;
       let cacheCheckDuration = 0;
@@ -613,7 +610,7 @@ export default {
       
       if (!forceRefresh && !cacheBypass) {
         const cacheStartTime = Date.now();
-        cacheKey = createCacheKey(questions, mode, websiteContext);
+        cacheKey = createCacheKey(questions, mode, websiteContext, experiment?.variant_id);
         if (cacheKey) {
           cached = await getCachedResponse(cacheKey, env);
           cacheCheckDuration = ((Date.now() - cacheStartTime) / 1000).toFixed(2);
@@ -638,6 +635,8 @@ export default {
       // Analyze primary question
       const analysisStartTime = Date.now();
       const questionAnalysis = analyzeQuestion(primaryQuestion, questions);
+      questionAnalysis.experiment = experiment;
+      questionAnalysis.budget = budget;
       const analysisDuration = ((Date.now() - analysisStartTime) / 1000).toFixed(2);
       
       log(`[Main Handler] Analysis completed in ${analysisDuration}s`);
@@ -648,32 +647,51 @@ export default {
       
       log(`[Main Handler] Starting ${mode} generation...`);
       
-      switch (mode) {
-        case 'improve':
-        case 'enhance':
-        case 'regenerate':
-        case 'generate':
-          suggestions = await generateEnhancedImprovementSuggestions(questions, currentAnswer, questionAnalysis, env, websiteContext);
-          break;
+      if (budget.degraded) {
+        log(`[Main Handler] AI budget exhausted - serving rule-based ${mode} suggestions`);
+        suggestions = ['validate', 'tips'].includes(mode)
+          ? getEnhancedValidationFallbacks(primaryQuestion, questionAnalysis, questions)
+          : getEnhancedImprovementFallbacks(primaryQuestion, questionAnalysis, questions);
+      } else {
+        switch (mode) {
+          case 'improve':
+          case 'enhance':
+          case 'regenerate':
+          case 'generate':
+            suggestions = await generateEnhancedImprovementSuggestions(questions, currentAnswer, questionAnalysis, env, websiteContext);
+            break;
           
-        case 'validate':
-        case 'tips':
-          suggestions = await generateEnhancedValidationTips(questions, currentAnswer, questionAnalysis, env, websiteContext);
-          break;
+          case 'validate':
+          case 'tips':
+            suggestions = await generateEnhancedValidationTips(questions, currentAnswer, questionAnalysis, env, websiteContext);
+            break;
           
-        default:
-          log(`[Main Handler] Unknown mode: ${mode}, defaulting to improvement`);
-          suggestions = await generateEnhancedImprovementSuggestions(questions, currentAnswer, questionAnalysis, env, websiteContext);
+          default:
+            log(`[Main Handler] Unknown mode: ${mode}, defaulting to improvement`);
+            suggestions = await generateEnhancedImprovementSuggestions(questions, currentAnswer, questionAnalysis, env, websiteContext);
+        }
       }
       
       const generationDuration = ((Date.now() - generationStartTime) / 1000).toFixed(2);
       log(`[Main Handler] Generation completed in ${generationDuration}s - ${suggestions.length} suggestions`);
 
+      if (experiment && !budget.degraded) {
+        ctx.waitUntil(recordExperimentOutcome(env, experiment, {
+          ...(questionAnalysis.aiOutcome || { parse_success: false, fallback: true }),
+          latency_ms: Date.now() - generationStartTime
+        }));
+      }
+
+      // Per-request AI cost, added to today's worker, client IP and API key totals
+      const cost = await calculateAICost(env, questionAnalysis.aiUsage);
+      ctx.waitUntil(recordAICost(env, { workerType: 'question_generator', clientIP, apiKeyId: rateLimitResult.api_key || undefined }, cost));
+
       // Build response
       const response = {
         success: true,
         mode: mode,
         contextual: true,
+        degraded: budget.degraded,
         suggestions: suggestions,
         analysis: {
           questionType: questionAnalysis.type,
@@ -684,8 +702,14 @@ export default {
           duplicatesAvoided: questionAnalysis.duplicatesAvoided || 0
         },
         metadata: {
-          model: await getAIModel(env, 'question_generator'),
-          neurons_used: 2,
+          model: budget.degraded ? null : questionAnalysis.aiModel || experiment?.model || await getAIModel(env, 'question_generator'),
+          neurons_used: cost.neurons,
+          cost,
+          experiment: experimentTag(experiment),
+          budget: budgetTag(budget),
+          ai_usage: questionAnalysis.aiUsage ? summarizeAIUsage(questionAnalysis.aiUsage) : null,
+          parse_attempts: questionAnalysis.structuredOutput?.parse_attempts ?? null,
+          repaired: questionAnalysis.structuredOutput?.repaired ?? false,
           context_applied: websiteContext ? true : false,
           page_url_provided: pageUrl ? true : false,
           grammar_checked: true,
@@ -693,10 +717,11 @@ export default {
           timestamp: new Date().toISOString(),
           rate_limit: {
             allowed: rateLimitResult.allowed,
+            reason: rateLimitResult.reason,
             remaining: rateLimitResult.remaining,
-            limit: rateLimitConfig.limit,
-            window: rateLimitConfig.window,
-            worker: 'faq-realtime-assistant'
+            limit: rateLimitResult.limit,
+            window: rateLimitResult.window,
+            worker: 'faq-realtime-assistant-worker'
           },
           performance: {
             total_duration: ((Date.now() - requestStartTime) / 1000).toFixed(2),
@@ -708,8 +733,8 @@ export default {
         }
       };
 
-      // Cache the response
-      if (cacheKey && !cached) {
+      // Cache the response (not degraded ones, so AI suggestions return once the budget allows)
+      if (cacheKey && !cached && !budget.degraded) {
         const cacheSetStart = Date.now();
         await cacheResponse(cacheKey, response, env);
         const cacheSetDuration = ((Date.now() - cacheSetStart) / 1000).toFixed(2);
@@ -755,9 +780,9 @@ async function generateEnhancedImprovementSuggestions(questions, currentAnswer,
   const prompt = buildEnhancedImprovementPrompt(questions, currentAnswer, analysis, websiteContext);
   log(`[Enhanced Improvement] Prompt built (${prompt.length} chars)`);
   
-  const aiModel = await getAIModel(env, 'question_generator');
+  const aiModel = analysis.budget?.model || analysis.experiment?.model || await getAIModel(env, 'question_generator');
   
-  const aiResult = await callAIWithRetry(env.AI, aiModel, {
+  const aiResult = await generateStructuredOutput(env, aiModel, {
     messages: [
       {
         role: 'system',
@@ -766,20 +791,25 @@ async function generateEnhancedImprovementSuggestions(questions, currentAnswer,
       { role: 'user', content: prompt }
     ],
     max_tokens: 500,
-    temperature: 0.7,
+    temperature: analysis.experiment?.temperature ?? 0.7,
     top_p: 0.9
-  }, 'Enhanced Improvement');
+  }, 'Enhanced Improvement', { ...AI_CLIENT_CONFIG, schema: SUGGESTION_SCHEMAS.improve });
+  analysis.aiModel = aiResult.model;
+  analysis.aiUsage = aiResult.usage;
+  analysis.structuredOutput = { parse_attempts: aiResult.parse_attempts, repaired: aiResult.repaired };
 
   const totalDuration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
   
-  if (aiResult.success) {
+  if (aiResult.valid) {
     log(`[Enhanced Improvement] AI success in ${aiResult.duration}s`);
-    const rawSuggestions = parseEnhancedResponseWithDebug(aiResult.response.response, 'improve');
+    const rawSuggestions = validateAndCleanSuggestions(aiResult.data, 'improve');
     const filteredSuggestions = filterDuplicateSuggestions(rawSuggestions, analysis.duplicatePatterns, 'Enhanced Improvement');
+    analysis.aiOutcome = { parse_success: rawSuggestions.length > 0, fallback: filteredSuggestions.length === 0 };
     log(`[Enhanced Improvement] Completed in ${totalDuration}s, ${filteredSuggestions.length} suggestions`);
     return filteredSuggestions.length > 0 ? filteredSuggestions : getEnhancedImprovementFallbacks(primaryQuestion, analysis, questions);
   } else {
     logError(`[Enhanced Improvement] AI failed: ${aiResult.error}`);
+    analysis.aiOutcome = { parse_success: false, fallback: true };
     return getEnhancedImprovementFallbacks(primaryQuestion, analysis, questions);
   }
 }
@@ -795,9 +825,9 @@ async function generateEnhancedValidationTips(questions, currentAnswer, analysis
   const prompt = buildEnhancedValidationPrompt(questions, currentAnswer, analysis, websiteContext);
   log(`[Enhanced Validation] Prompt built`);
   
-  const aiModel = await getAIModel(env, 'question_generator');
+  const aiModel = analysis.budget?.model || analysis.experiment?.model || await getAIModel(env, 'question_generator');
   
-  const aiResult = await callAIWithRetry(env.AI, aiModel, {
+  const aiResult = await generateStructuredOutput(env, aiModel, {
     messages: [
       {
         role: 'system',
@@ -806,97 +836,28 @@ async function generateEnhancedValidationTips(questions, currentAnswer, analysis
       { role: 'user', content: prompt }
     ],
     max_tokens: 500,
-    temperature: 0.7,
+    temperature: analysis.experiment?.temperature ?? 0.7,
     top_p: 0.9
-  }, 'Enhanced Validation');
+  }, 'Enhanced Validation', { ...AI_CLIENT_CONFIG, schema: SUGGESTION_SCHEMAS.tips });
+  analysis.aiModel = aiResult.model;
+  analysis.aiUsage = aiResult.usage;
+  analysis.structuredOutput = { parse_attempts: aiResult.parse_attempts, repaired: aiResult.repaired };
 
   const totalDuration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
   
-  if (aiResult.success) {
+  if (aiResult.valid) {
     log(`[Enhanced Validation] AI success in ${aiResult.duration}s`);
-    const suggestions = parseEnhancedResponseWithDebug(aiResult.response.response, 'tips');
+    const suggestions = validateAndCleanSuggestions(aiResult.data, 'tips');
+    analysis.aiOutcome = { parse_success: suggestions.length > 0, fallback: suggestions.length === 0 };
     log(`[Enhanced Validation] Completed in ${totalDuration}s, ${suggestions.length} tips`);
     return suggestions.length > 0 ? suggestions : getEnhancedValidationFallbacks(primaryQuestion, analysis, questions);
   } else {
     logError(`[Enhanced Validation] AI failed: ${aiResult.error}`);
+    analysis.aiOutcome = { parse_success: false, fallback: true };
     return getEnhancedValidationFallbacks(primaryQuestion, analysis, questions);
   }
 }
 
-/**
- * Robust AI call wrapper with retry logic
- */
-async function callAIWithRetry(aiBinding, model, options, stepName, maxRetries = 3) {
-  const overallStartTime = Date.now();
-  log(`[AI Retry] Starting ${stepName} with model ${model}`);
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    const attemptStartTime = Date.now();
-    log(`[AI Retry] ${stepName} attempt ${attempt}/${maxRetries}`);
-    
-    try {
-      const response = await aiBinding.run(model, options);
-      const attemptDuration = ((Date.now() - attemptStartTime) / 1000).toFixed(2);
-      const totalDuration = ((Date.now() - overallStartTime) / 1000).toFixed(2);
-      
-      log(`[AI Retry] ${stepName} SUCCESS - Attempt: ${attemptDuration}s, Total: ${totalDuration}s`);
-      
-      return {
-        success: true,
-        response: response,
-        duration: totalDuration,
-        attempts: attempt,
-        error: null
-      };
-      
-    } catch (error) {
-      const attemptDuration = ((Date.now() - attemptStartTime) / 1000).toFixed(2);
-      const errorType = categorizeError(error);
-      
-      logError(`[AI Retry] ${stepName} FAILED attempt ${attempt}/${maxRetries} (${attemptDuration}s) - ${errorType}`);
-      
-      if (attempt === maxRetries) {
-        const totalDuration = ((Date.now() - overallStartTime) / 1000).toFixed(2);
-        logError(`[AI Retry] ${stepName} EXHAUSTED retries in ${totalDuration}s`);
-        
-        return {
-          success: false,
-          response: null,
-          duration: totalDuration,
-          attempts: attempt,
-          error: errorType
-        };
-      }
-      
-      // Exponential backoff with jitter
-      const delay = Math.min(1000 * Math.pow(2, attempt - 1) + Math.random() * 500, 5000);
-      log(`[AI Retry] ${stepName} waiting ${(delay / 1000).toFixed(2)}s before retry`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-}
-
-/**
- * Categorize errors for better debugging
- */
-function categorizeError(error) {
-  const message = error.message?.toLowerCase() || '';
-  
-  if (message.includes('timeout') || message.includes('time out')) {
-    return 'TIMEOUT';
-  } else if (message.includes('rate limit') || message.includes('too many requests')) {
-    return 'RATE_LIMIT';
-  } else if (message.includes('network') || message.includes('fetch')) {
-    return 'NETWORK';
-  } else if (message.includes('model') || message.includes('binding')) {
-    return 'MODEL_ERROR';
-  } else if (message.includes('quota') || message.includes('usage')) {
-    return 'QUOTA_EXCEEDED';
-  } else {
-    return 'UNKNOWN';
-  }
-}
-
 /**
  * Build prompts optimized for different contextual modes
  */
@@ -973,102 +934,6 @@ Example format:
 ]`;
 }
 
-/**
- * ENHANCED JSON PARSING WITH COMPREHENSIVE DEBUG LOGGING
- */
-function parseEnhancedResponseWithDebug(aiResponse, mode) {
-  if (!aiResponse || typeof aiResponse !== 'string') {
-    logError(`[Parse Enhanced ${mode}] ❌ Invalid response type:`, typeof aiResponse);
-    return getContextualFallbacks(mode);
-  }
-
-  // COMPREHENSIVE DEBUG LOGGING
-  log(`[Parse Enhanced ${mode}] ========== FULL AI RESPONSE DEBUG ==========`);
-  log(`[Parse Enhanced ${mode}] Response length: ${aiResponse.length} characters`);
-  log(`[Parse Enhanced ${mode}] Response type: ${typeof aiResponse}`);
-  log(`[Parse Enhanced ${mode}] Raw response (FULL):`);
-  log(aiResponse);
-  log(`[Parse Enhanced ${mode}] =============================================`);
-
-  let cleaned = aiResponse.trim();
-  
-  // Try multiple extraction strategies
-  
-  // Strategy 1: Direct JSON parsing
-  try {
-    log(`[Parse Enhanced ${mode}] 🔄 Trying Strategy 1: Direct JSON parsing...`);
-    // Look for JSON array anywhere in the response
-    const jsonMatch = cleaned.match(/\[\s*\{[\s\S]*?\}\s*\]/);
-    if (jsonMatch) {
-      log(`[Parse Enhanced ${mode}] Found JSON match:`, jsonMatch[0]);
-      const parsed = JSON.parse(jsonMatch[0]);
-      if (Array.isArray(parsed) && parsed.length > 0) {
-        const validated = validateAndCleanSuggestions(parsed, mode);
-        if (validated.length > 0) {
-          log(`[Parse Enhanced ${mode}] ✅ Strategy 1 successful: ${validated.length} items`);
-          return validated;
-        }
-      }
-    } else {
-      log(`[Parse Enhanced ${mode}] ❌ No JSON array pattern found in response`);
-    }
-  } catch (e) {
-    log(`[Parse Enhanced ${mode}] ❌ Strategy 1 failed:`, e.message);
-  }
-
-  // Strategy 2: Extract individual objects
-  try {
-    log(`[Parse Enhanced ${mode}] 🔄 Trying Strategy 2: Individual object extraction...`);
-    const objectPattern = /\{[^{}]*"text"\s*:\s*"([^"]+)"[^{}]*"benefit"\s*:\s*"([^"]+)"[^{}]*"reason"\s*:\s*"([^"]+)"[^{}]*\}/g;
-    const matches = [...cleaned.matchAll(objectPattern)];
-    
-    log(`[Parse Enhanced ${mode}] Found ${matches.length} object matches`);
-    
-    if (matches.length > 0) {
-      const suggestions = matches.map(match => ({
-        text: improveGrammar(match[1].trim()),
-        benefit: match[2].trim(),
-        reason: match[3].trim(),
-        type: mode === 'tips' ? 'tip' : 'suggestion'
-      }));
-      
-      log(`[Parse Enhanced ${mode}] ✅ Strategy 2 successful: ${suggestions.length} items`);
-      return suggestions;
-    }
-  } catch (e) {
-    log(`[Parse Enhanced ${mode}] ❌ Strategy 2 failed:`, e.message);
-  }
-
-  // Strategy 3: Extract questions with quotes
-  try {
-    log(`[Parse Enhanced ${mode}] 🔄 Trying Strategy 3: Question extraction with quotes...`);
-    const questionPattern = /"([^"]*\?[^"]*)"/g;
-    const questions = [...cleaned.matchAll(questionPattern)];
-    
-    log(`[Parse Enhanced ${mode}] Found ${questions.length} quoted questions`);
-    
-    if (questions.length >= 2) {
-      const suggestions = questions.slice(0, 3).map((match, index) => ({
-        text: improveGrammar(match[1]),
-        benefit: `Alternative ${index + 1}`,
-        reason: 'Provides different perspective on the topic',
-        type: 'suggestion'
-      }));
-      
-      log(`[Parse Enhanced ${mode}] ✅ Strategy 3 successful: ${suggestions.length} questions extracted`);
-      return suggestions;
-    }
-  } catch (e) {
-    log(`[Parse Enhanced ${mode}] ❌ Strategy 3 failed:`, e.message);
-  }
-
-  // If all strategies fail, return better fallbacks
-  logError(`[Parse Enhanced ${mode}] ❌ All parsing strategies failed, returning contextual fallbacks`);
-  const fallbacks = getContextualFallbacks(mode);
-  log(`[Parse Enhanced ${mode}] ✅ Returning ${fallbacks.length} fallback suggestions`);
-  return fallbacks;
-}
-
 // Helper function to validate and clean suggestions
 function validateAndCleanSuggestions(parsed, mode) {
   return parsed
@@ -1082,54 +947,6 @@ function validateAndCleanSuggestions(parsed, mode) {
     .filter(item => item.text.length > 10 && item.text.length < 300);
 }
 
-// Better contextual fallbacks
-function getContextualFallbacks(mode) {
-  const fallbacks = {
-    improve: [
-      {
-        text: "What are the key features of this service?",
-        benefit: "Feature-focused",
-        reason: "Users need specific capability information",
-        type: "suggestion"
-      },
-      {
-        text: "How much does this typically cost?",
-        benefit: "Price transparency",
-        reason: "Cost is a primary decision factor",
-        type: "suggestion"
-      },
-      {
-        text: "What problems does this solve?",
-        benefit: "Problem-solution fit",
-        reason: "Users search for solutions to their problems",
-        type: "suggestion"
-      }
-    ],
-    tips: [
-      {
-        text: "Include specific keywords your audience searches for",
-        benefit: "Better SEO",
-        reason: "Matches user search intent",
-        type: "tip"
-      },
-      {
-        text: "Make questions conversational and natural",
-        benefit: "User-friendly",
-        reason: "Mirrors how people actually ask questions",
-        type: "tip"
-      },
-      {
-        text: "Keep questions between 20-100 characters for optimal readability",
-        benefit: "Better engagement",
-        reason: "Concise questions perform better in search results",
-        type: "tip"
-      }
-    ]
-  };
-  
-  return fallbacks[mode] || fallbacks.improve;
-}
-
 function getEnhancedImprovementFallbacks(question, analysis, existingQuestions) {
   const suggestions = [];
   
@@ -1236,7 +1053,7 @@ function getFallbackSuggestions(questions, mode) {
 /**
  * FIXED CACHE KEY GENERATION - More Stable Hashing (Original method preserved for compatibility)
  */
-function createCacheKey(questions, mode, websiteContext) {
+function createCacheKey(questions, mode, websiteContext, variantId = '') {
   if (!questions || questions.length === 0) {
     return null; // Don't cache if no questions
   }
@@ -1250,7 +1067,7 @@ function createCacheKey(questions, mode, websiteContext) {
   const normalizedContext = contextHash.toLowerCase().replace(/[^a-z0-9]/g, '');
   
   // Create stable cache input
-  const cacheInput = `${normalizedQuestion}_${questionCount}_${mode}_${normalizedContext}`;
+  const cacheInput = `${normalizedQuestion}_${questionCount}_${mode}_${normalizedContext}${variantId ? `_${variantId}` : ''}`;
   
   // Simple hash function that's consistent
   let hash = 0;
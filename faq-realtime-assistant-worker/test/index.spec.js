@@ -1,20 +1,89 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import worker from '../src';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+const QUESTIONS = ['How long does delivery take?'];
+
+const SUGGESTIONS = [
+	{ text: 'How many working days does standard delivery take?', benefit: 'More specific', reason: 'Matches long-tail searches' },
+	{ text: 'Can I pay for express delivery at checkout?', benefit: 'Covers a follow-up', reason: 'Answers the next question up front' }
+];
+
+let clientCounter = 0;
+
+function mockEnv(fixtures = { default: JSON.stringify(SUGGESTIONS) }, overrides = {}) {
+	return { ...env, AI_PROVIDER: 'mock', AI_MOCK_FIXTURES: fixtures, ...overrides };
+}
+
+async function callWorker(path, { method = 'POST', body, env: workerEnv = mockEnv() } = {}) {
+	const request = new Request(`https://worker.test${path}`, {
+		method,
+		body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+		headers: { 'CF-Connecting-IP': `192.0.2.${++clientCounter % 250}` }
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, workerEnv, ctx);
+	const text = await response.text();
+	await waitOnExecutionContext(ctx);
+	return new Response(text, response);
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('question suggestions', () => {
+	it.each(['improve', 'tips'])('%s returns the AI suggestions', async mode => {
+		const response = await callWorker('/', { body: { questions: QUESTIONS, mode, forceRefresh: true } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result).toMatchObject({ success: true, mode, degraded: false });
+		expect(result.suggestions.map(suggestion => suggestion.text)).toContain(SUGGESTIONS[0].text);
+		expect(result.suggestions[0].type).toBe(mode === 'tips' ? 'tip' : 'suggestion');
+		expect(result.metadata.parse_attempts).toBe(1);
+	});
+
+	// Rule-based rewrites of longer questions share most of their keywords and are filtered as duplicates
+	it('serves rule-based suggestions when the AI output stays invalid', async () => {
+		const response = await callWorker('/', {
+			body: { questions: ['Gift wrapping?'], mode: 'improve', forceRefresh: true },
+			env: mockEnv({ default: '[{"text": "short"}]' })
+		});
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.metadata.parse_attempts).toBe(2);
+		expect(result.suggestions.length).toBeGreaterThan(0);
+		expect(result.suggestions.map(suggestion => suggestion.text)).not.toContain(SUGGESTIONS[0].text);
+	});
+
+	it('serves a repeated request from cache', async () => {
+		const body = { questions: ['Do you deliver to Ireland?'], mode: 'improve' };
+
+		const first = await (await callWorker('/', { body })).json();
+		const second = await (await callWorker('/', { body })).json();
+
+		expect(first.metadata.cached).toBe(false);
+		expect(second.metadata.cached).toBe(true);
+		expect(second.suggestions).toEqual(first.suggestions);
+	});
+
+	it('rejects malformed JSON', async () => {
+		expect((await callWorker('/', { body: '{"questions": ' })).status).toBe(400);
+	});
+
+	it('requires at least one question', async () => {
+		expect((await callWorker('/', { body: { questions: [], mode: 'improve' } })).status).toBe(400);
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('only accepts POST', async () => {
+		expect((await callWorker('/suggest', { method: 'PUT' })).status).toBe(405);
 	});
 });
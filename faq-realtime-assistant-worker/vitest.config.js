@@ -5,6 +5,19 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				miniflare: {
+					// The rate limiter worker serves the RATE_LIMITER_DO binding
+					workers: [
+						{
+							name: 'rate-limiter-worker',
+							modules: true,
+							modulesRoot: '..',
+							modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+							scriptPath: '../enhanced-rate-limiting/index.js',
+							compatibilityDate: '2025-05-25',
+						},
+					],
+				},
 			},
 		},
 	},
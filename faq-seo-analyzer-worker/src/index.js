@@ -1,55 +1,46 @@
 // SEO Analyzer Worker - AI-Powered with Expert-Level Analysis and KV-Based Rate Limiting
+// Rate limiting goes through the shared EnhancedRateLimiter (dynamic limits, whitelist/blacklist, penalties)
+// API keys (Authorization: Bearer) with per-key plans: quotas, allowed workers and origins
 // Uses dynamic AI model configuration from WordPress admin interface
+// AI calls go through the shared AI client (timeouts, retries, model fallback chain)
+// Model output is validated against a JSON schema, with a repair prompt before fallback scoring
+// Per-request token/neuron cost in analysis; daily totals per worker, IP and API key at /admin/costs
+// Daily/monthly neuron budgets: cheaper model near the limit, algorithmic scoring (degraded) when exhausted
 
 import { generateDynamicHealthResponse, trackCacheHit, trackCacheMiss } from '../../shared/health-utils.js';
 import { cacheAIModelConfig, invalidateWorkerCaches, initializeCacheManager } from '../../shared/advanced-cache-manager.js';
-
-// Rate limiting utilities - FREE KV-based implementation
-const rateLimitCache = new Map();
-const CACHE_TTL = 60000; // 1 minute cache
-
-async function checkRateLimit(env, clientIP, config = {}) {
-  const limit = config.limit || 100; // Default: 100 requests per hour
-  const window = config.window || 3600; // Default: 1 hour
-  const now = Date.now();
-  const key = `rl:${clientIP}`;
-  
-  // Check cache first to reduce KV reads
-  const cached = rateLimitCache.get(clientIP);
-  if (cached && cached.expires > now) {
-    return { allowed: !cached.blocked, remaining: cached.remaining || 0 };
-  }
-  
-  try {
-    const data = await env.FAQ_RATE_LIMITS.get(key, { type: 'json' }) || { count: 0, windowStart: now };
-    
-    // Reset window if expired
-    if (now - data.windowStart > window * 1000) {
-      data.count = 0;
-      data.windowStart = now;
-    }
-    
-    // Check if rate limited
-    if (data.count >= limit) {
-      rateLimitCache.set(clientIP, { blocked: true, remaining: 0, expires: now + CACHE_TTL });
-      return { allowed: false, remaining: 0 };
-    }
-    
-    // Increment counter
-    data.count++;
-    await env.FAQ_RATE_LIMITS.put(key, JSON.stringify(data), {
-      expirationTtl: window * 2 // Auto-cleanup after 2x window
-    });
-    
-    const remaining = limit - data.count;
-    rateLimitCache.set(clientIP, { blocked: false, remaining, expires: now + CACHE_TTL });
-    return { allowed: true, remaining };
-    
-  } catch (error) {
-    console.error('Rate limit check failed:', error);
-    return { allowed: true, remaining: -1 }; // Fail open
+import { renderPrompt } from '../../shared/prompt-registry.js';
+import { summarizeAIUsage } from '../../shared/ai-client.js';
+import { generateStructuredOutput } from '../../shared/structured-output.js';
+import { assignExperimentVariant, experimentTag, recordExperimentOutcome, handleExperimentRequest } from '../../shared/experiments.js';
+import { calculateAICost, recordAICost, handleCostRequest } from '../../shared/cost-accounting.js';
+import { checkAIBudget, budgetTag } from '../../shared/ai-budget.js';
+import { checkWorkerRateLimit, rateLimitExceededResponse } from '../../shared/rate-limit.js';
+
+// Shared AI client settings: configured fallback models, then this worker's default
+const AI_CLIENT_CONFIG = { workerType: 'seo_analyzer', defaultModel: '@cf/meta/llama-3.1-8b-instruct' };
+
+// Expected shape of the model's analysis; scores are clamped again after validation
+const SEO_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['seoScore', 'readabilityScore', 'voiceSearchScore', 'suggestions'],
+  properties: {
+    seoScore: { type: 'number', minimum: 0, maximum: 100 },
+    readabilityScore: { type: 'number', minimum: 0, maximum: 100 },
+    voiceSearchScore: { type: 'number', minimum: 0, maximum: 100 },
+    suggestions: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    analysis: {
+      type: 'object',
+      properties: {
+        featuredSnippetPotential: { type: 'boolean' },
+        positionZeroReady: { type: 'boolean' },
+        targetKeyword: { type: 'string' },
+        missingElements: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    reasoning: { type: 'object' }
   }
-}
+};
 
 /**
  * Get AI model name dynamically from KV store with enhanced caching
@@ -144,62 +135,13 @@ async function getAIModelInfo(env, workerType = 'seo_analyzer') {
   };
 }
 
-/**
- * Extract JSON from AI response with better error handling
- */
-function extractJSONFromResponse(responseText) {
-  if (!responseText || typeof responseText !== 'string') {
-    throw new Error('Invalid response text');
-  }
-  
-  // First try to parse the entire response as JSON
-  try {
-    return JSON.parse(responseText);
-  } catch (e) {
-    // Continue to regex extraction
-  }
-  
-  // Try to find JSON object with balanced braces
-  let depth = 0;
-  let startIndex = -1;
-  let endIndex = -1;
-  
-  for (let i = 0; i < responseText.length; i++) {
-    if (responseText[i] === '{' && startIndex === -1) {
-      startIndex = i;
-      depth = 1;
-    } else if (startIndex !== -1) {
-      if (responseText[i] === '{') {
-        depth++;
-      } else if (responseText[i] === '}') {
-        depth--;
-        if (depth === 0) {
-          endIndex = i + 1;
-          break;
-        }
-      }
-    }
-  }
-  
-  if (startIndex !== -1 && endIndex !== -1) {
-    const jsonString = responseText.substring(startIndex, endIndex);
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      throw new Error('Found JSON-like structure but failed to parse: ' + e.message);
-    }
-  }
-  
-  throw new Error('No valid JSON found in response');
-}
-
 export default {
   async fetch(request, env, ctx) {
     // CORS headers
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
     };
 
     // Handle preflight
@@ -321,6 +263,23 @@ export default {
       }
     }
 
+    // A/B experiment results and accept/reject feedback; feedback counts against the worker's rate limits
+    if (url.pathname.startsWith('/experiments')) {
+      if (request.method === 'POST') {
+        const rateLimitResult = await checkWorkerRateLimit(env, 'faq-seo-analyzer-worker', request.headers.get('CF-Connecting-IP') || 'unknown', request);
+        if (!rateLimitResult.allowed) {
+          return rateLimitExceededResponse(rateLimitResult, corsHeaders);
+        }
+      }
+
+      const experimentResponse = await handleExperimentRequest(request, env, 'seo_analyzer', corsHeaders);
+      if (experimentResponse) return experimentResponse;
+    }
+
+    // Admin: daily AI cost totals per worker, client IP and API key
+    const costResponse = await handleCostRequest(request, env, corsHeaders);
+    if (costResponse) return costResponse;
+
     // Only accept POST for main functionality
     if (request.method !== 'POST') {
       return new Response('Method not allowed', { 
@@ -346,7 +305,7 @@ export default {
         });
       }
       
-      const { question, answer, pageUrl } = requestData;
+      const { question, answer, pageUrl, sessionId } = requestData;
       
       console.log('SEO Analysis Request:', { 
         questionLength: question?.length || 0, 
@@ -391,36 +350,23 @@ export default {
 
       console.log(`Processing SEO analysis request from IP: ${clientIP}`);
 
-      // Check rate limit before processing request - SEO analysis specific limits
-      let rateLimitConfig = { limit: 20, window: 3600 }; // 20 SEO analyses per hour
-
-      const rateLimitResult = await checkRateLimit(env, clientIP, rateLimitConfig);
+      // Check rate limit before processing request (limits come from the worker's dynamic config)
+      const rateLimitResult = await checkWorkerRateLimit(env, 'faq-seo-analyzer-worker', clientIP, request);
 
       if (!rateLimitResult.allowed) {
-        return new Response(JSON.stringify({
-          error: 'Rate limit exceeded. Please try again later.',
-          retryAfter: 3600,
+        return rateLimitExceededResponse(rateLimitResult, corsHeaders, {
           message: 'SEO analysis requests are rate limited to prevent abuse',
           seoScore: 0,
           readabilityScore: 0,
           voiceSearchScore: 0,
           rateLimited: true
-        }), {
-          status: 429,
-          headers: {
-            ...corsHeaders,
-            'Content-Type': 'application/json',
-            'Retry-After': '3600',
-            'X-RateLimit-Limit': '20',
-            'X-RateLimit-Remaining': rateLimitResult.remaining.toString()
-          }
         });
       }
 
       console.log(`Processing SEO analysis request from IP: ${clientIP}, remaining: ${rateLimitResult.remaining}`);
 
       // Expert-level AI prompt with detailed instructions
-      const analysisPrompt = `You are a senior Google Search Quality Rater and SEO expert with 15 years of experience. You understand exactly how Google ranks content for Featured Snippets (Position Zero), People Also Ask boxes, and voice search results.
+      const builtinAnalysisPrompt = `You are a senior Google Search Quality Rater and SEO expert with 15 years of experience. You understand exactly how Google ranks content for Featured Snippets (Position Zero), People Also Ask boxes, and voice search results.
 
 ANALYZE THIS FAQ:
 Question: "${trimmedQuestion}"
@@ -542,18 +488,26 @@ Return ONLY a JSON object:
   }
 }`;
 
-      // Get dynamic AI model for this worker
-      const aiModel = await getAIModel(env, 'seo_analyzer');
-      console.log(`[AI Model] Using model: ${aiModel} for seo_analyzer worker`);
+      // A/B experiment variant (model, prompt version, temperature) for this session or IP
+      const experiment = await assignExperimentVariant(env, 'seo_analyzer', sessionId || clientIP);
 
-      // Call AI for expert analysis
-      console.log(`Calling ${aiModel} for expert SEO analysis...`);
-      
-      const aiResponse = await env.AI.run(aiModel, {
-        messages: [
-          {
-            role: 'system',
-            content: `You are a Google Search Quality Rater with deep knowledge of:
+      // AI budget: cheapest fallback-chain model when close to the limit, algorithmic scoring once exhausted
+      const budget = await checkAIBudget(env, 'seo_analyzer', {
+        model: experiment?.model || await getAIModel(env, 'seo_analyzer'),
+        defaultModel: AI_CLIENT_CONFIG.defaultModel
+      });
+      if (budget.degraded) {
+        console.warn('AI budget exhausted - using algorithmic scoring');
+        return enhancedFallbackScoring(trimmedQuestion, trimmedAnswer, pageUrl, corsHeaders, budget);
+      }
+
+      // KV prompt registry wording wins over the built-in prompt when a template is configured
+      const { system: analysisSystemPrompt, user: analysisPrompt, template: promptTemplate } = await renderPrompt(env, 'seo_analyzer', 'seo_analysis', {
+        question: trimmedQuestion,
+        answer: trimmedAnswer,
+        page_url: pageUrl || ''
+      }, {
+        system: `You are a Google Search Quality Rater with deep knowledge of:
 - Featured Snippets algorithm and Position Zero requirements
 - People Also Ask ranking factors
 - Voice search optimization for Google Assistant and Alexa
@@ -562,30 +516,59 @@ Return ONLY a JSON object:
 - BERT and natural language understanding
 - RankBrain and semantic search
 
-Analyze FAQs as if determining their Google ranking potential. Provide nuanced, specific scores that reflect real Google ranking likelihood. Be extremely specific with scores and actionable suggestions.`
+Analyze FAQs as if determining their Google ranking potential. Provide nuanced, specific scores that reflect real Google ranking likelihood. Be extremely specific with scores and actionable suggestions.`,
+        user: builtinAnalysisPrompt
+      }, { version: experiment?.prompt_versions?.seo_analysis });
+
+      // Dynamic AI model for this worker (or the cheaper one the budget check picked)
+      const aiModel = budget.model;
+      console.log(`[AI Model] Using model: ${aiModel} for seo_analyzer worker`);
+
+      // Call AI for expert analysis
+      console.log(`Calling ${aiModel} for expert SEO analysis...`);
+      const aiStartTime = Date.now();
+      
+      // Output is validated against SEO_ANALYSIS_SCHEMA, with one repair prompt before fallback scoring
+      const aiResult = await generateStructuredOutput(env, aiModel, {
+        messages: [
+          {
+            role: 'system',
+            content: analysisSystemPrompt
           },
           {
             role: 'user',
             content: analysisPrompt
           }
         ],
-        temperature: 0.3, // Low temperature for consistent expert scoring
+        temperature: experiment?.temperature ?? 0.3, // Low temperature for consistent expert scoring
         max_tokens: 1200 // Increased for detailed responses
+      }, 'SEO Analysis', {
+        ...AI_CLIENT_CONFIG,
+        maxRetries: 2,
+        schema: SEO_ANALYSIS_SCHEMA
       });
 
-      console.log('AI Response received');
+      // Per-request AI cost (repair calls included, even when fallback scoring is used), added to today's totals
+      const cost = await calculateAICost(env, aiResult.usage);
+      ctx.waitUntil(recordAICost(env, { workerType: 'seo_analyzer', clientIP, apiKeyId: rateLimitResult.api_key || undefined }, cost));
 
-      // Parse AI response
       let aiAnalysis;
-      try {
-        // Extract JSON from response with better handling
-        aiAnalysis = extractJSONFromResponse(aiResponse.response);
-      } catch (parseError) {
-        console.error(`Failed to parse ${aiModel} response:`, parseError);
-        console.log('AI Response was:', aiResponse.response);
+      if (aiResult.valid) {
+        console.log(`AI Response received from ${aiResult.model}`);
+        aiAnalysis = aiResult.data;
+      } else {
+        console.error(`SEO analysis AI call failed: ${aiResult.error}`);
+
+        if (experiment) {
+          ctx.waitUntil(recordExperimentOutcome(env, experiment, { parse_success: false, fallback: true, latency_ms: Date.now() - aiStartTime }));
+        }
         
         // Fallback to enhanced algorithmic scoring with the data we have
-        return enhancedFallbackScoring(trimmedQuestion, trimmedAnswer, pageUrl, corsHeaders);
+        return enhancedFallbackScoring(trimmedQuestion, trimmedAnswer, pageUrl, corsHeaders, budget);
+      }
+
+      if (experiment) {
+        ctx.waitUntil(recordExperimentOutcome(env, experiment, { parse_success: true, fallback: false, latency_ms: Date.now() - aiStartTime }));
       }
 
       // Validate and sanitize scores
@@ -613,17 +596,24 @@ Analyze FAQs as if determining their Google ranking potential. Provide nuanced,
           targetKeyword: aiAnalysis.analysis?.targetKeyword || extractMainKeyword(trimmedQuestion),
           missingElements: aiAnalysis.analysis?.missingElements || [],
           aiPowered: true,
-          model: aiModel,
+          model: aiResult.model,
           worker_type: 'seo_analyzer',
           dynamic_model: true,
+          prompt_template: promptTemplate,
+          experiment: experimentTag(experiment),
+          budget: budgetTag(budget),
+          ai_usage: summarizeAIUsage(aiResult.usage),
+          parse_attempts: aiResult.parse_attempts,
+          repaired: aiResult.repaired,
+          cost,
           reasoning: aiAnalysis.reasoning || null
         },
         rate_limiting: {
+          reason: rateLimitResult.reason,
           remaining: rateLimitResult.remaining,
-          limit: rateLimitConfig.limit,
-          window: rateLimitConfig.window,
-          worker: 'faq-seo-analyzer',
-          kv_based: true
+          limit: rateLimitResult.limit,
+          window: rateLimitResult.window,
+          worker: 'faq-seo-analyzer-worker'
         }
       };
 
@@ -652,7 +642,8 @@ Analyze FAQs as if determining their Google ranking potential. Provide nuanced,
 };
 
 // Enhanced fallback function with more sophisticated scoring
-function enhancedFallbackScoring(question, answer, pageUrl, corsHeaders) {
+// budget (from checkAIBudget) marks the response degraded when scoring fell back because the AI budget ran out
+function enhancedFallbackScoring(question, answer, pageUrl, corsHeaders, budget = null) {
   console.log('Using enhanced fallback scoring...');
   
   // More sophisticated algorithmic calculations
@@ -758,6 +749,7 @@ function enhancedFallbackScoring(question, answer, pageUrl, corsHeaders) {
   
   return new Response(JSON.stringify({
     success: true,
+    degraded: !!budget?.degraded,
     seoScore: Math.min(100, seoScore),
     readabilityScore: Math.min(100, readabilityScore),
     voiceSearchScore: Math.min(100, voiceSearchScore),
@@ -771,7 +763,8 @@ function enhancedFallbackScoring(question, answer, pageUrl, corsHeaders) {
       missingElements: generateMissingElements(seoScore, readabilityScore, voiceSearchScore),
       aiPowered: false,
       model: 'algorithmic',
-      fallbackUsed: true
+      fallbackUsed: true,
+      budget: budgetTag(budget)
     }
   }), {
     headers: { ...corsHeaders, 'Content-Type': 'application/json' }
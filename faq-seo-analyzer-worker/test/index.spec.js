@@ -1,20 +1,111 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import worker from '../src';
+import { initializeCacheManager } from '../../shared/advanced-cache-manager.js';
+import { recordAICost } from '../../shared/cost-accounting.js';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+const QUESTION = 'How long does standard delivery take?';
+const ANSWER = 'Standard delivery takes three to five working days. Orders placed before noon are dispatched the same day.';
+
+const ANALYSIS = {
+	seoScore: 82,
+	readabilityScore: 91,
+	voiceSearchScore: 77,
+	suggestions: ['Mention the delivery cost', 'Add an express delivery option'],
+	analysis: { featuredSnippetPotential: true, positionZeroReady: false, targetKeyword: 'standard delivery', missingElements: ['pricing'] },
+	reasoning: { seo: 'Direct answer', readability: 'Short sentences', voiceSearch: 'Conversational' }
+};
+
+let clientCounter = 0;
+
+function mockEnv(fixtures = { default: JSON.stringify(ANALYSIS) }, overrides = {}) {
+	return { ...env, AI_PROVIDER: 'mock', AI_MOCK_FIXTURES: fixtures, ...overrides };
+}
+
+async function callWorker(path, { method = 'POST', body, env: workerEnv = mockEnv() } = {}) {
+	const request = new Request(`https://worker.test${path}`, {
+		method,
+		body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+		headers: { 'CF-Connecting-IP': `192.0.2.${++clientCounter % 250}` }
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, workerEnv, ctx);
+	const text = await response.text();
+	await waitOnExecutionContext(ctx);
+	return new Response(text, response);
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('SEO analysis', () => {
+	it('returns the AI scores and suggestions', async () => {
+		const response = await callWorker('/', { body: { question: QUESTION, answer: ANSWER } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result).toMatchObject({ success: true, seoScore: 82, readabilityScore: 91, voiceSearchScore: 77 });
+		expect(result.suggestions).toEqual(ANALYSIS.suggestions);
+		expect(result.analysis).toMatchObject({ aiPowered: true, targetKeyword: 'standard delivery', parse_attempts: 1, worker_type: 'seo_analyzer' });
+	});
+
+	it('falls back to algorithmic scoring when the AI output stays invalid', async () => {
+		const response = await callWorker('/', {
+			body: { question: QUESTION, answer: ANSWER },
+			env: mockEnv({ default: '{"seoScore": 140}' })
+		});
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.analysis.aiPowered).toBe(false);
+		expect(result.analysis.fallbackUsed).toBe(true);
+		expect(result.seoScore).toBeGreaterThanOrEqual(0);
+		expect(result.seoScore).toBeLessThanOrEqual(100);
+	});
+
+	it('rejects malformed JSON', async () => {
+		const response = await callWorker('/', { body: '{"question": ' });
+		expect(response.status).toBe(400);
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('requires a non-empty question and answer', async () => {
+		expect((await callWorker('/', { body: { question: QUESTION } })).status).toBe(400);
+		expect((await callWorker('/', { body: { question: '   ', answer: ANSWER } })).status).toBe(400);
+	});
+});
+
+describe('AI budget', () => {
+	const clearBudgetCache = () => initializeCacheManager('seo_analyzer', env).invalidate('ai_budget:seo_analyzer');
+
+	beforeEach(async () => {
+		await env.FAQ_RATE_LIMITS.put('ai_budget_config', JSON.stringify({ enabled: true, default: { dailyNeurons: 10, monthlyNeurons: 1000 } }));
+		await clearBudgetCache();
+	});
+
+	afterEach(async () => {
+		await clearBudgetCache();
+	});
+
+	it('serves degraded algorithmic scoring once the daily budget is spent', async () => {
+		const spend = { prompt_tokens: 1000, completion_tokens: 500, neurons: 6, usd: 0.0001 };
+		await Promise.all([
+			recordAICost(env, { workerType: 'seo_analyzer' }, spend),
+			recordAICost(env, { workerType: 'seo_analyzer' }, spend)
+		]);
+
+		const response = await callWorker('/', { body: { question: QUESTION, answer: ANSWER } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.degraded).toBe(true);
+		expect(result.analysis.aiPowered).toBe(false);
+		expect(result.analysis.budget).toMatchObject({ state: 'exhausted', daily_remaining: 0 });
 	});
 });
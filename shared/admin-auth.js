@@ -0,0 +1,43 @@
+/**
+ * Shared Admin Authentication for FAQ Workers
+ * Admin endpoints require "Authorization: Bearer <ADMIN_API_TOKEN>", set as a Worker secret
+ * (wrangler secret put ADMIN_API_TOKEN). Without the secret, admin endpoints stay disabled.
+ */
+
+/**
+ * Compare two strings without exiting early on the first difference
+ */
+export function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Check an admin request's bearer token
+ * @returns {Response|null} Error response when the request is not authorised, otherwise null
+ */
+export function authorizeAdminRequest(request, env, corsHeaders = {}) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+
+  if (!env.ADMIN_API_TOKEN) {
+    return new Response(JSON.stringify({ success: false, error: 'Admin API is not configured' }), {
+      status: 503,
+      headers: jsonHeaders
+    });
+  }
+
+  const token = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!token || !constantTimeEquals(token, env.ADMIN_API_TOKEN)) {
+    return new Response(JSON.stringify({ success: false, error: 'Unauthorized' }), {
+      status: 401,
+      headers: { ...jsonHeaders, 'WWW-Authenticate': 'Bearer' }
+    });
+  }
+
+  return null;
+}
@@ -43,6 +43,34 @@ const CACHE_CONFIGS = {
     prefetch: true,
     stale_while_revalidate: 600 // 10 minutes
   },
+  prompt_templates: {
+    l1_ttl: 300,       // 5 minutes in memory
+    l2_ttl: 1800,      // 30 minutes in KV
+    refresh_threshold: 0.8,
+    prefetch: true,
+    stale_while_revalidate: 300 // 5 minutes
+  },
+  experiments: {
+    l1_ttl: 60,        // 1 minute in memory so weight changes roll out quickly
+    l2_ttl: 300,       // 5 minutes in KV
+    refresh_threshold: 0.8,
+    prefetch: true,
+    stale_while_revalidate: 60 // 1 minute
+  },
+  model_pricing: {
+    l1_ttl: 600,       // 10 minutes in memory
+    l2_ttl: 3600,      // 1 hour in KV
+    refresh_threshold: 0.8,
+    prefetch: true,
+    stale_while_revalidate: 600 // 10 minutes
+  },
+  ai_budgets: {
+    l1_ttl: 60,        // 1 minute in memory so budget changes apply quickly
+    l2_ttl: 300,       // 5 minutes in KV
+    refresh_threshold: 0.8,
+    prefetch: true,
+    stale_while_revalidate: 60 // 1 minute
+  },
   global_settings: {
     l1_ttl: 600,       // 10 minutes in memory
     l2_ttl: 3600,      // 1 hour in KV
@@ -617,6 +645,46 @@ export async function cacheAIModelConfig(modelKey, env, configLoader) {
   return result;
 }
 
+/**
+ * Cache prompt template registry
+ */
+export async function cachePromptTemplates(registryKey, env, registryLoader) {
+  const cacheManager = globalCacheManager || initializeCacheManager('prompt_registry', env);
+  const key = `prompt_templates:${registryKey}`;
+
+  return await cacheManager.get(key, 'prompt_templates', registryLoader);
+}
+
+/**
+ * Cache A/B experiment definitions
+ */
+export async function cacheExperimentConfig(configKey, env, configLoader) {
+  const cacheManager = globalCacheManager || initializeCacheManager('experiments', env);
+  const key = `experiments:${configKey}`;
+
+  return await cacheManager.get(key, 'experiments', configLoader);
+}
+
+/**
+ * Cache per-model token pricing table
+ */
+export async function cacheModelPricing(pricingKey, env, pricingLoader) {
+  const cacheManager = globalCacheManager || initializeCacheManager('model_pricing', env);
+  const key = `model_pricing:${pricingKey}`;
+
+  return await cacheManager.get(key, 'model_pricing', pricingLoader);
+}
+
+/**
+ * Cache a worker's AI budget configuration
+ */
+export async function cacheAIBudgetConfig(workerType, env, configLoader) {
+  const cacheManager = globalCacheManager || initializeCacheManager('ai_budgets', env);
+  const key = `ai_budget:${workerType}`;
+
+  return await cacheManager.get(key, 'ai_budgets', configLoader);
+}
+
 /**
  * Cache global settings
  */
@@ -646,7 +714,9 @@ export async function invalidateWorkerCaches(workerName, env, options = {}) {
   const results = await Promise.allSettled([
     cacheManager.invalidate(`worker_config_cache:${workerName}`),
     cacheManager.invalidate(`ai_model_config:${workerName}`),
-    cacheManager.invalidate(`health_data:${workerName}`)
+    cacheManager.invalidate(`health_data:${workerName}`),
+    // Prompt templates are shared by all workers, so any worker's cache clear picks up edits
+    cacheManager.invalidate('prompt_templates:prompt_templates')
   ]);
   
   // Handle pattern-based invalidation if provided
@@ -0,0 +1,112 @@
+/**
+ * Shared AI Budget Enforcement for FAQ Workers
+ * Compares a worker's neuron spend (daily and monthly running totals from cost-accounting.js) with
+ * its budget from dynamic-config.js and tells the worker how to degrade:
+ *
+ *   ok        - spend below conserveThreshold of every budget; normal behaviour
+ *   conserve  - past the threshold; use the cheapest model in the fallback chain, skip optional passes
+ *   exhausted - a budget is used up; serve rule-based fallbacks only, flagged `degraded`
+ *
+ * Enforcement fails open: when config or spend cannot be read, the worker runs normally.
+ */
+
+import { cacheAIBudgetConfig } from './advanced-cache-manager.js';
+import { getModelFallbackChain } from './ai-client.js';
+import { getWorkerSpend, rankModelsByCost } from './cost-accounting.js';
+import { loadAIBudgetConfig } from '../enhanced-rate-limiting/dynamic-config.js';
+
+// Spend totals are re-read at most this often per worker instance
+const SPEND_CACHE_TTL = 30000; // 30 seconds
+const spendCache = new Map();
+
+async function loadSpend(env, workerType) {
+  const cached = spendCache.get(workerType);
+  if (cached && Date.now() - cached.timestamp < SPEND_CACHE_TTL) {
+    return cached.spend;
+  }
+
+  const spend = await getWorkerSpend(env, workerType);
+  spendCache.set(workerType, { spend, timestamp: Date.now() });
+  return spend;
+}
+
+function periodStatus(used, limit) {
+  if (!limit) {
+    return { used, limit: null, remaining: null, ratio: 0 };
+  }
+  return {
+    used,
+    limit,
+    remaining: Math.max(0, Math.round((limit - used) * 100) / 100),
+    ratio: used / limit
+  };
+}
+
+/**
+ * Budget state for a worker and the model it should use
+ * @param {Object} env - Worker environment
+ * @param {string} workerType - Worker type as used for cost accounting (e.g. answer_generator)
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model the worker would normally use
+ * @param {string} [options.defaultModel] - Worker's hard-coded default, the end of its fallback chain
+ * @returns {Promise<{enabled: boolean, state: string, degraded: boolean, conserve: boolean, model: string|undefined,
+ *   downgraded_from: string|null, daily?: Object, monthly?: Object}>}
+ */
+export async function checkAIBudget(env, workerType, { model, defaultModel } = {}) {
+  const unrestricted = { enabled: false, state: 'ok', degraded: false, conserve: false, model, downgraded_from: null };
+
+  if (!env.RATE_LIMITER_DO) return unrestricted;
+
+  try {
+    const budget = await cacheAIBudgetConfig(workerType, env, () => loadAIBudgetConfig(workerType, env));
+    if (!budget?.enabled || (!budget.dailyNeurons && !budget.monthlyNeurons)) return unrestricted;
+
+    const spend = await loadSpend(env, workerType);
+    if (!spend) return unrestricted;
+    const daily = periodStatus(spend.daily.neurons, budget.dailyNeurons);
+    const monthly = periodStatus(spend.monthly.neurons, budget.monthlyNeurons);
+    const ratio = Math.max(daily.ratio, monthly.ratio);
+
+    const state = ratio >= 1 ? 'exhausted' : ratio >= budget.conserveThreshold ? 'conserve' : 'ok';
+    let selectedModel = model;
+
+    if (state === 'conserve' && model) {
+      const chain = await getModelFallbackChain(env, workerType, model, defaultModel);
+      selectedModel = (await rankModelsByCost(env, chain))[0] || model;
+    }
+
+    if (state !== 'ok') {
+      console.warn(`[AI Budget] ${workerType} is ${state}: daily ${daily.used}/${daily.limit ?? '-'}, monthly ${monthly.used}/${monthly.limit ?? '-'} neurons` +
+        (selectedModel !== model ? `, using ${selectedModel} instead of ${model}` : ''));
+    }
+
+    return {
+      enabled: true,
+      state,
+      degraded: state === 'exhausted',
+      conserve: state !== 'ok',
+      model: selectedModel,
+      downgraded_from: selectedModel !== model ? model : null,
+      daily,
+      monthly
+    };
+  } catch (error) {
+    console.error(`[AI Budget] Error checking budget for ${workerType}, continuing without enforcement:`, error.message);
+    return unrestricted;
+  }
+}
+
+/**
+ * Compact budget state for response metadata (null when budgets are off)
+ */
+export function budgetTag(budget) {
+  if (!budget?.enabled) return null;
+
+  return {
+    state: budget.state,
+    degraded: budget.degraded,
+    model_downgraded_from: budget.downgraded_from,
+    daily_remaining: budget.daily.remaining,
+    monthly_remaining: budget.monthly.remaining
+  };
+}
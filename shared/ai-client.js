@@ -0,0 +1,283 @@
+/**
+ * Shared AI Client for FAQ Workers
+ * One place for Workers AI calls: per-attempt timeouts, exponential backoff with jitter,
+ * error categorisation, an ordered model fallback chain and consistent usage metadata.
+ *
+ * Fallback chain (tried in order after the requested model):
+ *   ai_model_config.fallback_models[workerType] || ai_model_config.fallback_models.default,
+ *   then env.MODEL_NAME, then the worker's built-in default model.
+ * e.g. { "ai_models": { ... }, "fallback_models": { "answer_generator": ["@cf/meta/llama-3.3-70b-instruct-fp8-fast"] } }
+ *
+ * Calls are dispatched through ./ai-providers.js, so any model in the chain may be provider-prefixed
+ * (e.g. "openai:gpt-4o-mini") and AI_PROVIDER=mock serves fixture responses.
+ */
+
+import { cacheAIModelConfig } from './advanced-cache-manager.js';
+import { runAIProvider, resolveProvider } from './ai-providers.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_BACKOFF_MS = 5000;
+
+/**
+ * Error types worth retrying on the same model; anything else moves straight to the next model
+ */
+const RETRYABLE_ERRORS = new Set(['TIMEOUT', 'RATE_LIMIT', 'NETWORK', 'UNKNOWN']);
+
+/**
+ * Categorize errors for better debugging
+ */
+export function categorizeError(error) {
+  const message = error.message?.toLowerCase() || '';
+
+  if (error.errorType) {
+    return error.errorType;
+  } else if (message.includes('timeout') || message.includes('time out') || message.includes('timed out')) {
+    return 'TIMEOUT';
+  } else if (message.includes('rate limit') || message.includes('too many requests')) {
+    return 'RATE_LIMIT';
+  } else if (message.includes('network') || message.includes('fetch')) {
+    return 'NETWORK';
+  } else if (message.includes('model') || message.includes('binding')) {
+    return 'MODEL_ERROR';
+  } else if (message.includes('quota') || message.includes('usage')) {
+    return 'QUOTA_EXCEEDED';
+  } else {
+    return 'UNKNOWN';
+  }
+}
+
+/**
+ * Extract response text from various AI response formats
+ */
+export function extractAIResponseText(aiResponse) {
+  if (!aiResponse) {
+    return '';
+  }
+
+  if (typeof aiResponse === 'string') {
+    return aiResponse;
+  }
+
+  if (aiResponse.response) {
+    return typeof aiResponse.response === 'string' ?
+      aiResponse.response :
+      aiResponse.response.text || JSON.stringify(aiResponse.response);
+  }
+
+  if (aiResponse.choices?.[0]) {
+    return aiResponse.choices[0].text || aiResponse.choices[0].message?.content || '';
+  }
+
+  return '';
+}
+
+/**
+ * Rough token count for text when the provider reports no usage (~4 characters per token)
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(String(text).length / 4) : 0;
+}
+
+/**
+ * Prompt text of a call, for token estimation
+ */
+function getPromptText(options) {
+  if (Array.isArray(options?.messages)) {
+    return options.messages.map(message => message.content || '').join('\n');
+  }
+  return options?.prompt || '';
+}
+
+/**
+ * Ordered list of models to try: requested model first, then configured fallbacks
+ * @param {Object} env - Worker environment
+ * @param {string} workerType - Worker key, as used in ai_model_config.ai_models
+ * @param {string} model - Requested model
+ * @param {string} [defaultModel] - Worker's built-in default model
+ * @returns {Promise<string[]>}
+ */
+export async function getModelFallbackChain(env, workerType, model, defaultModel) {
+  let configured = [];
+
+  try {
+    const configData = await cacheAIModelConfig('ai_model_config', env, async () => {
+      return await env.AI_MODEL_CONFIG?.get('ai_model_config', { type: 'json' }) || null;
+    });
+    const fallbacks = configData?.fallback_models?.[workerType] || configData?.fallback_models?.default;
+    configured = Array.isArray(fallbacks) ? fallbacks : [];
+  } catch (error) {
+    console.error(`[AI Client] Error loading fallback models: ${error.message}`);
+  }
+
+  return [...new Set([model, ...configured, env.MODEL_NAME, defaultModel].filter(Boolean))];
+}
+
+/**
+ * Run a single model call on its provider with a timeout. HTTP providers are aborted when it fires;
+ * the AI binding has no abort support, so its call is only abandoned.
+ */
+async function runWithTimeout(env, model, options, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`AI timeout after ${timeoutMs / 1000} seconds`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([runAIProvider(env, model, options, { signal: controller.signal }), timeoutPromise]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Summarise usage from one or more AI calls into the shape reported in response metadata
+ * @param {Object[]} usages - Usage objects returned by callAIWithRetry
+ */
+export function summarizeAIUsage(usages) {
+  const entries = (Array.isArray(usages) ? usages : [usages]).filter(Boolean);
+  const sumTokens = field => entries.some(entry => typeof entry[field] === 'number')
+    ? entries.reduce((sum, entry) => sum + (entry[field] || 0), 0)
+    : null;
+
+  return {
+    calls: entries.length,
+    models: [...new Set(entries.map(entry => entry.model).filter(Boolean))],
+    providers: [...new Set(entries.map(entry => entry.provider).filter(Boolean))],
+    attempts: entries.reduce((sum, entry) => sum + entry.attempts, 0),
+    fallback_used: entries.some(entry => entry.fallback_used),
+    duration_ms: entries.reduce((sum, entry) => sum + entry.duration_ms, 0),
+    prompt_tokens: sumTokens('prompt_tokens'),
+    completion_tokens: sumTokens('completion_tokens'),
+    tokens_estimated: entries.some(entry => entry.tokens_estimated)
+  };
+}
+
+/**
+ * Robust AI call with timeouts, retry/backoff and model fallback chain. Never throws.
+ * @param {Object} env - Worker environment (AI binding or other provider configuration)
+ * @param {string} model - Primary model
+ * @param {Object} options - Workers AI input ({ messages, temperature, max_tokens, ... })
+ * @param {string} stepName - Label for logs
+ * @param {Object} [config]
+ * @param {string} [config.workerType] - Worker key for configured fallback models
+ * @param {string} [config.defaultModel] - Worker's built-in default model (last in the chain)
+ * @param {number} [config.timeoutMs=30000] - Per-attempt timeout
+ * @param {number} [config.maxRetries=3] - Attempts on the primary model
+ * @param {number} [config.fallbackRetries=1] - Attempts on each fallback model
+ * @param {Function} [config.validate] - Receives the raw response; throwing marks it INVALID_RESPONSE and moves to the next model
+ * @returns {Promise<{success: boolean, response: any, model: string|null, duration: string, attempts: number, error: string|null, error_type: string|null, usage: Object}>}
+ */
+export async function callAIWithRetry(env, model, options, stepName, config = {}) {
+  const {
+    workerType = 'default',
+    defaultModel,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = 3,
+    fallbackRetries = 1,
+    validate
+  } = config;
+
+  const overallStartTime = Date.now();
+  const chain = await getModelFallbackChain(env, workerType, model, defaultModel);
+  const modelsTried = [];
+  let attempts = 0;
+  let lastError = null;
+  let lastErrorType = null;
+
+  console.log(`[AI Client] Starting ${stepName} with model ${model} (chain: ${chain.length} model${chain.length === 1 ? '' : 's'})`);
+
+  for (let index = 0; index < chain.length; index++) {
+    const currentModel = chain[index];
+    const modelAttempts = index === 0 ? maxRetries : fallbackRetries;
+    modelsTried.push(currentModel);
+
+    for (let attempt = 1; attempt <= modelAttempts; attempt++) {
+      const attemptStartTime = Date.now();
+      attempts++;
+
+      try {
+        const response = await runWithTimeout(env, currentModel, options, timeoutMs);
+
+        if (validate) {
+          try {
+            await validate(response);
+          } catch (validationError) {
+            validationError.errorType = 'INVALID_RESPONSE';
+            throw validationError;
+          }
+        }
+
+        const durationMs = Date.now() - overallStartTime;
+        const reportedPromptTokens = response?.usage?.prompt_tokens;
+        const reportedCompletionTokens = response?.usage?.completion_tokens;
+        console.log(`[AI Client] ${stepName} SUCCESS with ${currentModel} on attempt ${attempt} - Attempt: ${((Date.now() - attemptStartTime) / 1000).toFixed(2)}s, Total: ${(durationMs / 1000).toFixed(2)}s`);
+
+        return {
+          success: true,
+          response,
+          model: currentModel,
+          duration: (durationMs / 1000).toFixed(2),
+          attempts,
+          error: null,
+          error_type: null,
+          usage: {
+            model: currentModel,
+            provider: resolveProvider(env, currentModel).provider,
+            models_tried: modelsTried,
+            attempts,
+            fallback_used: index > 0,
+            duration_ms: durationMs,
+            prompt_tokens: reportedPromptTokens ?? estimateTokens(getPromptText(options)),
+            completion_tokens: reportedCompletionTokens ?? estimateTokens(extractAIResponseText(response)),
+            tokens_estimated: typeof reportedPromptTokens !== 'number' || typeof reportedCompletionTokens !== 'number'
+          }
+        };
+
+      } catch (error) {
+        lastError = error;
+        lastErrorType = categorizeError(error);
+        console.error(`[AI Client] ${stepName} FAILED with ${currentModel} attempt ${attempt}/${modelAttempts} (${((Date.now() - attemptStartTime) / 1000).toFixed(2)}s) - ${lastErrorType}: ${error.message}`);
+
+        if (!RETRYABLE_ERRORS.has(lastErrorType) || attempt === modelAttempts) {
+          break;
+        }
+
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1) + Math.random() * 500, MAX_BACKOFF_MS);
+        console.log(`[AI Client] ${stepName} waiting ${(delay / 1000).toFixed(2)}s before retry ${attempt + 1}...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    if (index < chain.length - 1) {
+      console.warn(`[AI Client] ${stepName} falling back from ${currentModel} to ${chain[index + 1]}`);
+    }
+  }
+
+  const durationMs = Date.now() - overallStartTime;
+  console.error(`[AI Client] ${stepName} EXHAUSTED ${modelsTried.length} model(s) in ${(durationMs / 1000).toFixed(2)}s - giving up`);
+
+  return {
+    success: false,
+    response: null,
+    model: null,
+    duration: (durationMs / 1000).toFixed(2),
+    attempts,
+    error: `${lastErrorType}: ${lastError?.message || 'no models available'}`,
+    error_type: lastErrorType,
+    usage: {
+      model: null,
+      provider: null,
+      models_tried: modelsTried,
+      attempts,
+      fallback_used: modelsTried.length > 1,
+      duration_ms: durationMs,
+      prompt_tokens: null,
+      completion_tokens: null,
+      tokens_estimated: false
+    }
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * Shared AI Provider Adapters for FAQ Workers
+ * Routes model calls to Workers AI (env.AI binding), an OpenAI-compatible HTTP endpoint or a
+ * deterministic local mock. Every adapter returns the Workers AI shape: { response, usage? }.
+ *
+ * Routing: models prefixed "openai:" or "mock:" (e.g. "openai:gpt-4o-mini") go to that provider,
+ * so fallback chains can mix providers; any other model goes to env.AI_PROVIDER (default "workers-ai").
+ *
+ * Environment:
+ *   AI_PROVIDER       - "workers-ai" | "openai" | "mock"
+ *   OPENAI_API_BASE   - Base URL of the OpenAI-compatible API (default https://api.openai.com/v1)
+ *   OPENAI_API_KEY    - Bearer token for that API (secret)
+ *   AI_MOCK_FIXTURES  - Object or JSON string: { "<prompt hash>": fixture, "default": fixture }
+ *                       A fixture is response text, a full { response, usage } object, or { "error": "message" }
+ */
+
+export const AI_PROVIDERS = ['workers-ai', 'openai', 'mock'];
+
+const DEFAULT_OPENAI_API_BASE = 'https://api.openai.com/v1';
+
+/**
+ * Stable hash of a call's prompt (messages, or prompt for completion-style models), used as the mock fixture key
+ * @returns {Promise<string>} First 16 hex characters of the SHA-256 digest
+ */
+export async function hashPrompt(options) {
+  const payload = JSON.stringify(options?.messages ?? options?.prompt ?? '');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('').substring(0, 16);
+}
+
+/**
+ * Provider and provider-side model name for a model id
+ * @returns {{provider: string, model: string}}
+ */
+export function resolveProvider(env, model) {
+  const prefix = typeof model === 'string' ? model.match(/^(openai|mock):(.+)$/) : null;
+  if (prefix) {
+    return { provider: prefix[1], model: prefix[2] };
+  }
+
+  const configured = env.AI_PROVIDER || 'workers-ai';
+  return { provider: AI_PROVIDERS.includes(configured) ? configured : 'workers-ai', model };
+}
+
+/**
+ * Whether the worker's default provider is configured (for request guards and health checks)
+ */
+export function isAIProviderAvailable(env) {
+  switch (resolveProvider(env).provider) {
+    case 'openai':
+      return !!env.OPENAI_API_KEY;
+    case 'mock':
+      return true;
+    default:
+      return !!env.AI;
+  }
+}
+
+async function runWorkersAI(env, model, options) {
+  if (!env.AI) {
+    throw new Error('Workers AI binding not found');
+  }
+  return env.AI.run(model, options);
+}
+
+async function runOpenAICompatible(env, model, options, { signal } = {}) {
+  if (!env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not configured for the openai provider');
+  }
+
+  const { messages, prompt, temperature, max_tokens, top_p } = options;
+  const response = await fetch(`${(env.OPENAI_API_BASE || DEFAULT_OPENAI_API_BASE).replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model,
+      messages: messages || [{ role: 'user', content: prompt || '' }],
+      temperature,
+      max_tokens,
+      top_p
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).substring(0, 200);
+    // Phrase 429s the way categorizeError recognises rate limiting
+    const reason = response.status === 429 ? 'rate limit exceeded' : `HTTP ${response.status}`;
+    throw new Error(`OpenAI-compatible provider ${reason}: ${detail}`);
+  }
+
+  const data = await response.json();
+  return {
+    response: data.choices?.[0]?.message?.content ?? data.choices?.[0]?.text ?? '',
+    usage: data.usage ? {
+      prompt_tokens: data.usage.prompt_tokens,
+      completion_tokens: data.usage.completion_tokens
+    } : undefined
+  };
+}
+
+function loadMockFixtures(env) {
+  if (!env.AI_MOCK_FIXTURES) return {};
+  if (typeof env.AI_MOCK_FIXTURES === 'object') return env.AI_MOCK_FIXTURES;
+
+  try {
+    return JSON.parse(env.AI_MOCK_FIXTURES);
+  } catch (error) {
+    console.error(`[AI Providers] AI_MOCK_FIXTURES is not valid JSON: ${error.message}`);
+    return {};
+  }
+}
+
+async function runMock(env, model, options) {
+  const fixtures = loadMockFixtures(env);
+  const promptHash = await hashPrompt(options);
+  const fixture = fixtures[promptHash] ?? fixtures.default;
+
+  if (fixture === undefined) {
+    const error = new Error(`No mock fixture for prompt hash ${promptHash} (model ${model})`);
+    error.errorType = 'MOCK_FIXTURE_MISSING';
+    throw error;
+  }
+
+  if (fixture && typeof fixture === 'object' && fixture.error) {
+    throw new Error(fixture.error);
+  }
+
+  return typeof fixture === 'string' ? { response: fixture } : fixture;
+}
+
+const ADAPTERS = {
+  'workers-ai': runWorkersAI,
+  openai: runOpenAICompatible,
+  mock: runMock
+};
+
+/**
+ * Run a model call on its provider
+ * @param {Object} env - Worker environment
+ * @param {string} model - Model id, optionally provider-prefixed
+ * @param {Object} options - Workers AI input ({ messages, temperature, max_tokens, ... })
+ * @param {Object} [request]
+ * @param {AbortSignal} [request.signal] - Aborts HTTP providers (Workers AI and the mock ignore it)
+ * @returns {Promise<{response: string, usage?: Object}>}
+ */
+export async function runAIProvider(env, model, options, { signal } = {}) {
+  const { provider, model: providerModel } = resolveProvider(env, model);
+  return ADAPTERS[provider](env, providerModel, options, { signal });
+}
@@ -0,0 +1,283 @@
+/**
+ * Shared API Key Authentication for FAQ Workers
+ * API keys are sent as "Authorization: Bearer <key>" (X-API-Key is still accepted) and stored in
+ * FAQ_RATE_LIMITS under api_key:<id>, where id is hashApiKey(key), the same id cost accounting uses.
+ * Raw keys are never stored: a record keeps the full SHA-256 of its key and a plan:
+ *
+ *   plan.limits  - { hourly, daily, weekly, monthly } counted per key; missing windows use the worker's limits
+ *   plan.workers - worker names the key may call (empty: all workers)
+ *   plan.origins - browser origins the key may be used from, e.g. https://example.com or *.example.com
+ *                  (empty: any origin; when set, Origin or Referer must match)
+ *
+ * Requests without a key fall back to per-IP limits unless the worker sets REQUIRE_API_KEY = "true".
+ * Keys are managed through the admin routes under /admin/keys (see handleApiKeyRequest).
+ */
+
+import { authorizeAdminRequest, constantTimeEquals } from './admin-auth.js';
+import { hashApiKey } from './cost-accounting.js';
+
+const API_KEY_PREFIX = 'api_key:';
+
+// Key records are re-read at most this often per worker instance, so revocation applies within a minute
+const KEY_CACHE_TTL = 60000; // 1 minute
+const keyCache = new Map();
+
+const RATE_LIMIT_WINDOWS = ['hourly', 'daily', 'weekly', 'monthly'];
+
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Normalise a plan to { limits, workers, origins }, dropping invalid entries
+ */
+export function normalizePlan(plan = {}) {
+  const limits = {};
+  for (const window of RATE_LIMIT_WINDOWS) {
+    const limit = plan.limits?.[window];
+    if (Number.isInteger(limit) && limit > 0) limits[window] = limit;
+  }
+
+  return {
+    name: typeof plan.name === 'string' ? plan.name : 'custom',
+    limits,
+    workers: Array.isArray(plan.workers) ? plan.workers.filter(worker => typeof worker === 'string') : [],
+    origins: Array.isArray(plan.origins) ? plan.origins.filter(origin => typeof origin === 'string') : []
+  };
+}
+
+/**
+ * The key a request carries, from Authorization: Bearer or X-API-Key
+ */
+export function extractApiKey(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  return bearer?.[1] || request.headers.get('X-API-Key') || null;
+}
+
+/**
+ * Issue a new API key. The raw key is only returned here.
+ * @param {Object} env - Worker environment
+ * @param {Object} options
+ * @param {string} options.name - Who or what the key is for
+ * @param {Object} [options.plan] - { name, limits, workers, origins }
+ * @param {number} [options.expiresAt] - Expiry timestamp (ms), or null for no expiry
+ * @param {string} [createdBy] - Who issued the key
+ * @returns {Promise<{key: string, record: Object}>}
+ */
+export async function createApiKey(env, { name, plan = {}, expiresAt = null }, createdBy = 'admin') {
+  const random = crypto.getRandomValues(new Uint8Array(24));
+  const key = 'faq_' + [...random].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+  const record = {
+    id: await hashApiKey(key),
+    key_hash: await sha256Hex(key),
+    name: name || 'Unnamed key',
+    plan: normalizePlan(plan),
+    active: true,
+    created_at: Date.now(),
+    created_by: createdBy,
+    expires_at: expiresAt || null
+  };
+
+  await env.FAQ_RATE_LIMITS.put(API_KEY_PREFIX + record.id, JSON.stringify(record));
+  console.log(`[API Keys] Issued key ${record.id} (${record.name}) by ${createdBy}`);
+
+  return { key, record: publicRecord(record) };
+}
+
+/**
+ * Update a key's name, plan, expiry or active flag
+ * @returns {Promise<Object|null>} Updated record, or null when the key does not exist
+ */
+export async function updateApiKey(env, keyId, updates = {}) {
+  const record = await env.FAQ_RATE_LIMITS.get(API_KEY_PREFIX + keyId, { type: 'json' });
+  if (!record) return null;
+
+  if (typeof updates.name === 'string') record.name = updates.name;
+  if (updates.plan) record.plan = normalizePlan({ ...record.plan, ...updates.plan });
+  if (updates.expiresAt !== undefined) record.expires_at = updates.expiresAt || null;
+  if (typeof updates.active === 'boolean') record.active = updates.active;
+  record.updated_at = Date.now();
+
+  await env.FAQ_RATE_LIMITS.put(API_KEY_PREFIX + keyId, JSON.stringify(record));
+  keyCache.delete(keyId);
+
+  return publicRecord(record);
+}
+
+/**
+ * Revoke a key. Workers stop accepting it once their cached record expires.
+ */
+export async function revokeApiKey(env, keyId) {
+  return updateApiKey(env, keyId, { active: false });
+}
+
+/**
+ * All issued keys, without their hashes
+ */
+export async function listApiKeys(env) {
+  const records = [];
+  let cursor;
+
+  do {
+    const page = await env.FAQ_RATE_LIMITS.list({ prefix: API_KEY_PREFIX, cursor });
+    for (const { name } of page.keys) {
+      const record = await env.FAQ_RATE_LIMITS.get(name, { type: 'json' });
+      if (record) records.push(publicRecord(record));
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return records;
+}
+
+function publicRecord(record) {
+  const { key_hash, ...rest } = record;
+  return rest;
+}
+
+async function loadKeyRecord(env, keyId) {
+  const cached = keyCache.get(keyId);
+  if (cached && Date.now() - cached.timestamp < KEY_CACHE_TTL) {
+    return cached.record;
+  }
+
+  const record = await env.FAQ_RATE_LIMITS.get(API_KEY_PREFIX + keyId, { type: 'json' });
+  keyCache.set(keyId, { record, timestamp: Date.now() });
+  return record;
+}
+
+function originAllowed(request, origins) {
+  const source = request.headers.get('Origin') || request.headers.get('Referer');
+  if (!source) return false;
+
+  let host;
+  let origin;
+  try {
+    const parsed = new URL(source);
+    host = parsed.hostname;
+    origin = parsed.origin;
+  } catch (error) {
+    return false;
+  }
+
+  return origins.some(allowed => {
+    if (allowed.startsWith('*.')) {
+      const domain = allowed.substring(2);
+      return host === domain || host.endsWith('.' + domain);
+    }
+    return origin === allowed.replace(/\/+$/, '');
+  });
+}
+
+/**
+ * Authenticate a request's API key for a worker
+ * @param {Object} env - Worker environment
+ * @param {Request} request - Incoming request
+ * @param {string} workerName - Worker name, as used for worker_config and health checks
+ * @returns {Promise<{key: Object|null, error?: string, status?: number}>} key is { id, name, plan } for a valid key,
+ *   null for an anonymous request; error is API_KEY_REQUIRED, INVALID_API_KEY, WORKER_NOT_ALLOWED or ORIGIN_NOT_ALLOWED
+ */
+export async function authenticateApiKey(env, request, workerName) {
+  const apiKey = extractApiKey(request);
+
+  if (!apiKey) {
+    if (env.REQUIRE_API_KEY === 'true') {
+      return { key: null, error: 'API_KEY_REQUIRED', status: 401 };
+    }
+    return { key: null };
+  }
+
+  if (!env.FAQ_RATE_LIMITS) {
+    return { key: null, error: 'INVALID_API_KEY', status: 401 };
+  }
+
+  const keyId = await hashApiKey(apiKey);
+  const record = await loadKeyRecord(env, keyId);
+
+  if (!record || !record.active || !constantTimeEquals(record.key_hash || '', await sha256Hex(apiKey)) ||
+      (record.expires_at && record.expires_at < Date.now())) {
+    console.warn(`[API Keys] Rejected key ${keyId} for ${workerName}`);
+    return { key: null, error: 'INVALID_API_KEY', status: 401 };
+  }
+
+  const plan = normalizePlan(record.plan);
+  const key = { id: record.id, name: record.name, plan };
+
+  if (plan.workers.length > 0 && !plan.workers.includes(workerName)) {
+    return { key, error: 'WORKER_NOT_ALLOWED', status: 403 };
+  }
+
+  if (plan.origins.length > 0 && !originAllowed(request, plan.origins)) {
+    return { key, error: 'ORIGIN_NOT_ALLOWED', status: 403 };
+  }
+
+  return { key };
+}
+
+/**
+ * Admin routes for API keys, behind the admin bearer token:
+ *   GET /admin/keys            - list keys
+ *   POST /admin/keys           - issue a key from { name, plan, expiresAt }; the raw key is only in this response
+ *   GET /admin/keys/:id        - one key
+ *   PATCH /admin/keys/:id      - update { name, plan, expiresAt, active }
+ *   DELETE /admin/keys/:id     - revoke
+ * @returns {Promise<Response|null>} Response for an /admin/keys request, otherwise null
+ */
+export async function handleApiKeyRequest(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const match = url.pathname.match(/^\/admin\/keys(?:\/([\w-]+))?$/);
+  if (!match) return null;
+
+  const unauthorized = authorizeAdminRequest(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
+  const respond = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: jsonHeaders });
+
+  if (!env.FAQ_RATE_LIMITS) {
+    return respond({ success: false, error: 'FAQ_RATE_LIMITS namespace not bound' }, 503);
+  }
+
+  const keyId = match[1];
+
+  try {
+    if (!keyId && request.method === 'GET') {
+      const keys = await listApiKeys(env);
+      return respond({ success: true, keys, total: keys.length });
+    }
+
+    if (!keyId && request.method === 'POST') {
+      const body = await request.json();
+      if (!body.name || typeof body.name !== 'string') {
+        return respond({ success: false, error: 'name is required' }, 400);
+      }
+
+      const { key, record } = await createApiKey(env, body, body.createdBy || 'admin-api');
+      return respond({ success: true, key, record }, 201);
+    }
+
+    if (keyId && request.method === 'GET') {
+      const record = await env.FAQ_RATE_LIMITS.get(API_KEY_PREFIX + keyId, { type: 'json' });
+      return record
+        ? respond({ success: true, record: publicRecord(record) })
+        : respond({ success: false, error: 'API key not found' }, 404);
+    }
+
+    if (keyId && (request.method === 'PATCH' || request.method === 'DELETE')) {
+      const record = request.method === 'DELETE'
+        ? await revokeApiKey(env, keyId)
+        : await updateApiKey(env, keyId, await request.json());
+      return record
+        ? respond({ success: true, record })
+        : respond({ success: false, error: 'API key not found' }, 404);
+    }
+
+    return respond({ success: false, error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('[API Keys] Admin request failed:', error);
+    return respond({ success: false, error: error.message }, 500);
+  }
+}
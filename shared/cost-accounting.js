@@ -0,0 +1,316 @@
+/**
+ * Shared AI Cost Accounting for FAQ Workers
+ * Prices each request's AI usage (tokens reported by the provider, or estimated) from a per-model
+ * table, and keeps daily totals per worker, client IP and API key for budgeting.
+ *
+ * Pricing table (AI_MODEL_CONFIG namespace, key "ai_model_pricing"), merged over the built-in table:
+ * {
+ *   "usd_per_1k_neurons": 0.011,
+ *   "models": {
+ *     "@cf/meta/llama-3.1-8b-instruct": { "input_neurons_per_m": 25608, "output_neurons_per_m": 75147 },
+ *     "openai:gpt-4o-mini": { "input_usd_per_m": 0.15, "output_usd_per_m": 0.6 }
+ *   },
+ *   "default": { "input_neurons_per_m": 25608, "output_neurons_per_m": 75147 }
+ * }
+ *
+ * Each priced request is its own FAQ_ANALYTICS key, cost:<date>:<worker>:<timestamp>:<uuid>, with its
+ * worker, client IP, API key hash and cost in KV metadata; the admin cost report sums these with list().
+ * Budget checks read running daily and monthly totals instead, which RateLimiterDO (RATE_LIMITER_DO,
+ * instance spend:<worker>) adds each request's cost to atomically.
+ */
+
+import { cacheModelPricing } from './advanced-cache-manager.js';
+import { authorizeAdminRequest } from './admin-auth.js';
+
+const PRICING_CONFIG_KEY = 'ai_model_pricing';
+const COST_TTL = 7776000; // 90 days
+const REPORT_MAX_DAYS = 31;
+const REPORT_TOP_ENTRIES = 50;
+const MAX_LIST_PAGES = 50; // 1000 requests per page
+
+/**
+ * Workers AI neuron rates per million tokens
+ */
+const BUILTIN_PRICING = {
+  usd_per_1k_neurons: 0.011,
+  models: {
+    '@cf/meta/llama-3.1-8b-instruct': { input_neurons_per_m: 25608, output_neurons_per_m: 75147 },
+    '@cf/meta/llama-3.2-3b-instruct': { input_neurons_per_m: 4625, output_neurons_per_m: 30475 },
+    '@cf/meta/llama-3.3-70b-instruct-fp8-fast': { input_neurons_per_m: 26668, output_neurons_per_m: 204805 },
+    '@cf/meta/llama-4-scout-17b-16e-instruct': { input_neurons_per_m: 24545, output_neurons_per_m: 77273 },
+    '@cf/mistral/mistral-7b-instruct-v0.1': { input_neurons_per_m: 10000, output_neurons_per_m: 17300 }
+  },
+  default: { input_neurons_per_m: 25608, output_neurons_per_m: 75147 }
+};
+
+async function loadPricing(env) {
+  let configured = null;
+
+  try {
+    configured = await cacheModelPricing(PRICING_CONFIG_KEY, env, async () => {
+      return await env.AI_MODEL_CONFIG?.get(PRICING_CONFIG_KEY, { type: 'json' }) || null;
+    });
+  } catch (error) {
+    console.error(`[Cost] Error loading model pricing: ${error.message}`);
+  }
+
+  return {
+    usd_per_1k_neurons: configured?.usd_per_1k_neurons ?? BUILTIN_PRICING.usd_per_1k_neurons,
+    models: { ...BUILTIN_PRICING.models, ...(configured?.models || {}) },
+    default: configured?.default || BUILTIN_PRICING.default
+  };
+}
+
+/**
+ * Blended neuron-equivalent price per million tokens (input + output), for comparing models
+ */
+function modelRate(pricing, model) {
+  const rates = pricing.models[model] || pricing.default;
+  const usdPerNeuron = pricing.usd_per_1k_neurons / 1000;
+  const neurons = (rates.input_neurons_per_m || 0) + (rates.output_neurons_per_m || 0);
+  const usd = (rates.input_usd_per_m || 0) + (rates.output_usd_per_m || 0);
+  return neurons + (usdPerNeuron > 0 ? usd / usdPerNeuron : 0);
+}
+
+/**
+ * Sort models from cheapest to most expensive under the configured pricing
+ * @param {Object} env - Worker environment
+ * @param {string[]} models - Model ids
+ * @returns {Promise<string[]>}
+ */
+export async function rankModelsByCost(env, models) {
+  const pricing = await loadPricing(env);
+  return [...models].sort((a, b) => modelRate(pricing, a) - modelRate(pricing, b));
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Price one or more AI calls
+ * @param {Object} env - Worker environment
+ * @param {Object|Object[]} usages - Usage objects returned by callAIWithRetry
+ * @returns {Promise<{prompt_tokens: number, completion_tokens: number, tokens_estimated: boolean, neurons: number, usd: number, models: Object}>}
+ */
+export async function calculateAICost(env, usages) {
+  const entries = (Array.isArray(usages) ? usages : [usages]).filter(entry => entry?.model);
+  const pricing = await loadPricing(env);
+  const cost = { prompt_tokens: 0, completion_tokens: 0, tokens_estimated: false, neurons: 0, usd: 0, models: {} };
+
+  entries.forEach(entry => {
+    const rates = pricing.models[entry.model] || pricing.default;
+    const promptTokens = entry.prompt_tokens || 0;
+    const completionTokens = entry.completion_tokens || 0;
+
+    const neurons = ((promptTokens * (rates.input_neurons_per_m || 0)) + (completionTokens * (rates.output_neurons_per_m || 0))) / 1000000;
+    const usd = ((promptTokens * (rates.input_usd_per_m || 0)) + (completionTokens * (rates.output_usd_per_m || 0))) / 1000000 +
+      (neurons / 1000) * pricing.usd_per_1k_neurons;
+
+    const modelCost = cost.models[entry.model] || { calls: 0, prompt_tokens: 0, completion_tokens: 0, neurons: 0, usd: 0 };
+    modelCost.calls++;
+    modelCost.prompt_tokens += promptTokens;
+    modelCost.completion_tokens += completionTokens;
+    modelCost.neurons = round(modelCost.neurons + neurons, 2);
+    modelCost.usd = round(modelCost.usd + usd, 6);
+    cost.models[entry.model] = modelCost;
+
+    cost.prompt_tokens += promptTokens;
+    cost.completion_tokens += completionTokens;
+    cost.tokens_estimated = cost.tokens_estimated || !!entry.tokens_estimated;
+    cost.neurons += neurons;
+    cost.usd += usd;
+  });
+
+  cost.neurons = round(cost.neurons, 2);
+  cost.usd = round(cost.usd, 6);
+  return cost;
+}
+
+/**
+ * Short, non-reversible identifier for an API key so raw keys never reach KV
+ */
+export async function hashApiKey(apiKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('').substring(0, 16);
+}
+
+function spendStub(env, workerType) {
+  return env.RATE_LIMITER_DO.get(env.RATE_LIMITER_DO.idFromName(`spend:${workerType}`));
+}
+
+async function callSpendTotals(env, workerType, path, body) {
+  const response = await spendStub(env, workerType).fetch(`http://localhost${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workerName: workerType, ...body })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`Spend totals ${path} failed: ${response.status} - ${errorData.error || 'Unknown error'}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Record a request's cost for its worker, client IP and API key
+ * @param {Object} env - Worker environment
+ * @param {{workerType: string, clientIP?: string, apiKey?: string, apiKeyId?: string}} source - apiKeyId is
+ *   hashApiKey(apiKey), for callers that persist the source (e.g. async jobs) and must not keep the raw key
+ * @param {Object} cost - Result of calculateAICost
+ */
+export async function recordAICost(env, { workerType, clientIP, apiKey, apiKeyId }, cost) {
+  if (!cost) return;
+
+  if (env.RATE_LIMITER_DO) {
+    try {
+      await callSpendTotals(env, workerType, '/add-spend', {
+        cost: { prompt_tokens: cost.prompt_tokens, completion_tokens: cost.completion_tokens, neurons: cost.neurons, usd: cost.usd }
+      });
+    } catch (error) {
+      console.error(`[Cost] Error adding to spend totals for ${workerType}:`, error);
+    }
+  }
+
+  if (!env.FAQ_ANALYTICS) return;
+
+  try {
+    const now = new Date();
+    const date = now.toISOString().split('T')[0];
+    const keyId = apiKeyId || (apiKey ? await hashApiKey(apiKey) : null);
+
+    await env.FAQ_ANALYTICS.put(`cost:${date}:${workerType}:${now.getTime()}:${crypto.randomUUID()}`, '', {
+      expirationTtl: COST_TTL,
+      metadata: {
+        worker: workerType,
+        ip: clientIP || null,
+        key: keyId,
+        requests: 1,
+        prompt_tokens: cost.prompt_tokens,
+        completion_tokens: cost.completion_tokens,
+        neurons: cost.neurons,
+        usd: cost.usd
+      }
+    });
+  } catch (error) {
+    console.error(`[Cost] Error recording cost for ${workerType}:`, error);
+  }
+}
+
+function addTotals(target, summary) {
+  target.requests += summary.requests || 0;
+  target.prompt_tokens += summary.prompt_tokens || 0;
+  target.completion_tokens += summary.completion_tokens || 0;
+  target.neurons = round(target.neurons + (summary.neurons || 0), 2);
+  target.usd = round(target.usd + (summary.usd || 0), 6);
+  return target;
+}
+
+const emptyTotals = () => ({ requests: 0, prompt_tokens: 0, completion_tokens: 0, neurons: 0, usd: 0 });
+
+async function listCostEntries(env, prefix) {
+  const entries = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const result = await env.FAQ_ANALYTICS.list({ prefix, cursor });
+    entries.push(...result.keys);
+    if (result.list_complete) return entries;
+    cursor = result.cursor;
+  }
+
+  console.warn(`[Cost] More than ${entries.length} requests under ${prefix}, totals are truncated`);
+  return entries;
+}
+
+/**
+ * A worker's spend so far today and this month (UTC), from the RateLimiterDO running totals
+ * @returns {Promise<{daily: Object, monthly: Object}|null>} Totals of requests, tokens, neurons and usd;
+ *   null when RATE_LIMITER_DO is not bound
+ */
+export async function getWorkerSpend(env, workerType) {
+  if (!env.RATE_LIMITER_DO) return null;
+
+  const { daily, monthly } = await callSpendTotals(env, workerType, '/get-spend');
+  return { daily, monthly };
+}
+
+function topEntries(totals) {
+  return Object.entries(totals)
+    .map(([id, summary]) => ({ id, ...summary }))
+    .sort((a, b) => b.usd - a.usd)
+    .slice(0, REPORT_TOP_ENTRIES);
+}
+
+/**
+ * Aggregate request costs over the last `days` days
+ */
+export async function getCostReport(env, days = 7) {
+  const dayCount = Math.min(Math.max(parseInt(days) || 7, 1), REPORT_MAX_DAYS);
+  const dates = Array.from({ length: dayCount }, (_, offset) => new Date(Date.now() - offset * 86400000).toISOString().split('T')[0]);
+
+  const totals = emptyTotals();
+  const byWorker = {};
+  const byIP = {};
+  const byApiKey = {};
+  const byDay = [];
+
+  for (const date of dates) {
+    const dayTotals = emptyTotals();
+
+    for (const { metadata: request } of await listCostEntries(env, `cost:${date}:`)) {
+      if (!request?.worker) continue;
+
+      addTotals(byWorker[request.worker] = byWorker[request.worker] || emptyTotals(), request);
+      addTotals(dayTotals, request);
+      if (request.ip) {
+        addTotals(byIP[request.ip] = byIP[request.ip] || emptyTotals(), request);
+      }
+      if (request.key) {
+        addTotals(byApiKey[request.key] = byApiKey[request.key] || emptyTotals(), request);
+      }
+    }
+
+    addTotals(totals, dayTotals);
+    byDay.push({ date, ...dayTotals });
+  }
+
+  return {
+    days: dayCount,
+    totals,
+    by_day: byDay,
+    by_worker: byWorker,
+    top_client_ips: topEntries(byIP),
+    top_api_keys: topEntries(byApiKey)
+  };
+}
+
+/**
+ * Shared admin route: GET /admin/costs?days=7 (bearer ADMIN_API_TOKEN)
+ * @returns {Promise<Response|null>} Response when the path is the cost route
+ */
+export async function handleCostRequest(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  if (url.pathname !== '/admin/costs' || request.method !== 'GET') {
+    return null;
+  }
+
+  const unauthorized = authorizeAdminRequest(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  if (!env.FAQ_ANALYTICS) {
+    return new Response(JSON.stringify({ success: false, error: 'FAQ_ANALYTICS namespace not bound' }), {
+      status: 503,
+      headers: jsonHeaders
+    });
+  }
+
+  const report = await getCostReport(env, url.searchParams.get('days'));
+  return new Response(JSON.stringify({ success: true, ...report, generated_at: new Date().toISOString() }), {
+    headers: jsonHeaders
+  });
+}
@@ -0,0 +1,298 @@
+/**
+ * Shared A/B Experiment Framework for FAQ AI Workers
+ * Variants (model + prompt versions + temperature) with traffic weights in KV, deterministic
+ * assignment by session/IP hash, and per-variant outcome metrics for picking winners.
+ *
+ * KV layout (AI_MODEL_CONFIG namespace, key "ai_experiments"), keyed by worker type like ai_models:
+ * {
+ *   "experiments": {
+ *     "answer_generator": {
+ *       "id": "answer-prompt-v2",
+ *       "status": "running",
+ *       "variants": [
+ *         { "id": "control", "weight": 50 },
+ *         { "id": "scout-v2", "weight": 50, "model": "@cf/meta/llama-4-scout-17b-16e-instruct",
+ *           "prompt_versions": { "answer_generation": "2" }, "temperature": 0.5 }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * Fields a variant omits keep the worker's normal model, prompt registry version and temperature.
+ * Each outcome and feedback vote is its own FAQ_ANALYTICS key,
+ * exp_event:<experiment>:<variant>:<date>:<timestamp>:<uuid>, with the event in KV metadata;
+ * results are summed on read with list(), so concurrent requests never overwrite each other.
+ * Feedback needs the feedback_token from the response's experiment tag, stored as exp_token:<token>
+ * when the outcome is recorded and consumed by the first vote.
+ */
+
+import { cacheExperimentConfig } from './advanced-cache-manager.js';
+
+const EXPERIMENT_CONFIG_KEY = 'ai_experiments';
+const METRICS_TTL = 7776000; // 90 days
+const FEEDBACK_TOKEN_TTL = 604800; // 7 days
+const RESULTS_MAX_DAYS = 30;
+const MAX_LIST_PAGES = 20;
+
+/**
+ * Load experiment definitions from KV through the shared cache
+ */
+async function loadExperimentConfig(env) {
+  try {
+    return await cacheExperimentConfig(EXPERIMENT_CONFIG_KEY, env, async () => {
+      const freshConfig = await env.AI_MODEL_CONFIG?.get(EXPERIMENT_CONFIG_KEY, { type: 'json' });
+      return freshConfig || null;
+    });
+  } catch (error) {
+    console.error(`[Experiments] Error loading experiment config: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Running experiment for a worker, or null
+ */
+async function getActiveExperiment(env, workerType) {
+  const config = await loadExperimentConfig(env);
+  const experiment = config?.experiments?.[workerType];
+
+  if (!experiment?.id || experiment.status !== 'running' || !Array.isArray(experiment.variants)) {
+    return null;
+  }
+
+  const variants = experiment.variants.filter(variant => variant?.id && Number(variant.weight) > 0);
+  return variants.length > 0 ? { ...experiment, variants } : null;
+}
+
+/**
+ * Map a string to a stable bucket in [0, 1)
+ */
+async function hashToBucket(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return new DataView(digest).getUint32(0) / 0x100000000;
+}
+
+/**
+ * Deterministically assign a request to a variant of the worker's running experiment
+ * @param {Object} env - Worker environment
+ * @param {string} workerType - Worker key, as used in ai_model_config.ai_models
+ * @param {string} unitKey - Assignment unit (session id, falling back to client IP)
+ * @returns {Promise<{experiment_id: string, variant_id: string, model?: string, prompt_versions?: Object, temperature?: number}|null>}
+ */
+export async function assignExperimentVariant(env, workerType, unitKey) {
+  const experiment = await getActiveExperiment(env, workerType);
+  if (!experiment || !unitKey) return null;
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + Number(variant.weight), 0);
+  const point = (await hashToBucket(`${experiment.id}:${unitKey}`)) * totalWeight;
+
+  let cumulative = 0;
+  const variant = experiment.variants.find(candidate => {
+    cumulative += Number(candidate.weight);
+    return point < cumulative;
+  }) || experiment.variants[experiment.variants.length - 1];
+
+  return {
+    experiment_id: experiment.id,
+    variant_id: variant.id,
+    model: variant.model || undefined,
+    prompt_versions: variant.prompt_versions || {},
+    temperature: typeof variant.temperature === 'number' ? variant.temperature : undefined,
+    feedback_token: crypto.randomUUID()
+  };
+}
+
+/**
+ * Experiment fields for response metadata; feedback_token authorises one POST /experiments/feedback
+ */
+export function experimentTag(assignment) {
+  return assignment
+    ? { experiment_id: assignment.experiment_id, variant_id: assignment.variant_id, feedback_token: assignment.feedback_token }
+    : null;
+}
+
+function eventPrefix(experimentId, variantId, date) {
+  return `exp_event:${experimentId}:${variantId}:${date.toISOString().split('T')[0]}:`;
+}
+
+/**
+ * Store one event for a variant under its own key
+ */
+async function recordVariantEvent(env, experimentId, variantId, event) {
+  if (!env.FAQ_ANALYTICS) return;
+
+  try {
+    const now = new Date();
+    const key = `${eventPrefix(experimentId, variantId, now)}${now.getTime()}:${crypto.randomUUID()}`;
+    await env.FAQ_ANALYTICS.put(key, '', { expirationTtl: METRICS_TTL, metadata: event });
+  } catch (error) {
+    console.error(`[Experiments] Error recording event for ${experimentId}/${variantId}:`, error);
+  }
+}
+
+/**
+ * Sum a variant's events for one day
+ */
+async function sumVariantEvents(env, experimentId, variantId, date, totals) {
+  let cursor;
+
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const result = await env.FAQ_ANALYTICS.list({ prefix: eventPrefix(experimentId, variantId, date), cursor });
+
+    result.keys.forEach(({ metadata: event }) => {
+      if (event?.type === 'outcome') {
+        totals.requests++;
+        if (event.parse_success) totals.parse_success++;
+        if (event.fallback) totals.fallback++;
+        totals.latency_total_ms += event.latency_ms || 0;
+      } else if (event?.type === 'feedback') {
+        if (event.accepted) {
+          totals.accepted++;
+        } else {
+          totals.rejected++;
+        }
+      }
+    });
+
+    if (result.list_complete) return;
+    cursor = result.cursor;
+  }
+
+  console.warn(`[Experiments] ${experimentId}/${variantId} has more events on ${date.toISOString().split('T')[0]} than one results read covers`);
+}
+
+/**
+ * Record the outcome of one AI request served by a variant
+ * @param {Object} env - Worker environment
+ * @param {Object|null} assignment - Result of assignExperimentVariant
+ * @param {{parse_success: boolean, fallback: boolean, latency_ms: number}} outcome
+ */
+export async function recordExperimentOutcome(env, assignment, outcome) {
+  if (!assignment) return;
+
+  await recordVariantEvent(env, assignment.experiment_id, assignment.variant_id, {
+    type: 'outcome',
+    parse_success: !!outcome.parse_success,
+    fallback: !!outcome.fallback,
+    latency_ms: Math.max(0, Math.round(outcome.latency_ms || 0))
+  });
+
+  if (env.FAQ_ANALYTICS && assignment.feedback_token) {
+    try {
+      await env.FAQ_ANALYTICS.put(`exp_token:${assignment.feedback_token}`, JSON.stringify({
+        experiment_id: assignment.experiment_id,
+        variant_id: assignment.variant_id
+      }), { expirationTtl: FEEDBACK_TOKEN_TTL });
+    } catch (error) {
+      console.error(`[Experiments] Error storing feedback token for ${assignment.experiment_id}:`, error);
+    }
+  }
+}
+
+/**
+ * Record user accept/reject feedback for a response tagged with a variant
+ */
+export async function recordExperimentFeedback(env, experimentId, variantId, accepted) {
+  await recordVariantEvent(env, experimentId, variantId, { type: 'feedback', accepted: !!accepted });
+}
+
+/**
+ * Aggregate variant events into per-variant results with derived rates
+ */
+export async function getExperimentResults(env, workerType, days = 7) {
+  const experiment = await getActiveExperiment(env, workerType);
+  if (!experiment) return null;
+
+  const dayCount = Math.min(Math.max(parseInt(days) || 7, 1), RESULTS_MAX_DAYS);
+  const dates = Array.from({ length: dayCount }, (_, offset) => new Date(Date.now() - offset * 86400000));
+
+  const variants = await Promise.all(experiment.variants.map(async variant => {
+    const totals = { requests: 0, parse_success: 0, fallback: 0, latency_total_ms: 0, accepted: 0, rejected: 0 };
+    if (env.FAQ_ANALYTICS) {
+      for (const date of dates) {
+        try {
+          await sumVariantEvents(env, experiment.id, variant.id, date, totals);
+        } catch (error) {
+          console.error(`[Experiments] Error reading events for ${experiment.id}/${variant.id}:`, error);
+        }
+      }
+    }
+
+    const feedbackCount = totals.accepted + totals.rejected;
+    return {
+      variant_id: variant.id,
+      weight: Number(variant.weight),
+      model: variant.model || null,
+      prompt_versions: variant.prompt_versions || {},
+      temperature: variant.temperature ?? null,
+      requests: totals.requests,
+      parse_success_rate: totals.requests ? Math.round((totals.parse_success / totals.requests) * 1000) / 1000 : null,
+      fallback_rate: totals.requests ? Math.round((totals.fallback / totals.requests) * 1000) / 1000 : null,
+      avg_latency_ms: totals.requests ? Math.round(totals.latency_total_ms / totals.requests) : null,
+      feedback: {
+        accepted: totals.accepted,
+        rejected: totals.rejected,
+        accept_rate: feedbackCount ? Math.round((totals.accepted / feedbackCount) * 1000) / 1000 : null
+      }
+    };
+  }));
+
+  return { experiment_id: experiment.id, worker_type: workerType, days: dayCount, variants };
+}
+
+/**
+ * Shared routes: GET /experiments (results) and POST /experiments/feedback.
+ * Workers rate limit feedback before calling this.
+ * @returns {Promise<Response|null>} Response when the path is an experiment route
+ */
+export async function handleExperimentRequest(request, env, workerType, corsHeaders) {
+  const url = new URL(request.url);
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+
+  if (url.pathname === '/experiments' && request.method === 'GET') {
+    const results = await getExperimentResults(env, workerType, url.searchParams.get('days'));
+    return new Response(JSON.stringify(results
+      ? { success: true, ...results }
+      : { success: true, worker_type: workerType, experiment_id: null, message: 'No running experiment' }), {
+      headers: jsonHeaders
+    });
+  }
+
+  if (url.pathname === '/experiments/feedback' && request.method === 'POST') {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      body = {};
+    }
+
+    const experiment = await getActiveExperiment(env, workerType);
+    const variant = experiment?.variants.find(candidate => candidate.id === body.variant_id);
+
+    if (!experiment || body.experiment_id !== experiment.id || !variant || typeof body.accepted !== 'boolean' ||
+        typeof body.feedback_token !== 'string' || !body.feedback_token) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'experiment_id, variant_id and feedback_token of a response from the running experiment and a boolean accepted are required'
+      }), { status: 400, headers: jsonHeaders });
+    }
+
+    // The token must have been issued for this experiment and variant, and is spent by the first vote
+    const tokenKey = `exp_token:${body.feedback_token}`;
+    const issued = await env.FAQ_ANALYTICS?.get(tokenKey, { type: 'json' }).catch(() => null);
+    if (!issued || issued.experiment_id !== experiment.id || issued.variant_id !== variant.id) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Unknown, expired or already used feedback_token'
+      }), { status: 403, headers: jsonHeaders });
+    }
+
+    await env.FAQ_ANALYTICS.delete(tokenKey);
+    await recordExperimentFeedback(env, experiment.id, variant.id, body.accepted);
+    return new Response(JSON.stringify({ success: true, experiment_id: experiment.id, variant_id: variant.id }), {
+      headers: jsonHeaders
+    });
+  }
+
+  return null;
+}
@@ -3,6 +3,8 @@
  * EMERGENCY PRODUCTION FIX: Lightweight health responses with timeouts and fallbacks
  */
 
+import { isAIProviderAvailable, resolveProvider } from './ai-providers.js';
+
 /**
  * Performance metrics tracker - per-request instance
  */
@@ -261,7 +263,7 @@ async function generateFullHealthResponse(workerName, env, version, staticFeatur
     
     // Only override to 'healthy' if we're in lightweight mode AND system is actually operational
     const isLightweightMode = workerConfig.source === 'fallback' || workerConfig.source === 'static_fallback';
-    const hasAIBinding = !!env.AI;
+    const hasAIBinding = isAIProviderAvailable(env);
     const hasBasicOperations = hasAIBinding; // Basic operational check
     
     if (isLightweightMode && hasBasicOperations && internalHealthStatus === 'degraded') {
@@ -311,7 +313,7 @@ async function generateFullHealthResponse(workerName, env, version, staticFeatur
       model: {
         name: aiModelConfig.model || '@cf/meta/llama-4-scout-17b-16e-instruct',
         max_tokens: aiModelConfig.maxTokens || 800,
-        temperature: aiModelConfig.temperature || 0.4,
+        temperature: aiModelConfig.temperature ?? 0.4,
         timeout: aiModelConfig.timeout || 30000,
         retries: aiModelConfig.retries || 3
       },
@@ -361,7 +363,8 @@ async function generateFullHealthResponse(workerName, env, version, staticFeatur
         config_health: workerConfig.source === 'static_fallback' ? 'degraded' : 'healthy',
         kv_health: env.FAQ_CACHE ? 'healthy' : 'unavailable',
         cache_health: env.FAQ_CACHE ? 'healthy' : 'unavailable',
-        ai_health: env.AI ? 'available' : 'unavailable',
+        ai_health: isAIProviderAvailable(env) ? 'available' : 'unavailable',
+        ai_provider: resolveProvider(env).provider,
         overall_system_health: internalHealthStatus // This can be different from external status
       },
       
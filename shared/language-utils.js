@@ -0,0 +1,217 @@
+/**
+ * Shared Language Utilities for FAQ Workers
+ * Page/text language detection, prompt instructions and language-aware length limits
+ */
+
+/**
+ * Supported languages with a length factor relative to English.
+ * CJK/Thai scripts express the same content in far fewer characters; German/Finnish need more.
+ */
+const LANGUAGES = {
+  en: { name: 'English', lengthFactor: 1 },
+  de: { name: 'German', lengthFactor: 1.3 },
+  fr: { name: 'French', lengthFactor: 1.2 },
+  es: { name: 'Spanish', lengthFactor: 1.2 },
+  it: { name: 'Italian', lengthFactor: 1.2 },
+  pt: { name: 'Portuguese', lengthFactor: 1.2 },
+  nl: { name: 'Dutch', lengthFactor: 1.25 },
+  sv: { name: 'Swedish', lengthFactor: 1.1 },
+  da: { name: 'Danish', lengthFactor: 1.1 },
+  no: { name: 'Norwegian', lengthFactor: 1.1 },
+  fi: { name: 'Finnish', lengthFactor: 1.3 },
+  pl: { name: 'Polish', lengthFactor: 1.2 },
+  cs: { name: 'Czech', lengthFactor: 1.15 },
+  tr: { name: 'Turkish', lengthFactor: 1.15 },
+  ru: { name: 'Russian', lengthFactor: 1.2 },
+  uk: { name: 'Ukrainian', lengthFactor: 1.2 },
+  el: { name: 'Greek', lengthFactor: 1.2 },
+  ar: { name: 'Arabic', lengthFactor: 0.9 },
+  he: { name: 'Hebrew', lengthFactor: 0.85 },
+  hi: { name: 'Hindi', lengthFactor: 1 },
+  th: { name: 'Thai', lengthFactor: 0.8 },
+  ja: { name: 'Japanese', lengthFactor: 0.4 },
+  zh: { name: 'Chinese', lengthFactor: 0.35 },
+  ko: { name: 'Korean', lengthFactor: 0.5 }
+};
+
+/**
+ * Languages identified by their writing system alone
+ */
+const SCRIPT_PATTERNS = [
+  { code: 'ja', regex: /[\u3040-\u30FF]/g },
+  { code: 'ko', regex: /[\uAC00-\uD7AF]/g },
+  { code: 'zh', regex: /[\u4E00-\u9FFF]/g },
+  { code: 'th', regex: /[\u0E00-\u0E7F]/g },
+  { code: 'ar', regex: /[\u0600-\u06FF]/g },
+  { code: 'he', regex: /[\u0590-\u05FF]/g },
+  { code: 'el', regex: /[\u0370-\u03FF]/g },
+  { code: 'hi', regex: /[\u0900-\u097F]/g },
+  { code: 'cyrillic', regex: /[\u0400-\u04FF]/g }
+];
+
+/**
+ * High-frequency function words used to tell Latin-script (and Cyrillic) languages apart
+ */
+const STOP_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'of', 'to', 'in', 'for', 'with', 'you', 'your', 'how', 'what', 'can', 'this', 'that', 'our', 'we'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'sie', 'ein', 'eine', 'wie', 'was', 'auf', 'auch', 'ihre', 'wir'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'des', 'une', 'pour', 'avec', 'vous', 'votre', 'que', 'qui', 'dans', 'nous', 'sur', 'comment'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'de', 'que', 'para', 'con', 'una', 'por', 'su', 'cómo', 'qué', 'nuestro', 'puede'],
+  it: ['il', 'lo', 'gli', 'e', 'è', 'di', 'che', 'per', 'con', 'una', 'sono', 'come', 'cosa', 'nostro', 'della', 'può'],
+  pt: ['o', 'os', 'as', 'e', 'é', 'de', 'que', 'para', 'com', 'uma', 'não', 'como', 'você', 'seu', 'nosso', 'pode'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'van', 'niet', 'met', 'voor', 'u', 'uw', 'hoe', 'wat', 'wij', 'ons', 'kunt'],
+  sv: ['och', 'är', 'att', 'det', 'som', 'för', 'med', 'inte', 'du', 'din', 'vi', 'hur', 'vad', 'kan'],
+  da: ['og', 'er', 'at', 'det', 'som', 'for', 'med', 'ikke', 'du', 'din', 'vi', 'hvordan', 'hvad', 'kan'],
+  no: ['og', 'er', 'at', 'det', 'som', 'for', 'med', 'ikke', 'du', 'din', 'vi', 'hvordan', 'hva', 'kan'],
+  fi: ['ja', 'on', 'ei', 'että', 'se', 'kanssa', 'kuin', 'mitä', 'miten', 'voit', 'meidän', 'sinun'],
+  pl: ['i', 'jest', 'nie', 'w', 'z', 'na', 'się', 'do', 'jak', 'co', 'dla', 'są', 'może', 'nasz'],
+  cs: ['a', 'je', 'ne', 'v', 's', 'na', 'se', 'do', 'jak', 'co', 'pro', 'jsou', 'může', 'náš'],
+  tr: ['ve', 'bir', 'bu', 'için', 'ile', 'da', 'de', 'nasıl', 'ne', 'mi', 'olan', 'bizim'],
+  ru: ['и', 'в', 'не', 'на', 'что', 'как', 'для', 'это', 'с', 'вы', 'ваш', 'мы', 'можно'],
+  uk: ['і', 'в', 'не', 'на', 'що', 'як', 'для', 'це', 'з', 'ви', 'ваш', 'ми', 'можна']
+};
+
+/**
+ * Normalise a BCP 47 tag or locale ("en-GB", "pt_BR", "DE") to a supported base code
+ * @param {string} tag - Language tag or locale
+ * @returns {string|null} Supported two-letter code, or null
+ */
+export function normalizeLanguageCode(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+
+  let base = tag.trim().toLowerCase().split(/[-_]/)[0];
+  if (base === 'nb' || base === 'nn') base = 'no';
+  if (base === 'iw') base = 'he';
+
+  return LANGUAGES[base] ? base : null;
+}
+
+/**
+ * Display name for a supported language code
+ */
+export function getLanguageName(code) {
+  return LANGUAGES[code]?.name || 'English';
+}
+
+/**
+ * Read the declared language from page markup: <html lang>, og:locale, then content-language
+ * @param {string} html - Raw page HTML
+ * @returns {{code: string, source: string, declared: string}|null}
+ */
+export function detectLanguageFromMarkup(html) {
+  if (!html) return null;
+
+  const candidates = [
+    { source: 'html_lang', match: html.match(/<html\b[^>]*\blang\s*=\s*["']?([a-zA-Z_-]+)/i) },
+    { source: 'og_locale', match: html.match(/<meta\b[^>]*property\s*=\s*["']og:locale["'][^>]*content\s*=\s*["']([a-zA-Z_-]+)/i) ||
+      html.match(/<meta\b[^>]*content\s*=\s*["']([a-zA-Z_-]+)["'][^>]*property\s*=\s*["']og:locale["']/i) },
+    { source: 'content_language', match: html.match(/<meta\b[^>]*http-equiv\s*=\s*["']content-language["'][^>]*content\s*=\s*["']([a-zA-Z_-]+)/i) }
+  ];
+
+  for (const candidate of candidates) {
+    const code = normalizeLanguageCode(candidate.match?.[1]);
+    if (code) {
+      return { code, source: candidate.source, declared: candidate.match[1] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detect language from text using script ranges, then stop-word frequency
+ * @param {string} text - Plain text (a few hundred characters is enough)
+ * @returns {{code: string, confidence: number}}
+ */
+export function detectLanguageFromText(text) {
+  const sample = (text || '').substring(0, 5000);
+  if (sample.trim().length === 0) {
+    return { code: 'en', confidence: 0 };
+  }
+
+  const letters = (sample.match(/\p{L}/gu) || []).length || 1;
+
+  // Non-Latin scripts first. Japanese mixes kana with kanji, so kana takes priority over Han.
+  let cyrillic = false;
+  for (const { code, regex } of SCRIPT_PATTERNS) {
+    const count = (sample.match(regex) || []).length;
+    const share = count / letters;
+    if (code === 'ja' ? share > 0.05 : share > 0.3) {
+      if (code === 'cyrillic') {
+        cyrillic = true;
+        break;
+      }
+      return { code, confidence: Math.min(1, Math.round(share * 100) / 100 + 0.3) };
+    }
+  }
+
+  const words = sample.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  const candidates = cyrillic ? ['ru', 'uk'] : Object.keys(STOP_WORDS).filter(code => code !== 'ru' && code !== 'uk');
+
+  const scores = candidates.map(code => {
+    const stopWords = new Set(STOP_WORDS[code]);
+    return { code, hits: words.filter(word => stopWords.has(word)).length };
+  }).sort((a, b) => b.hits - a.hits);
+
+  const [best, runnerUp] = scores;
+  if (!best || best.hits === 0) {
+    return { code: cyrillic ? 'ru' : 'en', confidence: 0.1 };
+  }
+
+  const margin = (best.hits - (runnerUp?.hits || 0)) / best.hits;
+  const coverage = Math.min(1, best.hits / Math.max(words.length * 0.15, 1));
+  return { code: best.code, confidence: Math.round(Math.min(1, 0.3 + margin * 0.4 + coverage * 0.3) * 100) / 100 };
+}
+
+/**
+ * Resolve the language to generate in: explicit request > page markup > content detection.
+ * Markup is overridden only when the content confidently disagrees (e.g. a theme hard-coding lang="en").
+ * @param {Object} params
+ * @param {string} [params.requested] - Explicit language from the request
+ * @param {string} [params.html] - Raw HTML, when available
+ * @param {string} [params.text] - Extracted text or the question being answered
+ * @returns {{code: string, name: string, source: string, confidence: number}}
+ */
+export function resolveLanguage({ requested, html, text } = {}) {
+  const requestedCode = normalizeLanguageCode(requested);
+  if (requestedCode) {
+    return { code: requestedCode, name: getLanguageName(requestedCode), source: 'requested', confidence: 1 };
+  }
+
+  const markup = detectLanguageFromMarkup(html);
+  const content = detectLanguageFromText(text);
+
+  if (markup && (markup.code === content.code || content.confidence < 0.7)) {
+    return { code: markup.code, name: getLanguageName(markup.code), source: markup.source, confidence: markup.code === content.code ? 1 : 0.8 };
+  }
+
+  return { code: content.code, name: getLanguageName(content.code), source: 'content', confidence: content.confidence };
+}
+
+/**
+ * Prompt line instructing the model which language to write in
+ */
+export function getLanguageInstruction(code) {
+  if (!code || code === 'en') {
+    return 'Write all questions and answers in English.';
+  }
+  return `Write all questions and answers in ${getLanguageName(code)} (${code}). Do not translate brand names, product names or prices.`;
+}
+
+/**
+ * Scale English character limits for a language
+ * @param {string} code - Language code
+ * @param {Object} limits - Map of name -> character count (English baseline)
+ * @returns {Object} Same keys with language-adjusted values
+ */
+export function getLanguageLengthLimits(code, limits) {
+  const factor = getLanguageLengthFactor(code);
+  return Object.fromEntries(Object.entries(limits).map(([key, value]) => [key, Math.round(value * factor)]));
+}
+
+/**
+ * Typical length of text in a language relative to the same text in English
+ */
+export function getLanguageLengthFactor(code) {
+  return LANGUAGES[code]?.lengthFactor || 1;
+}
@@ -0,0 +1,395 @@
+/**
+ * Shared Polite Fetching for FAQ Workers
+ * Every fetch of a third-party page goes through politeFetch, which:
+ *
+ *   - identifies as a bot: CRAWLER_USER_AGENT, default "FAQ-AI-Bot/1.0 (+https://365i.co.uk)"
+ *   - honours robots.txt (RFC 9309) for the user agent's product token (FAQ-AI-Bot), else the * group.
+ *     Parsed rules are cached per origin in FAQ_CACHE under robots:<origin> for 6 hours
+ *   - runs at most CRAWL_MAX_CONCURRENCY (default 2) requests per host at once, started at least
+ *     CRAWL_DELAY_MS (default 1000) apart, or the site's Crawl-delay when longer (capped at 10 seconds).
+ *     Both are enforced per worker instance.
+ *
+ * Redirects are followed manually, checking each hop's robots.txt. The body is read before the host slot
+ * and the timeout are released.
+ *
+ * A disallowed URL throws an error with code blocked_by_robots (status 403). A request that would wait
+ * longer than CRAWL_MAX_WAIT_MS (default 15000) for its host throws host_busy (status 429).
+ * A missing robots.txt (or any 4xx) allows everything; a 5xx or unreachable one disallows the whole site
+ * until it is fetched again, 10 minutes later.
+ */
+
+export const DEFAULT_USER_AGENT = 'FAQ-AI-Bot/1.0 (+https://365i.co.uk)';
+
+const ROBOTS_KEY_PREFIX = 'robots:';
+const ROBOTS_TTL = 21600; // 6 hours
+const ROBOTS_UNREACHABLE_TTL = 600; // 10 minutes
+const ROBOTS_TIMEOUT = 5000;
+const ROBOTS_MAX_BYTES = 512000; // RFC 9309 asks crawlers to parse at least 500 KiB
+const MAX_CRAWL_DELAY = 10000;
+const MAX_REDIRECTS = 5;
+
+// Parsed robots.txt per origin, so repeat fetches in a worker instance skip KV
+const ROBOTS_MEMORY_TTL = 300000; // 5 minutes
+const robotsCache = new Map();
+
+// Per-host concurrency and spacing: { active, nextStart, waiters }
+const hostStates = new Map();
+const MAX_TRACKED_HOSTS = 200;
+
+function numberSetting(value, fallback, min = 0) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= min ? number : fallback;
+}
+
+function crawlSettings(env) {
+  return {
+    userAgent: env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT,
+    concurrency: numberSetting(env.CRAWL_MAX_CONCURRENCY, 2, 1),
+    delayMs: numberSetting(env.CRAWL_DELAY_MS, 1000),
+    maxWaitMs: numberSetting(env.CRAWL_MAX_WAIT_MS, 15000)
+  };
+}
+
+function crawlError(code, message, status, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Whether an error came from the crawl policy (robots.txt or the host budget) rather than the site
+ */
+export function isPoliteFetchError(error) {
+  return error?.code === 'blocked_by_robots' || error?.code === 'host_busy';
+}
+
+/**
+ * The user agent workers crawl with
+ */
+export function crawlerUserAgent(env = {}) {
+  return crawlSettings(env).userAgent;
+}
+
+/**
+ * Parse robots.txt into groups of { agents, rules: [{ allow, path }], crawlDelay }
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let inAgentLines = false;
+
+  for (const rawLine of text.split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!inAgentLines) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      inAgentLines = true;
+      continue;
+    }
+
+    inAgentLines = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return groups;
+}
+
+function rulePattern(path) {
+  const anchored = path.endsWith('$');
+  const source = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Check a path against parsed robots.txt groups. The longest matching rule wins; on a tie, Allow wins.
+ * @param {Array} groups - parseRobotsTxt result
+ * @param {string} userAgent - Full user agent; its product token (before the first /) selects the group
+ * @param {string} path - Path and query, e.g. /faq?page=2
+ * @returns {{allowed: boolean, rule: string|null, crawlDelay: number|null}}
+ */
+export function checkRobotsRules(groups, userAgent, path) {
+  const token = userAgent.split('/')[0].trim().toLowerCase();
+  let matching = groups.filter(group => group.agents.some(agent => agent.split('/')[0] === token));
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+  }
+
+  if (path === '/robots.txt' || matching.length === 0) {
+    return { allowed: true, rule: null, crawlDelay: null };
+  }
+
+  let best = null;
+  for (const rule of matching.flatMap(group => group.rules)) {
+    if (!rulePattern(rule.path).test(path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    allowed: best ? best.allow : true,
+    rule: best ? `${best.allow ? 'Allow' : 'Disallow'}: ${best.path}` : null,
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+async function fetchRobotsTxt(origin, userAgent) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), ROBOTS_TIMEOUT);
+
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      signal: controller.signal,
+      headers: { 'User-Agent': userAgent, 'Accept': 'text/plain' }
+    });
+
+    if (response.ok) {
+      const text = (await response.text()).substring(0, ROBOTS_MAX_BYTES);
+      return { status: 'ok', groups: parseRobotsTxt(text) };
+    }
+
+    // 429 and 5xx mean the site is struggling, not that robots.txt is absent
+    if (response.status === 429 || response.status >= 500) {
+      return { status: 'unreachable', http_status: response.status, groups: [] };
+    }
+
+    return { status: 'missing', http_status: response.status, groups: [] };
+  } catch (error) {
+    console.warn(`[Polite Fetch] robots.txt for ${origin} unreachable:`, error.message);
+    return { status: 'unreachable', groups: [] };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Parsed robots.txt for an origin, from memory, FAQ_CACHE or the site
+ */
+async function loadRobots(env, origin, userAgent) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.robots;
+  }
+
+  const key = ROBOTS_KEY_PREFIX + origin;
+  let robots = null;
+
+  if (env.FAQ_CACHE) {
+    try {
+      robots = await env.FAQ_CACHE.get(key, { type: 'json' });
+    } catch (error) {
+      console.warn(`[Polite Fetch] Failed to read cached robots.txt for ${origin}:`, error.message);
+    }
+  }
+
+  if (!robots) {
+    robots = { ...await fetchRobotsTxt(origin, userAgent), fetched_at: Date.now() };
+    const ttl = robots.status === 'unreachable' ? ROBOTS_UNREACHABLE_TTL : ROBOTS_TTL;
+
+    if (env.FAQ_CACHE) {
+      try {
+        await env.FAQ_CACHE.put(key, JSON.stringify(robots), { expirationTtl: ttl });
+      } catch (error) {
+        console.warn(`[Polite Fetch] Failed to cache robots.txt for ${origin}:`, error.message);
+      }
+    }
+  }
+
+  if (robotsCache.size > MAX_TRACKED_HOSTS) {
+    for (const [cachedOrigin, entry] of robotsCache) {
+      if (Date.now() >= entry.expiresAt) robotsCache.delete(cachedOrigin);
+    }
+  }
+
+  const memoryTtl = robots.status === 'unreachable' ? ROBOTS_UNREACHABLE_TTL * 1000 : ROBOTS_MEMORY_TTL;
+  robotsCache.set(origin, { robots, expiresAt: Date.now() + memoryTtl });
+  return robots;
+}
+
+/**
+ * Whether the crawler may fetch a URL, and the site's Crawl-delay (seconds)
+ * @param {Object} env - Worker environment (FAQ_CACHE, CRAWLER_USER_AGENT)
+ * @param {string} url - URL to fetch
+ * @returns {Promise<{allowed: boolean, rule: string|null, crawlDelay: number|null, robots: string}>}
+ */
+export async function checkRobots(env, url) {
+  const target = new URL(url);
+  const { userAgent } = crawlSettings(env);
+  const robots = await loadRobots(env, target.origin, userAgent);
+
+  if (robots.status === 'unreachable') {
+    return { allowed: false, rule: 'robots.txt unreachable', crawlDelay: null, robots: robots.status };
+  }
+
+  return { ...checkRobotsRules(robots.groups, userAgent, target.pathname + target.search), robots: robots.status };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Hosts with nothing in flight and no spacing left to enforce
+function pruneHostStates() {
+  const now = Date.now();
+  for (const [host, state] of hostStates) {
+    if (state.active === 0 && state.waiters.length === 0 && state.nextStart <= now) {
+      hostStates.delete(host);
+    }
+  }
+}
+
+function waitForSlot(state, timeoutMs) {
+  return new Promise(resolve => {
+    const waiter = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      const index = state.waiters.indexOf(waiter);
+      if (index !== -1) state.waiters.splice(index, 1);
+      resolve(false);
+    }, timeoutMs);
+    state.waiters.push(waiter);
+  });
+}
+
+/**
+ * Take one of a host's concurrent slots and wait for its next start time
+ * @returns {Promise<Function>} Releases the slot
+ */
+async function acquireHostSlot(host, { concurrency, delayMs, maxWaitMs }) {
+  const deadline = Date.now() + maxWaitMs;
+  if (hostStates.size > MAX_TRACKED_HOSTS) pruneHostStates();
+
+  let state = hostStates.get(host);
+  if (!state) {
+    state = { active: 0, nextStart: 0, waiters: [] };
+    hostStates.set(host, state);
+  }
+
+  const busy = () => crawlError('host_busy', `Too many pending requests to ${host}, try again shortly`, 429, { host });
+
+  while (state.active >= concurrency) {
+    if (!await waitForSlot(state, deadline - Date.now())) throw busy();
+  }
+
+  const now = Date.now();
+  const start = Math.max(now, state.nextStart);
+  if (start > deadline) throw busy();
+
+  state.active++;
+  state.nextStart = start + delayMs;
+
+  const release = () => {
+    state.active--;
+    state.waiters.shift()?.();
+  };
+
+  if (start > now) {
+    await sleep(start - now);
+  }
+  return release;
+}
+
+/**
+ * One request of a redirect chain: robots.txt, the host's budget, then the fetch and its body, all inside
+ * the host slot and the timeout
+ * @returns {Promise<{response: Response}|{location: string}>}
+ */
+async function fetchHop(env, settings, target, { timeout, ...init }) {
+  const robots = await checkRobots(env, target.href);
+  if (!robots.allowed) {
+    console.log(`[Polite Fetch] ${target.href} blocked by robots.txt (${robots.rule})`);
+    throw crawlError('blocked_by_robots', `robots.txt disallows ${settings.userAgent.split('/')[0]} from fetching ${target.href}`, 403, {
+      url: target.href,
+      rule: robots.rule
+    });
+  }
+
+  const delayMs = Math.min(Math.max(settings.delayMs, (robots.crawlDelay || 0) * 1000), MAX_CRAWL_DELAY);
+  const release = await acquireHostSlot(target.host, { ...settings, delayMs });
+
+  const controller = new AbortController();
+  const fetchTimeout = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(target.href, { ...init, redirect: 'manual', signal: controller.signal });
+
+    const location = response.status >= 300 && response.status < 400 ? response.headers.get('Location') : null;
+    if (location) {
+      await response.body?.cancel();
+      return { location };
+    }
+
+    // Buffered here so a slow body counts against the timeout and the host's concurrency
+    const body = await response.arrayBuffer();
+    const responseHeaders = new Headers(response.headers);
+    responseHeaders.delete('Content-Encoding');
+    responseHeaders.delete('Content-Length');
+
+    return {
+      response: new Response(body, { status: response.status, statusText: response.statusText, headers: responseHeaders })
+    };
+  } finally {
+    clearTimeout(fetchTimeout);
+    release();
+  }
+}
+
+/**
+ * Fetch a third-party URL as the crawler. Every request of a redirect chain (up to 5) is checked against
+ * its own site's robots.txt and budget.
+ * @param {Object} env - Worker environment
+ * @param {string} url - URL to fetch
+ * @param {Object} [options]
+ * @param {string} [options.accept] - Accept header
+ * @param {number} [options.timeout] - Timeout (ms) per request, including its body; an expired timeout
+ *   rejects with an AbortError
+ * @param {Object} [options.headers] - Extra request headers (User-Agent is always the crawler's)
+ * Other options (e.g. cf) are passed to fetch.
+ * @returns {Promise<Response>} Response with its body already read
+ */
+export async function politeFetch(env, url, { accept = 'text/html,application/xhtml+xml', timeout = 10000, headers = {}, ...init } = {}) {
+  const settings = crawlSettings(env);
+  let target = new URL(url);
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const hop = await fetchHop(env, settings, target, {
+      ...init,
+      timeout,
+      headers: { ...headers, 'User-Agent': settings.userAgent, 'Accept': accept }
+    });
+    if (hop.response) return hop.response;
+
+    target = new URL(hop.location, target);
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw new Error(`Redirect to unsupported URL: ${target.href}`);
+    }
+  }
+
+  throw new Error(`Too many redirects fetching ${url}`);
+}
@@ -0,0 +1,139 @@
+/**
+ * Shared Prompt Template Registry for FAQ Workers
+ * Versioned prompt templates stored in KV, {{variable}} interpolation and per-worker overrides.
+ *
+ * KV layout (AI_MODEL_CONFIG namespace, key "prompt_templates"), loaded like "ai_model_config":
+ * {
+ *   "updated_at": "2025-01-01T00:00:00Z",
+ *   "templates": {
+ *     "answer_generation": {
+ *       "active_version": "2",
+ *       "versions": {
+ *         "1": { "system": "...", "user": "Answer {{question}}..." },
+ *         "2": { "user": "..." }
+ *       }
+ *     }
+ *   },
+ *   "worker_overrides": {
+ *     "answer_generator": { "answer_generation": "1" }
+ *   }
+ * }
+ *
+ * A worker override is either a version string pinned from "versions" or a full template
+ * object ({ version, system, user }). Any part a KV template omits falls back to the
+ * worker's built-in prompt, which is reported as version "builtin".
+ *
+ * The registry is cached under "prompt_templates:prompt_templates"; any worker's /cache/clear
+ * drops it so template edits apply immediately.
+ */
+
+import { cachePromptTemplates } from './advanced-cache-manager.js';
+
+const PROMPT_REGISTRY_KEY = 'prompt_templates';
+export const BUILTIN_PROMPT_VERSION = 'builtin';
+
+/**
+ * Load the registry document from KV through the shared cache
+ */
+async function loadPromptRegistry(env) {
+  try {
+    return await cachePromptTemplates(PROMPT_REGISTRY_KEY, env, async () => {
+      const freshRegistry = await env.AI_MODEL_CONFIG?.get(PROMPT_REGISTRY_KEY, { type: 'json' });
+      if (!freshRegistry) {
+        console.log(`[Prompt Registry] No registry found in KV, using built-in prompts`);
+        return null;
+      }
+      console.log(`[Prompt Registry] Loaded registry with templates:`, Object.keys(freshRegistry.templates || {}));
+      return freshRegistry;
+    });
+  } catch (error) {
+    console.error(`[Prompt Registry] Error loading registry: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Replace {{name}} placeholders with variable values; unknown names render as empty strings
+ * @param {string} template - Template text
+ * @param {Object} variables - Map of name -> value (objects are JSON-encoded)
+ * @returns {string}
+ */
+export function interpolatePrompt(template, variables = {}) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+    const value = name.split('.').reduce((scope, part) => scope?.[part], variables);
+    if (value === undefined || value === null) {
+      console.warn(`[Prompt Registry] No value for template variable "${name}"`);
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Resolve the active template for a worker: worker override > template active_version
+ * @param {Object} env - Worker environment
+ * @param {string} workerType - Worker key, as used in ai_model_config.ai_models
+ * @param {string} templateId - Template name
+ * @param {string} [forcedVersion] - Version pinned by the caller (e.g. an experiment variant)
+ * @returns {Promise<{id: string, version: string, source: string, system?: string, user?: string}|null>}
+ */
+export async function getPromptTemplate(env, workerType, templateId, forcedVersion) {
+  if (forcedVersion === BUILTIN_PROMPT_VERSION) return null;
+
+  const registry = await loadPromptRegistry(env);
+  if (!registry) return null;
+
+  const template = registry.templates?.[templateId];
+
+  if (forcedVersion !== undefined && forcedVersion !== null) {
+    const body = template?.versions?.[String(forcedVersion)];
+    if (!body) {
+      console.warn(`[Prompt Registry] Requested ${templateId} v${forcedVersion} not found, using built-in prompt`);
+      return null;
+    }
+    return { id: templateId, version: String(forcedVersion), source: 'experiment', system: body.system, user: body.user };
+  }
+
+  const override = registry.worker_overrides?.[workerType]?.[templateId];
+
+  if (override && typeof override === 'object') {
+    return { id: templateId, version: String(override.version || 'override'), source: 'worker_override', system: override.system, user: override.user };
+  }
+
+  const version = override ? String(override) : template?.active_version !== undefined ? String(template.active_version) : null;
+  const body = version !== null ? template?.versions?.[version] : null;
+  if (!body) {
+    if (version !== null) {
+      console.warn(`[Prompt Registry] ${templateId} v${version} not found for ${workerType}, using built-in prompt`);
+    }
+    return null;
+  }
+
+  return { id: templateId, version, source: override ? 'worker_override' : 'kv', system: body.system, user: body.user };
+}
+
+/**
+ * Render a prompt from the registry, falling back to the worker's built-in wording
+ * @param {Object} env - Worker environment
+ * @param {string} workerType - Worker key
+ * @param {string} templateId - Template name
+ * @param {Object} variables - Values available to {{placeholders}}
+ * @param {{system?: string, user: string}} builtin - Built-in prompt, already rendered
+ * @param {Object} [options]
+ * @param {string} [options.version] - Force a template version instead of the active one
+ * @returns {Promise<{system?: string, user: string, template: {id: string, version: string, source: string}}>}
+ */
+export async function renderPrompt(env, workerType, templateId, variables, builtin, options = {}) {
+  const template = await getPromptTemplate(env, workerType, templateId, options.version);
+
+  if (!template) {
+    return { ...builtin, template: { id: templateId, version: BUILTIN_PROMPT_VERSION, source: 'builtin' } };
+  }
+
+  console.log(`[Prompt Registry] Using ${templateId} v${template.version} (${template.source}) for ${workerType}`);
+  return {
+    system: template.system ? interpolatePrompt(template.system, variables) : builtin.system,
+    user: template.user ? interpolatePrompt(template.user, variables) : builtin.user,
+    template: { id: templateId, version: template.version, source: template.source }
+  };
+}
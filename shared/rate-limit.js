@@ -0,0 +1,190 @@
+/**
+ * Shared Rate Limiting for FAQ Workers
+ * Every worker checks requests through EnhancedRateLimiter (enhanced-rate-limiting/rate-limiter.js), so the
+ * WordPress-configured hourly/daily/weekly/monthly limits and counting algorithm, IP whitelist/blacklist,
+ * progressive penalties and usage analytics apply everywhere. Limiters are rebuilt from dynamic config every few minutes.
+ * Requests with an API key (shared/api-keys.js) are authenticated first and counted against the key's plan.
+ */
+
+import { createRateLimiter } from '../enhanced-rate-limiting/rate-limiter.js';
+import { authenticateApiKey } from './api-keys.js';
+
+const LIMITER_CACHE_TTL = 300000; // 5 minutes, matching the rate limiter worker's config cache
+const limiterCache = new Map();
+
+// Refusals and their HTTP status; anything else refused is 429
+const REFUSAL_STATUS = {
+  API_KEY_REQUIRED: 401,
+  INVALID_API_KEY: 401,
+  WORKER_NOT_ALLOWED: 403,
+  ORIGIN_NOT_ALLOWED: 403,
+  IP_BLACKLISTED: 403
+};
+
+const REFUSAL_MESSAGES = {
+  API_KEY_REQUIRED: 'API key required.',
+  INVALID_API_KEY: 'Invalid or expired API key.',
+  WORKER_NOT_ALLOWED: 'This API key is not allowed to use this service.',
+  ORIGIN_NOT_ALLOWED: 'This API key is not allowed from this origin.',
+  IP_BLACKLISTED: 'Access denied.'
+};
+
+const WINDOW_SECONDS = {
+  hourly: 3600,
+  daily: 86400,
+  weekly: 604800,
+  monthly: 2592000
+};
+
+/**
+ * Rate limiter for a worker, built from its dynamic config (worker_config:<workerName> / WordPress settings)
+ */
+export async function getWorkerRateLimiter(env, workerName) {
+  const cached = limiterCache.get(workerName);
+  if (cached && cached.env === env && Date.now() - cached.createdAt < LIMITER_CACHE_TTL) {
+    return cached.limiter;
+  }
+
+  const limiter = await createRateLimiter(env, workerName);
+  limiterCache.set(workerName, { limiter, env, createdAt: Date.now() });
+  return limiter;
+}
+
+/**
+ * The window closest to its limit, which drives X-RateLimit-* headers
+ */
+function tightestWindow(result, now) {
+  if (!result.usage || !result.limits) return null;
+
+  let tightest = null;
+  for (const [window, limit] of Object.entries(result.limits)) {
+    if (!limit || result.usage[window] === undefined) continue;
+
+    // Sliding window and token bucket results report what is left; fixed window usage is read before
+    // this request is counted
+    const remaining = result.remaining_by_window?.[window] ??
+      Math.max(0, limit - result.usage[window] - (result.allowed ? 1 : 0));
+    if (!tightest || remaining < tightest.remaining) {
+      tightest = {
+        window,
+        limit,
+        remaining,
+        reset: result.reset_times?.[window] || now + WINDOW_SECONDS[window] * 1000
+      };
+    }
+  }
+  return tightest;
+}
+
+/**
+ * Authenticate the request's API key, then check and count it against the key's or the worker's limits.
+ * Limit checks fail open, like EnhancedRateLimiter; API key checks do not.
+ * @param {Object} env - Worker environment
+ * @param {string} workerName - Worker name, as used for worker_config and health checks
+ * @param {string} clientIP - Client IP address
+ * @param {Request} request - Original request (API key, origin, violation logging)
+ * @returns {Promise<Object>} EnhancedRateLimiter result plus { limit, remaining, window, reset, retryAfter }
+ *   for the tightest window (null when unlimited, e.g. whitelisted), retryAfter in seconds when blocked and
+ *   api_key (the key id) for key-authenticated requests. A refused key gives allowed: false with reason
+ *   API_KEY_REQUIRED, INVALID_API_KEY, WORKER_NOT_ALLOWED or ORIGIN_NOT_ALLOWED.
+ */
+export async function checkWorkerRateLimit(env, workerName, clientIP, request) {
+  const now = Date.now();
+
+  let auth;
+  try {
+    auth = await authenticateApiKey(env, request, workerName);
+  } catch (error) {
+    console.error(`[Rate Limit] API key check failed for ${workerName}:`, error.message);
+    auth = { key: null, error: 'INVALID_API_KEY' };
+  }
+
+  if (auth.error) {
+    return {
+      allowed: false,
+      reason: auth.error,
+      api_key: auth.key?.id || null,
+      usage: null,
+      limit: null,
+      remaining: null,
+      window: null,
+      reset: null,
+      retryAfter: null
+    };
+  }
+
+  let result;
+  try {
+    const limiter = await getWorkerRateLimiter(env, workerName);
+    result = await limiter.checkRateLimit(clientIP, request, workerName, auth.key);
+  } catch (error) {
+    console.error(`[Rate Limit] Check failed for ${workerName}:`, error.message);
+    result = { allowed: true, reason: 'ERROR_FALLBACK', error: error.message, api_key: auth.key?.id };
+  }
+
+  const tightest = tightestWindow(result, now);
+  let retryAfter = null;
+
+  if (!result.allowed) {
+    if (result.reason === 'TEMPORARILY_BLOCKED') {
+      retryAfter = result.remaining_time;
+    } else if (result.reason === 'RATE_LIMIT_EXCEEDED' && result.retry_after) {
+      retryAfter = result.retry_after;
+    } else if (result.reason === 'RATE_LIMIT_EXCEEDED' && tightest) {
+      retryAfter = Math.max(1, Math.ceil((tightest.reset - now) / 1000));
+    }
+  }
+
+  return {
+    ...result,
+    api_key: auth.key?.id || null,
+    limit: tightest?.limit ?? null,
+    remaining: tightest?.remaining ?? null,
+    window: tightest ? WINDOW_SECONDS[tightest.window] : null,
+    reset: tightest?.reset ?? null,
+    retryAfter
+  };
+}
+
+/**
+ * X-RateLimit-* (and, when blocked, Retry-After) headers for a checkWorkerRateLimit result
+ */
+export function rateLimitHeaders(result) {
+  const headers = {};
+
+  if (result.limit !== null) {
+    headers['X-RateLimit-Limit'] = String(result.limit);
+    headers['X-RateLimit-Remaining'] = String(result.remaining);
+    headers['X-RateLimit-Reset'] = String(Math.floor(result.reset / 1000));
+  }
+  if (result.retryAfter) {
+    headers['Retry-After'] = String(result.retryAfter);
+  }
+
+  return headers;
+}
+
+/**
+ * Standard 401/403/429 response for a request checkWorkerRateLimit refused
+ * @param {Object} result - checkWorkerRateLimit result
+ * @param {Object} corsHeaders - CORS headers to include
+ * @param {Object} [extraBody] - Worker-specific fields added to the JSON body
+ */
+export function rateLimitExceededResponse(result, corsHeaders, extraBody = {}) {
+  const status = REFUSAL_STATUS[result.reason] || 429;
+  const headers = {
+    ...corsHeaders,
+    'Content-Type': 'application/json',
+    ...rateLimitHeaders(result)
+  };
+  if (status === 401) {
+    headers['WWW-Authenticate'] = 'Bearer';
+  }
+
+  return new Response(JSON.stringify({
+    error: REFUSAL_MESSAGES[result.reason] || 'Rate limit exceeded. Please try again later.',
+    reason: result.reason,
+    retryAfter: result.retryAfter,
+    ...extraBody
+  }), { status, headers });
+}
@@ -0,0 +1,282 @@
+/**
+ * Shared Structured Output Layer for FAQ Workers
+ * Declare a JSON schema per mode, validate model output against it and, when it does not match,
+ * send one targeted repair prompt listing the validation errors before the caller falls back.
+ *
+ * Supported schema keywords (a JSON Schema subset): type (string or array of types), enum,
+ * properties, required, items, minItems, maxItems, minLength, maxLength, minimum, maximum.
+ */
+
+import { callAIWithRetry, extractAIResponseText } from './ai-client.js';
+
+const MAX_REPORTED_ERRORS = 10;
+const MAX_REPAIR_SOURCE_LENGTH = 6000;
+
+/**
+ * Parse JSON, tolerating trailing commas
+ */
+function parseJSONText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return JSON.parse(text.replace(/,(\s*[}\]])/g, '$1'));
+  }
+}
+
+/**
+ * End index (exclusive) of the balanced JSON value starting at `start`, or -1
+ */
+function findBalancedEnd(text, start) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i + 1;
+    }
+  }
+
+  return -1;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Extract the first JSON value from model output (code fences, intro and trailing text are ignored)
+ * @param {string} text - Raw model output
+ * @param {string} [expectedType] - 'object' or 'array' to skip values of the other kind
+ * @returns {*} Parsed value
+ */
+export function extractJSON(text, expectedType) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Empty or non-text AI response');
+  }
+
+  const cleaned = text.replace(/```(?:json|javascript)?/gi, '').trim();
+  const openers = expectedType === 'array' ? '[' : expectedType === 'object' ? '{' : '{[';
+
+  try {
+    const whole = parseJSONText(cleaned);
+    if (!expectedType || typeOf(whole) === expectedType) return whole;
+  } catch (error) {
+    // Continue to balanced-bracket scanning
+  }
+
+  let lastError = null;
+  for (let start = 0; start < cleaned.length; start++) {
+    if (!openers.includes(cleaned[start])) continue;
+
+    const end = findBalancedEnd(cleaned, start);
+    if (end === -1) continue;
+
+    try {
+      return parseJSONText(cleaned.substring(start, end));
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(lastError ? `Found JSON-like structure but failed to parse: ${lastError.message}` : 'No JSON found in AI response');
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {string[]} Validation errors (empty when valid), with JSON paths
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema) return [];
+
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+    if (!matches) {
+      return [`${path} must be ${allowed.join(' or ')}, got ${actualType}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Extract and validate model output
+ * @returns {{valid: boolean, data: *, errors: string[]}}
+ */
+export function parseStructuredOutput(text, schema) {
+  let data;
+  try {
+    data = extractJSON(text, schema?.type === 'array' || schema?.type === 'object' ? schema.type : undefined);
+  } catch (error) {
+    return { valid: false, data: null, errors: [error.message] };
+  }
+
+  const errors = validateAgainstSchema(data, schema);
+  return { valid: errors.length === 0, data, errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+}
+
+/**
+ * Repair prompt: the schema, what was wrong and the previous output
+ */
+function buildRepairMessages(schema, rawText, errors) {
+  return [
+    {
+      role: 'system',
+      content: 'You repair JSON so that it matches a JSON schema. Return ONLY the corrected JSON - no explanations, no markdown.'
+    },
+    {
+      role: 'user',
+      content: `Your previous response did not match the required JSON schema.
+
+VALIDATION ERRORS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+REQUIRED JSON SCHEMA:
+${JSON.stringify(schema)}
+
+PREVIOUS RESPONSE:
+${(rawText || '').substring(0, MAX_REPAIR_SOURCE_LENGTH)}
+
+Return the corrected JSON only. Keep the original content wherever it is already valid.`
+    }
+  ];
+}
+
+/**
+ * AI call whose output must match a schema, with a targeted repair loop. Never throws.
+ * @param {Object} env - Worker environment (AI binding or other provider configuration)
+ * @param {string} model - Primary model
+ * @param {Object} options - Workers AI input ({ messages, temperature, max_tokens, ... })
+ * @param {string} stepName - Label for logs
+ * @param {Object} config - callAIWithRetry config plus:
+ * @param {Object} config.schema - JSON schema the output must match
+ * @param {number} [config.maxRepairs=1] - Repair prompts to send before giving up
+ * @returns {Promise<Object>} The first call's callAIWithRetry result fields plus
+ *   { valid, data, errors, parse_attempts, repaired, usage: Object[] (one entry per AI call) }
+ */
+export async function generateStructuredOutput(env, model, options, stepName, config) {
+  const { schema, maxRepairs = 1, ...clientConfig } = config;
+
+  const aiResult = await callAIWithRetry(env, model, options, stepName, clientConfig);
+  const usage = [aiResult.usage];
+
+  if (!aiResult.success) {
+    return { ...aiResult, valid: false, data: null, errors: [aiResult.error], parse_attempts: 0, repaired: false, usage };
+  }
+
+  let rawText = extractAIResponseText(aiResult.response);
+  let result = parseStructuredOutput(rawText, schema);
+  let parseAttempts = 1;
+  let repairModel = aiResult.model;
+
+  while (!result.valid && parseAttempts <= maxRepairs) {
+    console.warn(`[Structured Output] ${stepName} failed validation (attempt ${parseAttempts}): ${result.errors.join('; ')}`);
+
+    const repairResult = await callAIWithRetry(env, repairModel, {
+      messages: buildRepairMessages(schema, rawText, result.errors),
+      temperature: 0.1,
+      max_tokens: options.max_tokens
+    }, `${stepName} Repair`, { ...clientConfig, maxRetries: 1 });
+    usage.push(repairResult.usage);
+
+    if (!repairResult.success) {
+      break;
+    }
+
+    repairModel = repairResult.model;
+    rawText = extractAIResponseText(repairResult.response);
+    result = parseStructuredOutput(rawText, schema);
+    parseAttempts++;
+  }
+
+  const repaired = result.valid && parseAttempts > 1;
+  if (result.valid) {
+    console.log(`[Structured Output] ${stepName} valid after ${parseAttempts} parse attempt(s)${repaired ? ' (repaired)' : ''}`);
+  } else {
+    console.error(`[Structured Output] ${stepName} invalid after ${parseAttempts} parse attempt(s): ${result.errors.join('; ')}`);
+  }
+
+  return {
+    ...aiResult,
+    model: repaired ? repairModel : aiResult.model,
+    valid: result.valid,
+    data: result.valid ? result.data : null,
+    errors: result.errors,
+    error: result.valid ? null : `INVALID_RESPONSE: ${result.errors.join('; ')}`,
+    parse_attempts: parseAttempts,
+    repaired,
+    usage
+  };
+}
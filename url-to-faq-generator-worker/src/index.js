@@ -8,14 +8,91 @@
  * - Extended processing time (up to 3 minutes)
  * - Premium model usage with thorough validation
  * - Perfect for creating comprehensive FAQ foundation (max 12)
+ * - Optional Server-Sent Events progress stream (Accept: text/event-stream or options.stream)
+ * - Async job API (POST /jobs, GET /jobs/:id) run on the FAQ_JOB_QUEUE consumer, with optional HMAC-signed webhook
+ * - Site crawl mode (options.crawl) over same-origin links or a sitemap.xml, up to 24 FAQs
+ * - Long pages (>15K) are analysed map-reduce style over overlapping chunks (options.maxChunks)
+ * - Source grounding: facts in every answer are verified against the page (options.grounding)
+ * - Output as JSON-LD, Microdata, RDFa, Gutenberg HTML, Markdown or CSV (options.format or Accept)
+ * - Page language detection (html lang, og:locale, content) or options.language; FAQPage.inLanguage
+ * - Translation of existing FAQ sets (POST /translate) preserving @id, anchors and answer HTML
+ * - Generation and optimisation prompts overridable from the shared KV prompt registry
+ * - A/B experiments on the single-page pipeline (model, prompt versions, temperature); results at /experiments
+ * - AI calls via the shared AI client: per-call timeouts and a KV-configurable model fallback chain
+ * - Schema-validated JSON from every AI pass, with a repair prompt before giving up (parse_attempts, repaired)
+ * - Token/neuron cost per request in metadata; daily totals per worker, IP and API key at /admin/costs
+ * - Daily/monthly neuron budgets: cheaper model and no optimisation passes near the limit; once exhausted,
+ *   generation returns 503 with `degraded` and translation returns the source text
+ * - Rate limiting of POST requests through the shared EnhancedRateLimiter (dynamic limits, penalties)
+ * - API keys (Authorization: Bearer) with per-key plans: quotas, allowed workers and origins
+ * - Pages are fetched via the shared polite fetcher: robots.txt (blocked_by_robots), honest bot user agent,
+ *   per-host concurrency and delay
  */
 
 import { parse } from 'node-html-parser';
 import { generateDynamicHealthResponse, trackCacheHit, trackCacheMiss } from '../../shared/health-utils.js';
 import { cacheAIModelConfig, invalidateWorkerCaches, initializeCacheManager } from '../../shared/advanced-cache-manager.js';
+import {
+  resolveLanguage,
+  normalizeLanguageCode,
+  detectLanguageFromText,
+  getLanguageName,
+  getLanguageInstruction,
+  getLanguageLengthLimits,
+  getLanguageLengthFactor
+} from '../../shared/language-utils.js';
+import { renderPrompt } from '../../shared/prompt-registry.js';
+import { assignExperimentVariant, experimentTag, recordExperimentOutcome, handleExperimentRequest } from '../../shared/experiments.js';
+import { calculateAICost, recordAICost, handleCostRequest } from '../../shared/cost-accounting.js';
+import { checkAIBudget, budgetTag } from '../../shared/ai-budget.js';
+import { summarizeAIUsage } from '../../shared/ai-client.js';
+import { isAIProviderAvailable } from '../../shared/ai-providers.js';
+import { generateStructuredOutput } from '../../shared/structured-output.js';
+import { checkWorkerRateLimit, rateLimitExceededResponse } from '../../shared/rate-limit.js';
+import { politeFetch, isPoliteFetchError } from '../../shared/polite-fetch.js';
 
-// Note: Rate limiting is now handled by the centralized enhanced-rate-limiting worker
-// This worker no longer implements individual rate limiting
+// Shared AI client settings: configured fallback models, then env.MODEL_NAME and this worker's default
+const AI_CLIENT_CONFIG = { workerType: 'url_faq_generator', defaultModel: '@cf/meta/llama-4-scout-17b-16e-instruct' };
+
+// Schema for every generation and optimisation pass: a FAQPage with named questions and answer text
+const FAQ_PAGE_SCHEMA = {
+  type: 'object',
+  required: ['mainEntity'],
+  properties: {
+    mainEntity: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'acceptedAnswer'],
+        properties: {
+          name: { type: 'string', minLength: 5 },
+          acceptedAnswer: {
+            type: 'object',
+            required: ['text'],
+            properties: { text: { type: 'string', minLength: 10 } }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Schema for /translate batches
+const TRANSLATION_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['i', 'q', 'a'],
+        properties: { i: { type: 'integer' }, q: { type: 'string' }, a: { type: 'string' } }
+      }
+    }
+  }
+};
 
 /**
  * Get AI model configuration with caching
@@ -44,8 +121,6 @@ async function getAIModelConfig(env, workerType = 'url_faq_generator') {
   }
 }
 
-// Note: Rate limit configuration is now handled by the centralized enhanced-rate-limiting worker
-
 /**
  * Get AI model name dynamically from KV store with enhanced caching
  */
@@ -98,73 +173,40 @@ async function getAIModelInfo(env, workerType = 'url_faq_generator') {
 }
 
 /**
- * Extract response text from various AI response formats
+ * Premium AI call with extended timeouts for deep analysis, returning schema-validated JSON.
+ * Runs through the shared AI client (model fallback chain) and structured output layer (one repair
+ * prompt); throws when no valid output is produced. options.aiLog collects usage and parse stats.
  */
-function extractAIResponseText(aiResponse) {
-  if (typeof aiResponse === 'string') {
-    return aiResponse;
-  }
-  
-  if (aiResponse.response) {
-    return typeof aiResponse.response === 'string' ? 
-      aiResponse.response : 
-      aiResponse.response.text || JSON.stringify(aiResponse.response);
-  }
-  
-  if (aiResponse.choices?.[0]) {
-    return aiResponse.choices[0].text || aiResponse.choices[0].message?.content || '';
+async function callAIForJSON(env, model, messages, options = {}, timeoutMs = 120000) {
+  const result = await generateStructuredOutput(env, model, {
+    messages,
+    temperature: options.temperature ?? 0.3,
+    max_tokens: options.max_tokens || 4000
+  }, options.stepName || 'URL FAQ', {
+    ...AI_CLIENT_CONFIG,
+    timeoutMs,
+    maxRetries: 1,
+    schema: options.schema || FAQ_PAGE_SCHEMA
+  });
+
+  if (options.aiLog) {
+    options.aiLog.usage.push(...result.usage);
+    options.aiLog.parse_attempts += result.parse_attempts;
+    options.aiLog.repaired = options.aiLog.repaired || result.repaired;
   }
-  
-  return '';
-}
 
-/**
- * Premium AI call with extended timeouts for deep analysis
- */
-async function callAIWithTimeout(aiBinding, model, messages, options = {}, timeoutMs = 120000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-  
-  try {
-    const response = await aiBinding.run(model, {
-      messages,
-      temperature: options.temperature || 0.3,
-      max_tokens: options.max_tokens || 4000,
-      signal: controller.signal
-    });
-    
-    return response;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('AI request timed out');
-    }
-    throw error;
-  } finally {
-    clearTimeout(timeout);
+  if (!result.valid) {
+    throw new Error(result.error);
   }
+
+  return result.data;
 }
 
 /**
- * Enhanced JSON cleaning and parsing
+ * Usage and structured-output stats across a request's AI calls
  */
-function cleanAndParseJSON(text) {
-  try {
-    // Remove markdown code blocks
-    text = text.replace(/```json\s*/gi, '').replace(/```\s*$/gi, '');
-    
-    // Extract JSON object
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      text = jsonMatch[0];
-    }
-    
-    // Parse and validate
-    const parsed = JSON.parse(text);
-    return parsed;
-  } catch (error) {
-    console.error('JSON parsing error:', error.message);
-    throw new Error('Failed to parse AI response as JSON');
-  }
+function createAILog() {
+  return { usage: [], parse_attempts: 0, repaired: false };
 }
 
 /**
@@ -208,32 +250,1790 @@ async function extractContentUltimate(html) {
       });
     });
 
-    // Enhanced content extraction with better text processing
-    const contentSelectors = ['main', 'article', '.content', '.post', '.entry', 'p', 'div', 'section'];
-    const contentElements = root.querySelectorAll(contentSelectors.join(', '));
-    let allText = '';
-    
-    contentElements.forEach(el => {
-      const text = el.text || '';
-      if (text.length > 20) {
-        allText += text + ' ';
+    // Enhanced content extraction with better text processing
+    const contentSelectors = ['main', 'article', '.content', '.post', '.entry', 'p', 'div', 'section'];
+    const contentElements = root.querySelectorAll(contentSelectors.join(', '));
+    let allText = '';
+    
+    contentElements.forEach(el => {
+      const text = el.text || '';
+      if (text.length > 20) {
+        allText += text + ' ';
+      }
+    });
+
+    // Clean and process content
+    const content = allText
+      .replace(/\s+/g, ' ')
+      .replace(/[^\p{L}\p{M}\p{N}\s.,!?;:()\-\/'"]/gu, '')
+      .trim();
+
+    return {
+      title: title || 'Untitled Page',
+      headings: headings.slice(0, 8),
+      content: content
+    };
+  } catch (error) {
+    console.error('Content extraction error:', error);
+    throw new Error('Failed to extract page content');
+  }
+}
+
+/**
+ * Premium validation rules applied to every generated FAQ.
+ * Length limits are English character counts scaled for the output language.
+ */
+function isPremiumQualityFAQ(faq, languageCode = 'en') {
+  const limits = getLanguageLengthLimits(languageCode, { questionMin: 25, questionMax: 120, answerMin: 80, answerMax: 1000 });
+
+  return Boolean(
+    faq?.name && 
+    faq?.acceptedAnswer?.text && 
+    faq.name.length >= limits.questionMin &&
+    faq.name.length <= limits.questionMax && 
+    faq.acceptedAnswer.text.length >= limits.answerMin &&
+    faq.acceptedAnswer.text.length <= limits.answerMax && 
+    !faq.name.toLowerCase().includes('untitled') &&
+    !faq.acceptedAnswer.text.toLowerCase().includes('no information') &&
+    !faq.acceptedAnswer.text.toLowerCase().includes('not specified')
+  );
+}
+
+/**
+ * Capitalised words that are not named entities when they start a phrase
+ */
+const GROUNDING_STOP_WORDS = new Set([
+  'the', 'a', 'an', 'we', 'our', 'you', 'your', 'yes', 'no', 'it', 'its', 'this', 'that', 'these', 'those', 'if', 'when',
+  'what', 'how', 'why', 'where', 'who', 'which', 'can', 'do', 'does', 'is', 'are', 'all', 'each', 'every', 'most', 'many',
+  'with', 'for', 'from', 'in', 'on', 'at', 'by', 'to', 'and', 'or', 'but', 'as', 'there', 'they', 'their', 'some', 'faq', 'faqs'
+]);
+
+/**
+ * Languages that capitalise every noun, where capitalisation does not mark a named entity
+ */
+const NOUN_CAPITALISING_LANGUAGES = new Set(['de', 'lb']);
+
+/**
+ * Pull checkable claims (prices, percentages, dates, numbers, named entities) out of an answer.
+ * Named entities are only detected in languages where capitalisation marks proper nouns.
+ */
+function extractVerifiableClaims(text, languageCode = 'en') {
+  const claims = [];
+  const seen = new Set();
+  const addClaim = (type, claim, value) => {
+    const key = `${type}:${value}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      claims.push({ type, claim, value });
+    }
+  };
+
+  const months = 'January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec';
+  const patterns = [
+    { type: 'price', regex: /(?:[$£€]\s?\d[\d,]*(?:\.\d+)?|\d[\d,]*(?:\.\d+)?\s?(?:USD|GBP|EUR|dollars|pounds|euros))/gi },
+    { type: 'percentage', regex: /\d+(?:\.\d+)?\s?%/g },
+    { type: 'date', regex: new RegExp(`\\b(?:\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${months})(?:\\s+\\d{4})?|(?:${months})\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}\\/\\d{2,4})\\b`, 'gi') },
+    { type: 'number', regex: /\b\d[\d,]*(?:\.\d+)?\b/g }
+  ];
+
+  let remaining = text;
+  patterns.forEach(({ type, regex }) => {
+    remaining = remaining.replace(regex, match => {
+      const digits = match.match(/\d[\d,]*(?:\.\d+)?/g) || [];
+      const value = type === 'date'
+        ? match.toLowerCase().replace(/(\d)(st|nd|rd|th)/g, '$1').split(/[\s,\/-]+/).filter(Boolean).join(' ')
+        : digits.map(d => d.replace(/,/g, '')).join(' ');
+      if (value) addClaim(type, match.trim(), value);
+      return ' ';
+    });
+  });
+
+  if (NOUN_CAPITALISING_LANGUAGES.has((languageCode || 'en').split('-')[0])) {
+    return claims;
+  }
+
+  const entityRegex = /\b[A-Z][\w&'-]*(?:\s+(?:of|and|&)?\s*[A-Z][\w&'-]*)*/g;
+  let match;
+  while ((match = entityRegex.exec(remaining)) !== null) {
+    const words = match[0].split(/\s+/).filter(word => !GROUNDING_STOP_WORDS.has(word.toLowerCase()));
+    if (words.length === 0) continue;
+
+    const startsSentence = match.index === 0 || /[.!?]\s*$/.test(remaining.substring(0, match.index));
+    if (startsSentence && words.length === 1 && !/[A-Z].*[A-Z]/.test(words[0])) continue;
+
+    const entity = words.join(' ');
+    if (entity.length > 2) addClaim('entity', entity, entity.toLowerCase());
+  }
+
+  return claims;
+}
+
+/**
+ * Find a claim in the source, returning a short evidence snippet or null
+ */
+function findClaimEvidence(claim, normalizedSource, source) {
+  // Entities must appear verbatim; other claims match token by token (dates may be formatted differently)
+  const values = claim.type === 'entity' ? [claim.value] : claim.value.split(' ');
+
+  let position = -1;
+  for (const value of values) {
+    let pattern;
+    if (claim.type === 'entity') {
+      pattern = new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    } else if (/^\d/.test(value)) {
+      // Thousands separators are optional so "1,500" in an answer matches "1500" in the page and vice versa
+      const [integerPart, decimalPart] = value.split('.');
+      const digits = integerPart.split('').join(',?') + (decimalPart ? `\\.${decimalPart}` : '');
+      pattern = new RegExp(`(?<![\\d.,])${digits}(?![\\d]|[.,]\\d)`);
+    } else {
+      pattern = new RegExp(`\\b${value}`);
+    }
+
+    const found = normalizedSource.search(pattern);
+    if (found === -1) return null;
+    if (position === -1) position = found;
+  }
+
+  const snippetStart = Math.max(0, position - 80);
+  return `${snippetStart > 0 ? '...' : ''}${source.substring(snippetStart, position + 80).trim()}${position + 80 < source.length ? '...' : ''}`;
+}
+
+/**
+ * Grounding mode from request options: 'flag' (default), 'strip' or 'off'
+ */
+function resolveGroundingMode(options) {
+  return ['flag', 'strip', 'off'].includes(options.grounding) ? options.grounding : 'flag';
+}
+
+/**
+ * Verify every checkable claim in each answer against the page content.
+ * mode 'flag' annotates FAQs with a grounding report; 'strip' also removes sentences with unsupported claims
+ * and drops FAQs left with no answer.
+ * languageFor gives each FAQ's language code, which decides whether named entities are checked.
+ */
+function groundFAQs(faqs, sourceFor, mode = 'flag', languageFor = () => 'en') {
+  let totalClaims = 0;
+  let unsupportedClaims = 0;
+  let faqsStripped = 0;
+  let faqsDropped = 0;
+  const normalizedSources = new Map();
+
+  const grounded = faqs.map(faq => {
+    const source = sourceFor(faq) || '';
+    if (!normalizedSources.has(source)) {
+      normalizedSources.set(source, source.toLowerCase());
+    }
+    const normalizedSource = normalizedSources.get(source);
+
+    const claims = extractVerifiableClaims(faq.acceptedAnswer.text, languageFor(faq));
+    const evidence = [];
+    const unsupported = [];
+
+    claims.forEach(claim => {
+      const snippet = findClaimEvidence(claim, normalizedSource, source);
+      if (snippet) {
+        evidence.push({ claim: claim.claim, type: claim.type, snippet });
+      } else {
+        unsupported.push({ claim: claim.claim, type: claim.type });
+      }
+    });
+
+    totalClaims += claims.length;
+    unsupportedClaims += unsupported.length;
+
+    let answerText = faq.acceptedAnswer.text;
+    let stripped = false;
+    if (mode === 'strip' && unsupported.length > 0) {
+      const sentences = answerText.match(/[^.!?]+(?:[.!?]+|$)/g) || [answerText];
+      answerText = sentences
+        .filter(sentence => !unsupported.some(claim => sentence.includes(claim.claim)))
+        .join('')
+        .trim();
+      stripped = answerText !== faq.acceptedAnswer.text;
+    }
+
+    if (stripped) {
+      faqsStripped++;
+      // Nothing supported is left to answer with
+      if (!answerText) {
+        faqsDropped++;
+        return null;
+      }
+    }
+
+    return {
+      ...faq,
+      acceptedAnswer: { ...faq.acceptedAnswer, text: answerText },
+      grounding: {
+        score: claims.length === 0 ? 1 : Math.round((evidence.length / claims.length) * 100) / 100,
+        claims_checked: claims.length,
+        unsupported_claims: unsupported,
+        evidence,
+        stripped
+      }
+    };
+  }).filter(Boolean);
+
+  const averageScore = grounded.length === 0 ? 1 : grounded.reduce((sum, faq) => sum + faq.grounding.score, 0) / grounded.length;
+
+  return {
+    faqs: grounded,
+    summary: {
+      mode,
+      average_score: Math.round(averageScore * 100) / 100,
+      claims_checked: totalClaims,
+      unsupported_claims: unsupportedClaims,
+      faqs_stripped: faqsStripped,
+      faqs_dropped: faqsDropped
+    }
+  };
+}
+
+/**
+ * Fetch a page through the shared polite fetcher (robots.txt, per-host budget) with a 30s timeout
+ */
+async function fetchPage(targetUrl, env, accept = 'text/html,application/xhtml+xml') {
+  const pageResponse = await politeFetch(env, targetUrl, { accept, timeout: 30000 });
+
+  if (!pageResponse.ok) {
+    throw new Error(`HTTP ${pageResponse.status}`);
+  }
+
+  return {
+    status: pageResponse.status,
+    contentType: pageResponse.headers.get('Content-Type') || '',
+    body: await pageResponse.text()
+  };
+}
+
+/**
+ * AI budget for a pipeline run. There is no rule-based FAQ generator to degrade to, so an exhausted
+ * budget fails the run with a 503 flagged `degraded`.
+ */
+async function checkPipelineBudget(env, model) {
+  const budget = await checkAIBudget(env, 'url_faq_generator', { model, defaultModel: AI_CLIENT_CONFIG.defaultModel });
+
+  if (budget.degraded) {
+    const budgetError = new Error('AI budget exhausted - FAQ generation is unavailable until the budget resets');
+    budgetError.status = 503;
+    budgetError.degraded = true;
+    throw budgetError;
+  }
+
+  return budget;
+}
+
+/**
+ * Run the URL-to-FAQ pipeline (single page or site crawl) and render the requested output format.
+ * onProgress(stage, data) is invoked as each stage completes so callers can stream progress.
+ */
+async function generateFAQsFromUrl(targetUrl, options, env, onProgress = () => {}) {
+  const result = options.crawl
+    ? await generateSiteFAQs(targetUrl, options, env, onProgress)
+    : await generatePageFAQs(targetUrl, options, env, onProgress);
+
+  // Per-request AI cost, added to today's worker, client IP and API key totals
+  await recordAICost(env, { workerType: 'url_faq_generator', ...options.costSource }, result.metadata.cost);
+
+  if (options.format) {
+    result.output = renderFAQOutput(result.faqs, options.format, result.metadata.language?.code);
+  }
+
+  return result;
+}
+
+/**
+ * Single-page pipeline: fetch, extract, generate, optimise, ground and validate.
+ */
+async function generatePageFAQs(targetUrl, options, env, onProgress = () => {}) {
+  const startTime = Date.now();
+
+  // Set FAQ count with limits
+  const faqCount = Math.min(Math.max(options.faqCount || 12, 6), 12);
+  console.log(`Starting PREMIUM DEEP ANALYSIS of ${faqCount} FAQs (15K content analysis)`);
+
+  // A/B experiment variant (model, prompt versions, generation temperature) for this session or IP
+  const experiment = await assignExperimentVariant(env, 'url_faq_generator', options.experimentUnit || targetUrl);
+
+  // Get dynamic AI model early; close to the AI budget the cheapest fallback-chain model is used instead
+  const budget = await checkPipelineBudget(env, experiment?.model || await getAIModel(env, 'url_faq_generator'));
+  const aiModel = budget.model;
+  console.log(`[AI Model] Using model: ${aiModel} for url_faq_generator worker`);
+
+  // Outcomes only count towards the variant when its model actually served the request
+  const outcomeExperiment = experiment && (!experiment.model || experiment.model === aiModel) ? experiment : null;
+
+  // STEP 1: Enhanced Content Extraction
+  let pageContent, title, headings, extractedContent, language;
+  
+  try {
+    const page = await fetchPage(targetUrl, env);
+    pageContent = page.body;
+    onProgress('fetched', { http_status: page.status, bytes: pageContent.length });
+    
+    const extractionResult = await extractContentUltimate(pageContent);
+    title = extractionResult.title;
+    headings = extractionResult.headings;
+    extractedContent = extractionResult.content;
+
+    if (extractedContent.length < 500) {
+      throw new Error('Insufficient content');
+    }
+
+    console.log(`Enhanced content extracted in ${Date.now() - startTime}ms`);
+    language = resolveLanguage({ requested: options.language, html: pageContent, text: extractedContent });
+    onProgress('extracted', { title, headings, content_length: extractedContent.length, language });
+
+  } catch (error) {
+    // robots.txt refusals and busy hosts surface as they are (403 / 429 with their code)
+    if (isPoliteFetchError(error)) throw error;
+
+    const extractionError = new Error(`Failed to extract content: ${error.message}`);
+    extractionError.status = 400;
+    throw extractionError;
+  }
+
+  // STEP 2: PREMIUM DEEP CONTENT ANALYSIS
+  const contentLimit = 15000;
+  const contentForAI = extractedContent.substring(0, contentLimit);
+  let contentCoverage = {
+    mode: 'single-pass',
+    total_characters: extractedContent.length,
+    analyzed_characters: contentForAI.length,
+    coverage_percent: Math.round((contentForAI.length / extractedContent.length) * 100)
+  };
+
+  // Enhanced prompts for maximum quality
+  const builtinGenerationPrompt = `Generate ${faqCount} comprehensive, premium-quality FAQs about "${title}".
+
+DEEP CONTENT ANALYSIS (15,000 characters processed):
+- Page Title: ${title}
+- Key Topics: ${headings.slice(0, 8).join(' | ')}
+- Comprehensive Content Analysis: ${contentForAI}
+
+PREMIUM QUALITY REQUIREMENTS:
+- Questions: 40-80 characters, natural conversational style, highly SEO-optimized with target keywords
+- Answers: 150-500 characters, extremely comprehensive and detailed with specific benefits/features
+- Cover ALL major topics, services, pricing, and unique selling points mentioned in content
+- Use specific details, numbers, prices, timeframes from the 15K content analysis
+- Focus on what customers genuinely want to know and search for
+- Include compelling reasons, benefits, and specific value propositions
+- Make each FAQ a valuable standalone piece of information
+- Optimize for voice search and featured snippets
+
+CONTENT DEPTH REQUIREMENTS:
+- Extract and utilize specific business details from the comprehensive content
+- Include pricing information where mentioned
+- Reference specific services, features, or benefits discussed
+- Address common customer concerns and objections
+- Highlight unique selling points and competitive advantages
+
+Output Format - Return exactly ${faqCount} premium-quality FAQs as JSON:
+{
+  "@context": "https://schema.org",
+  "@type": "FAQPage",
+  "mainEntity": [
+    {
+      "@type": "Question",
+      "name": "Specific, keyword-rich question optimized for search?",
+      "acceptedAnswer": {
+        "@type": "Answer",
+        "text": "Comprehensive, detailed answer with specific information extracted from the 15K content analysis, including benefits, features, pricing, and compelling reasons why this matters to potential customers."
+      }
+    }
+  ]
+}
+
+LANGUAGE: ${getLanguageInstruction(language.code)}
+
+CRITICAL: Only return the JSON. Make every FAQ exceptionally valuable using the deep content understanding from 15K character analysis.`;
+
+  // Prompt wording can be replaced from the KV prompt registry; versions in use are reported in metadata
+  const promptTemplates = {};
+  const generation = await renderPrompt(env, 'url_faq_generator', 'url_faq_generation', {
+    faq_count: faqCount,
+    title,
+    headings: headings.slice(0, 8).join(' | '),
+    content: contentForAI,
+    language_instruction: getLanguageInstruction(language.code)
+  }, {
+    system: 'You are a premium FAQ specialist with deep content analysis capabilities. Generate exceptionally detailed, high-value FAQs using comprehensive content understanding. Focus on creating FAQs that provide maximum value to users and perform excellently in search results.',
+    user: builtinGenerationPrompt
+  }, { version: experiment?.prompt_versions?.url_faq_generation });
+  const generationPrompt = generation.user;
+  promptTemplates[generation.template.id] = generation.template;
+
+  let initialFAQs;
+  const aiLog = createAILog();
+  const generationStartTime = Date.now();
+  const maxTokens = 6000;
+  const timeout = 150000;
+
+  // Long pages: map-reduce over overlapping chunks instead of truncating at contentLimit
+  if (extractedContent.length > contentLimit) {
+    const chunked = await generateChunkedFAQs(env, aiModel, {
+      title,
+      headings,
+      content: extractedContent,
+      faqCount,
+      maxChunks: options.maxChunks,
+      language: language.code,
+      temperature: experiment?.temperature ?? 0.3,
+      onProgress,
+      aiLog
+    });
+
+    if (chunked.faqs.length >= Math.max(3, Math.floor(faqCount * 0.7))) {
+      initialFAQs = { '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity: chunked.faqs };
+      contentCoverage = chunked.coverage;
+    } else {
+      console.log(`[Chunking] Only ${chunked.faqs.length} merged candidates, falling back to single-pass generation`);
+    }
+  }
+
+  if (!initialFAQs) {
+    // Output that fails FAQ_PAGE_SCHEMA gets one repair prompt before generation is abandoned
+    try {
+      initialFAQs = await callAIForJSON(
+        env,
+        aiModel,
+        [
+          { role: 'system', content: generation.system },
+          { role: 'user', content: generationPrompt }
+        ],
+        {
+          temperature: experiment?.temperature ?? 0.3,
+          max_tokens: maxTokens,
+          stepName: 'FAQ Generation',
+          aiLog
+        },
+        timeout
+      );
+
+      console.log(`Enhanced generation: ${initialFAQs.mainEntity?.length} FAQs in ${Date.now() - startTime}ms`);
+
+    } catch (error) {
+      await recordExperimentOutcome(env, outcomeExperiment, { parse_success: false, fallback: true, latency_ms: Date.now() - generationStartTime });
+      throw new Error('Enhanced FAQ generation failed: ' + error.message);
+    }
+  }
+
+  const validStructure = Array.isArray(initialFAQs?.mainEntity);
+  await recordExperimentOutcome(env, outcomeExperiment, {
+    parse_success: validStructure,
+    fallback: aiLog.usage.some(usage => usage.fallback_used),
+    latency_ms: Date.now() - generationStartTime
+  });
+
+  if (!validStructure) {
+    throw new Error('Invalid FAQ structure');
+  }
+
+  onProgress('generated', { faqs: initialFAQs.mainEntity });
+
+  // STEP 3: MULTIPLE AI OPTIMIZATION PASSES
+  let finalFAQs = initialFAQs;
+  
+  // Multiple optimization passes for premium quality (optional, so skipped when conserving AI budget)
+  const passSkipReason = budget.conserve ? 'ai_budget' : Date.now() - startTime >= 120000 ? 'time_budget_exceeded' : null;
+  if (passSkipReason) {
+    onProgress('seo_pass', { skipped: true, reason: passSkipReason, faqs: finalFAQs.mainEntity });
+    onProgress('quality_pass', { skipped: true, reason: passSkipReason, faqs: finalFAQs.mainEntity });
+  } else {
+    console.log('Running PREMIUM multi-pass optimization...');
+    
+    // PASS 1: SEO and Structure Optimization
+    try {
+      const builtinSeoPrompt = `PASS 1 - SEO & STRUCTURE OPTIMIZATION
+
+Analyze and improve these ${initialFAQs.mainEntity.length} FAQs for maximum SEO performance:
+
+${JSON.stringify(initialFAQs, null, 2)}
+
+Optimization Requirements:
+- Ensure questions are 40-80 characters and include target keywords
+- Expand answers to 150-500 characters with specific, valuable details
+- Add location-specific terms if relevant to business
+- Improve question structure for voice search (who, what, when, where, why, how)
+- Ensure answers directly address the question asked
+- Add specific numbers, prices, timeframes where mentioned in content
+- ${getLanguageInstruction(language.code)}
+- Maintain JSON structure exactly
+
+Return the SEO-optimized FAQs in the same JSON format.`;
+
+      const seoPass = await renderPrompt(env, 'url_faq_generator', 'url_faq_seo_pass', {
+        faq_count: initialFAQs.mainEntity.length,
+        faqs_json: JSON.stringify(initialFAQs, null, 2),
+        language_instruction: getLanguageInstruction(language.code)
+      }, {
+        system: 'You are an SEO expert specializing in FAQ optimization for search engines and voice assistants.',
+        user: builtinSeoPrompt
+      }, { version: experiment?.prompt_versions?.url_faq_seo_pass });
+      promptTemplates[seoPass.template.id] = seoPass.template;
+
+      finalFAQs = await callAIForJSON(
+        env,
+        aiModel, // Use dynamic model instead of hardcoded
+        [
+          { role: 'system', content: seoPass.system },
+          { role: 'user', content: seoPass.user }
+        ],
+        { temperature: 0.1, max_tokens: 4000, stepName: 'SEO Pass', aiLog },
+        45000
+      );
+      console.log('SEO optimization pass completed successfully');
+
+    } catch (seoError) {
+      console.log('SEO optimization failed, continuing:', seoError.message);
+    }
+
+    onProgress('seo_pass', { applied: finalFAQs !== initialFAQs, faqs: finalFAQs.mainEntity });
+    
+    // PASS 2: Content Quality and Detail Enhancement
+    if (Date.now() - startTime < 100000) {
+      const seoFAQs = finalFAQs;
+
+      try {
+        const builtinQualityPrompt = `PASS 2 - CONTENT QUALITY ENHANCEMENT
+
+Further improve these FAQs for maximum user value and detail:
+
+${JSON.stringify(finalFAQs, null, 2)}
+
+Quality Enhancement Requirements:
+- Make answers more comprehensive and helpful
+- Add specific examples, benefits, or use cases where relevant
+- Ensure technical accuracy and clarity
+- Remove any vague or generic language
+- Add compelling reasons why users should care about each answer
+- Ensure each FAQ provides genuine value to potential customers
+- Maintain optimal length (150-500 characters per answer)
+- ${getLanguageInstruction(language.code)}
+- Keep JSON structure intact
+
+Return the quality-enhanced FAQs in the same JSON format.`;
+
+        const qualityPass = await renderPrompt(env, 'url_faq_generator', 'url_faq_quality_pass', {
+          faqs_json: JSON.stringify(finalFAQs, null, 2),
+          language_instruction: getLanguageInstruction(language.code)
+        }, {
+          system: 'You are a content quality specialist focused on creating valuable, detailed, and engaging FAQ content.',
+          user: builtinQualityPrompt
+        }, { version: experiment?.prompt_versions?.url_faq_quality_pass });
+        promptTemplates[qualityPass.template.id] = qualityPass.template;
+
+        finalFAQs = await callAIForJSON(
+          env,
+          aiModel, // Use dynamic model instead of hardcoded
+          [
+            { role: 'system', content: qualityPass.system },
+            { role: 'user', content: qualityPass.user }
+          ],
+          { temperature: 0.2, max_tokens: 4000, stepName: 'Quality Pass', aiLog },
+          45000
+        );
+        console.log('Quality enhancement pass completed successfully');
+
+      } catch (qualityError) {
+        console.log('Quality enhancement failed, using SEO version:', qualityError.message);
+      }
+
+      onProgress('quality_pass', { applied: finalFAQs !== seoFAQs, faqs: finalFAQs.mainEntity });
+    } else {
+      onProgress('quality_pass', { skipped: true, reason: 'time_budget_exceeded', faqs: finalFAQs.mainEntity });
+    }
+  }
+
+  // STEP 4: SOURCE GROUNDING - verify facts in each answer against the extracted page
+  const groundingMode = resolveGroundingMode(options);
+  let groundingSummary = { mode: 'off' };
+  let candidateFAQs = finalFAQs.mainEntity.filter(faq => faq?.name && faq?.acceptedAnswer?.text);
+
+  if (groundingMode !== 'off') {
+    const grounding = groundFAQs(candidateFAQs, () => extractedContent, groundingMode, () => language.code);
+    candidateFAQs = grounding.faqs;
+    groundingSummary = grounding.summary;
+    onProgress('grounded', { summary: groundingSummary, faqs: candidateFAQs });
+  }
+
+  // Premium validation
+  const validFAQs = candidateFAQs.filter(faq => isPremiumQualityFAQ(faq, language.code));
+
+  if (validFAQs.length < Math.max(3, Math.floor(faqCount * 0.7))) {
+    throw new Error(`Only ${validFAQs.length} high-quality FAQs generated (needed ${Math.floor(faqCount * 0.7)})`);
+  }
+
+  onProgress('validated', { faqs: validFAQs, rejected: finalFAQs.mainEntity.length - validFAQs.length });
+
+  const processingTime = Date.now() - startTime;
+  const wasEnhanced = !passSkipReason && processingTime < 120000;
+
+  return {
+    success: true,
+    source: targetUrl,
+    faqs: validFAQs,
+    metadata: {
+      title: title,
+      totalGenerated: validFAQs.length,
+      processingTime: processingTime,
+      model: aiModel,
+      worker_type: 'url_faq_generator',
+      dynamic_model: true,
+      enhanced: wasEnhanced,
+      qualityMode: 'premium-deep-analysis',
+      contentAnalyzed: `${Math.round(contentCoverage.analyzed_characters / 1000)}K characters`,
+      contentCoverage,
+      language,
+      grounding: groundingSummary,
+      prompt_templates: promptTemplates,
+      experiment: experimentTag(experiment),
+      budget: budgetTag(budget),
+      ai_usage: summarizeAIUsage(aiLog.usage),
+      parse_attempts: aiLog.parse_attempts,
+      repaired: aiLog.repaired,
+      cost: await calculateAICost(env, aiLog.usage),
+      optimizationPasses: wasEnhanced ? 'multi-pass' : 'single-pass'
+    }
+  };
+}
+
+/**
+ * Generate candidate FAQs for one slice of content (a crawled page or a chunk of a long page).
+ * Only candidates passing premium validation are returned.
+ */
+async function generateCandidateFAQs(env, aiModel, { count, title, headings, content, sourceLabel, focus, language = 'en', temperature = 0.3, aiLog }) {
+  const candidatePrompt = `Generate ${count} comprehensive, premium-quality FAQs about "${title}".
+
+CONTENT ANALYSIS:
+- ${sourceLabel}
+- Page Title: ${title}
+- Key Topics: ${headings.join(' | ')}
+- Content: ${content}
+
+REQUIREMENTS:
+- Questions: 40-80 characters, natural conversational style, SEO-optimized
+- Answers: 150-500 characters, using specific details, numbers, prices and timeframes from THIS content only
+- ${focus}
+- ${getLanguageInstruction(language)}
+
+Output Format - Return exactly ${count} FAQs as JSON:
+{
+  "@context": "https://schema.org",
+  "@type": "FAQPage",
+  "mainEntity": [
+    {
+      "@type": "Question",
+      "name": "Specific, keyword-rich question?",
+      "acceptedAnswer": { "@type": "Answer", "text": "Detailed answer from the supplied content." }
+    }
+  ]
+}
+
+CRITICAL: Only return the JSON.`;
+
+  const parsed = await callAIForJSON(
+    env,
+    aiModel,
+    [
+      { role: 'system', content: 'You are a premium FAQ specialist with deep content analysis capabilities. Generate exceptionally detailed, high-value FAQs grounded in the supplied content.' },
+      { role: 'user', content: candidatePrompt }
+    ],
+    { temperature, max_tokens: 3000, stepName: 'Candidate FAQs', aiLog },
+    60000
+  );
+
+  return parsed.mainEntity.filter(faq => isPremiumQualityFAQ(faq, language));
+}
+
+/**
+ * Crawl mode limits
+ */
+const CRAWL_DEFAULTS = { maxDepth: 1, maxPages: 5 };
+const CRAWL_LIMITS = { maxDepth: 3, maxPages: 20, maxSitemaps: 3, timeBudgetMs: 60000, perPageContent: 6000 };
+const NON_HTML_EXTENSIONS = /\.(jpe?g|png|gif|webp|svg|ico|pdf|zip|gz|mp3|mp4|mov|avi|css|js|json|xml|txt|woff2?|ttf|eot)$/i;
+
+/**
+ * Normalise a crawl candidate: same origin, http(s), no fragment, HTML-looking path
+ */
+function normalizeCrawlUrl(href, baseUrl, origin) {
+  try {
+    const resolved = new URL(href, baseUrl);
+    if (!['http:', 'https:'].includes(resolved.protocol) || resolved.origin !== origin) return null;
+    if (NON_HTML_EXTENSIONS.test(resolved.pathname)) return null;
+    resolved.hash = '';
+    return resolved.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract same-origin links from a page
+ */
+function extractSameOriginLinks(html, baseUrl) {
+  const origin = new URL(baseUrl).origin;
+  const links = new Set();
+
+  parse(html).querySelectorAll('a[href]').forEach(el => {
+    const href = el.getAttribute('href');
+    if (!href || href.startsWith('mailto:') || href.startsWith('tel:') || href.startsWith('javascript:')) return;
+
+    const normalized = normalizeCrawlUrl(href, baseUrl, origin);
+    if (normalized) links.add(normalized);
+  });
+
+  return [...links];
+}
+
+/**
+ * Read page URLs from a sitemap, following a sitemap index up to CRAWL_LIMITS.maxSitemaps children.
+ * Child sitemaps and page URLs must share the root sitemap's origin.
+ */
+async function readSitemapUrls(sitemapUrl, maxPages, env, origin = new URL(sitemapUrl).origin) {
+  const sitemap = await fetchPage(sitemapUrl, env, 'application/xml,text/xml');
+  const locs = [...sitemap.body.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)].map(match => match[1]);
+
+  if (/<sitemapindex/i.test(sitemap.body)) {
+    const pageUrls = [];
+    const childSitemaps = locs
+      .map(loc => { try { return new URL(loc, sitemapUrl); } catch (error) { return null; } })
+      .filter(child => child && child.origin === origin)
+      .slice(0, CRAWL_LIMITS.maxSitemaps);
+
+    for (const childSitemap of childSitemaps) {
+      if (pageUrls.length >= maxPages) break;
+      try {
+        pageUrls.push(...await readSitemapUrls(childSitemap.toString(), maxPages - pageUrls.length, env, origin));
+      } catch (error) {
+        console.log(`[Crawl] Child sitemap ${childSitemap} failed:`, error.message);
+      }
+    }
+    return pageUrls.slice(0, maxPages);
+  }
+
+  return [...new Set(locs.map(loc => normalizeCrawlUrl(loc, sitemapUrl, origin)).filter(Boolean))].slice(0, maxPages);
+}
+
+/**
+ * Crawl a site from a root URL (breadth-first, same origin) or a sitemap.xml,
+ * returning the extracted content of every page that has enough to work with
+ */
+async function crawlSite(rootUrl, crawlOptions, env, requestedLanguage, onProgress) {
+  const startTime = Date.now();
+  const maxDepth = Math.min(Math.max(crawlOptions.maxDepth ?? CRAWL_DEFAULTS.maxDepth, 0), CRAWL_LIMITS.maxDepth);
+  const maxPages = Math.min(Math.max(crawlOptions.maxPages || CRAWL_DEFAULTS.maxPages, 1), CRAWL_LIMITS.maxPages);
+  const fromSitemap = /\.xml(\?|$)/i.test(new URL(rootUrl).pathname) || crawlOptions.sitemap === true;
+
+  const queue = fromSitemap
+    ? (await readSitemapUrls(rootUrl, maxPages, env)).map(pageUrl => ({ url: pageUrl, depth: 0 }))
+    : [{ url: normalizeCrawlUrl(rootUrl, rootUrl, new URL(rootUrl).origin) || rootUrl, depth: 0 }];
+  const seen = new Set(queue.map(item => item.url));
+  const pages = [];
+  const skipped = [];
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    if (Date.now() - startTime > CRAWL_LIMITS.timeBudgetMs) {
+      console.log('[Crawl] Time budget exhausted, stopping crawl');
+      break;
+    }
+
+    const { url: pageUrl, depth } = queue.shift();
+
+    try {
+      const page = await fetchPage(pageUrl, env);
+      if (page.contentType && !page.contentType.includes('html')) {
+        skipped.push({ url: pageUrl, reason: 'not_html' });
+        continue;
+      }
+
+      if (!fromSitemap && depth < maxDepth) {
+        for (const link of extractSameOriginLinks(page.body, pageUrl)) {
+          if (!seen.has(link)) {
+            seen.add(link);
+            queue.push({ url: link, depth: depth + 1 });
+          }
+        }
+      }
+
+      const extraction = await extractContentUltimate(page.body);
+      if (extraction.content.length < 500) {
+        skipped.push({ url: pageUrl, reason: 'insufficient_content' });
+        continue;
+      }
+
+      const language = resolveLanguage({ requested: requestedLanguage, html: page.body, text: extraction.content });
+      pages.push({ url: pageUrl, depth, ...extraction, language });
+      onProgress('page_extracted', { url: pageUrl, depth, title: extraction.title, content_length: extraction.content.length, language });
+    } catch (error) {
+      console.log(`[Crawl] Failed to fetch ${pageUrl}:`, error.message);
+      skipped.push({ url: pageUrl, reason: isPoliteFetchError(error) ? error.code : error.message });
+    }
+  }
+
+  return { pages, skipped, fromSitemap, maxDepth, maxPages };
+}
+
+/**
+ * Word set used to compare questions across pages
+ */
+function questionFingerprint(question) {
+  const stopWords = new Set(['a', 'an', 'the', 'is', 'are', 'do', 'does', 'can', 'i', 'you', 'your', 'we', 'our', 'to', 'of', 'for', 'in', 'on', 'and', 'or', 'what', 'how', 'why', 'when', 'where', 'which', 'who']);
+  return new Set(
+    question.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(word => word.length > 1 && !stopWords.has(word))
+  );
+}
+
+/**
+ * Jaccard similarity between two question fingerprints
+ */
+function fingerprintSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Chunked map-reduce settings for pages longer than the single-pass content limit
+ */
+const CHUNK_SETTINGS = { chunkSize: 12000, overlap: 1500, defaultMaxChunks: 4, maxChunks: 8, timeBudgetMs: 90000 };
+
+/**
+ * Split content into overlapping chunks, preferring to break at sentence boundaries
+ */
+function splitContentIntoChunks(content, chunkSize, overlap, maxChunks) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < content.length && chunks.length < maxChunks) {
+    let end = Math.min(start + chunkSize, content.length);
+
+    if (end < content.length) {
+      const sentenceEnd = content.lastIndexOf('. ', end);
+      if (sentenceEnd > start + chunkSize * 0.6) {
+        end = sentenceEnd + 1;
+      }
+    }
+
+    chunks.push({ index: chunks.length, start, end, text: content.substring(start, end).trim() });
+
+    if (end >= content.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Rank a candidate FAQ: specific facts and ideal lengths score higher
+ */
+function scoreCandidateFAQ(faq) {
+  const answer = faq.acceptedAnswer.text;
+  const specifics = (answer.match(/[$£€]\s?\d|\d+(?:[.,]\d+)?\s?(?:%|days?|hours?|weeks?|months?|years?)|\d+/g) || []).length;
+
+  let score = 1 + Math.min(specifics * 0.1, 0.5);
+  if (answer.length >= 150 && answer.length <= 500) score += 0.3;
+  if (faq.name.length >= 40 && faq.name.length <= 80) score += 0.2;
+  return score;
+}
+
+/**
+ * Characters covered by a set of (possibly overlapping) chunk ranges
+ */
+function coveredCharacters(chunks) {
+  let covered = 0;
+  let coveredUntil = 0;
+
+  [...chunks].sort((a, b) => a.start - b.start).forEach(chunk => {
+    const from = Math.max(chunk.start, coveredUntil);
+    if (chunk.end > from) {
+      covered += chunk.end - from;
+      coveredUntil = chunk.end;
+    }
+  });
+
+  return covered;
+}
+
+/**
+ * Map: generate candidate FAQs per chunk. Reduce: rank, deduplicate and merge into faqCount,
+ * taking the best FAQ from every chunk first so the whole page is represented.
+ */
+async function generateChunkedFAQs(env, aiModel, { title, headings, content, faqCount, maxChunks, language = 'en', temperature, onProgress = () => {}, aiLog }) {
+  const startTime = Date.now();
+  const chunkLimit = Math.min(Math.max(parseInt(maxChunks) || CHUNK_SETTINGS.defaultMaxChunks, 1), CHUNK_SETTINGS.maxChunks);
+  const allChunks = splitContentIntoChunks(content, CHUNK_SETTINGS.chunkSize, CHUNK_SETTINGS.overlap, Infinity);
+  const chunks = allChunks.slice(0, chunkLimit);
+  const perChunkCount = Math.min(Math.max(Math.ceil((faqCount * 1.5) / chunks.length), 3), 8);
+
+  console.log(`[Chunking] ${content.length} characters split into ${allChunks.length} chunks, processing ${chunks.length}`);
+
+  // Map
+  const chunkResults = [];
+  for (const chunk of chunks) {
+    if (Date.now() - startTime > CHUNK_SETTINGS.timeBudgetMs) {
+      console.log(`[Chunking] Time budget exhausted before chunk ${chunk.index + 1}`);
+      break;
+    }
+
+    try {
+      const candidates = await generateCandidateFAQs(env, aiModel, {
+        count: perChunkCount,
+        title,
+        headings,
+        content: chunk.text,
+        sourceLabel: `Section ${chunk.index + 1} of ${allChunks.length} (characters ${chunk.start}-${chunk.end})`,
+        focus: 'Cover the pricing, terms, services and details found in this section of the page',
+        language,
+        temperature,
+        aiLog
+      });
+
+      chunkResults.push({ chunk, candidates });
+      onProgress('chunk_generated', { chunk: chunk.index + 1, chunks: chunks.length, faqs: candidates });
+    } catch (error) {
+      console.log(`[Chunking] Chunk ${chunk.index + 1} failed:`, error.message);
+      chunkResults.push({ chunk, candidates: [], error: error.message });
+    }
+  }
+
+  // Reduce
+  const ranked = chunkResults.map(result => [...result.candidates].sort((a, b) => scoreCandidateFAQ(b) - scoreCandidateFAQ(a)));
+  const ordered = [
+    ...ranked.map(candidates => candidates[0]).filter(Boolean),
+    ...ranked.flatMap(candidates => candidates.slice(1)).sort((a, b) => scoreCandidateFAQ(b) - scoreCandidateFAQ(a))
+  ];
+
+  const merged = [];
+  const fingerprints = [];
+  let duplicatesRemoved = 0;
+
+  for (const faq of ordered) {
+    if (merged.length >= faqCount) break;
+
+    const fingerprint = questionFingerprint(faq.name);
+    if (fingerprints.some(existing => fingerprintSimilarity(existing, fingerprint) >= 0.75)) {
+      duplicatesRemoved++;
+      continue;
+    }
+
+    fingerprints.push(fingerprint);
+    merged.push(faq);
+  }
+
+  const succeeded = chunkResults.filter(result => result.candidates.length > 0).map(result => result.chunk);
+  const analyzedCharacters = coveredCharacters(succeeded);
+
+  return {
+    faqs: merged,
+    coverage: {
+      mode: 'map-reduce',
+      total_characters: content.length,
+      analyzed_characters: analyzedCharacters,
+      coverage_percent: Math.round((analyzedCharacters / content.length) * 100),
+      chunks_total: allChunks.length,
+      chunks_processed: chunkResults.length,
+      chunks_failed: chunkResults.filter(result => result.error).length,
+      candidates_generated: ranked.reduce((sum, candidates) => sum + candidates.length, 0),
+      duplicates_removed: duplicatesRemoved
+    }
+  };
+}
+
+/**
+ * Crawl mode: generate a site-level FAQ set where each FAQ is attributed (Question.url) to its source page
+ */
+async function generateSiteFAQs(rootUrl, options, env, onProgress = () => {}) {
+  const startTime = Date.now();
+  const crawlOptions = typeof options.crawl === 'object' ? options.crawl : {};
+  const faqCount = Math.min(Math.max(options.faqCount || 12, 6), 24);
+
+  const budget = await checkPipelineBudget(env, await getAIModel(env, 'url_faq_generator'));
+  const aiModel = budget.model;
+  const aiLog = createAILog();
+  console.log(`[Crawl] Starting site crawl of ${rootUrl} for ${faqCount} FAQs using ${aiModel}`);
+
+  let crawl;
+  try {
+    crawl = await crawlSite(rootUrl, crawlOptions, env, options.language, onProgress);
+  } catch (error) {
+    if (isPoliteFetchError(error)) throw error;
+
+    const crawlError = new Error(`Failed to crawl site: ${error.message}`);
+    crawlError.status = 400;
+    throw crawlError;
+  }
+
+  if (crawl.pages.length === 0) {
+    const crawlError = new Error('Failed to extract content: no crawled page had sufficient content');
+    crawlError.status = 400;
+    throw crawlError;
+  }
+
+  onProgress('crawled', { pages: crawl.pages.map(page => page.url), skipped: crawl.skipped });
+
+  // Over-generate per page so deduplication still leaves enough FAQs
+  const perPageCount = Math.min(Math.max(Math.ceil((faqCount * 1.5) / crawl.pages.length), 3), 8);
+  const pageResults = [];
+
+  for (const page of crawl.pages) {
+    try {
+      const pageFAQs = (await generateCandidateFAQs(env, aiModel, {
+        count: perPageCount,
+        title: page.title,
+        headings: page.headings,
+        content: page.content.substring(0, CRAWL_LIMITS.perPageContent),
+        sourceLabel: `Page URL: ${page.url}`,
+        focus: 'Focus on what is unique to this page rather than generic site-wide information',
+        language: page.language.code,
+        aiLog
+      })).map(faq => ({ ...faq, url: page.url }));
+
+      pageResults.push({ url: page.url, faqs: pageFAQs });
+      onProgress('page_generated', { url: page.url, faqs: pageFAQs });
+    } catch (error) {
+      console.log(`[Crawl] FAQ generation failed for ${page.url}:`, error.message);
+      pageResults.push({ url: page.url, faqs: [], error: error.message });
+    }
+  }
+
+  // Deduplicate across pages, taking FAQs round-robin so every page is represented
+  const selected = [];
+  const fingerprints = [];
+  let duplicatesRemoved = 0;
+  const maxPerPage = Math.max(...pageResults.map(result => result.faqs.length), 0);
+
+  for (let i = 0; i < maxPerPage && selected.length < faqCount; i++) {
+    for (const result of pageResults) {
+      const faq = result.faqs[i];
+      if (!faq || selected.length >= faqCount) continue;
+
+      const fingerprint = questionFingerprint(faq.name);
+      if (fingerprints.some(existing => fingerprintSimilarity(existing, fingerprint) >= 0.75)) {
+        duplicatesRemoved++;
+        continue;
+      }
+
+      fingerprints.push(fingerprint);
+      selected.push(faq);
+    }
+  }
+
+  // Source grounding against each FAQ's own page
+  const groundingMode = resolveGroundingMode(options);
+  let groundingSummary = { mode: 'off' };
+  let siteFAQs = selected;
+
+  if (groundingMode !== 'off') {
+    const pageContent = new Map(crawl.pages.map(page => [page.url, page.content]));
+    const pageLanguage = new Map(crawl.pages.map(page => [page.url, page.language.code]));
+    const grounding = groundFAQs(selected, faq => pageContent.get(faq.url), groundingMode, faq => pageLanguage.get(faq.url));
+    siteFAQs = grounding.faqs.filter(faq => isPremiumQualityFAQ(faq, pageLanguage.get(faq.url)));
+    groundingSummary = grounding.summary;
+    onProgress('grounded', { summary: groundingSummary, faqs: siteFAQs });
+  }
+
+  if (siteFAQs.length < Math.max(3, Math.floor(faqCount * 0.5))) {
+    throw new Error(`Only ${siteFAQs.length} high-quality FAQs generated across ${crawl.pages.length} pages`);
+  }
+
+  onProgress('validated', { faqs: siteFAQs, duplicates_removed: duplicatesRemoved });
+
+  return {
+    success: true,
+    source: rootUrl,
+    faqs: siteFAQs,
+    metadata: {
+      title: crawl.pages[0].title,
+      language: crawl.pages[0].language,
+      languages: [...new Set(crawl.pages.map(page => page.language.code))],
+      totalGenerated: siteFAQs.length,
+      processingTime: Date.now() - startTime,
+      model: aiModel,
+      worker_type: 'url_faq_generator',
+      dynamic_model: true,
+      qualityMode: 'site-crawl',
+      grounding: groundingSummary,
+      budget: budgetTag(budget),
+      ai_usage: summarizeAIUsage(aiLog.usage),
+      parse_attempts: aiLog.parse_attempts,
+      repaired: aiLog.repaired,
+      cost: await calculateAICost(env, aiLog.usage),
+      crawl: {
+        source_type: crawl.fromSitemap ? 'sitemap' : 'links',
+        max_depth: crawl.maxDepth,
+        max_pages: crawl.maxPages,
+        pages_analyzed: crawl.pages.length,
+        pages_skipped: crawl.skipped,
+        duplicates_removed: duplicatesRemoved,
+        pages: pageResults.map(result => ({
+          url: result.url,
+          faqs_generated: result.faqs.length,
+          faqs_selected: siteFAQs.filter(faq => faq.url === result.url).length,
+          ...(result.error ? { error: result.error } : {})
+        }))
+      }
+    }
+  };
+}
+
+/**
+ * Output formats and the media types they are negotiated from / served as
+ */
+const OUTPUT_FORMATS = {
+  jsonld: 'application/ld+json',
+  microdata: 'text/html',
+  rdfa: 'text/html',
+  html: 'text/html',
+  markdown: 'text/markdown',
+  csv: 'text/csv'
+};
+
+const ACCEPT_FORMATS = {
+  'application/ld+json': 'jsonld',
+  'text/markdown': 'markdown',
+  'text/csv': 'csv',
+  'text/html': 'html'
+};
+
+/**
+ * Pick an output format from an Accept header (raw-body responses only). Media ranges are ranked by q-value;
+ * JSON (null) wins whenever application/json or a wildcard ranks at least as high as the best format.
+ */
+function negotiateOutputFormat(acceptHeader) {
+  const ranges = (acceptHeader || '').split(',').map(part => {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    const q = qParam ? Number(qParam[1]) : 1;
+    return { type: type.trim(), q: Number.isFinite(q) ? q : 1 };
+  }).filter(range => range.type && range.q > 0);
+
+  const jsonQ = Math.max(0, ...ranges
+    .filter(range => ['application/json', 'application/*', '*/*'].includes(range.type))
+    .map(range => range.q));
+
+  let best = null;
+  for (const range of ranges) {
+    const format = ACCEPT_FORMATS[range.type];
+    if (format && range.q > jsonQ && (!best || range.q > best.q)) {
+      best = { format, q: range.q };
+    }
+  }
+  return best?.format || null;
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Anchor id for each FAQ, matching what faq-proxy-fetch reads back from id/itemid/resource
+ */
+function faqAnchorId(faq, index) {
+  return faq['@id']?.split('#').pop() || `faq-question-${index + 1}`;
+}
+
+/**
+ * Render validated FAQs as a paste-ready FAQPage in the requested format.
+ * JSON-LD is wrapped in a <script> tag for embedding, or left bare for a raw application/ld+json body (standalone).
+ */
+function renderFAQOutput(faqs, format, languageCode = 'en', { standalone = false } = {}) {
+  if (!OUTPUT_FORMATS[format]) {
+    const formatError = new Error(`Unsupported format "${format}". Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    formatError.status = 400;
+    throw formatError;
+  }
+
+  const items = faqs.map((faq, index) => ({
+    id: faqAnchorId(faq, index),
+    question: faq.name,
+    answer: faq.acceptedAnswer.text,
+    url: faq.url
+  }));
+
+  let content;
+  switch (format) {
+    case 'jsonld': {
+      const json = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        inLanguage: languageCode,
+        mainEntity: faqs.map(({ grounding, ...faq }) => faq)
+      }, null, 2);
+      content = standalone ? json : `<script type="application/ld+json">\n${json.replace(/</g, '\\u003c')}\n</script>`;
+      break;
+    }
+
+    case 'microdata':
+      content = [
+        `<div itemscope itemtype="https://schema.org/FAQPage" lang="${escapeHTML(languageCode)}">`,
+        `  <meta itemprop="inLanguage" content="${escapeHTML(languageCode)}">`,
+        ...items.map(item => [
+          `  <div id="${escapeHTML(item.id)}" itemscope itemprop="mainEntity" itemtype="https://schema.org/Question">`,
+          `    <h3 itemprop="name">${escapeHTML(item.question)}</h3>`,
+          '    <div itemscope itemprop="acceptedAnswer" itemtype="https://schema.org/Answer">',
+          `      <div itemprop="text"><p>${escapeHTML(item.answer)}</p></div>`,
+          '    </div>',
+          '  </div>'
+        ].join('\n')),
+        '</div>'
+      ].join('\n');
+      break;
+
+    case 'rdfa':
+      content = [
+        `<div vocab="https://schema.org/" typeof="FAQPage" lang="${escapeHTML(languageCode)}">`,
+        `  <meta property="inLanguage" content="${escapeHTML(languageCode)}">`,
+        ...items.map(item => [
+          `  <div id="${escapeHTML(item.id)}" property="mainEntity" typeof="Question" resource="#${escapeHTML(item.id)}">`,
+          `    <h3 property="name">${escapeHTML(item.question)}</h3>`,
+          '    <div property="acceptedAnswer" typeof="Answer">',
+          `      <div property="text"><p>${escapeHTML(item.answer)}</p></div>`,
+          '    </div>',
+          '  </div>'
+        ].join('\n')),
+        '</div>'
+      ].join('\n');
+      break;
+
+    case 'html':
+      // Gutenberg core/details blocks render as an accessible accordion
+      content = items.map(item => [
+        '<!-- wp:details -->',
+        `<details class="wp-block-details" id="${escapeHTML(item.id)}"><summary>${escapeHTML(item.question)}</summary><!-- wp:paragraph -->`,
+        `<p>${escapeHTML(item.answer)}</p>`,
+        '<!-- /wp:paragraph --></details>',
+        '<!-- /wp:details -->'
+      ].join('\n')).join('\n\n');
+      break;
+
+    case 'markdown':
+      content = items.map(item => `## ${item.question.replace(/\n+/g, ' ')}\n\n${item.answer}`).join('\n\n') + '\n';
+      break;
+
+    case 'csv': {
+      const csvCell = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+      const hasSources = items.some(item => item.url);
+      const header = ['id', 'question', 'answer', ...(hasSources ? ['source_url'] : [])];
+      content = [
+        header.join(','),
+        ...items.map(item => [item.id, item.question, item.answer, ...(hasSources ? [item.url] : [])].map(csvCell).join(','))
+      ].join('\r\n') + '\r\n';
+      break;
+    }
+  }
+
+  return { format, content_type: OUTPUT_FORMATS[format], content };
+}
+
+/**
+ * Translation mode limits
+ */
+const TRANSLATION_LIMITS = { maxLanguages: 5, maxItems: 30, batchSize: 8 };
+
+/**
+ * Normalise a translation input into items. Accepts a FAQPage JSON-LD object (url-to-faq output),
+ * an array of schema.org Questions, or faq-proxy-fetch's { question, answer, id } items.
+ */
+function normalizeTranslationInput(body) {
+  const faqPage = body.faqPage || (body['@type'] === 'FAQPage' ? body : null);
+  const source = faqPage ? [].concat(faqPage.mainEntity || []) : Array.isArray(body.faqs) ? body.faqs : [];
+  const inputFormat = faqPage ? 'faqpage' : source.some(item => item?.question !== undefined) ? 'proxy' : 'questions';
+
+  const items = source
+    .filter(item => item && (item.name || item.question) && (item.acceptedAnswer?.text || item.answer))
+    .map(item => ({
+      original: item,
+      question: String(item.name || item.question),
+      answer: String(item.acceptedAnswer?.text || item.answer)
+    }));
+
+  return { faqPage, inputFormat, items };
+}
+
+/**
+ * Swap HTML tags for numbered placeholders so the model cannot alter markup
+ */
+function protectHTML(text) {
+  const tags = [];
+  const protectedText = text.replace(/<[^>]+>/g, tag => {
+    tags.push(tag);
+    return `[[T${tags.length - 1}]]`;
+  });
+  return { text: protectedText, tags };
+}
+
+/**
+ * Restore placeholders; reports whether every tag came back exactly once
+ */
+function restoreHTML(text, tags) {
+  const seen = new Set();
+  const restored = text.replace(/\[\[T(\d+)\]\]/g, (placeholder, index) => {
+    seen.add(Number(index));
+    return tags[Number(index)] ?? '';
+  });
+  return { text: restored, preserved: seen.size === tags.length && tags.every((_, index) => seen.has(index)) };
+}
+
+/**
+ * Heuristic confidence for one translated string
+ */
+function scoreTranslation(source, translated, sourceCode, targetCode, htmlPreserved) {
+  if (!translated) return 0;
+
+  let confidence = 1;
+  if (!htmlPreserved) confidence -= 0.4;
+
+  const plainSource = source.replace(/\[\[T\d+\]\]/g, '').trim();
+  const plainTranslated = translated.replace(/\[\[T\d+\]\]/g, '').trim();
+  if (plainSource === plainTranslated) confidence -= 0.5;
+
+  const expectedRatio = getLanguageLengthFactor(targetCode) / getLanguageLengthFactor(sourceCode);
+  const ratio = plainTranslated.length / Math.max(plainSource.length, 1);
+  if (ratio < expectedRatio * 0.4 || ratio > expectedRatio * 2.5) confidence -= 0.3;
+
+  if (plainTranslated.length > 40) {
+    const detected = detectLanguageFromText(plainTranslated);
+    if (detected.code !== targetCode && detected.confidence >= 0.6) confidence -= 0.4;
+  }
+
+  return Math.max(0, Math.round(confidence * 100) / 100);
+}
+
+/**
+ * Translate one batch of items into a target language, returning translations by index
+ */
+async function translateBatch(env, aiModel, batch, targetCode, aiLog) {
+  const payload = batch.map(item => ({ i: item.index, q: item.question.text, a: item.answer.text }));
+
+  const translationPrompt = `Translate these FAQ items from ${getLanguageName(batch[0].sourceLanguage)} into ${getLanguageName(targetCode)} (${targetCode}).
+
+RULES:
+- Translate "q" (question) and "a" (answer) naturally for native speakers, keeping the meaning exact
+- Keep every placeholder like [[T0]] exactly as written and in a sensible position - they are HTML tags
+- Do not translate brand names, product names, URLs, email addresses or prices
+- Keep "i" unchanged
+
+ITEMS:
+${JSON.stringify(payload, null, 2)}
+
+Return ONLY JSON in this format:
+{ "items": [ { "i": 0, "q": "translated question", "a": "translated answer" } ] }`;
+
+  const parsed = await callAIForJSON(
+    env,
+    aiModel,
+    [
+      { role: 'system', content: 'You are a professional website localisation specialist. You translate FAQ content faithfully and return strict JSON.' },
+      { role: 'user', content: translationPrompt }
+    ],
+    { temperature: 0.1, max_tokens: 4000, stepName: 'Translation', schema: TRANSLATION_SCHEMA, aiLog },
+    60000
+  );
+
+  return new Map(parsed.items.map(item => [item.i, item]));
+}
+
+/**
+ * Translate an FAQ set into one or more languages, preserving @id/anchor ids, HTML in answers
+ * and the input shape (FAQPage, Question array or faq-proxy-fetch items)
+ * @param {Object} costSource - { clientIP, apiKeyId } the request's AI cost is attributed to
+ */
+async function translateFAQSet(body, env, costSource = {}) {
+  const startTime = Date.now();
+  const { faqPage, inputFormat, items } = normalizeTranslationInput(body);
+
+  if (items.length === 0) {
+    const inputError = new Error('No FAQ items found. Provide faqPage (FAQPage JSON-LD) or a faqs array');
+    inputError.status = 400;
+    throw inputError;
+  }
+  if (items.length > TRANSLATION_LIMITS.maxItems) {
+    const inputError = new Error(`Too many FAQ items (max ${TRANSLATION_LIMITS.maxItems})`);
+    inputError.status = 400;
+    throw inputError;
+  }
+
+  const requestedTargets = [].concat(body.targetLanguages || body.targetLanguage || []);
+  const targets = [...new Set(requestedTargets.map(normalizeLanguageCode).filter(Boolean))];
+  if (targets.length === 0 || targets.length > TRANSLATION_LIMITS.maxLanguages) {
+    const inputError = new Error(`Provide 1-${TRANSLATION_LIMITS.maxLanguages} supported targetLanguages`);
+    inputError.status = 400;
+    throw inputError;
+  }
+
+  const sourceLanguage = normalizeLanguageCode(body.sourceLanguage || faqPage?.inLanguage) ||
+    detectLanguageFromText(items.map(item => `${item.question} ${item.answer.replace(/<[^>]+>/g, ' ')}`).join(' ')).code;
+
+  const prepared = items.map((item, index) => ({
+    original: item.original,
+    index,
+    sourceLanguage,
+    sourceQuestion: item.question,
+    sourceAnswer: item.answer,
+    question: protectHTML(item.question),
+    answer: protectHTML(item.answer)
+  }));
+
+  // With the AI budget exhausted, items keep their source text (translated: false)
+  const budget = await checkAIBudget(env, 'url_faq_generator', {
+    model: await getAIModel(env, 'url_faq_generator'),
+    defaultModel: AI_CLIENT_CONFIG.defaultModel
+  });
+  const aiModel = budget.model;
+  const aiLog = createAILog();
+  const translations = {};
+
+  for (const targetCode of targets) {
+    const translatedItems = [];
+
+    for (let start = 0; start < prepared.length; start += TRANSLATION_LIMITS.batchSize) {
+      const batch = prepared.slice(start, start + TRANSLATION_LIMITS.batchSize);
+      let batchTranslations = new Map();
+
+      if (targetCode !== sourceLanguage && !budget.degraded) {
+        try {
+          batchTranslations = await translateBatch(env, aiModel, batch, targetCode, aiLog);
+        } catch (error) {
+          console.error(`[Translate] Batch ${start / TRANSLATION_LIMITS.batchSize + 1} to ${targetCode} failed:`, error.message);
+        }
+      }
+
+      batch.forEach(item => {
+        const translation = batchTranslations.get(item.index);
+        if (targetCode === sourceLanguage || !translation) {
+          translatedItems.push({
+            item,
+            question: item.sourceQuestion,
+            answer: item.sourceAnswer,
+            confidence: targetCode === sourceLanguage ? 1 : 0,
+            translated: false,
+            htmlPreserved: true
+          });
+          return;
+        }
+
+        const question = restoreHTML(translation.q, item.question.tags);
+        const answer = restoreHTML(translation.a, item.answer.tags);
+        const htmlPreserved = question.preserved && answer.preserved;
+
+        // A translation that dropped or duplicated tags would break the answer markup, so keep the source
+        translatedItems.push({
+          item,
+          question: question.preserved ? question.text : item.sourceQuestion,
+          answer: answer.preserved ? answer.text : item.sourceAnswer,
+          confidence: Math.min(
+            scoreTranslation(item.question.text, translation.q, sourceLanguage, targetCode, question.preserved),
+            scoreTranslation(item.answer.text, translation.a, sourceLanguage, targetCode, answer.preserved)
+          ),
+          translated: true,
+          htmlPreserved
+        });
+      });
+    }
+
+    // Items that fell back to their source text keep the source language label
+    const mainEntity = translatedItems.map(({ item, question, answer, translated }) => {
+      const original = item.original;
+      if (inputFormat === 'proxy') {
+        return { ...original, question, answer };
+      }
+      return {
+        ...original,
+        name: question,
+        acceptedAnswer: { ...(original.acceptedAnswer || { '@type': 'Answer' }), text: answer },
+        inLanguage: translated ? targetCode : sourceLanguage
+      };
+    });
+
+    translations[targetCode] = {
+      language: { code: targetCode, name: getLanguageName(targetCode) },
+      ...(inputFormat === 'proxy'
+        ? { faqs: mainEntity }
+        : { faqPage: { ...(faqPage || { '@context': 'https://schema.org', '@type': 'FAQPage' }), inLanguage: targetCode, mainEntity } }),
+      items: translatedItems.map(({ item, confidence, translated, htmlPreserved }) => ({
+        index: item.index,
+        id: item.original['@id'] || item.original.id || null,
+        confidence,
+        translated,
+        html_preserved: htmlPreserved
+      })),
+      average_confidence: Math.round((translatedItems.reduce((sum, entry) => sum + entry.confidence, 0) / translatedItems.length) * 100) / 100
+    };
+  }
+
+  const cost = await calculateAICost(env, aiLog.usage);
+  await recordAICost(env, { workerType: 'url_faq_generator', ...costSource }, cost);
+
+  return {
+    success: true,
+    degraded: budget.degraded,
+    source_language: { code: sourceLanguage, name: getLanguageName(sourceLanguage) },
+    input_format: inputFormat,
+    translations,
+    metadata: {
+      totalItems: items.length,
+      targetLanguages: targets,
+      processingTime: Date.now() - startTime,
+      model: aiModel,
+      budget: budgetTag(budget),
+      ai_usage: summarizeAIUsage(aiLog.usage),
+      cost,
+      worker_type: 'url_faq_generator'
+    }
+  };
+}
+
+/**
+ * Stream pipeline progress as Server-Sent Events.
+ * Each stage is sent as its own event, followed by a final "complete" or "error" event.
+ */
+function streamFAQGeneration(targetUrl, options, env, ctx, corsHeaders) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const startTime = Date.now();
+
+  const sendEvent = (event, data) => writer.write(
+    encoder.encode(`event: ${event}\ndata: ${JSON.stringify({ ...data, elapsed_ms: Date.now() - startTime })}\n\n`)
+  );
+
+  const pipeline = (async () => {
+    try {
+      const result = await generateFAQsFromUrl(targetUrl, options, env, (stage, data) => {
+        sendEvent(stage, { stage, ...data }).catch(error => console.log(`[SSE] Failed to send ${stage} event:`, error.message));
+      });
+      await sendEvent('complete', result);
+    } catch (error) {
+      console.error('Enhanced FAQ generation error (stream):', error);
+      await sendEvent('error', {
+        success: false,
+        error: error.message,
+        ...(error.degraded && { degraded: true }),
+        ...(isPoliteFetchError(error) && { code: error.code }),
+        status: error.status || 500,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })();
+
+  ctx.waitUntil(pipeline);
+
+  return new Response(readable, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+/**
+ * Async job storage (FAQ_CACHE) and lifetime
+ */
+const JOB_KEY_PREFIX = 'url_faq_job_';
+const JOB_TTL_SECONDS = 86400;
+
+/**
+ * Persist a job record to KV
+ */
+async function saveJob(env, job) {
+  job.updated_at = new Date().toISOString();
+
+  await env.FAQ_CACHE.put(`${JOB_KEY_PREFIX}${job.job_id}`, JSON.stringify(job), {
+    expirationTtl: JOB_TTL_SECONDS
+  });
+}
+
+/**
+ * Persist a running job's progress; a failed write is logged so the run carries on
+ */
+async function saveJobProgress(env, job) {
+  try {
+    await saveJob(env, job);
+  } catch (error) {
+    console.error(`[Jobs] Failed to save job ${job.job_id}:`, error.message);
+  }
+}
+
+/**
+ * Load a job record from KV
+ */
+async function loadJob(env, jobId) {
+  return await env.FAQ_CACHE.get(`${JOB_KEY_PREFIX}${jobId}`, { type: 'json' });
+}
+
+/**
+ * Public view of a job record (internal request fields are not exposed)
+ */
+function formatJob(job) {
+  const { request, ...publicJob } = job;
+  return publicJob;
+}
+
+/**
+ * Create a queued job and send it to FAQ_JOB_QUEUE. Jobs run in the queue consumer, since crawl and
+ * chunked runs outlive the ~30s ctx.waitUntil allows after a response.
+ */
+async function createFAQJob(targetUrl, options, callbackUrl, env) {
+  const job = {
+    job_id: crypto.randomUUID(),
+    status: 'queued',
+    source: targetUrl,
+    created_at: new Date().toISOString(),
+    current_stage: null,
+    stage_timings: {},
+    callback: callbackUrl ? { url: callbackUrl, delivered: false } : null,
+    request: { url: targetUrl, options, callbackUrl: callbackUrl || null }
+  };
+
+  // The job must be stored before its id is handed out or queued
+  try {
+    await saveJob(env, job);
+  } catch (error) {
+    console.error(`[Jobs] Failed to store job ${job.job_id}:`, error.message);
+    const storeError = new Error('Failed to store job, please retry');
+    storeError.status = 503;
+    throw storeError;
+  }
+  await env.FAQ_JOB_QUEUE.send({ job_id: job.job_id });
+
+  return job;
+}
+
+/**
+ * Run the pipeline for a job, recording stage timings and the final FAQPage
+ */
+async function runFAQJob(env, job) {
+  const startTime = Date.now();
+  let lastStageAt = startTime;
+
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+  await saveJobProgress(env, job);
+
+  // Stage saves are chained so a slow one cannot land after (and overwrite) the final save
+  let pendingSave = Promise.resolve();
+
+  try {
+    const result = await generateFAQsFromUrl(job.request.url, job.request.options || {}, env, (stage) => {
+      const now = Date.now();
+      job.current_stage = stage;
+      job.stage_timings[stage] = now - lastStageAt;
+      lastStageAt = now;
+      pendingSave = pendingSave.then(() => saveJobProgress(env, job));
+    });
+
+    job.status = 'completed';
+    job.result = {
+      ...result,
+      faq_page: {
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        inLanguage: result.metadata.language?.code,
+        mainEntity: result.faqs
       }
-    });
+    };
+  } catch (error) {
+    console.error(`[Jobs] Job ${job.job_id} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+    if (error.degraded) job.degraded = true;
+  }
 
-    // Clean and process content
-    const content = allText
-      .replace(/\s+/g, ' ')
-      .replace(/[^\w\s.,!?;:()\-\/'"]/g, '')
-      .trim();
+  job.completed_at = new Date().toISOString();
+  job.total_time_ms = Date.now() - startTime;
 
-    return {
-      title: title || 'Untitled Page',
-      headings: headings.slice(0, 8),
-      content: content
-    };
+  if (job.request.callbackUrl) {
+    job.callback = await deliverJobWebhook(env, job);
+  }
+
+  await pendingSave;
+  await saveJobProgress(env, job);
+  return job;
+}
+
+/**
+ * Webhook hosts that resolve to internal/private networks or localhost (the proxy blocks the same)
+ */
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/i,
+  /^127\./,
+  /^10\./,
+  /^172\.(1[6-9]|2[0-9]|3[0-1])\./,
+  /^192\.168\./,
+  /^169\.254\./,
+  /\.local$/i,
+  /^0\.0\.0\.0$/,
+  /^\[::1?\]$/
+];
+
+function isPrivateHost(hostname) {
+  return PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(hostname));
+}
+
+/**
+ * Hex-encoded HMAC-SHA256 signature of a webhook payload
+ */
+async function signWebhookPayload(secret, payload) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * POST the finished job to its callbackUrl.
+ * Signed as sha256=HMAC(WEBHOOK_SECRET, "<timestamp>.<body>") in X-FAQ-Signature.
+ */
+async function deliverJobWebhook(env, job) {
+  if (isPrivateHost(new URL(job.request.callbackUrl).hostname)) {
+    console.warn(`[Jobs] Refusing webhook for ${job.job_id} to an internal/private host`);
+    return { url: job.request.callbackUrl, delivered: false, error: 'Internal/private callback URLs not allowed' };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const body = JSON.stringify({
+    event: job.status === 'completed' ? 'job.completed' : 'job.failed',
+    job: formatJob(job)
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'FAQ-Generator-Bot/4.0-Enhanced',
+    'X-FAQ-Job-Id': job.job_id,
+    'X-FAQ-Timestamp': timestamp
+  };
+
+  if (env.WEBHOOK_SECRET) {
+    headers['X-FAQ-Signature'] = `sha256=${await signWebhookPayload(env.WEBHOOK_SECRET, `${timestamp}.${body}`)}`;
+  } else {
+    console.warn('[Jobs] WEBHOOK_SECRET not configured, sending unsigned webhook');
+  }
+
+  try {
+    const controller = new AbortController();
+    const webhookTimeout = setTimeout(() => controller.abort(), 10000);
+
+    const response = await fetch(job.request.callbackUrl, { method: 'POST', headers, body, signal: controller.signal });
+    clearTimeout(webhookTimeout);
+
+    return { url: job.request.callbackUrl, delivered: response.ok, status: response.status, delivered_at: new Date().toISOString() };
   } catch (error) {
-    console.error('Content extraction error:', error);
-    throw new Error('Failed to extract page content');
+    console.error(`[Jobs] Webhook delivery failed for ${job.job_id}:`, error.message);
+    return { url: job.request.callbackUrl, delivered: false, error: error.message };
   }
 }
 
@@ -242,15 +2042,13 @@ export default {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
     };
 
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders });
     }
 
-    // Note: Rate limiting is now handled by the centralized enhanced-rate-limiting worker
-
     const url = new URL(request.url);
 
     // Health check endpoint with timeout protection
@@ -263,7 +2061,7 @@ export default {
             'url-to-faq-generator-worker',
             env,
             '3.1.0-advanced-cache-optimized',
-            ['url_analysis', 'deep_content_extraction', 'premium_faq_generation', 'multi_pass_optimization', 'enhanced_rate_limiting']
+            ['url_analysis', 'deep_content_extraction', 'premium_faq_generation', 'multi_pass_optimization', 'sse_progress_streaming', 'async_jobs', 'site_crawl', 'multilingual_generation', 'faq_translation', 'enhanced_rate_limiting']
           );
           
           const aiModelInfo = await getAIModelInfo(env, 'url_faq_generator');
@@ -322,6 +2120,11 @@ export default {
               'deep_content_extraction',
               'premium_faq_generation',
               'multi_pass_optimization',
+              'sse_progress_streaming',
+              'async_jobs',
+              'site_crawl',
+              'multilingual_generation',
+              'faq_translation',
               'enhanced_rate_limiting'
             ],
             health_indicators: {
@@ -383,6 +2186,11 @@ export default {
             'deep_content_extraction',
             'premium_faq_generation',
             'multi_pass_optimization',
+            'sse_progress_streaming',
+            'async_jobs',
+            'site_crawl',
+            'multilingual_generation',
+            'faq_translation',
             'enhanced_rate_limiting'
           ],
           health_indicators: {
@@ -393,7 +2201,7 @@ export default {
           current_model: env.MODEL_NAME || '@cf/meta/llama-4-scout-17b-16e-instruct',
           model_source: 'env_fallback',
           worker_type: 'url_faq_generator',
-          capabilities: ['url_analysis', 'deep_content_extraction', 'premium_faq_generation', 'multi_pass_optimization', 'enhanced_rate_limiting']
+          capabilities: ['url_analysis', 'deep_content_extraction', 'premium_faq_generation', 'multi_pass_optimization', 'sse_progress_streaming', 'async_jobs', 'site_crawl', 'multilingual_generation', 'faq_translation', 'enhanced_rate_limiting']
         };
         
         return new Response(JSON.stringify(emergencyResponse), {
@@ -458,6 +2266,43 @@ export default {
       }
     }
 
+    // Job status endpoint
+    const jobMatch = url.pathname.match(/^\/jobs\/([\w-]+)$/);
+    if (request.method === 'GET' && jobMatch) {
+      const job = await loadJob(env, jobMatch[1]);
+
+      if (!job) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: 'Job not found'
+        }), {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true, ...formatJob(job) }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+      });
+    }
+
+    // A/B experiment results and accept/reject feedback; feedback counts against the worker's rate limits
+    if (url.pathname.startsWith('/experiments')) {
+      if (request.method === 'POST') {
+        const rateLimitResult = await checkWorkerRateLimit(env, 'url-to-faq-generator-worker', request.headers.get('CF-Connecting-IP') || 'unknown', request);
+        if (!rateLimitResult.allowed) {
+          return rateLimitExceededResponse(rateLimitResult, corsHeaders, { success: false });
+        }
+      }
+
+      const experimentResponse = await handleExperimentRequest(request, env, 'url_faq_generator', corsHeaders);
+      if (experimentResponse) return experimentResponse;
+    }
+
+    // Admin: daily AI cost totals per worker, client IP and API key
+    const costResponse = await handleCostRequest(request, env, corsHeaders);
+    if (costResponse) return costResponse;
+
     if (request.method !== 'POST') {
       return new Response(JSON.stringify({
         error: 'Method not allowed. Use POST with URL parameter.'
@@ -467,15 +2312,77 @@ export default {
       });
     }
 
+    // Generation, translation and job submission count against the worker's dynamic rate limits
+    const rateLimitResult = await checkWorkerRateLimit(
+      env,
+      'url-to-faq-generator-worker',
+      request.headers.get('CF-Connecting-IP') || 'unknown',
+      request
+    );
+
+    if (!rateLimitResult.allowed) {
+      return rateLimitExceededResponse(rateLimitResult, corsHeaders, { success: false });
+    }
+
+    // Translation mode for existing FAQ sets
+    if (url.pathname === '/translate') {
+      try {
+        if (!isAIProviderAvailable(env)) {
+          throw new Error('AI provider not configured');
+        }
+
+        const body = await request.json().catch(() => {
+          const parseError = new Error('Invalid JSON in request body');
+          parseError.status = 400;
+          throw parseError;
+        });
+
+        const result = await translateFAQSet(body, env, {
+          clientIP: request.headers.get('CF-Connecting-IP') || undefined,
+          apiKeyId: rateLimitResult.api_key || undefined
+        });
+
+        return new Response(JSON.stringify(result), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        console.error('FAQ translation error:', error);
+
+        return new Response(JSON.stringify({
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }), {
+          status: error.status || 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     try {
-      const startTime = Date.now();
-      
-      if (!env.AI) {
-        throw new Error('AI binding not found');
+      if (!isAIProviderAvailable(env)) {
+        throw new Error('AI provider not configured');
       }
       
-      const requestBody = await request.json();
-      const { url: targetUrl, options = {} } = requestBody;
+      const requestBody = await request.json().catch(() => null);
+      if (!requestBody || typeof requestBody !== 'object') {
+        return new Response(JSON.stringify({
+          error: 'Invalid JSON in request body',
+          success: false
+        }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      const { url: targetUrl, options: requestOptions = {}, callbackUrl } = requestBody;
+
+      // Experiment assignment unit: the caller's session, falling back to client IP
+      const clientIP = request.headers.get('CF-Connecting-IP') || undefined;
+      const options = {
+        ...requestOptions,
+        experimentUnit: requestOptions.sessionId || clientIP,
+        costSource: { clientIP, apiKeyId: rateLimitResult.api_key || undefined }
+      };
       
       if (!targetUrl) {
         return new Response(JSON.stringify({
@@ -503,292 +2410,92 @@ export default {
         });
       }
 
-      // Rate limiting is now handled by the centralized enhanced-rate-limiting worker
-      // This worker no longer performs individual rate limiting checks
-
-      // Set FAQ count with limits
-      const faqCount = Math.min(Math.max(options.faqCount || 12, 6), 12);
-      console.log(`Starting PREMIUM DEEP ANALYSIS of ${faqCount} FAQs (15K content analysis)`);
-
-      // Get dynamic AI model early
-      const aiModel = await getAIModel(env, 'url_faq_generator');
-      console.log(`[AI Model] Using model: ${aiModel} for url_faq_generator worker`);
-
-      // STEP 1: Enhanced Content Extraction
-      let pageContent, title, headings, extractedContent;
-      
-      try {
-        const controller = new AbortController();
-        const fetchTimeout = setTimeout(() => controller.abort(), 30000);
-        
-        const pageResponse = await fetch(targetUrl, {
-          signal: controller.signal,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (FAQ-Generator-Bot/4.0-Enhanced)',
-            'Accept': 'text/html,application/xhtml+xml',
-          }
-        });
-
-        clearTimeout(fetchTimeout);
-
-        if (!pageResponse.ok) {
-          throw new Error(`HTTP ${pageResponse.status}`);
-        }
-
-        pageContent = await pageResponse.text();
-        
-        const extractionResult = await extractContentUltimate(pageContent);
-        title = extractionResult.title;
-        headings = extractionResult.headings;
-        extractedContent = extractionResult.content;
-
-        if (extractedContent.length < 500) {
-          throw new Error('Insufficient content');
-        }
-
-        console.log(`Enhanced content extracted in ${Date.now() - startTime}ms`);
-
-      } catch (error) {
+      if (options.format && !OUTPUT_FORMATS[options.format]) {
         return new Response(JSON.stringify({
-          success: false,
-          error: `Failed to extract content: ${error.message}`
+          error: `Unsupported format. Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`,
+          success: false
         }), {
           status: 400,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
       }
 
-      // STEP 2: PREMIUM DEEP CONTENT ANALYSIS
-      const contentLimit = 15000;
-      const contentForAI = extractedContent.substring(0, contentLimit);
-
-      // Enhanced prompts for maximum quality
-      const generationPrompt = `Generate ${faqCount} comprehensive, premium-quality FAQs about "${title}".
-
-DEEP CONTENT ANALYSIS (15,000 characters processed):
-- Page Title: ${title}
-- Key Topics: ${headings.slice(0, 8).join(' | ')}
-- Comprehensive Content Analysis: ${contentForAI}
-
-PREMIUM QUALITY REQUIREMENTS:
-- Questions: 40-80 characters, natural conversational style, highly SEO-optimized with target keywords
-- Answers: 150-500 characters, extremely comprehensive and detailed with specific benefits/features
-- Cover ALL major topics, services, pricing, and unique selling points mentioned in content
-- Use specific details, numbers, prices, timeframes from the 15K content analysis
-- Focus on what customers genuinely want to know and search for
-- Include compelling reasons, benefits, and specific value propositions
-- Make each FAQ a valuable standalone piece of information
-- Optimize for voice search and featured snippets
-
-CONTENT DEPTH REQUIREMENTS:
-- Extract and utilize specific business details from the comprehensive content
-- Include pricing information where mentioned
-- Reference specific services, features, or benefits discussed
-- Address common customer concerns and objections
-- Highlight unique selling points and competitive advantages
-
-Output Format - Return exactly ${faqCount} premium-quality FAQs as JSON:
-{
-  "@context": "https://schema.org",
-  "@type": "FAQPage",
-  "mainEntity": [
-    {
-      "@type": "Question",
-      "name": "Specific, keyword-rich question optimized for search?",
-      "acceptedAnswer": {
-        "@type": "Answer",
-        "text": "Comprehensive, detailed answer with specific information extracted from the 15K content analysis, including benefits, features, pricing, and compelling reasons why this matters to potential customers."
-      }
-    }
-  ]
-}
-
-CRITICAL: Only return the JSON. Make every FAQ exceptionally valuable using the deep content understanding from 15K character analysis.`;
-
-      let initialFAQs;
-      const maxTokens = 6000;
-      const timeout = 150000;
-
-      try {
-        const aiResponse = await callAIWithTimeout(
-          env.AI,
-          aiModel,
-          [
-            { role: 'system', content: 'You are a premium FAQ specialist with deep content analysis capabilities. Generate exceptionally detailed, high-value FAQs using comprehensive content understanding. Focus on creating FAQs that provide maximum value to users and perform excellently in search results.' },
-            { role: 'user', content: generationPrompt }
-          ],
-          { temperature: 0.3, max_tokens: maxTokens },
-          timeout
-        );
-
-        const responseText = extractAIResponseText(aiResponse);
-        initialFAQs = cleanAndParseJSON(responseText);
-
-        console.log(`Enhanced generation: ${initialFAQs.mainEntity?.length} FAQs in ${Date.now() - startTime}ms`);
-        
-      } catch (error) {
-        console.error('Primary model failed:', error.message);
-        
-        // Fallback to default model
-        const fallbackModel = env.MODEL_NAME || '@cf/meta/llama-4-scout-17b-16e-instruct';
-        console.log(`[AI Model] Primary model failed, using fallback: ${fallbackModel}`);
-        
-        try {
-          const fallbackResponse = await callAIWithTimeout(
-            env.AI,
-            fallbackModel,
-            [
-              { role: 'system', content: 'Generate premium-quality, detailed FAQs in JSON format using deep content analysis.' },
-              { role: 'user', content: generationPrompt }
-            ],
-            { temperature: 0.3, max_tokens: maxTokens },
-            timeout
-          );
-
-          const responseText = extractAIResponseText(fallbackResponse);
-          initialFAQs = cleanAndParseJSON(responseText);
-          
-        } catch (fallbackError) {
-          throw new Error('Enhanced FAQ generation failed: ' + fallbackError.message);
+      if (url.pathname === '/jobs') {
+        if (!env.FAQ_JOB_QUEUE) {
+          return new Response(JSON.stringify({
+            error: 'Async jobs are unavailable: FAQ_JOB_QUEUE is not bound',
+            success: false
+          }), {
+            status: 503,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
         }
-      }
-
-      if (!initialFAQs?.mainEntity || !Array.isArray(initialFAQs.mainEntity)) {
-        throw new Error('Invalid FAQ structure');
-      }
-
-      // STEP 3: MULTIPLE AI OPTIMIZATION PASSES
-      let finalFAQs = initialFAQs;
-      
-      // Multiple optimization passes for premium quality
-      if (Date.now() - startTime < 120000) {
-        console.log('Running PREMIUM multi-pass optimization...');
-        
-        // PASS 1: SEO and Structure Optimization
-        try {
-          const seoOptimizationPrompt = `PASS 1 - SEO & STRUCTURE OPTIMIZATION
-
-Analyze and improve these ${initialFAQs.mainEntity.length} FAQs for maximum SEO performance:
-
-${JSON.stringify(initialFAQs, null, 2)}
-
-Optimization Requirements:
-- Ensure questions are 40-80 characters and include target keywords
-- Expand answers to 150-500 characters with specific, valuable details
-- Add location-specific terms if relevant to business
-- Improve question structure for voice search (who, what, when, where, why, how)
-- Ensure answers directly address the question asked
-- Add specific numbers, prices, timeframes where mentioned in content
-- Maintain JSON structure exactly
-
-Return the SEO-optimized FAQs in the same JSON format.`;
 
-          const seoResponse = await callAIWithTimeout(
-            env.AI,
-            aiModel, // Use dynamic model instead of hardcoded
-            [
-              { role: 'system', content: 'You are an SEO expert specializing in FAQ optimization for search engines and voice assistants.' },
-              { role: 'user', content: seoOptimizationPrompt }
-            ],
-            { temperature: 0.1, max_tokens: 4000 },
-            45000
-          );
+        if (callbackUrl) {
+          try {
+            const parsedCallback = new URL(callbackUrl);
+            if (!['http:', 'https:'].includes(parsedCallback.protocol)) {
+              throw new Error('Invalid protocol');
+            }
+          } catch (error) {
+            return new Response(JSON.stringify({
+              error: 'Invalid callbackUrl format',
+              success: false
+            }), {
+              status: 400,
+              headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+            });
+          }
 
-          const seoText = extractAIResponseText(seoResponse);
-          const seoOptimizedFAQs = cleanAndParseJSON(seoText);
-          
-          if (seoOptimizedFAQs?.mainEntity && Array.isArray(seoOptimizedFAQs.mainEntity)) {
-            finalFAQs = seoOptimizedFAQs;
-            console.log('SEO optimization pass completed successfully');
+          if (isPrivateHost(new URL(callbackUrl).hostname)) {
+            return new Response(JSON.stringify({
+              error: 'Internal/private callback URLs not allowed',
+              success: false
+            }), {
+              status: 400,
+              headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+            });
           }
-          
-        } catch (seoError) {
-          console.log('SEO optimization failed, continuing:', seoError.message);
         }
-        
-        // PASS 2: Content Quality and Detail Enhancement
-        if (Date.now() - startTime < 100000) {
-          try {
-            const qualityPrompt = `PASS 2 - CONTENT QUALITY ENHANCEMENT
-
-Further improve these FAQs for maximum user value and detail:
 
-${JSON.stringify(finalFAQs, null, 2)}
-
-Quality Enhancement Requirements:
-- Make answers more comprehensive and helpful
-- Add specific examples, benefits, or use cases where relevant
-- Ensure technical accuracy and clarity
-- Remove any vague or generic language
-- Add compelling reasons why users should care about each answer
-- Ensure each FAQ provides genuine value to potential customers
-- Maintain optimal length (150-500 characters per answer)
-- Keep JSON structure intact
+        // Job options are persisted to KV, so the client IP is left out of them: costs are attributed to
+        // the key id only, and jobs without a session are assigned experiment variants by URL
+        const jobOptions = {
+          ...options,
+          experimentUnit: requestOptions.sessionId,
+          costSource: { apiKeyId: options.costSource.apiKeyId }
+        };
+        const job = await createFAQJob(targetUrl, jobOptions, callbackUrl, env);
 
-Return the quality-enhanced FAQs in the same JSON format.`;
+        return new Response(JSON.stringify({
+          success: true,
+          job_id: job.job_id,
+          status: 'queued',
+          status_url: `${url.origin}/jobs/${job.job_id}`,
+          created_at: job.created_at
+        }), {
+          status: 202,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
 
-            const qualityResponse = await callAIWithTimeout(
-              env.AI,
-              aiModel, // Use dynamic model instead of hardcoded
-              [
-                { role: 'system', content: 'You are a content quality specialist focused on creating valuable, detailed, and engaging FAQ content.' },
-                { role: 'user', content: qualityPrompt }
-              ],
-              { temperature: 0.2, max_tokens: 4000 },
-              45000
-            );
-
-            const qualityText = extractAIResponseText(qualityResponse);
-            const qualityEnhancedFAQs = cleanAndParseJSON(qualityText);
-            
-            if (qualityEnhancedFAQs?.mainEntity && Array.isArray(qualityEnhancedFAQs.mainEntity)) {
-              finalFAQs = qualityEnhancedFAQs;
-              console.log('Quality enhancement pass completed successfully');
-            }
-            
-          } catch (qualityError) {
-            console.log('Quality enhancement failed, using SEO version:', qualityError.message);
-          }
-        }
+      const wantsStream = options.stream === true || (request.headers.get('Accept') || '').includes('text/event-stream');
+      if (wantsStream) {
+        return streamFAQGeneration(targetUrl, options, env, ctx, corsHeaders);
       }
 
-      // Premium validation
-      const validFAQs = finalFAQs.mainEntity.filter(faq => 
-        faq?.name && 
-        faq?.acceptedAnswer?.text && 
-        faq.name.length >= 25 &&
-        faq.name.length <= 120 && 
-        faq.acceptedAnswer.text.length >= 80 &&
-        faq.acceptedAnswer.text.length <= 1000 && 
-        !faq.name.toLowerCase().includes('untitled') &&
-        !faq.acceptedAnswer.text.toLowerCase().includes('no information') &&
-        !faq.acceptedAnswer.text.toLowerCase().includes('not specified')
-      );
+      // A raw body is served when the format is negotiated via Accept; options.format embeds it in the JSON response
+      const acceptedFormat = options.format ? null : negotiateOutputFormat(request.headers.get('Accept'));
+      const result = await generateFAQsFromUrl(targetUrl, options, env);
 
-      if (validFAQs.length < Math.max(3, Math.floor(faqCount * 0.7))) {
-        throw new Error(`Only ${validFAQs.length} high-quality FAQs generated (needed ${Math.floor(faqCount * 0.7)})`);
+      if (acceptedFormat) {
+        const output = renderFAQOutput(result.faqs, acceptedFormat, result.metadata.language?.code, { standalone: true });
+        return new Response(output.content, {
+          headers: { ...corsHeaders, 'Content-Type': `${output.content_type}; charset=utf-8` }
+        });
       }
 
-      const processingTime = Date.now() - startTime;
-      const wasEnhanced = processingTime < 120000;
-      
-      return new Response(JSON.stringify({
-        success: true,
-        source: targetUrl,
-        faqs: validFAQs,
-        metadata: {
-          title: title,
-          totalGenerated: validFAQs.length,
-          processingTime: processingTime,
-          model: aiModel,
-          worker_type: 'url_faq_generator',
-          dynamic_model: true,
-          enhanced: wasEnhanced,
-          qualityMode: 'premium-deep-analysis',
-          contentAnalyzed: '15K characters',
-          optimizationPasses: wasEnhanced ? 'multi-pass' : 'single-pass'
-        }
-      }), {
+      return new Response(JSON.stringify(result), {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
 
@@ -798,11 +2505,38 @@ Return the quality-enhanced FAQs in the same JSON format.`;
       return new Response(JSON.stringify({
         success: false,
         error: error.message,
+        ...(error.degraded && { degraded: true }),
+        ...(isPoliteFetchError(error) && { code: error.code }),
         timestamp: new Date().toISOString()
       }), {
-        status: 500,
+        status: error.status || 500,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
+  },
+
+  /**
+   * FAQ_JOB_QUEUE consumer - runs queued jobs outside the request lifetime
+   */
+  async queue(batch, env) {
+    for (const message of batch.messages) {
+      const job = await loadJob(env, message.body?.job_id);
+
+      if (!job) {
+        console.warn(`[Jobs] Queued job ${message.body?.job_id} not found, dropping`);
+        message.ack();
+        continue;
+      }
+
+      // A redelivered message must not run a finished job (and fire its webhook) again
+      if (job.status === 'completed' || job.status === 'failed') {
+        console.log(`[Jobs] Job ${job.job_id} already ${job.status}, skipping redelivery`);
+        message.ack();
+        continue;
+      }
+
+      await runFAQJob(env, job);
+      message.ack();
+    }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { callAIWithRetry } from '../../shared/ai-client.js';
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('callAIWithRetry', () => {
+	const env = { AI_PROVIDER: 'openai', OPENAI_API_KEY: 'test-key', OPENAI_API_BASE: 'https://llm.test/v1' };
+	const options = { messages: [{ role: 'user', content: 'Hello' }] };
+
+	it('aborts the provider request when the attempt times out', async () => {
+		const signals = [];
+		vi.spyOn(globalThis, 'fetch').mockImplementation((input, init) => {
+			signals.push(init.signal);
+			// Never answers; settles only when aborted
+			return new Promise((_, reject) => {
+				init.signal.addEventListener('abort', () => reject(init.signal.reason));
+			});
+		});
+
+		const result = await callAIWithRetry(env, 'gpt-test', options, 'Test', { timeoutMs: 50, maxRetries: 1 });
+
+		expect(result.success).toBe(false);
+		expect(result.error_type).toBe('TIMEOUT');
+		expect(signals).toHaveLength(1);
+		expect(signals[0].aborted).toBe(true);
+	});
+
+	it('returns the provider response and usage', async () => {
+		vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(JSON.stringify({
+			choices: [{ message: { content: 'Hi there' } }],
+			usage: { prompt_tokens: 5, completion_tokens: 2 }
+		})));
+
+		const result = await callAIWithRetry(env, 'gpt-test', options, 'Test', { timeoutMs: 1000, maxRetries: 1 });
+
+		expect(result.success).toBe(true);
+		expect(result.response.response).toBe('Hi there');
+		expect(result.usage).toMatchObject({ provider: 'openai', prompt_tokens: 5, completion_tokens: 2, tokens_estimated: false });
+	});
+});
@@ -1,20 +1,465 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import worker from '../src';
+import { initializeCacheManager } from '../../shared/advanced-cache-manager.js';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+const PARAGRAPHS = [
+	'Our garden widgets are made of stainless steel and powder coated so they never rust outdoors.',
+	'Every widget ships worldwide from our workshop and arrives within five working days of ordering.',
+	'Widgets can be returned within thirty days for a full refund as long as they are unused.',
+	'Installation takes a few minutes with the screws and wall plugs included in every box.',
+	'Cleaning is simple: wipe the widget with warm soapy water and dry it with a soft cloth.',
+	'Our support team answers questions by email every weekday and usually replies the same day.'
+];
+
+const page = (title, links = []) => `<!DOCTYPE html><html lang="en"><head><title>${title}</title></head><body><main>
+<h1>${title}</h1>
+${PARAGRAPHS.map(paragraph => `<p>${paragraph}</p>`).join('\n').repeat(3)}
+${links.map(href => `<a href="${href}">More</a>`).join('\n')}
+</main></body></html>`;
+
+const FAQS = [
+	['What are your garden widgets made of?', 'Our garden widgets are made of stainless steel and powder coated, so they never rust when left outdoors.'],
+	['How long does widget delivery usually take?', 'Every widget ships worldwide from our workshop and arrives within five working days of ordering.'],
+	['Can I return a widget if I change my mind?', 'Widgets can be returned within thirty days for a full refund, as long as they are unused and undamaged.'],
+	['How difficult is it to install a garden widget?', 'Installation takes a few minutes with the screws and wall plugs that are included in every box we send.'],
+	['What is the best way to clean my widget?', 'Wipe the widget with warm soapy water and dry it with a soft cloth to keep the powder coating looking new.'],
+	['How can I contact the widget support team?', 'Our support team answers questions by email every weekday and usually replies to you on the same day.']
+];
+
+const FAQ_RESPONSE = JSON.stringify({
+	mainEntity: FAQS.map(([name, text]) => ({ '@type': 'Question', name, acceptedAnswer: { '@type': 'Answer', text } }))
+});
+
+let clientCounter = 0;
+
+function mockEnv(fixtures = { default: FAQ_RESPONSE }, overrides = {}) {
+	return { ...env, AI_PROVIDER: 'mock', AI_MOCK_FIXTURES: fixtures, CRAWL_DELAY_MS: '0', ...overrides };
+}
+
+/**
+ * Serve pages by URL from a map; robots.txt and anything unknown return 404
+ */
+function mockSite(pages) {
+	return vi.spyOn(globalThis, 'fetch').mockImplementation(async input => {
+		const url = input instanceof Request ? input.url : String(input);
+		const body = pages[url];
+		if (body === undefined) {
+			return new Response('Not found', { status: 404 });
+		}
+		const contentType = url.endsWith('.xml') ? 'application/xml' : 'text/html; charset=utf-8';
+		return new Response(body, { headers: { 'Content-Type': contentType } });
+	});
+}
+
+async function callWorker(path, { method = 'POST', body, headers = {}, env: workerEnv = mockEnv() } = {}) {
+	const request = new Request(`https://worker.test${path}`, {
+		method,
+		body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+		headers: { 'CF-Connecting-IP': `203.0.113.${++clientCounter % 250}`, ...headers }
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, workerEnv, ctx);
+	// Read the body first: a progress stream only finishes its waitUntil work once it is consumed
+	const text = await response.text();
+	await waitOnExecutionContext(ctx);
+	return new Response(text, response);
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('single page generation', () => {
+	it('generates FAQs from a page with the mock provider', async () => {
+		mockSite({ 'https://site.test/widgets': page('Garden Widgets') });
+
+		const response = await callWorker('/', { body: { url: 'https://site.test/widgets', options: { faqCount: 6 } } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.success).toBe(true);
+		expect(result.faqs.map(faq => faq.name)).toEqual(FAQS.map(([question]) => question));
+		expect(result.metadata.language.code).toBe('en');
+		expect(result.metadata.worker_type).toBe('url_faq_generator');
+	});
+
+	it('strips unsupported sentences and drops answers left empty', async () => {
+		mockSite({ 'https://site.test/widgets': page('Garden Widgets') });
+		const faqs = FAQS.map(([name, text]) => ({ '@type': 'Question', name, acceptedAnswer: { '@type': 'Answer', text } }));
+		// "$19.99" is split across the "." sentence break, so its sentence cannot be matched and is kept as is
+		faqs[0].acceptedAnswer.text = 'Each garden widget costs $19.99 and the price includes delivery to your door anywhere.';
+		faqs[1].acceptedAnswer.text = 'Every widget arrives within 12 working days of ordering from our online workshop shop.';
+
+		const response = await callWorker('/', {
+			body: { url: 'https://site.test/widgets', options: { faqCount: 6, grounding: 'strip' } },
+			env: mockEnv({ default: JSON.stringify({ mainEntity: faqs }) })
+		});
+		const result = await response.json();
+
+		expect(result.metadata.grounding).toMatchObject({ mode: 'strip', faqs_stripped: 1, faqs_dropped: 1 });
+		expect(result.faqs.map(faq => faq.name)).not.toContain(FAQS[1][0]);
+		expect(result.faqs.find(faq => faq.name === FAQS[0][0])?.grounding.stripped).toBe(false);
+	});
+
+	it('rejects a missing or invalid URL', async () => {
+		expect((await callWorker('/', { body: { options: {} } })).status).toBe(400);
+		expect((await callWorker('/', { body: { url: 'ftp://site.test/' } })).status).toBe(400);
+	});
+
+	it('rejects malformed JSON', async () => {
+		const response = await callWorker('/', { body: '{"url": ' });
+
+		expect(response.status).toBe(400);
+		expect((await response.json()).error).toBe('Invalid JSON in request body');
+		expect((await callWorker('/', { body: 'null' })).status).toBe(400);
+	});
+
+	it('reports a page that cannot be fetched', async () => {
+		mockSite({});
+
+		const response = await callWorker('/', { body: { url: 'https://site.test/missing' } });
+		const result = await response.json();
+
+		expect(response.status).toBeGreaterThanOrEqual(400);
+		expect(result.success).toBe(false);
+	});
+});
+
+describe('output formats', () => {
+	beforeEach(() => {
+		mockSite({ 'https://site.test/widgets': page('Garden Widgets') });
+	});
+
+	it('embeds options.format output in the JSON response', async () => {
+		const response = await callWorker('/', { body: { url: 'https://site.test/widgets', options: { faqCount: 6, format: 'markdown' } } });
+		const result = await response.json();
+
+		expect(result.output.format).toBe('markdown');
+		expect(result.output.content_type).toBe('text/markdown');
+		expect(result.output.content).toContain(`## ${FAQS[0][0]}\n\n${FAQS[0][1]}`);
+	});
+
+	it('serves a raw body for a format negotiated via Accept', async () => {
+		const response = await callWorker('/', {
+			body: { url: 'https://site.test/widgets', options: { faqCount: 6 } },
+			headers: { Accept: 'text/csv' }
+		});
+		const csv = await response.text();
+
+		expect(response.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+		expect(csv.split('\r\n')[0]).toBe('id,question,answer');
+		expect(csv).toContain(`"faq-question-1","${FAQS[0][0]}"`);
+	});
+
+	it('serves bare JSON-LD for Accept: application/ld+json and wraps it for embedding', async () => {
+		const raw = await callWorker('/', {
+			body: { url: 'https://site.test/widgets', options: { faqCount: 6 } },
+			headers: { Accept: 'application/ld+json' }
+		});
+		const document = await raw.json();
+
+		expect(raw.headers.get('Content-Type')).toBe('application/ld+json; charset=utf-8');
+		expect(document).toMatchObject({ '@context': 'https://schema.org', '@type': 'FAQPage' });
+		expect(document.mainEntity[0].name).toBe(FAQS[0][0]);
+
+		const embedded = await (await callWorker('/', { body: { url: 'https://site.test/widgets', options: { faqCount: 6, format: 'jsonld' } } })).json();
+		expect(embedded.output.content).toMatch(/^<script type="application\/ld\+json">\n\{/);
+	});
+
+	it('prefers JSON when a wildcard ranks as high as a format', async () => {
+		const response = await callWorker('/', {
+			body: { url: 'https://site.test/widgets', options: { faqCount: 6 } },
+			headers: { Accept: 'text/markdown;q=0.5, */*;q=0.5' }
+		});
+
+		expect(response.headers.get('Content-Type')).toBe('application/json');
+		expect((await response.json()).success).toBe(true);
+	});
+
+	it('rejects an unknown format', async () => {
+		const response = await callWorker('/', { body: { url: 'https://site.test/widgets', options: { format: 'yaml' } } });
+		expect(response.status).toBe(400);
+	});
+});
+
+describe('progress stream', () => {
+	it('sends stage events followed by complete', async () => {
+		mockSite({ 'https://site.test/widgets': page('Garden Widgets') });
+
+		const response = await callWorker('/', {
+			body: { url: 'https://site.test/widgets', options: { faqCount: 6 } },
+			headers: { Accept: 'text/event-stream' }
+		});
+		const stream = await response.text();
+		const events = [...stream.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+
+		expect(response.headers.get('Content-Type')).toContain('text/event-stream');
+		expect(events[0]).toBe('fetched');
+		expect(events).toContain('validated');
+		expect(events[events.length - 1]).toBe('complete');
+	});
+
+	it('ends with an error event when the pipeline fails', async () => {
+		mockSite({ 'https://site.test/widgets': page('Garden Widgets') });
+
+		const response = await callWorker('/', {
+			body: { url: 'https://site.test/widgets', options: { faqCount: 6, stream: true } },
+			env: mockEnv({ default: { error: 'model unavailable' } })
+		});
+		const events = [...(await response.text()).matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+
+		expect(events[events.length - 1]).toBe('error');
+	});
+});
+
+describe('async jobs', () => {
+	it('queues a job and completes it in the queue consumer', async () => {
+		mockSite({ 'https://site.test/widgets': page('Garden Widgets') });
+		const sent = [];
+		const jobEnv = mockEnv(undefined, { FAQ_JOB_QUEUE: { send: async message => { sent.push(message); } } });
+
+		const submitted = await callWorker('/jobs', { body: { url: 'https://site.test/widgets', options: { faqCount: 6 } }, env: jobEnv });
+		const job = await submitted.json();
+
+		expect(submitted.status).toBe(202);
+		expect(job.status).toBe('queued');
+		expect(sent).toEqual([{ job_id: job.job_id }]);
+
+		const ack = vi.fn();
+		await worker.queue({ messages: [{ body: sent[0], ack }] }, jobEnv);
+		expect(ack).toHaveBeenCalledOnce();
+
+		const status = await callWorker(`/jobs/${job.job_id}`, { method: 'GET', env: jobEnv });
+		const finished = await status.json();
+
+		expect(finished.status).toBe('completed');
+		expect(finished.result.faqs).toHaveLength(FAQS.length);
+	});
+
+	it('does not rerun a finished job on redelivery', async () => {
+		mockSite({ 'https://site.test/widgets': page('Garden Widgets') });
+		const sent = [];
+		const jobEnv = mockEnv(undefined, { FAQ_JOB_QUEUE: { send: async message => { sent.push(message); } } });
+
+		const job = await (await callWorker('/jobs', { body: { url: 'https://site.test/widgets', options: { faqCount: 6 } }, env: jobEnv })).json();
+		await worker.queue({ messages: [{ body: sent[0], ack: () => {} }] }, jobEnv);
+
+		const fetchCalls = globalThis.fetch.mock.calls.length;
+		await worker.queue({ messages: [{ body: sent[0], ack: () => {} }] }, jobEnv);
+
+		expect(globalThis.fetch.mock.calls.length).toBe(fetchCalls);
+		expect((await (await callWorker(`/jobs/${job.job_id}`, { method: 'GET', env: jobEnv })).json()).status).toBe('completed');
+	});
+
+	it('refuses jobs when the queue is not bound', async () => {
+		const response = await callWorker('/jobs', {
+			body: { url: 'https://site.test/widgets' },
+			env: mockEnv(undefined, { FAQ_JOB_QUEUE: undefined })
+		});
+
+		expect(response.status).toBe(503);
+	});
+
+	it('returns 503 without queueing when the job cannot be stored', async () => {
+		const sent = [];
+		const jobEnv = mockEnv(undefined, {
+			FAQ_JOB_QUEUE: { send: async message => { sent.push(message); } },
+			FAQ_CACHE: { ...env.FAQ_CACHE, get: (...args) => env.FAQ_CACHE.get(...args), put: async () => { throw new Error('KV PUT failed: 429 Too Many Requests'); } }
+		});
+
+		const response = await callWorker('/jobs', { body: { url: 'https://site.test/widgets' }, env: jobEnv });
+
+		expect(response.status).toBe(503);
+		expect((await response.json()).job_id).toBeUndefined();
+		expect(sent).toEqual([]);
+	});
+
+	it('rejects callback URLs on internal hosts', async () => {
+		const jobEnv = mockEnv(undefined, { FAQ_JOB_QUEUE: { send: async () => {} } });
+
+		for (const callbackUrl of ['http://localhost:8080/hook', 'https://10.0.0.5/hook', 'http://169.254.169.254/latest']) {
+			const response = await callWorker('/jobs', { body: { url: 'https://site.test/widgets', callbackUrl }, env: jobEnv });
+			expect(response.status).toBe(400);
+		}
+	});
+
+	it('does not persist the client IP in job options', async () => {
+		const jobEnv = mockEnv(undefined, { FAQ_JOB_QUEUE: { send: async () => {} } });
+
+		const job = await (await callWorker('/jobs', {
+			body: { url: 'https://site.test/widgets' },
+			headers: { 'CF-Connecting-IP': '198.51.100.23' },
+			env: jobEnv
+		})).json();
+		const stored = await env.FAQ_CACHE.get(`url_faq_job_${job.job_id}`);
+
+		expect(stored).not.toBeNull();
+		expect(stored).not.toContain('198.51.100.23');
+	});
+
+	it('returns 404 for an unknown job', async () => {
+		const response = await callWorker('/jobs/does-not-exist', { method: 'GET' });
+		expect(response.status).toBe(404);
+	});
+});
+
+describe('experiments', () => {
+	const experiments = {
+		experiments: {
+			url_faq_generator: {
+				id: 'url-test',
+				status: 'running',
+				variants: [{ id: 'warm', weight: 100, model: 'openai:gpt-test', temperature: 0.9 }]
+			}
+		}
+	};
+
+	const clearExperimentCache = () => initializeCacheManager('url_faq_generator', env).invalidate('experiments:ai_experiments');
+
+	beforeEach(async () => {
+		await env.AI_MODEL_CONFIG.put('ai_experiments', JSON.stringify(experiments));
+		await clearExperimentCache();
+	});
+
+	afterEach(async () => {
+		await env.AI_MODEL_CONFIG.delete('ai_experiments');
+		await clearExperimentCache();
+	});
+
+	it('applies the variant to chunked generation and records its outcome', async () => {
+		// Long enough to be generated chunk by chunk
+		const sections = Array.from({ length: 40 }, (_, index) => PARAGRAPHS.map(paragraph => `<p>Section ${index + 1}: ${paragraph}</p>`).join('\n'));
+		const longPage = `<!DOCTYPE html><html lang="en"><head><title>Garden Widgets</title></head><body><main><h1>Garden Widgets</h1>${sections.join('\n')}</main></body></html>`;
+		const aiCalls = [];
+		vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+			const url = input instanceof Request ? input.url : String(input);
+			if (url === 'https://llm.test/v1/chat/completions') {
+				aiCalls.push(JSON.parse(init.body));
+				return new Response(JSON.stringify({ choices: [{ message: { content: FAQ_RESPONSE } }], usage: { prompt_tokens: 1000, completion_tokens: 500 } }));
+			}
+			return url === 'https://site.test/long'
+				? new Response(longPage, { headers: { 'Content-Type': 'text/html; charset=utf-8' } })
+				: new Response('Not found', { status: 404 });
+		});
+		const experimentEnv = mockEnv(undefined, { OPENAI_API_KEY: 'test-key', OPENAI_API_BASE: 'https://llm.test/v1' });
+
+		const result = await (await callWorker('/', { body: { url: 'https://site.test/long', options: { faqCount: 6 } }, env: experimentEnv })).json();
+
+		expect(result.metadata.contentCoverage.mode).toBe('map-reduce');
+		expect(result.metadata.experiment).toMatchObject({ experiment_id: 'url-test', variant_id: 'warm' });
+		const candidateCalls = aiCalls.filter(call => call.messages[1].content.includes('CONTENT ANALYSIS:'));
+		expect(candidateCalls.length).toBeGreaterThan(1);
+		expect(candidateCalls.every(call => call.model === 'gpt-test' && call.temperature === 0.9)).toBe(true);
+
+		const results = await (await callWorker('/experiments', { method: 'GET', env: experimentEnv })).json();
+		expect(results.variants[0]).toMatchObject({ variant_id: 'warm', requests: 1, parse_success_rate: 1, fallback_rate: 0 });
+	});
+});
+
+describe('site crawl', () => {
+	it('follows same-origin links only', async () => {
+		const fetchSpy = mockSite({
+			'https://site.test/': page('Garden Widgets', ['/care', 'https://elsewhere.test/offsite']),
+			'https://site.test/care': page('Widget Care')
+		});
+
+		const response = await callWorker('/', { body: { url: 'https://site.test/', options: { faqCount: 6, crawl: { maxPages: 3 } } } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.metadata.crawl.source_type).toBe('links');
+		expect(result.metadata.crawl.pages.map(crawled => crawled.url)).toEqual(['https://site.test/', 'https://site.test/care']);
+		expect(fetchSpy.mock.calls.some(([input]) => String(input.url ?? input).startsWith('https://elsewhere.test'))).toBe(false);
+	});
+
+	it('keeps a sitemap crawl on the root sitemap origin', async () => {
+		const fetchSpy = mockSite({
+			'https://site.test/sitemap.xml': `<?xml version="1.0"?><sitemapindex>
+				<sitemap><loc>https://elsewhere.test/sitemap.xml</loc></sitemap>
+				<sitemap><loc>https://site.test/pages.xml</loc></sitemap>
+			</sitemapindex>`,
+			'https://site.test/pages.xml': `<?xml version="1.0"?><urlset>
+				<url><loc>https://site.test/widgets</loc></url>
+				<url><loc>https://elsewhere.test/widgets</loc></url>
+			</urlset>`,
+			'https://site.test/widgets': page('Garden Widgets')
+		});
+
+		const response = await callWorker('/', { body: { url: 'https://site.test/sitemap.xml', options: { faqCount: 6, crawl: true } } });
+		const result = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(result.metadata.crawl.source_type).toBe('sitemap');
+		expect(result.metadata.crawl.pages.map(crawled => crawled.url)).toEqual(['https://site.test/widgets']);
+		expect(fetchSpy.mock.calls.some(([input]) => String(input.url ?? input).startsWith('https://elsewhere.test'))).toBe(false);
+	});
+});
+
+describe('translation', () => {
+	const faqPage = {
+		'@context': 'https://schema.org',
+		'@type': 'FAQPage',
+		inLanguage: 'en',
+		mainEntity: [{
+			'@type': 'Question',
+			'@id': 'https://site.test/#delivery',
+			name: 'How long does delivery take?',
+			acceptedAnswer: { '@type': 'Answer', text: 'Delivery takes <strong>five working days</strong> worldwide.' }
+		}]
+	};
+
+	it('translates an FAQPage, keeping @id and answer HTML', async () => {
+		const translation = JSON.stringify({
+			items: [{ i: 0, q: 'Combien de temps prend la livraison ?', a: 'La livraison prend [[T0]]cinq jours ouvrés[[T1]] dans le monde entier.' }]
+		});
+
+		const response = await callWorker('/translate', {
+			body: { faqPage, targetLanguages: ['fr'] },
+			env: mockEnv({ default: translation })
+		});
+		const result = await response.json();
+		const question = result.translations.fr.faqPage.mainEntity[0];
+
+		expect(response.status).toBe(200);
+		expect(result.source_language.code).toBe('en');
+		expect(question['@id']).toBe('https://site.test/#delivery');
+		expect(question.name).toBe('Combien de temps prend la livraison ?');
+		expect(question.acceptedAnswer.text).toBe('La livraison prend <strong>cinq jours ouvrés</strong> dans le monde entier.');
+		expect(question.inLanguage).toBe('fr');
+		expect(result.translations.fr.items[0]).toMatchObject({ translated: true, html_preserved: true });
+	});
+
+	it('keeps the source language on items whose batch failed', async () => {
+		const response = await callWorker('/translate', {
+			body: { faqPage, targetLanguages: ['fr'] },
+			env: mockEnv({ default: { error: 'model unavailable' } })
+		});
+		const result = await response.json();
+		const question = result.translations.fr.faqPage.mainEntity[0];
+
+		expect(response.status).toBe(200);
+		expect(question.name).toBe(faqPage.mainEntity[0].name);
+		expect(question.inLanguage).toBe('en');
+		expect(result.translations.fr.items[0]).toMatchObject({ translated: false, confidence: 0 });
+	});
+
+	it('rejects a malformed body with 400', async () => {
+		const response = await callWorker('/translate', { body: '{"faqPage": ' });
+		const result = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(result.error).toBe('Invalid JSON in request body');
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('requires target languages', async () => {
+		const response = await callWorker('/translate', { body: { faqPage, targetLanguages: [] } });
+		expect(response.status).toBe(400);
 	});
 });
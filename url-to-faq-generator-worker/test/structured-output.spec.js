@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { extractJSON, validateAgainstSchema, parseStructuredOutput, generateStructuredOutput } from '../../shared/structured-output.js';
+import { hashPrompt } from '../../shared/ai-providers.js';
+
+const FAQ_SCHEMA = {
+	type: 'object',
+	required: ['mainEntity'],
+	properties: {
+		mainEntity: {
+			type: 'array',
+			minItems: 1,
+			items: {
+				type: 'object',
+				required: ['name'],
+				properties: { name: { type: 'string', minLength: 5 } }
+			}
+		}
+	}
+};
+
+describe('extractJSON', () => {
+	it('parses plain JSON', () => {
+		expect(extractJSON('{"a": 1}')).toEqual({ a: 1 });
+	});
+
+	it('ignores code fences and surrounding text', () => {
+		expect(extractJSON('Here you go:\n```json\n{"a": [1, 2]}\n```\nHope that helps!')).toEqual({ a: [1, 2] });
+	});
+
+	it('tolerates trailing commas', () => {
+		expect(extractJSON('{"a": [1, 2,],}')).toEqual({ a: [1, 2] });
+	});
+
+	it('skips values of the other kind when a type is expected', () => {
+		expect(extractJSON('Items [1, 2] then {"b": true}', 'object')).toEqual({ b: true });
+		expect(extractJSON('{"b": true} and [1, 2]', 'array')).toEqual([1, 2]);
+	});
+
+	it('keeps brackets inside strings balanced', () => {
+		expect(extractJSON('Result: {"text": "a } tricky ] string"} done')).toEqual({ text: 'a } tricky ] string' });
+	});
+
+	it('throws on empty or JSON-free output', () => {
+		expect(() => extractJSON('')).toThrow('Empty or non-text AI response');
+		expect(() => extractJSON('no json here')).toThrow('No JSON found in AI response');
+	});
+});
+
+describe('validateAgainstSchema', () => {
+	it('accepts a matching value', () => {
+		expect(validateAgainstSchema({ mainEntity: [{ name: 'Valid question' }] }, FAQ_SCHEMA)).toEqual([]);
+	});
+
+	it('reports errors with JSON paths', () => {
+		expect(validateAgainstSchema({ mainEntity: [{ name: 'Hi' }, {}] }, FAQ_SCHEMA)).toEqual([
+			'$.mainEntity[0].name must be at least 5 characters',
+			'$.mainEntity[1].name is required'
+		]);
+	});
+
+	it('checks types, enums and numeric bounds', () => {
+		expect(validateAgainstSchema('x', { type: 'number' })).toEqual(['$ must be number, got string']);
+		expect(validateAgainstSchema(3, { type: 'number', minimum: 0, maximum: 2 })).toEqual(['$ must be <= 2']);
+		expect(validateAgainstSchema('c', { enum: ['a', 'b'] })).toEqual(['$ must be one of "a", "b"']);
+		expect(validateAgainstSchema(null, { type: ['object', 'null'] })).toEqual([]);
+	});
+
+	it('treats integers as numbers', () => {
+		expect(validateAgainstSchema(4, { type: 'number' })).toEqual([]);
+		expect(validateAgainstSchema(4.5, { type: 'integer' })).toEqual(['$ must be integer, got number']);
+	});
+});
+
+describe('parseStructuredOutput', () => {
+	it('returns the parsed data when valid', () => {
+		expect(parseStructuredOutput('{"mainEntity": [{"name": "Valid question"}]}', FAQ_SCHEMA)).toEqual({
+			valid: true,
+			data: { mainEntity: [{ name: 'Valid question' }] },
+			errors: []
+		});
+	});
+
+	it('reports extraction failures as errors', () => {
+		const result = parseStructuredOutput('sorry, I cannot help', FAQ_SCHEMA);
+		expect(result.valid).toBe(false);
+		expect(result.errors).toEqual(['No JSON found in AI response']);
+	});
+});
+
+describe('generateStructuredOutput', () => {
+	const messages = [{ role: 'user', content: 'Write one FAQ' }];
+	const config = { workerType: 'test', defaultModel: 'mock:test', maxRetries: 1, timeoutMs: 1000, schema: FAQ_SCHEMA };
+
+	it('returns valid output from the first call', async () => {
+		const env = { AI_PROVIDER: 'mock', AI_MOCK_FIXTURES: { default: '{"mainEntity": [{"name": "Valid question"}]}' } };
+		const result = await generateStructuredOutput(env, 'mock:test', { messages }, 'Test', config);
+
+		expect(result.valid).toBe(true);
+		expect(result.data).toEqual({ mainEntity: [{ name: 'Valid question' }] });
+		expect(result.parse_attempts).toBe(1);
+		expect(result.repaired).toBe(false);
+		expect(result.usage).toHaveLength(1);
+	});
+
+	it('sends one repair prompt when validation fails', async () => {
+		const env = {
+			AI_PROVIDER: 'mock',
+			AI_MOCK_FIXTURES: {
+				[await hashPrompt({ messages })]: '{"mainEntity": []}',
+				default: '{"mainEntity": [{"name": "Repaired question"}]}'
+			}
+		};
+		const result = await generateStructuredOutput(env, 'mock:test', { messages }, 'Test', config);
+
+		expect(result.valid).toBe(true);
+		expect(result.data.mainEntity[0].name).toBe('Repaired question');
+		expect(result.parse_attempts).toBe(2);
+		expect(result.repaired).toBe(true);
+		expect(result.usage).toHaveLength(2);
+	});
+
+	it('gives up after the repair budget with the validation errors', async () => {
+		const env = { AI_PROVIDER: 'mock', AI_MOCK_FIXTURES: { default: '{"mainEntity": []}' } };
+		const result = await generateStructuredOutput(env, 'mock:test', { messages }, 'Test', config);
+
+		expect(result.valid).toBe(false);
+		expect(result.data).toBeNull();
+		expect(result.error).toBe('INVALID_RESPONSE: $.mainEntity must have at least 1 items');
+		expect(result.parse_attempts).toBe(2);
+	});
+});